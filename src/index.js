@@ -1,10 +1,13 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { runPipeline } from './jobs/run-pipeline.js';
+import { runPipeline, parseParameters as validatePipelineParameters } from './jobs/run-pipeline.js';
+import { getEventTimeOptions } from './jobs/load.js';
 import * as akTools from 'ak-tools';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import logger from './utils/logger.js';
+import jobRegistry from './utils/job-registry.js';
+import pipelineLock from './services/pipeline-lock.js';
 
 dotenv.config();
 dayjs.extend(utc);
@@ -15,6 +18,9 @@ const {
 	PORT = 8080
 } = process.env;
 
+// Refuse to start with settings that would mistime every event (event_time_strategy / event_time_offset_minutes)
+getEventTimeOptions();
+
 const app = express();
 
 // Middleware
@@ -31,7 +37,12 @@ app.get('/', (req, res) => {
 		endpoints: [
 			'POST /mixpanel-members',
 			'POST /mixpanel-channels',
-			'POST /mixpanel-all'
+			'POST /mixpanel-private-channels',
+			'POST /mixpanel-all',
+			'POST /mixpanel-messages',
+			'POST /mixpanel-user-groups',
+			'GET /jobs',
+			'GET /jobs/:id'
 		],
 		timestamp: new Date().toISOString()
 	});
@@ -97,6 +108,14 @@ function parseParameters(req) {
 		params.loadOnly = params.loadOnly === 'true' || params.loadOnly === true;
 	}
 
+	if (params.reload !== undefined) {
+		params.reload = params.reload === 'true' || params.reload === true;
+	}
+
+	if (params.async !== undefined) {
+		params.async = params.async === 'true' || params.async === true;
+	}
+
 	return params;
 }
 
@@ -122,7 +141,12 @@ app.get('/', (req, res) => {
 			health: "GET /health - Health check",
 			members: "POST /mixpanel-members - Process Slack members pipeline",
 			channels: "POST /mixpanel-channels - Process Slack channels pipeline",
-			all: "POST /mixpanel-all - Process both members and channels pipelines"
+			privateChannels: "POST /mixpanel-private-channels - Process Slack private channels pipeline",
+			all: "POST /mixpanel-all - Process members, channels and private channels pipelines",
+			messages: "POST /mixpanel-messages - Process message events for allowlisted channels (message_channels)",
+			userGroups: "POST /mixpanel-user-groups - Export user groups as group profiles and slack_user_groups on member profiles",
+			jobs: "GET /jobs - List recent async jobs",
+			job: "GET /jobs/:id - Status, stage, per-day progress and result of an async job"
 		},
 		parameters: {
 			days: "number - Number of days to process (default: 5)",
@@ -131,7 +155,10 @@ app.get('/', (req, res) => {
 			backfill: "boolean - Run in backfill mode (~13 months)",
 			cleanup: "boolean - Delete files after successful upload (default: false)",
 			extractOnly: "boolean - Only extract, don't load (default: false)",
-			loadOnly: "boolean - Only load existing files (default: false)"
+			loadOnly: "boolean - Only load existing files (default: false)",
+			reload: "boolean - Load member and channel days the run manifest says were already loaded (default: false)",
+			async: "boolean - Return a job ID immediately and run in the background (default: false)",
+			targets: "string - Comma-separated load targets: mixpanel, bigquery (default: mixpanel)"
 		}
 	});
 });
@@ -145,124 +172,148 @@ app.get('/health', (req, res) => {
 	});
 });
 
-// Members pipeline endpoint
-app.post('/mixpanel-members', async (req, res) => {
-	const t = timer('slack-members');
-	t.start();
-
-	try {
-		const params = parseParameters(req);
-
-		logger.summary('START JOB: slack-members', { params });
-
-		// Run file-based pipeline
-		const result = await runPipeline({
-			...params,
-			pipelines: ['members']
-		});
-
-		logger.summary(`FINISH JOB: slack-members ... ${t.end()}`, { result, timing: t.report(false) });
-
-		res.status(200).json({
-			status: 'success',
-			pipeline: 'members',
-			timing: t.report(false),
-			...result
-		});
-
-	} catch (error) {
-		logger.error('ERROR JOB: slack-members', error);
-
-		// Handle parameter validation errors with 400 status
-		const isValidationError = error.message.includes('Parameter') || error.message.includes('mutually exclusive');
-
-		res.status(isValidationError ? 400 : 500).json({
-			status: 'error',
-			pipeline: 'members',
-			error: error.message,
-			timestamp: new Date().toISOString()
-		});
-	}
-});
+/**
+ * Create a route handler that runs the file-based pipeline
+ * With async=true the pipeline runs in the background and the response is a job ID to poll at GET /jobs/:id
+ * @param {string} name - Pipeline label used in responses and logs (e.g., 'members', 'all')
+ * @param {Array<string>} pipelines - Pipelines passed to runPipeline
+ * @returns {import('express').RequestHandler}
+ */
+function pipelineHandler(name, pipelines) {
+	const jobName = `slack-${name}`;
+
+	return async (req, res) => {
+		const t = timer(jobName);
+		t.start();
+
+		try {
+			const params = parseParameters(req);
+
+			if (params.async) {
+				// Validate before accepting so bad parameters still get a 400 instead of a failed job
+				validatePipelineParameters({ ...params });
+
+				// Lock before creating the job so an overlapping run gets a 409 and leaves no job behind
+				const locks = await pipelineLock.acquireLocks(pipelines, { pipelines, params });
+				const job = jobRegistry.createJob(name, params);
+				await pipelineLock.renewLocks(locks, { job_id: job.id });
+				logger.summary(`QUEUE JOB: ${jobName}`, { job_id: job.id, params });
+
+				runJob(job, jobName, { ...params, pipelines, locks });
+
+				return res.status(202).json({
+					status: 'accepted',
+					pipeline: name,
+					job_id: job.id,
+					job_url: `/jobs/${job.id}`,
+					timestamp: new Date().toISOString()
+				});
+			}
+
+			logger.summary(`START JOB: ${jobName}`, { params });
+
+			// Run file-based pipeline
+			const result = await runPipeline({
+				...params,
+				pipelines
+			});
+
+			logger.summary(`FINISH JOB: ${jobName} ... ${t.end()}`, { result, timing: t.report(false) });
+
+			res.status(200).json({
+				status: 'success',
+				pipeline: name,
+				timing: t.report(false),
+				...result
+			});
+
+		} catch (error) {
+			// Another run holds one of the pipelines
+			if (error.code === 'pipeline_locked') {
+				logger.warn(`LOCKED JOB: ${jobName} - ${error.message}`);
+				return res.status(409).json({
+					status: 'locked',
+					pipeline: name,
+					error: error.message,
+					holder: error.holder,
+					timestamp: new Date().toISOString()
+				});
+			}
+
+			logger.error(`ERROR JOB: ${jobName}`, error);
+
+			// Handle parameter validation errors with 400 status
+			const isValidationError = error.message.includes('Parameter') || error.message.includes('mutually exclusive');
+
+			res.status(isValidationError ? 400 : 500).json({
+				status: 'error',
+				pipeline: name,
+				error: error.message,
+				timestamp: new Date().toISOString()
+			});
+		}
+	};
+}
 
-// Channels pipeline endpoint
-app.post('/mixpanel-channels', async (req, res) => {
-	const t = timer('slack-channels');
+/**
+ * Run a queued job in the background, recording progress and the final result in the job registry
+ * @param {Object} job - Job from the registry
+ * @param {string} jobName - Job label for logs
+ * @param {Object} options - runPipeline options
+ * @returns {Promise<void>}
+ */
+async function runJob(job, jobName, options) {
+	const t = timer(jobName);
 	t.start();
+	jobRegistry.startJob(job.id);
+	logger.summary(`START JOB: ${jobName}`, { job_id: job.id, params: job.params });
 
 	try {
-		const params = parseParameters(req);
-
-		logger.summary('START JOB: slack-channels', { params });
-
-		// Run file-based pipeline
 		const result = await runPipeline({
-			...params,
-			pipelines: ['channels']
+			...options,
+			onProgress: (event) => jobRegistry.recordProgress(job.id, event)
 		});
 
-		logger.summary(`FINISH JOB: slack-channels ... ${t.end()}`, { result, timing: t.report(false) });
-
-		res.status(200).json({
-			status: 'success',
-			pipeline: 'channels',
-			timing: t.report(false),
-			...result
-		});
+		jobRegistry.completeJob(job.id, { timing: t.report(false), ...result });
+		logger.summary(`FINISH JOB: ${jobName} ... ${t.end()}`, { job_id: job.id, result, timing: t.report(false) });
 
 	} catch (error) {
-		logger.error('ERROR JOB: slack-channels', error);
-
-		// Handle parameter validation errors with 400 status
-		const isValidationError = error.message.includes('Parameter') || error.message.includes('mutually exclusive');
-
-		res.status(isValidationError ? 400 : 500).json({
-			status: 'error',
-			pipeline: 'channels',
-			error: error.message,
-			timestamp: new Date().toISOString()
-		});
+		jobRegistry.failJob(job.id, error);
+		logger.error(`ERROR JOB: ${jobName} (${job.id})`, error);
 	}
-});
-
-// Combined pipeline endpoint (both members and channels)
-app.post('/mixpanel-all', async (req, res) => {
-	const t = timer('slack-all');
-	t.start();
-
-	try {
-		const params = parseParameters(req);
-
-		logger.summary('START JOB: slack-all', { params });
-
-		// Run file-based pipeline
-		const result = await runPipeline({
-			...params,
-			pipelines: ['members', 'channels']
-		});
-
-		logger.summary(`FINISH JOB: slack-all ... ${t.end()}`, { result, timing: t.report(false) });
-
-		res.status(200).json({
-			status: 'success',
-			pipeline: 'all',
-			timing: t.report(false),
-			...result
-		});
+}
 
-	} catch (error) {
-		logger.error('ERROR JOB: slack-all', error);
+// Pipeline endpoints
+app.post('/mixpanel-members', pipelineHandler('members', ['members']));
+app.post('/mixpanel-channels', pipelineHandler('channels', ['channels']));
+app.post('/mixpanel-private-channels', pipelineHandler('private-channels', ['private-channels']));
+app.post('/mixpanel-all', pipelineHandler('all', ['members', 'channels', 'private-channels']));
+// Opt-in: requires message_channels and is not part of /mixpanel-all
+app.post('/mixpanel-messages', pipelineHandler('messages', ['messages']));
+// Opt-in: requires the usergroups:read scope and is not part of /mixpanel-all
+app.post('/mixpanel-user-groups', pipelineHandler('user-groups', ['user-groups']));
+
+// Job status endpoints (for async=true runs)
+app.get('/jobs', (req, res) => {
+	res.json({
+		status: 'ok',
+		jobs: jobRegistry.listJobs(),
+		timestamp: new Date().toISOString()
+	});
+});
 
-		// Handle parameter validation errors with 400 status
-		const isValidationError = error.message.includes('Parameter') || error.message.includes('mutually exclusive');
+app.get('/jobs/:id', (req, res) => {
+	const job = jobRegistry.getJob(req.params.id);
 
-		res.status(isValidationError ? 400 : 500).json({
+	if (!job) {
+		return res.status(404).json({
 			status: 'error',
-			pipeline: 'all',
-			error: error.message,
+			error: `Job ${req.params.id} not found`,
 			timestamp: new Date().toISOString()
 		});
 	}
+
+	res.json(job);
 });
 
 
@@ -5,64 +5,126 @@
 
 import slackService from '../services/slack.js';
 import storage from '../services/storage.js';
+import enrichmentCache from '../services/enrichment-cache.js';
+import runManifest from '../services/run-manifest.js';
+import { workspaceDir, currentWorkspace } from '../services/workspaces.js';
+import { summarizeEmojiUsage } from '../transforms/reactions.js';
+import { toChannelSnapshot, diffChannelSnapshots, toMemberSnapshot, diffMemberSnapshots } from '../transforms/lifecycle.js';
+import { diffChannelMembership } from '../transforms/membership.js';
+import { toUserGroupRecords } from '../transforms/user-groups.js';
+import { summarizeMemberActivity, summarizeWorkspaceActivity } from '../transforms/workspace.js';
 import logger from '../utils/logger.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
-import pLimit from 'p-limit';
 import 'dotenv/config';
 
 dayjs.extend(utc);
 
-const { company_domain, NODE_ENV } = process.env;
+const {
+	company_domain,
+	NODE_ENV,
+	message_channels = '', // comma-separated channel IDs for the messages pipeline
+	message_text = 'exclude', // 'exclude' or 'include' message text in message files
+	message_thread_replies = 'false', // 'true' to fetch conversations.replies for threaded messages
+	message_lookback_days = '7' // complete days before today re-extracted on every run (late replies and reactions)
+} = process.env;
+
+/** Channels allowlisted for the messages pipeline */
+export const MESSAGE_CHANNELS = message_channels.split(',').map(id => id.trim()).filter(Boolean);
 
 /**
- * MAX_ENRICHMENT controls how many entities to enrich per run.
+ * Enrichment runs against a wall-clock budget (ENRICHMENT_BUDGET_MINUTES; 20 in production, 1 otherwise),
+ * split between users and channels (see createEnrichmentBudgets in services/enrichment-cache.js).
  *
- * Strategy: Shuffle IDs before enriching to vary coverage across runs.
- * Over time, all entities get enriched (slowly changing dimensions).
+ * Strategy: Enrichment details persist across runs in the enrichment cache.
+ * The analytics extracts fetch every day first, staging the records, then refresh never-enriched
+ * entities first, then the most active (messages posted across all the days being extracted), then the
+ * stalest past their TTL, until the budget runs out. Staged records then get the cached details.
+ * Over time, all entities get enriched and stay within their TTL (slowly changing dimensions).
  *
- * Time estimates (based on Slack API rate limit tiers):
- * - Users (Tier 4: ~667ms avg):
- *   - 100 users ≈ 1.1 min
- *   - 500 users ≈ 5.6 min
- *   - 1000 users ≈ 11.1 min
- *   - 5000 users ≈ 55.6 min
+ * Time estimates (calls are paced by the shared Slack rate limiter, see utils/rate-limiter.js):
+ * - Users (users.info + users.profile.get, Tier 4: 100+/min):
+ *   - 100 users ≈ 1 min
+ *   - 1000 users ≈ 10 min
+ *   - 5000 users ≈ 50 min
  *
- * - Channels (Tier 3: ~875ms avg):
- *   - 100 channels ≈ 1.5 min
- *   - 500 channels ≈ 7.3 min
- *   - 1000 channels ≈ 14.6 min
- *   - 4000 channels ≈ 58.3 min
+ * - Channels (conversations.info, Tier 3: 50+/min):
+ *   - 100 channels ≈ 2 min
+ *   - 1000 channels ≈ 20 min
+ *   - 4000 channels ≈ 80 min
  *
- * Example: MAX_ENRICHMENT=500 → ~13 min total (5.6 + 7.3)
- * Full 4000 channel coverage in 8 runs (500 × 8 = 4000)
+ * Both speed up while Slack keeps accepting calls (up to twice the tier rate) and slow down on 429s.
+ * Example: a 20 minute budget covers 4000 channels in about 4 runs.
+ */
+
+/** Enrichment calls in flight; the rate limiter does the pacing, this keeps request latency out of it */
+const ENRICHMENT_CONCURRENCY = 4;
+
+/**
+ * Add the messages each entity posted in a day's analytics to the run's totals, for enrichment priority
+ * @param {Map<string, number>} activity - Messages posted by entity ID across the run (updated in place)
+ * @param {Array<Object>} records - Analytics records
+ * @param {('user_id'|'channel_id')} idField - Entity ID field
+ * @returns {Map<string, number>} The same map
+ */
+function addActivity(activity, records, idField) {
+	for (const record of records) {
+		if (!record[idField]) continue;
+		const posted = Number(record.messages_posted_count ?? record.messages_posted) || 0;
+		activity.set(record[idField], (activity.get(record[idField]) || 0) + posted);
+	}
+	return activity;
+}
+
+/**
+ * Attach cached details to records one at a time, as they're written to storage
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Analytics records (e.g. streamed from a staged file)
+ * @param {('user_id'|'channel_id')} idField - Entity ID field
+ * @param {Object} cache - Enrichment cache for the entity
+ * @returns {AsyncGenerator<Object>} Records with an ENRICHED key
  */
-const MAX_ENRICHMENT = NODE_ENV === 'production' ? 1000 : 10;
+async function* withCachedDetails(records, idField, cache) {
+	for await (const record of records) {
+		yield { ...record, ENRICHED: cache.get(record[idField]) };
+	}
+}
 
 /**
- * Fisher-Yates shuffle algorithm to randomize array order
- * @param {Array} array - Array to shuffle (modified in place)
- * @returns {Array} The shuffled array
+ * Remove a day's staged records once its file is written (or failed; the next run stages it again)
+ * @param {string} directory - Storage directory (e.g., 'members')
+ * @param {string} date - Activity date (YYYY-MM-DD)
+ * @returns {Promise<void>}
  */
-function shuffleArray(array) {
-	for (let i = array.length - 1; i > 0; i--) {
-		const j = Math.floor(Math.random() * (i + 1));
-		[array[i], array[j]] = [array[j], array[i]];
+async function removeStagedDay(directory, date) {
+	try {
+		await storage.deleteFile(stagingPath(directory, date));
+	} catch (error) {
+		logger.warn(`[EXTRACT] ⚠️  Failed to delete staged ${directory} records for ${date}: ${error.message}`);
 	}
-	return array;
 }
 
 /**
- * Enrich user analytics records with detailed user information
- * Adds an ENRICHED key to each record containing:
+ * Storage path of a day's analytics records waiting to be enriched
+ * @param {string} directory - Storage directory (e.g., 'members')
+ * @param {string} date - Activity date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function stagingPath(directory, date) {
+	return `${workspaceDir(`staging/${directory}`)}/${date}-${directory}.jsonl.gz`;
+}
+
+/**
+ * Refresh cached user details for the users in a run's member analytics (records get them with withCachedDetails)
+ * Each record's ENRICHED key contains:
  * - user: Full user object from users.info (name, email, timezone, etc.)
  * - profile: Extended profile from users.profile.get (custom fields, status, etc.)
  * - ok: Boolean indicating if the fetch was successful
  * - error: Error message if the fetch failed
  *
- * @param {Array} records - Analytics records with user_id fields
- * @param {Map} userDetailsMap - Shared map to cache user details across multiple calls
- * @returns {Promise<Array>} Records with ENRICHED key containing user details
+ * @param {Map<string, number>} activity - Messages posted by each user across the days extracted (addActivity)
+ * @param {Object} userCache - Persistent enrichment cache shared across days and runs
+ * @param {Object} budget - The run's user enrichment budget (createEnrichmentBudget)
+ * @returns {Promise<void>}
  * @example
  * // Enriched record structure:
  * {
@@ -76,105 +138,68 @@ function shuffleArray(array) {
  *   }
  * }
  */
-async function enrichUserRecords(records, userDetailsMap) {
-	if (!records || records.length === 0) return records;
-
-	// Get unique user IDs from the records that aren't already cached
-	const uniqueUserIds = [...new Set(records.map(r => r.user_id).filter(Boolean))];
-	const uncachedUserIds = uniqueUserIds.filter(userId => !userDetailsMap.has(userId));
-
-	// Check if we've hit the MAX_ENRICHMENT limit
-	const totalEnriched = userDetailsMap.size;
-	const remainingSlots = MAX_ENRICHMENT - totalEnriched;
-
-	if (remainingSlots <= 0) {
-		logger.verbose(`[ENRICH] ⚠️  MAX_ENRICHMENT limit (${MAX_ENRICHMENT}) reached, skipping ${uncachedUserIds.length} users`);
-		// Add ENRICHED key to each record from cache (null for uncached)
-		return records.map(record => ({
-			...record,
-			ENRICHED: userDetailsMap.get(record.user_id) || null
-		}));
+async function refreshUserDetails(activity, userCache, budget) {
+	// User IDs that are missing or past their TTL (never-enriched first, then most active, then stalest)
+	const uniqueUserIds = [...activity.keys()];
+	const staleUserIds = userCache.getRefreshOrder(uniqueUserIds, activity);
+
+	if (budget.exhausted && staleUserIds.length > 0) {
+		logger.verbose(`[ENRICH] ⚠️  Enrichment budget (${budget.minutes} min) used up, skipping ${staleUserIds.length} users`);
+		return;
 	}
 
-	if (uncachedUserIds.length === 0) {
+	if (staleUserIds.length === 0) {
 		logger.verbose(`[ENRICH] ✅ All ${uniqueUserIds.length} users already cached`);
-		// Add ENRICHED key to each record from cache
-		return records.map(record => ({
-			...record,
-			ENRICHED: userDetailsMap.get(record.user_id) || null
-		}));
+		return;
 	}
 
-	// Shuffle to vary which users get enriched each run (for slowly changing dimensions)
-	shuffleArray(uncachedUserIds);
-
-	// Limit to remaining slots
-	const usersToFetch = uncachedUserIds.slice(0, remainingSlots);
-	const skippedCount = uncachedUserIds.length - usersToFetch.length;
-
 	// Clear summary log
-	const cachedCount = uniqueUserIds.length - uncachedUserIds.length;
-	if (skippedCount > 0) {
-		logger.info(`[ENRICH] Users: Found ${uniqueUserIds.length}, enriching ${usersToFetch.length} (${cachedCount} cached, ${skippedCount} skipped)`);
-	} else {
-		logger.info(`[ENRICH] Users: Found ${uniqueUserIds.length}, enriching ${usersToFetch.length} (${cachedCount} cached)`);
-	}
+	const cachedCount = uniqueUserIds.length - staleUserIds.length;
+	logger.info(`[ENRICH] Users: Found ${uniqueUserIds.length}, enriching up to ${staleUserIds.length} (${cachedCount} cached, ${Math.round(budget.remainingMs / 1000)}s of budget left)`);
 
-	// Fetch user details with concurrency control (rate limiting)
-	const limit = pLimit(1); // Conservative: 1 concurrent request
+	// Fetch user details in priority order until the budget runs out (the Slack service paces the calls)
 	let enrichedCount = 0;
-	const totalToEnrich = usersToFetch.length;
-
-	const fetchPromises = usersToFetch.map((userId, index) =>
-		limit(async () => {
-			try {
-				// Tier 4 rate limit: 100/min → 667ms per request (using 600-734ms with jitter)
-				// Formula: 60000ms / 90 requests/min (10% safety buffer) = 667ms
-				const delay = 600 + Math.random() * 134;
-				await new Promise(resolve => setTimeout(resolve, delay));
-
-				const details = await slackService.getUserDetails(userId);
-				userDetailsMap.set(userId, details);
-				enrichedCount++;
-
-				// Progress checkpoints every 250 users
-				if (enrichedCount % 250 === 0 || enrichedCount === totalToEnrich) {
-					logger.info(`[ENRICH] Progress: ${enrichedCount}/${totalToEnrich} users enriched`);
-				} else {
-					logger.verbose(`[ENRICH] ✅ User ${userId}`);
-				}
-			} catch (error) {
-				logger.verbose(`[ENRICH] ⚠️  Failed to fetch user ${userId}: ${error.message}`);
-				// Store error state so we don't retry
-				userDetailsMap.set(userId, { error: error.message });
-				enrichedCount++;
-			}
-		})
-	);
+	const totalToEnrich = staleUserIds.length;
 
-	await Promise.all(fetchPromises);
+	const { skipped: skippedCount } = await budget.run(staleUserIds, async (userId) => {
+		try {
+			const details = await slackService.getUserDetails(userId);
+			userCache.set(userId, details);
+			enrichedCount++;
 
-	// Add ENRICHED key to each record
-	const enrichedRecords = records.map(record => ({
-		...record,
-		ENRICHED: userDetailsMap.get(record.user_id) || null
-	}));
+			// Progress checkpoints every 250 users
+			if (enrichedCount % 250 === 0 || enrichedCount === totalToEnrich) {
+				logger.info(`[ENRICH] Progress: ${enrichedCount}/${totalToEnrich} users enriched`);
+			} else {
+				logger.verbose(`[ENRICH] ✅ User ${userId}`);
+			}
+		} catch (error) {
+			logger.verbose(`[ENRICH] ⚠️  Failed to fetch user ${userId}: ${error.message}`);
+			// Store error state so we don't retry until the TTL expires
+			userCache.setError(userId, error.message);
+			enrichedCount++;
+		}
+	}, { concurrency: ENRICHMENT_CONCURRENCY });
 
-	logger.verbose(`[ENRICH] ✅ Enriched ${enrichedRecords.length} member records`);
+	if (skippedCount > 0) {
+		logger.info(`[ENRICH] ⏱️  Enrichment budget (${budget.minutes} min) used up: ${skippedCount} users left for the next run`);
+	}
 
-	return enrichedRecords;
+	logger.verbose(`[ENRICH] ✅ Refreshed ${enrichedCount} of ${uniqueUserIds.length} users`);
 }
 
 /**
- * Enrich channel analytics records with detailed channel information
- * Adds an ENRICHED key to each record containing:
+ * Refresh cached channel details for the channels in a run's channel analytics (records get them with withCachedDetails)
+ * Each record's ENRICHED key contains:
  * - channel: Full channel object from conversations.info (name, topic, purpose, members, etc.)
+ * - connected_teams: External Slack Connect orgs ({ id, name, domain }), only for shared channels
  * - ok: Boolean indicating if the fetch was successful
  * - error: Error message if the fetch failed
  *
- * @param {Array} records - Analytics records with channel_id fields
- * @param {Map} channelDetailsMap - Shared map to cache channel details across multiple calls
- * @returns {Promise<Array>} Records with ENRICHED key containing channel details
+ * @param {Map<string, number>} activity - Messages posted in each channel across the days extracted (addActivity)
+ * @param {Object} channelCache - Persistent enrichment cache shared across days and runs
+ * @param {Object} budget - The run's channel enrichment budget (createEnrichmentBudget)
+ * @returns {Promise<void>}
  * @example
  * // Enriched record structure:
  * {
@@ -195,103 +220,98 @@ async function enrichUserRecords(records, userDetailsMap) {
  *   }
  * }
  */
-async function enrichChannelRecords(records, channelDetailsMap) {
-	if (!records || records.length === 0) return records;
-
-	// Get unique channel IDs from the records that aren't already cached
-	const uniqueChannelIds = [...new Set(records.map(r => r.channel_id).filter(Boolean))];
-	const uncachedChannelIds = uniqueChannelIds.filter(channelId => !channelDetailsMap.has(channelId));
-
-	// Check if we've hit the MAX_ENRICHMENT limit
-	const totalEnriched = channelDetailsMap.size;
-	const remainingSlots = MAX_ENRICHMENT - totalEnriched;
-
-	if (remainingSlots <= 0) {
-		logger.verbose(`[ENRICH] ⚠️  MAX_ENRICHMENT limit (${MAX_ENRICHMENT}) reached, skipping ${uncachedChannelIds.length} channels`);
-		// Add ENRICHED key to each record from cache (null for uncached)
-		return records.map(record => ({
-			...record,
-			ENRICHED: channelDetailsMap.get(record.channel_id) || null
-		}));
+async function refreshChannelDetails(activity, channelCache, budget) {
+	// Channel IDs that are missing or past their TTL (never-enriched first, then most active, then stalest)
+	const uniqueChannelIds = [...activity.keys()];
+	const staleChannelIds = channelCache.getRefreshOrder(uniqueChannelIds, activity);
+
+	if (budget.exhausted && staleChannelIds.length > 0) {
+		logger.verbose(`[ENRICH] ⚠️  Enrichment budget (${budget.minutes} min) used up, skipping ${staleChannelIds.length} channels`);
+		return;
 	}
 
-	if (uncachedChannelIds.length === 0) {
+	if (staleChannelIds.length === 0) {
 		logger.verbose(`[ENRICH] ✅ All ${uniqueChannelIds.length} channels already cached`);
-		// Add ENRICHED key to each record from cache
-		return records.map(record => ({
-			...record,
-			ENRICHED: channelDetailsMap.get(record.channel_id) || null
-		}));
+		return;
 	}
 
-	// Shuffle to vary which channels get enriched each run (for slowly changing dimensions)
-	shuffleArray(uncachedChannelIds);
-
-	// Limit to remaining slots
-	const channelsToFetch = uncachedChannelIds.slice(0, remainingSlots);
-	const skippedCount = uncachedChannelIds.length - channelsToFetch.length;
-
 	// Clear summary log
-	const cachedCount = uniqueChannelIds.length - uncachedChannelIds.length;
-	if (skippedCount > 0) {
-		logger.info(`[ENRICH] Channels: Found ${uniqueChannelIds.length}, enriching ${channelsToFetch.length} (${cachedCount} cached, ${skippedCount} skipped)`);
-	} else {
-		logger.info(`[ENRICH] Channels: Found ${uniqueChannelIds.length}, enriching ${channelsToFetch.length} (${cachedCount} cached)`);
-	}
+	const cachedCount = uniqueChannelIds.length - staleChannelIds.length;
+	logger.info(`[ENRICH] Channels: Found ${uniqueChannelIds.length}, enriching up to ${staleChannelIds.length} (${cachedCount} cached, ${Math.round(budget.remainingMs / 1000)}s of budget left)`);
 
-	// Fetch channel details with concurrency control (rate limiting)
-	const limit = pLimit(1); // Conservative: 1 concurrent request
+	// Fetch channel details in priority order until the budget runs out (the Slack service paces the calls)
 	let enrichedCount = 0;
-	const totalToEnrich = channelsToFetch.length;
-
-	const fetchPromises = channelsToFetch.map((channelId, index) =>
-		limit(async () => {
-			try {
-				// Tier 3 rate limit: 50/min (pushing limit for speed)
-				// Target: ~69 req/min (800-950ms) to complete 4000 channels in ~60 min
-				// Note: Will trigger some 429 rate limits, but SDK auto-retries after 10s
-				const delay = 800 + Math.random() * 150;
-				await new Promise(resolve => setTimeout(resolve, delay));
-
-				const details = await slackService.getChannelDetails(channelId);
-				channelDetailsMap.set(channelId, details);
-				enrichedCount++;
-
-				// Progress checkpoints every 250 channels
-				if (enrichedCount % 250 === 0 || enrichedCount === totalToEnrich) {
-					logger.info(`[ENRICH] Progress: ${enrichedCount}/${totalToEnrich} channels enriched`);
-				} else {
-					logger.verbose(`[ENRICH] ✅ Channel ${channelId}`);
-				}
-			} catch (error) {
-				logger.verbose(`[ENRICH] ⚠️  Failed to fetch channel ${channelId}: ${error.message}`);
-				// Store error state so we don't retry
-				channelDetailsMap.set(channelId, { error: error.message });
-				enrichedCount++;
+	const totalToEnrich = staleChannelIds.length;
+
+	const { skipped: skippedCount } = await budget.run(staleChannelIds, async (channelId) => {
+		try {
+			const details = await slackService.getChannelDetails(channelId);
+			const connectedTeams = await resolveConnectedTeams(details.channel);
+			channelCache.set(channelId, connectedTeams.length > 0 ? { ...details, connected_teams: connectedTeams } : details);
+			enrichedCount++;
+
+			// Progress checkpoints every 250 channels
+			if (enrichedCount % 250 === 0 || enrichedCount === totalToEnrich) {
+				logger.info(`[ENRICH] Progress: ${enrichedCount}/${totalToEnrich} channels enriched`);
+			} else {
+				logger.verbose(`[ENRICH] ✅ Channel ${channelId}`);
 			}
-		})
-	);
+		} catch (error) {
+			logger.verbose(`[ENRICH] ⚠️  Failed to fetch channel ${channelId}: ${error.message}`);
+			// Store error state so we don't retry until the TTL expires
+			channelCache.setError(channelId, error.message);
+			enrichedCount++;
+		}
+	}, { concurrency: ENRICHMENT_CONCURRENCY });
 
-	await Promise.all(fetchPromises);
+	if (skippedCount > 0) {
+		logger.info(`[ENRICH] ⏱️  Enrichment budget (${budget.minutes} min) used up: ${skippedCount} channels left for the next run`);
+	}
 
-	// Add ENRICHED key to each record
-	const enrichedRecords = records.map(record => ({
-		...record,
-		ENRICHED: channelDetailsMap.get(record.channel_id) || null
-	}));
+	logger.verbose(`[ENRICH] ✅ Refreshed ${enrichedCount} of ${uniqueChannelIds.length} channels`);
+}
 
-	logger.verbose(`[ENRICH] ✅ Enriched ${enrichedRecords.length} channel records`);
+/**
+ * Resolve the external organizations a Slack Connect channel is shared with
+ * conversations.info lists every connected team (connected_team_ids); the token's own workspace and,
+ * on Enterprise Grid, the org's other workspaces (internal_team_ids) aren't external.
+ * @param {Object} channel - Channel from conversations.info
+ * @returns {Promise<Array<{id: string, name?: string, domain?: string}>>} External teams (just the ID if team.info fails)
+ */
+async function resolveConnectedTeams(channel) {
+	const internal = new Set([channel?.context_team_id, ...(channel?.internal_team_ids || []), currentWorkspace()?.team_id].filter(Boolean));
+	const external = (channel?.connected_team_ids || []).filter(teamId => !internal.has(teamId));
+	const teams = [];
+
+	for (const teamId of external) {
+		try {
+			const team = await slackService.getTeamInfo(teamId);
+			teams.push({ id: teamId, name: team.name, domain: team.domain });
+		} catch (error) {
+			logger.verbose(`[ENRICH] ⚠️  Failed to fetch external team ${teamId}: ${error.message}`);
+			teams.push({ id: teamId });
+		}
+	}
 
-	return enrichedRecords;
+	return teams;
 }
 
 /**
  * Extract member analytics data for date range
+ * Each fetched day's member totals (before company_domain filtering) are also written to
+ * workspace-members/YYYY-MM-DD-workspace-members.jsonl.gz for the workspace rollup.
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Promise<{extracted: number, skipped: number, files: string[]}>}
+ * @param {Object} [options] - Extract options
+ * @param {Function} [options.onProgress] - Called after each day with { stage, pipeline, date, status, day, totalDays }
+ * @param {Object} [options.enrichmentBudget] - The run's user enrichment budget (default: a new ENRICHMENT_BUDGET_MINUTES budget)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{extracted: number, skipped: number, files: string[], failedDates: string[], enrichment: Object}>}
  */
-export async function extractMemberAnalytics(startDate, endDate) {
+export async function extractMemberAnalytics(startDate, endDate, options = {}) {
+	const { onProgress, enrichmentBudget = enrichmentCache.createEnrichmentBudget() } = options;
+	const manifest = options.manifest || await runManifest.loadRunManifest('members');
+
 	const start = dayjs.utc(startDate);
 	const end = dayjs.utc(endDate);
 	const delta = end.diff(start, 'd');
@@ -303,21 +323,30 @@ export async function extractMemberAnalytics(startDate, endDate) {
 	let extracted = 0;
 	let skipped = 0;
 	const files = [];
+	const failedDates = [];
 	let currentDay = 0;
 
-	// Create a shared map to cache user details across all days
-	const userDetailsMap = new Map();
+	// Load the persistent cache of user details (shared across all days and runs)
+	const userCache = await enrichmentCache.loadEnrichmentCache('users');
+	// Messages posted by each user across every day fetched, so the budget goes to the most active overall
+	const activity = new Map();
+	const staged = [];
 
+	// Fetch each day and stage its records; they're enriched once every day's activity is known
 	for (const date of daysToFetch) {
 		currentDay++;
-		const progress = `[${currentDay}/${totalDays}]`;
-		const filePath = `members/${date}-members.jsonl.gz`;
+		const day = currentDay;
+		const progress = `[${day}/${totalDays}]`;
+		const report = (status) => onProgress?.({ stage: 'extract', pipeline: 'members', date, status, day, totalDays });
+		const filePath = `${workspaceDir('members')}/${date}-members.jsonl.gz`;
 
-		// Skip if already exists
-		if (await storage.fileExists(filePath)) {
-			logger.verbose(`[EXTRACT] ${progress} ⏭️  ${date} (cached)`);
+		// Skip if already exists, or was loaded and cleaned up
+		const exists = await storage.fileExists(filePath);
+		if (!manifest.needsExtract(date, exists)) {
+			logger.verbose(`[EXTRACT] ${progress} ⏭️  ${date} (${exists ? 'cached' : 'loaded'})`);
 			skipped++;
-			files.push(storage.getFullPath(filePath));
+			if (exists) files.push(storage.getFullPath(filePath));
+			report('cached');
 			continue;
 		}
 
@@ -326,107 +355,766 @@ export async function extractMemberAnalytics(startDate, endDate) {
 			const data = await slackService.analytics(date, date, 'member', false);
 
 			if (data && data.length > 0) {
+				// The workspace rollup counts every member, so its totals are taken before the domain filter
+				const memberSummary = summarizeMemberActivity(data, { date, team_id: currentWorkspace()?.team_id });
+				await storage.writeJSONLGz(`${workspaceDir('workspace-members')}/${date}-workspace-members.jsonl.gz`, [memberSummary]);
+
 				// Filter to only company domain users
 				const filteredData = company_domain
 					? data.filter(record => record.email_address && record.email_address.endsWith(`@${company_domain}`))
 					: data;
 
 				if (filteredData.length > 0) {
-					// Enrich with detailed user information (uses shared map)
-					logger.summary(`[EXTRACT] enriching ${filteredData.length} user records for ${date}`);
-					const enrichedData = await enrichUserRecords(filteredData, userDetailsMap);
-					
-					// Write enriched data to file
-					const writtenPath = await storage.writeJSONLGz(filePath, enrichedData);
-					logger.verbose(`[EXTRACT] ${progress} ✅ ${date}: ${filteredData.length}/${data.length} records (@${company_domain})`);
-					extracted++;
-					files.push(writtenPath);
+					addActivity(activity, filteredData, 'user_id');
+					await storage.writeJSONLGz(stagingPath('members', date), filteredData);
+					logger.verbose(`[EXTRACT] ${progress} 📥 ${date}: ${filteredData.length}/${data.length} records (@${company_domain})`);
+					staged.push({ date, progress, report, filePath, records: filteredData.length, userIds: [...new Set(filteredData.map(record => record.user_id))] });
 				} else {
 					logger.verbose(`[EXTRACT] ${progress} ⚠️  ${date}: No @${company_domain} users`);
+					manifest.recordExtract(date, { status: 'empty' });
+					report('empty');
 				}
 			} else {
 				logger.verbose(`[EXTRACT] ${progress} ⚠️  ${date}: No data`);
+				manifest.recordExtract(date, { status: 'empty' });
+				report('empty');
 			}
 
 		} catch (error) {
+			// Nothing was written for this date, so a later run will pick it up
 			logger.error(`[EXTRACT] ${progress} ❌ ${date}: ${error.message}`);
+			failedDates.push(date);
+			manifest.recordExtract(date, { status: 'failed', error: error.message });
+			report('failed');
 		}
 	}
 
-	const result = { extracted, skipped, files: files.length, dateRange: `${startDate} to ${endDate}` };
+	// Enrich with detailed user information (uses persistent cache), most active users across the run first
+	if (staged.length > 0) {
+		logger.summary(`[EXTRACT] enriching ${activity.size} users from ${staged.length} days`);
+		await refreshUserDetails(activity, userCache, enrichmentBudget);
+	}
+
+	// Stream each staged day into its file with the cached details attached
+	for (const { date, progress, report, filePath, records, userIds } of staged) {
+		try {
+			const writtenPath = await storage.writeJSONLGzStream(filePath, withCachedDetails(storage.readJSONLGzStream(stagingPath('members', date)), 'user_id', userCache));
+			logger.verbose(`[EXTRACT] ${progress} ✅ ${date}: ${records} records`);
+			extracted++;
+			files.push(writtenPath);
+			manifest.recordExtract(date, {
+				status: 'extracted',
+				records,
+				enrichment: userCache.coverage(userIds),
+				file: writtenPath
+			});
+			report('extracted');
+		} catch (error) {
+			// The day file is only visible once fully written, so a later run will pick it up
+			logger.error(`[EXTRACT] ${progress} ❌ ${date}: ${error.message}`);
+			failedDates.push(date);
+			manifest.recordExtract(date, { status: 'failed', error: error.message });
+			report('failed');
+		}
+		await removeStagedDay('members', date);
+	}
+	files.sort();
+	failedDates.sort();
+
+	await enrichmentCache.saveEnrichmentCache(userCache);
+	await runManifest.saveRunManifest(manifest);
+
+	// How much of the workspace's active members have details (only days extracted this run are counted)
+	const enrichment = userCache.coverage([...activity.keys()]);
+	const result = { extracted, skipped, failed: failedDates.length, files: files.length, failedDates, enrichment, dateRange: `${startDate} to ${endDate}` };
 	logger.summary('[EXTRACT] Members Complete', result);
-	logger.verbose(`[EXTRACT] ✅ Complete: ${extracted} extracted, ${skipped} cached`);
+	logger.verbose(`[EXTRACT] ✅ Complete: ${extracted} extracted, ${skipped} cached, ${failedDates.length} failed, ${enrichment.enriched}/${enrichment.total} users enriched (${enrichment.pct}%)`);
 
-	return { extracted, skipped, files };
+	return { extracted, skipped, files, failedDates, enrichment };
 }
 
+/**
+ * Storage directory for each channel analytics type
+ * Private channels are kept in their own files so they never mix with public data
+ */
+const CHANNEL_DIRECTORIES = {
+	public_channel: 'channels',
+	private_channel: 'private-channels'
+};
+
 /**
  * Extract channel analytics data for date range
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Promise<{extracted: number, skipped: number, files: string[]}>}
+ * @param {Object} [options] - Extract options
+ * @param {('public_channel'|'private_channel')} [options.type='public_channel'] - Channel analytics type to fetch
+ * @param {Function} [options.onProgress] - Called after each day with { stage, pipeline, date, status, day, totalDays }
+ * @param {Object} [options.enrichmentBudget] - The run's channel enrichment budget, shared with private channels (default: a new ENRICHMENT_BUDGET_MINUTES budget)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{extracted: number, skipped: number, files: string[], failedDates: string[], enrichment: Object}>}
  */
-export async function extractChannelAnalytics(startDate, endDate) {
+export async function extractChannelAnalytics(startDate, endDate, options = {}) {
+	const { type = 'public_channel', onProgress, enrichmentBudget = enrichmentCache.createEnrichmentBudget() } = options;
+	const directory = CHANNEL_DIRECTORIES[type];
+	if (!directory) throw new Error(`Unknown channel analytics type: ${type}`);
+	const manifest = options.manifest || await runManifest.loadRunManifest(directory);
+
 	const start = dayjs.utc(startDate);
 	const end = dayjs.utc(endDate);
 	const delta = end.diff(start, 'd');
 	const daysToFetch = Array.from({ length: delta + 1 }, (_, i) => start.add(i, 'd').format('YYYY-MM-DD'));
 	const totalDays = daysToFetch.length;
+	const label = type === 'private_channel' ? 'Private channel' : 'Channel';
 
-	logger.verbose(`\n[EXTRACT] Channel analytics: ${totalDays} days (${startDate} to ${endDate})`);
+	logger.verbose(`\n[EXTRACT] ${label} analytics: ${totalDays} days (${startDate} to ${endDate})`);
 
 	let extracted = 0;
 	let skipped = 0;
 	const files = [];
+	const failedDates = [];
 	let currentDay = 0;
 
-	// Create a shared map to cache channel details across all days
-	const channelDetailsMap = new Map();
+	// Load the persistent cache of channel details (shared across all days and runs)
+	const channelCache = await enrichmentCache.loadEnrichmentCache('channels');
+	// Messages posted in each channel across every day fetched, so the budget goes to the most active overall
+	const activity = new Map();
+	const staged = [];
 
+	// Fetch each day and stage its records; they're enriched once every day's activity is known
 	for (const date of daysToFetch) {
 		currentDay++;
-		const progress = `[${currentDay}/${totalDays}]`;
-		const filePath = `channels/${date}-channels.jsonl.gz`;
+		const day = currentDay;
+		const progress = `[${day}/${totalDays}]`;
+		const report = (status) => onProgress?.({ stage: 'extract', pipeline: directory, date, status, day, totalDays });
+		const filePath = `${workspaceDir(directory)}/${date}-${directory}.jsonl.gz`;
 
-		// Skip if already exists
-		if (await storage.fileExists(filePath)) {
-			logger.verbose(`[EXTRACT] ${progress} ⏭️  ${date} (cached)`);
+		// Skip if already exists, or was loaded and cleaned up
+		const exists = await storage.fileExists(filePath);
+		if (!manifest.needsExtract(date, exists)) {
+			logger.verbose(`[EXTRACT] ${progress} ⏭️  ${date} (${exists ? 'cached' : 'loaded'})`);
 			skipped++;
-			files.push(storage.getFullPath(filePath));
+			if (exists) files.push(storage.getFullPath(filePath));
+			report('cached');
 			continue;
 		}
 
 		try {
 			// Fetch analytics for this date
-			const data = await slackService.analytics(date, date, 'public_channel', false);
+			const data = await slackService.analytics(date, date, type, false);
 
 			if (data && data.length > 0) {
-				// Enrich with detailed channel information (uses shared map)
-				logger.summary(`[EXTRACT] enriching ${data.length} channel records for ${date}`);
-				const enrichedData = await enrichChannelRecords(data, channelDetailsMap);
-
-				// Write enriched data to file
-				const writtenPath = await storage.writeJSONLGz(filePath, enrichedData);
-				logger.verbose(`[EXTRACT] ${progress} ✅ ${date}: ${data.length} records`);
-				extracted++;
-				files.push(writtenPath);
+				addActivity(activity, data, 'channel_id');
+				await storage.writeJSONLGz(stagingPath(directory, date), data);
+				logger.verbose(`[EXTRACT] ${progress} 📥 ${date}: ${data.length} records`);
+				staged.push({ date, progress, report, filePath, records: data.length, channelIds: [...new Set(data.map(record => record.channel_id))] });
 			} else {
 				logger.verbose(`[EXTRACT] ${progress} ⚠️  ${date}: No data`);
+				manifest.recordExtract(date, { status: 'empty' });
+				report('empty');
 			}
 
 		} catch (error) {
+			// Nothing was written for this date, so a later run will pick it up
 			logger.error(`[EXTRACT] ${progress} ❌ ${date}: ${error.message}`);
+			failedDates.push(date);
+			manifest.recordExtract(date, { status: 'failed', error: error.message });
+			report('failed');
+		}
+	}
+
+	// Enrich with detailed channel information (uses persistent cache), most active channels across the run first
+	if (staged.length > 0) {
+		logger.summary(`[EXTRACT] enriching ${activity.size} channels from ${staged.length} days`);
+		await refreshChannelDetails(activity, channelCache, enrichmentBudget);
+	}
+
+	// Stream each staged day into its file with the cached details attached
+	for (const { date, progress, report, filePath, records, channelIds } of staged) {
+		try {
+			const writtenPath = await storage.writeJSONLGzStream(filePath, withCachedDetails(storage.readJSONLGzStream(stagingPath(directory, date)), 'channel_id', channelCache));
+			logger.verbose(`[EXTRACT] ${progress} ✅ ${date}: ${records} records`);
+			extracted++;
+			files.push(writtenPath);
+			manifest.recordExtract(date, {
+				status: 'extracted',
+				records,
+				enrichment: channelCache.coverage(channelIds),
+				file: writtenPath
+			});
+			report('extracted');
+		} catch (error) {
+			// The day file is only visible once fully written, so a later run will pick it up
+			logger.error(`[EXTRACT] ${progress} ❌ ${date}: ${error.message}`);
+			failedDates.push(date);
+			manifest.recordExtract(date, { status: 'failed', error: error.message });
+			report('failed');
+		}
+		await removeStagedDay(directory, date);
+	}
+	files.sort();
+	failedDates.sort();
+
+	await enrichmentCache.saveEnrichmentCache(channelCache);
+	await runManifest.saveRunManifest(manifest);
+
+	// How much of the workspace's active channels have details (only days extracted this run are counted)
+	const enrichment = channelCache.coverage([...activity.keys()]);
+	const result = { extracted, skipped, failed: failedDates.length, files: files.length, failedDates, enrichment, dateRange: `${startDate} to ${endDate}` };
+	logger.summary(`[EXTRACT] ${type === 'private_channel' ? 'Private Channels' : 'Channels'} Complete`, result);
+	logger.verbose(`[EXTRACT] ✅ Complete: ${extracted} extracted, ${skipped} cached, ${failedDates.length} failed, ${enrichment.enriched}/${enrichment.total} channels enriched (${enrichment.pct}%)`);
+
+	return { extracted, skipped, files, failedDates, enrichment };
+}
+
+/**
+ * Extract private channel analytics data for date range
+ * Writes to private-channels/YYYY-MM-DD-private-channels.jsonl.gz
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Extract options (see extractChannelAnalytics)
+ * @returns {Promise<{extracted: number, skipped: number, files: string[], failedDates: string[], enrichment: Object}>}
+ */
+export async function extractPrivateChannelAnalytics(startDate, endDate, options = {}) {
+	return extractChannelAnalytics(startDate, endDate, { ...options, type: 'private_channel' });
+}
+
+/**
+ * Keep the fields of a message's reactions that the reaction events and emoji summaries need
+ * @param {Array<Object>} [reactions] - Reactions from Slack ({ name, count, users })
+ * @returns {Array<{name: string, count: number, users: Array<string>}>}
+ */
+function toReactionRecords(reactions = []) {
+	return reactions.map(({ name, count, users = [] }) => ({ name, count, users }));
+}
+
+/**
+ * Convert a conversations.history message to a message file record
+ * Text is only kept when message_text=include
+ * @param {Object} message - Message from slackService.getChannelMessages
+ * @param {string} date - Message date (YYYY-MM-DD, UTC)
+ * @returns {Object} Message record
+ */
+function toMessageRecord(message, date) {
+	const pinnedTo = message.pinned_to || [];
+
+	return {
+		date,
+		channel_id: message.channel_id,
+		ts: message.ts,
+		user: message.user,
+		subtype: message.subtype,
+		bot_id: message.bot_id,
+		thread_ts: message.thread_ts,
+		reply_count: message.reply_count || 0,
+		reply_users_count: message.reply_users_count || 0,
+		latest_reply: message.latest_reply,
+		reactions: toReactionRecords(message.reactions),
+		reaction_count: message.reaction_count || 0,
+		pinned_to: pinnedTo,
+		is_pinned: pinnedTo.length > 0,
+		...(message_text === 'include' && { text: message.text })
+	};
+}
+
+/**
+ * Convert a thread's replies to reply records, and add time-to-first-reply to the parent record
+ * The first reply is the first one from someone other than the parent's author.
+ * Replies are stored in the parent's date file so a thread stays together; the lookback window in
+ * extractChannelMessages re-fetches recent threads so later replies still land there.
+ * @param {Object} parent - Parent message record (from toMessageRecord); gets first_reply_ts and time_to_first_reply
+ * @param {Array<Object>} replies - Replies from slackService.getThreadReplies, oldest first
+ * @returns {Array<Object>} Reply records
+ */
+function toReplyRecords(parent, replies) {
+	const parentTime = parseFloat(parent.ts);
+	const firstReply = replies.find(reply => reply.user && reply.user !== parent.user);
+
+	if (firstReply) {
+		parent.first_reply_ts = firstReply.ts;
+		parent.time_to_first_reply = Math.round(parseFloat(firstReply.ts) - parentTime);
+	}
+
+	return replies.map((reply, index) => {
+		const reactions = toReactionRecords(reply.reactions);
+
+		return {
+			date: parent.date,
+			channel_id: parent.channel_id,
+			ts: reply.ts,
+			user: reply.user,
+			subtype: reply.subtype,
+			bot_id: reply.bot_id,
+			thread_ts: parent.ts,
+			parent_ts: parent.ts,
+			parent_user: parent.user,
+			reply_index: index + 1,
+			seconds_since_parent: Math.round(parseFloat(reply.ts) - parentTime),
+			is_first_reply: reply.ts === parent.first_reply_ts,
+			time_to_first_reply: parent.time_to_first_reply,
+			reactions,
+			reaction_count: reactions.reduce((sum, r) => sum + r.count, 0),
+			...(message_text === 'include' && { text: reply.text })
+		};
+	});
+}
+
+/**
+ * Extract channel messages (conversations.history) for allowlisted channels
+ * Writes one file per day with messages from all channels: messages/YYYY-MM-DD-messages.jsonl.gz
+ * Only complete days (before today, UTC) are extracted so a partial day is never cached.
+ * With thread replies enabled, replies (conversations.replies) are written to their parent's date file.
+ * Replies also sent to the channel (thread_broadcast) are only written once, as messages.
+ * Days with reactions also get an emoji usage summary: emoji/YYYY-MM-DD-emoji.jsonl.gz
+ * Replies and reactions keep arriving after a day is extracted, so every run also re-extracts the last
+ * message_lookback_days complete days (cached or not, and whatever the date range). Threads whose parent is
+ * older than that keep the replies and reactions they had when their day was last extracted.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Extract options
+ * @param {Array<string>} [options.channels] - Channel IDs to extract (default: message_channels)
+ * @param {boolean} [options.threadReplies] - Fetch replies for threaded messages (default: message_thread_replies)
+ * @param {number} [options.lookbackDays] - Complete days before today to re-extract (default: message_lookback_days)
+ * @param {Function} [options.onProgress] - Called after each day with { stage, pipeline, date, status, day, totalDays }
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @param {dayjs.Dayjs} [options.now] - Current time (for testing)
+ * @returns {Promise<{extracted: number, skipped: number, files: string[], failedDates: string[]}>}
+ * @throws {Error} If no channels are allowlisted
+ */
+export async function extractChannelMessages(startDate, endDate, options = {}) {
+	const {
+		channels = MESSAGE_CHANNELS,
+		threadReplies = message_thread_replies === 'true',
+		lookbackDays = parseInt(message_lookback_days, 10) || 0,
+		onProgress,
+		now = dayjs.utc()
+	} = options;
+	if (channels.length === 0) throw new Error('No channels allowlisted for messages (set message_channels)');
+	const manifest = options.manifest || await runManifest.loadRunManifest('messages');
+
+	const today = now.format('YYYY-MM-DD');
+	const lookbackStart = now.subtract(lookbackDays, 'd').format('YYYY-MM-DD');
+	const start = dayjs.utc(startDate);
+	const end = dayjs.utc(endDate);
+	const delta = end.diff(start, 'd');
+	const requestedDays = Array.from({ length: delta + 1 }, (_, i) => start.add(i, 'd').format('YYYY-MM-DD'));
+	const lookbackWindow = Array.from({ length: lookbackDays }, (_, i) => now.subtract(lookbackDays - i, 'd').format('YYYY-MM-DD'));
+	const daysToFetch = [...new Set([...requestedDays, ...lookbackWindow])]
+		.filter(date => date < today)
+		.sort();
+	const totalDays = daysToFetch.length;
+
+	logger.verbose(`\n[EXTRACT] Messages: ${totalDays} days from ${channels.length} channels (${startDate} to ${endDate} and the last ${lookbackDays} days, complete days only)`);
+
+	let extracted = 0;
+	let skipped = 0;
+	const files = [];
+	const failedDates = [];
+	let currentDay = 0;
+	const filePathFor = (date) => `${workspaceDir('messages')}/${date}-messages.jsonl.gz`;
+	const report = (date, status) => onProgress?.({ stage: 'extract', pipeline: 'messages', date, status, day: ++currentDay, totalDays });
+
+	// Skip days that already have files (or were loaded and cleaned up), unless they are inside the lookback window
+	const missingDays = [];
+	const refreshedDays = new Set();
+	for (const date of daysToFetch) {
+		const cached = await storage.fileExists(filePathFor(date));
+		if (date < lookbackStart && !manifest.needsExtract(date, cached)) {
+			logger.verbose(`[EXTRACT] [${currentDay + 1}/${totalDays}] ⏭️  ${date} (${cached ? 'cached' : 'loaded'})`);
+			skipped++;
+			if (cached) files.push(storage.getFullPath(filePathFor(date)));
+			report(date, 'cached');
+		} else {
+			if (cached) refreshedDays.add(date);
+			missingDays.push(date);
+		}
+	}
+
+	// Consecutive missing days share one history fetch (a backfill plus the lookback window is two)
+	const fetchRanges = [];
+	for (const date of missingDays) {
+		const last = fetchRanges[fetchRanges.length - 1];
+		if (last && dayjs.utc(last.endDate).add(1, 'd').format('YYYY-MM-DD') === date) {
+			last.endDate = date;
+		} else {
+			fetchRanges.push({ startDate: date, endDate: date });
+		}
+	}
+
+	if (missingDays.length > 0) {
+		// One history fetch per channel and range covers every missing day; messages are bucketed by their UTC date
+		const messagesByDate = Object.fromEntries(missingDays.map(date => [date, []]));
+
+		// Only used to flag custom emoji in the summaries
+		let customEmoji = null;
+		try {
+			customEmoji = await slackService.getCustomEmoji();
+		} catch (error) {
+			logger.warn(`[SLACK] ⚠️  Could not fetch custom emoji (emoji.list): ${error.message}`);
+		}
+
+		let fetched = true;
+		try {
+			for (const channelId of channels) {
+				const messages = [];
+				for (const range of fetchRanges) {
+					messages.push(...await slackService.getChannelMessages(channelId, range));
+				}
+				// Replies broadcast to the channel are already in the history; keep them as messages only
+				const historyTs = new Set(messages.map(message => message.ts));
+
+				for (const message of messages) {
+					const date = dayjs.unix(parseFloat(message.ts)).utc().format('YYYY-MM-DD');
+					if (!messagesByDate[date]) continue;
+
+					const record = toMessageRecord(message, date);
+					messagesByDate[date].push(record);
+
+					// Thread parents (not replies broadcast to the channel)
+					if (threadReplies && record.reply_count > 0 && record.thread_ts === record.ts) {
+						const replies = await slackService.getThreadReplies(channelId, record.ts);
+						messagesByDate[date].push(...toReplyRecords(record, replies).filter(reply => !historyTs.has(reply.ts)));
+					}
+				}
+			}
+		} catch (error) {
+			// A day missing one channel's messages must not be cached; retry all missing days next run
+			// (days being refreshed keep the file they had)
+			logger.error(`[EXTRACT] ❌ Messages ${missingDays[0]} to ${missingDays[missingDays.length - 1]}: ${error.message}`);
+			fetched = false;
+			for (const date of missingDays) {
+				if (refreshedDays.has(date)) {
+					skipped++;
+					files.push(storage.getFullPath(filePathFor(date)));
+					report(date, 'cached');
+				} else {
+					failedDates.push(date);
+					manifest.recordExtract(date, { status: 'failed', error: error.message });
+					report(date, 'failed');
+				}
+			}
+			refreshedDays.clear();
+		}
+
+		if (fetched) {
+			for (const date of missingDays) {
+				const progress = `[${currentDay + 1}/${totalDays}]`;
+				const records = messagesByDate[date];
+
+				if (records.length > 0) {
+					try {
+						// Summary first: once the messages file exists the day is cached (outside the lookback window)
+						const emojiUsage = summarizeEmojiUsage(records, date, customEmoji);
+						if (emojiUsage.length > 0) await storage.writeJSONLGz(`${workspaceDir('emoji')}/${date}-emoji.jsonl.gz`, emojiUsage);
+
+						const writtenPath = await storage.writeJSONLGz(filePathFor(date), records);
+						logger.verbose(`[EXTRACT] ${progress} ✅ ${date}: ${records.length} messages, ${emojiUsage.length} emoji${refreshedDays.has(date) ? ' (refreshed)' : ''}`);
+						extracted++;
+						files.push(writtenPath);
+						manifest.recordExtract(date, { status: 'extracted', records: records.length, file: writtenPath });
+						report(date, 'extracted');
+					} catch (error) {
+						// A failed write only costs this day; the next run retries it
+						logger.error(`[EXTRACT] ${progress} ❌ ${date}: ${error.message}`);
+						failedDates.push(date);
+						manifest.recordExtract(date, { status: 'failed', error: error.message });
+						report(date, 'failed');
+					}
+				} else {
+					logger.verbose(`[EXTRACT] ${progress} ⚠️  ${date}: No messages`);
+					manifest.recordExtract(date, { status: 'empty' });
+					report(date, 'empty');
+				}
+			}
 		}
 	}
 
-	const result = { extracted, skipped, files: files.length, dateRange: `${startDate} to ${endDate}` };
-	logger.summary('[EXTRACT] Channels Complete', result);
-	logger.verbose(`[EXTRACT] ✅ Complete: ${extracted} extracted, ${skipped} cached`);
+	await runManifest.saveRunManifest(manifest);
+
+	const result = { extracted, refreshed: refreshedDays.size, skipped, failed: failedDates.length, files: files.length, failedDates, dateRange: `${startDate} to ${endDate}` };
+	logger.summary('[EXTRACT] Messages Complete', result);
+	logger.verbose(`[EXTRACT] ✅ Complete: ${extracted} extracted, ${skipped} cached, ${failedDates.length} failed`);
+
+	return { extracted, skipped, files, failedDates };
+}
+
+/**
+ * Find the most recent snapshot taken before a date
+ * @param {string} kind - Snapshot kind (e.g., 'channels')
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @returns {Promise<string|null>} Date of the previous snapshot, or null if there is none
+ */
+async function findPreviousSnapshot(kind, date) {
+	const directory = workspaceDir(`snapshots/${kind}`);
+	const pattern = new RegExp(`^${directory}/(\\d{4}-\\d{2}-\\d{2})-${kind}\\.jsonl\\.gz$`);
+	const dates = (await storage.listFiles(directory))
+		.map(filePath => filePath.match(pattern)?.[1])
+		.filter(snapshotDate => snapshotDate && snapshotDate < date)
+		.sort();
+
+	return dates[dates.length - 1] || null;
+}
+
+/**
+ * Save today's snapshot and diff it against the previous one
+ * Writes snapshots/<kind>/YYYY-MM-DD-<kind>.jsonl.gz (kept for the next diff) and, if anything changed,
+ * <changesDir>/YYYY-MM-DD-<changesDir>.jsonl.gz. The first snapshot is a baseline with no changes.
+ * A second run on the same day replaces that day's snapshot and diffs against the same previous one.
+ * @param {Object} options - Snapshot options
+ * @param {string} options.kind - Snapshot kind ('channels' or 'members')
+ * @param {string} options.changesDir - Directory for change files (e.g., 'channel-lifecycle')
+ * @param {string} options.label - Label for logs (e.g., 'Channel')
+ * @param {Array<Object>} options.snapshot - Snapshot records
+ * @param {Function} options.diff - (previous, current, { date, previousDate, detectedAt }) => change records
+ * @param {import('dayjs').Dayjs} options.now - Snapshot time
+ * @param {Object} [options.manifest] - Run manifest for changesDir (default: loaded from storage)
+ * @returns {Promise<{changes: number, files: string[], snapshot: string, previous: string|null}>}
+ */
+async function snapshotAndDiff({ kind, changesDir, label, snapshot, diff, now, manifest }) {
+	const date = now.format('YYYY-MM-DD');
+	manifest = manifest || await runManifest.loadRunManifest(changesDir);
+	const previousDate = await findPreviousSnapshot(kind, date);
+
+	await storage.writeJSONLGz(`${workspaceDir(`snapshots/${kind}`)}/${date}-${kind}.jsonl.gz`, snapshot);
+
+	if (!previousDate) {
+		logger.verbose(`[EXTRACT] ⏭️  First ${label.toLowerCase()} snapshot (${snapshot.length} ${kind}); changes are detected from the next run`);
+		manifest.recordExtract(date, { status: 'empty' });
+		await runManifest.saveRunManifest(manifest);
+		return { changes: 0, files: [], snapshot: date, previous: null };
+	}
+
+	const previous = await storage.readJSONLGz(`${workspaceDir(`snapshots/${kind}`)}/${previousDate}-${kind}.jsonl.gz`);
+	const changes = diff(previous, snapshot, { date, previousDate, detectedAt: now.unix() });
+	const files = [];
+
+	if (changes.length > 0) {
+		files.push(await storage.writeJSONLGz(`${workspaceDir(changesDir)}/${date}-${changesDir}.jsonl.gz`, changes));
+	}
+	manifest.recordExtract(date, changes.length > 0 ? { status: 'extracted', records: changes.length, file: files[0] } : { status: 'empty' });
+	await runManifest.saveRunManifest(manifest);
+
+	const result = { changes: changes.length, files: files.length, snapshot: date, previous: previousDate };
+	logger.summary(`[EXTRACT] ${label} Lifecycle Complete`, result);
+	logger.verbose(`[EXTRACT] ✅ ${label} lifecycle: ${changes.length} changes since ${previousDate}`);
+
+	return { changes: changes.length, files, snapshot: date, previous: previousDate };
+}
+
+/**
+ * Snapshot every channel (public, private and archived) and diff against the previous snapshot
+ * Writes snapshots/channels/YYYY-MM-DD-channels.jsonl.gz and channel-lifecycle/YYYY-MM-DD-channel-lifecycle.jsonl.gz
+ * @param {Object} [options] - Extract options
+ * @param {import('dayjs').Dayjs} [options.now] - Snapshot time (for testing)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{changes: number, files: string[], snapshot: string, previous: string|null}>}
+ */
+export async function extractChannelLifecycle(options = {}) {
+	const { now = dayjs.utc(), manifest } = options;
+
+	logger.verbose(`\n[EXTRACT] Channel lifecycle: snapshot ${now.format('YYYY-MM-DD')}`);
+
+	const channels = await slackService.getChannels({ types: 'public_channel,private_channel', excludeArchived: false });
+
+	return snapshotAndDiff({
+		kind: 'channels',
+		changesDir: 'channel-lifecycle',
+		label: 'Channel',
+		snapshot: channels.map(toChannelSnapshot),
+		diff: diffChannelSnapshots,
+		now,
+		manifest
+	});
+}
+
+/**
+ * Snapshot every member (users.list, including deactivated users) and diff against the previous snapshot
+ * Writes snapshots/members/YYYY-MM-DD-members.jsonl.gz and member-lifecycle/YYYY-MM-DD-member-lifecycle.jsonl.gz
+ * @param {Object} [options] - Extract options
+ * @param {import('dayjs').Dayjs} [options.now] - Snapshot time (for testing)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{changes: number, files: string[], snapshot: string, previous: string|null}>}
+ */
+export async function extractMemberLifecycle(options = {}) {
+	const { now = dayjs.utc(), manifest } = options;
+
+	logger.verbose(`\n[EXTRACT] Member lifecycle: snapshot ${now.format('YYYY-MM-DD')}`);
+
+	const users = await slackService.getUsers();
+
+	return snapshotAndDiff({
+		kind: 'members',
+		changesDir: 'member-lifecycle',
+		label: 'Member',
+		snapshot: users.map(toMemberSnapshot),
+		diff: diffMemberSnapshots,
+		now,
+		manifest
+	});
+}
+
+/**
+ * Snapshot the members of every enriched channel (conversations.members) and diff against the previous snapshot
+ * Channels come from the channel enrichment cache (archived channels and failed enrichments are skipped).
+ * Writes snapshots/channel-members/YYYY-MM-DD-channel-members.jsonl.gz (kept for the next diff) and
+ * channel-membership/YYYY-MM-DD-channel-membership.jsonl.gz. A channel whose members can't be fetched keeps
+ * its previous membership, so a failed call never looks like everyone left.
+ * @param {Object} [options] - Extract options
+ * @param {import('dayjs').Dayjs} [options.now] - Snapshot time (for testing)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{changes: number, channels: number, failed: number, files: string[], snapshot: string, previous: string|null}>}
+ */
+export async function extractChannelMembership(options = {}) {
+	const { now = dayjs.utc() } = options;
+	const date = now.format('YYYY-MM-DD');
+	const manifest = options.manifest || await runManifest.loadRunManifest('channel-membership');
+
+	const channelCache = await enrichmentCache.loadEnrichmentCache('channels');
+	const channels = channelCache.toRows()
+		.map(row => row.details?.channel)
+		.filter(channel => channel?.id && !channel.is_archived);
+
+	logger.verbose(`\n[EXTRACT] Channel membership: ${channels.length} enriched channels (snapshot ${date})`);
+
+	const previousDate = await findPreviousSnapshot('channel-members', date);
+	const previous = previousDate
+		? await storage.readJSONLGz(`${workspaceDir('snapshots/channel-members')}/${previousDate}-channel-members.jsonl.gz`)
+		: [];
+	const previousById = new Map(previous.map(row => [row.channel_id, row]));
+
+	const snapshot = [];
+	let failed = 0;
+
+	for (const [index, channel] of channels.entries()) {
+		try {
+			const memberIds = await slackService.getChannelMembers(channel.id);
+			snapshot.push({ channel_id: channel.id, name: channel.name, is_private: Boolean(channel.is_private), member_ids: memberIds });
+		} catch (error) {
+			failed++;
+			logger.verbose(`[EXTRACT] ⚠️  Failed to fetch members of ${channel.id}: ${error.message}`);
+			if (previousById.has(channel.id)) snapshot.push(previousById.get(channel.id));
+		}
+
+		if ((index + 1) % 250 === 0) logger.info(`[EXTRACT] Progress: ${index + 1}/${channels.length} channel memberships`);
+	}
+
+	await storage.writeJSONLGz(`${workspaceDir('snapshots/channel-members')}/${date}-channel-members.jsonl.gz`, snapshot);
+
+	const changes = diffChannelMembership(previous, snapshot, { date, previousDate });
+	const files = [];
+
+	if (changes.length > 0) {
+		files.push(await storage.writeJSONLGz(`${workspaceDir('channel-membership')}/${date}-channel-membership.jsonl.gz`, changes));
+	}
+	manifest.recordExtract(date, changes.length > 0 ? { status: 'extracted', records: changes.length, file: files[0] } : { status: 'empty' });
+	await runManifest.saveRunManifest(manifest);
+
+	const result = { changes: changes.length, channels: snapshot.length, failed, files: files.length, snapshot: date, previous: previousDate };
+	logger.summary('[EXTRACT] Channel Membership Complete', result);
+	logger.verbose(`[EXTRACT] ✅ Channel membership: ${changes.length} changes${previousDate ? ` since ${previousDate}` : ' (first snapshot)'}, ${failed} failed`);
+
+	return { changes: changes.length, channels: snapshot.length, failed, files, snapshot: date, previous: previousDate };
+}
+
+/**
+ * Snapshot the workspace's user groups (usergroups.list) and each active member's groups
+ * Writes user-groups/YYYY-MM-DD-user-groups.jsonl.gz for the run date (a rerun on the same day replaces it).
+ * @param {Object} [options] - Extract options
+ * @param {import('dayjs').Dayjs} [options.now] - Snapshot time (for testing)
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{groups: number, members: number, files: string[], snapshot: string}>}
+ */
+export async function extractUserGroups(options = {}) {
+	const { now = dayjs.utc() } = options;
+	const date = now.format('YYYY-MM-DD');
+	const manifest = options.manifest || await runManifest.loadRunManifest('user-groups');
+
+	logger.verbose(`\n[EXTRACT] User groups: snapshot ${date}`);
+
+	const [groups, users] = await Promise.all([slackService.getUserGroups(), slackService.getUsers()]);
+	const records = toUserGroupRecords(groups, users, { date });
+	const members = records.filter(record => record.type === 'member');
+	const file = await storage.writeJSONLGz(`${workspaceDir('user-groups')}/${date}-user-groups.jsonl.gz`, records);
+	manifest.recordExtract(date, { status: 'extracted', records: records.length, file });
+	await runManifest.saveRunManifest(manifest);
+
+	const result = { groups: groups.length, members: members.length, grouped: members.filter(m => m.user_groups.length > 0).length, snapshot: date };
+	logger.summary('[EXTRACT] User Groups Complete', result);
+	logger.verbose(`[EXTRACT] ✅ User groups: ${groups.length} groups, ${result.grouped}/${members.length} members in at least one`);
+
+	return { groups: groups.length, members: members.length, files: [file], snapshot: date };
+}
+
+/**
+ * Read a day's analytics file if it was extracted
+ * @param {string} directory - Storage directory (e.g., 'channels')
+ * @param {string} date - Activity date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>|null>} Records, or null if there is no file for the date
+ */
+async function readDayFile(directory, date) {
+	const filePath = `${workspaceDir(directory)}/${date}-${directory}.jsonl.gz`;
+	return await storage.fileExists(filePath) ? storage.readJSONLGz(filePath) : null;
+}
+
+/**
+ * Roll up each day's member totals and channel analytics files into one workspace record
+ * Run after the members and channels extracts. Every date with member totals is rebuilt, so a rollup
+ * written before its channel file existed is completed by the next run; dates without them are skipped.
+ * Days extracted before member totals were kept fall back to the (company_domain filtered) member file.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Extract options
+ * @param {Object} [options.manifest] - Run manifest shared with the load stage (default: loaded from storage)
+ * @returns {Promise<{extracted: number, skipped: number, files: string[]}>}
+ */
+export async function extractWorkspaceActivity(startDate, endDate, options = {}) {
+	const manifest = options.manifest || await runManifest.loadRunManifest('workspace-activity');
+	const start = dayjs.utc(startDate);
+	const end = dayjs.utc(endDate);
+	const dates = Array.from({ length: end.diff(start, 'd') + 1 }, (_, i) => start.add(i, 'd').format('YYYY-MM-DD'));
+
+	logger.verbose(`\n[EXTRACT] Workspace activity: ${dates.length} days (${startDate} to ${endDate})`);
+
+	let skipped = 0;
+	const files = [];
+
+	for (const date of dates) {
+		const [memberSummary] = await readDayFile('workspace-members', date) || [];
+		const members = memberSummary ? null : await readDayFile('members', date);
+		if (!memberSummary && !members) {
+			skipped++;
+			continue;
+		}
+
+		const record = summarizeWorkspaceActivity({
+			members,
+			memberSummary,
+			channels: await readDayFile('channels', date),
+			privateChannels: await readDayFile('private-channels', date)
+		}, { date, team_id: currentWorkspace()?.team_id });
+
+		const file = await storage.writeJSONLGz(`${workspaceDir('workspace-activity')}/${date}-workspace-activity.jsonl.gz`, [record]);
+		files.push(file);
+		manifest.recordExtract(date, { status: 'extracted', records: 1, file });
+		logger.verbose(`[EXTRACT] ✅ ${date}: ${record.active_members}/${record.members} active, ${record.messages_posted} messages`);
+	}
+
+	await runManifest.saveRunManifest(manifest);
+
+	const result = { extracted: files.length, skipped, files: files.length, dateRange: `${startDate} to ${endDate}` };
+	logger.summary('[EXTRACT] Workspace Activity Complete', result);
+	logger.verbose(`[EXTRACT] ✅ Workspace activity: ${files.length} days, ${skipped} without member totals`);
 
-	return { extracted, skipped, files };
+	return { extracted: files.length, skipped, files };
 }
 
 export default {
 	extractMemberAnalytics,
-	extractChannelAnalytics
+	extractChannelAnalytics,
+	extractPrivateChannelAnalytics,
+	extractChannelMessages,
+	extractChannelLifecycle,
+	extractMemberLifecycle,
+	extractChannelMembership,
+	extractUserGroups,
+	extractWorkspaceActivity
 };
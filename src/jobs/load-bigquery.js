@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Load stage - write extracted analytics files to BigQuery
+ * @module LoadBigQuery
+ *
+ * Reads the same JSONL.gz files the Mixpanel load uses, flattens each record (including its ENRICHED
+ * details) into columns, and merges them into one partitioned table per pipeline, keyed by date + entity.
+ * Rows are merged every FILES_PER_MERGE files or ROWS_PER_MERGE rows, whichever comes first, so memory
+ * is bounded however long the backfill or large the day.
+ * Multi-workspace runs add team_id / team_name columns and merge on team_id as well.
+ */
+
+import storage from '../services/storage.js';
+import bigquery from '../services/bigquery.js';
+import { currentWorkspace } from '../services/workspaces.js';
+import logger from '../utils/logger.js';
+import { PRIVATE_CHANNEL_FIELDS } from '../transforms/channels.js';
+import path from 'path';
+import 'dotenv/config';
+
+const {
+	BIGQUERY_DATASET,
+	BIGQUERY_TABLE_PREFIX = 'slack_',
+	private_channel_details = 'redact'
+} = process.env;
+
+/** Target table and merge keys for each pipeline */
+const TABLES = {
+	members: { table: 'members', keys: ['date', 'user_id'] },
+	channels: { table: 'channels', keys: ['date', 'channel_id'] },
+	'private-channels': { table: 'private_channels', keys: ['date', 'channel_id'] },
+	messages: { table: 'messages', keys: ['date', 'channel_id', 'ts'] },
+	'workspace-activity': { table: 'workspace_activity', keys: ['date'] }
+};
+
+/** Files (days) merged per BigQuery job; keeps backfills to a handful of MERGE statements */
+const FILES_PER_MERGE = 31;
+
+/** Rows held in memory before they're merged, however many files they come from */
+const ROWS_PER_MERGE = 50000;
+
+/**
+ * Flatten a record for BigQuery, applying the private channel redaction setting
+ * @param {Object} record - Raw analytics record (with ENRICHED key)
+ * @param {string} pipeline - Pipeline name
+ * @param {Map<string, string>} [renamed] - Collects columns renamed to avoid collisions (see flattenRecord)
+ * @returns {Object} Flat row
+ */
+function toRow(record, pipeline, renamed) {
+	if (pipeline === 'private-channels' && private_channel_details !== 'export' && record.ENRICHED?.channel) {
+		const channel = { ...record.ENRICHED.channel };
+		for (const field of PRIVATE_CHANNEL_FIELDS) delete channel[field];
+		record = { ...record, ENRICHED: { ...record.ENRICHED, channel } };
+	}
+
+	return bigquery.flattenRecord(record, renamed);
+}
+
+/**
+ * Load a pipeline's analytics files into BigQuery
+ * @param {string} pipeline - Pipeline name ('members', 'channels', 'private-channels')
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} [options] - Load options
+ * @param {string} [options.dataset] - Dataset ID (default: BIGQUERY_DATASET)
+ * @param {boolean} [options.cleanup=false] - Delete files after they are merged
+ * @param {number} [options.rowsPerMerge] - Rows held before merging (default: ROWS_PER_MERGE)
+ * @returns {Promise<{uploaded: number, rows: number, files: number, table: string, renamed: Object<string, string>, nulled: Object<string, number>}>}
+ * renamed: columns given a suffix because another key flattened to the same name (column → original key);
+ * nulled: values per column loaded as NULL because they didn't fit the column's type
+ * @throws {Error} If no dataset is configured or a BigQuery job fails
+ */
+export async function loadToBigQuery(pipeline, files, options = {}) {
+	const { dataset = BIGQUERY_DATASET, cleanup = false, rowsPerMerge = ROWS_PER_MERGE } = options;
+	const { table, keys: tableKeys } = TABLES[pipeline] || {};
+	const workspace = currentWorkspace();
+	const keys = workspace ? ['team_id', ...tableKeys] : tableKeys;
+
+	if (!table) throw new Error(`No BigQuery table for pipeline: ${pipeline}`);
+	if (!dataset) throw new Error('BIGQUERY_DATASET is required for the bigquery target');
+
+	const tableId = `${BIGQUERY_TABLE_PREFIX}${table}`;
+	logger.verbose(`\n[BIGQUERY] ${pipeline}: ${files.length} files to ${dataset}.${tableId}`);
+
+	let rows = 0;
+	let uploaded = 0;
+	const renamed = new Map();
+	const nulled = {};
+	let batchRows = [];
+	// File the batch's first row came from, for the log
+	let batchStart = null;
+	// Files whose rows have all been read since the last merge (a file split across merges joins the later one)
+	let batchFiles = [];
+
+	// Merge what has been read so far; files are only counted and cleaned up once all their rows are merged
+	const flush = async (file) => {
+		if (batchRows.length > 0) {
+			const label = batchStart === file ? path.basename(file) : `${path.basename(batchStart)} .. ${path.basename(file)}`;
+			logger.verbose(`[BIGQUERY] → Merging ${batchRows.length} rows from ${label}`);
+			const result = await bigquery.mergeRows({ datasetId: dataset, tableId, keys, rows: batchRows });
+			rows += result.rows;
+			for (const [column, count] of Object.entries(result.nulled)) nulled[column] = (nulled[column] || 0) + count;
+		}
+
+		uploaded += batchFiles.length;
+		if (cleanup) {
+			for (const merged of batchFiles) {
+				try {
+					await storage.deleteFile(storage.getRelativePath(merged));
+				} catch (deleteError) {
+					logger.warn(`[BIGQUERY] ⚠️  Failed to delete ${path.basename(merged)}: ${deleteError.message}`);
+				}
+			}
+		}
+
+		batchRows = [];
+		batchStart = null;
+		batchFiles = [];
+	};
+
+	for (const file of files) {
+		// Rows are built as records stream in, so the parsed file is never held alongside them
+		for await (const record of storage.readJSONLGzStream(storage.getRelativePath(file))) {
+			const row = toRow(record, pipeline, renamed);
+			if (workspace) Object.assign(row, { team_id: workspace.team_id, team_name: workspace.team_name });
+			batchRows.push(row);
+			batchStart = batchStart || file;
+
+			if (batchRows.length >= rowsPerMerge) await flush(file);
+		}
+
+		batchFiles.push(file);
+		if (batchFiles.length >= FILES_PER_MERGE) await flush(file);
+	}
+	await flush(files[files.length - 1]);
+
+	if (renamed.size > 0) {
+		logger.warn(`[BIGQUERY] ⚠️  ${pipeline}: keys that flatten to the same column were given their own columns: ${[...renamed].map(([column, key]) => `${key} → ${column}`).join(', ')}`);
+	}
+
+	const result = { uploaded, rows, files: files.length, table: `${dataset}.${tableId}`, renamed: Object.fromEntries(renamed), nulled };
+	logger.summary(`[BIGQUERY] ${pipeline} Complete`, result);
+	logger.verbose(`[BIGQUERY] ✅ ${pipeline} complete: ${rows} rows from ${uploaded} files`);
+
+	return result;
+}
+
+export default {
+	loadToBigQuery
+};
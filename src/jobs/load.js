@@ -7,48 +7,83 @@ import mixpanelImport from 'mixpanel-import';
 import storage from '../services/storage.js';
 import logger from '../utils/logger.js';
 import { transformMemberEvent, transformMemberProfile } from '../transforms/members.js';
-import { transformChannelEvent, transformChannelProfile } from '../transforms/channels.js';
+import { transformChannelEvent, transformChannelProfile, transformExternalOrgProfiles } from '../transforms/channels.js';
+import { transformMessageEvent } from '../transforms/messages.js';
+import { transformReactionEvents, buildEmojiLookupRows, toLookupTableCsv } from '../transforms/reactions.js';
+import { transformChannelLifecycleEvent, transformChannelLifecycleProfile, transformMemberLifecycleEvent } from '../transforms/lifecycle.js';
+import { transformMembershipProfile, transformMembershipGroupProfile } from '../transforms/membership.js';
+import { transformUserGroupProfile, transformUserGroupMemberProfile } from '../transforms/user-groups.js';
+import { transformWorkspaceEvent } from '../transforms/workspace.js';
+import { TIME_STRATEGIES, stampWorkspace } from '../transforms/utils.js';
+import { currentWorkspace } from '../services/workspaces.js';
 import path from 'path';
 import 'dotenv/config';
 
-const { mixpanel_token, mixpanel_secret, slack_prefix, channel_group_key = 'channel_id', NODE_ENV = "unknown" } = process.env;
+const {
+	mixpanel_token,
+	mixpanel_secret,
+	slack_prefix,
+	channel_group_key = 'channel_id',
+	user_group_key = 'user_group_id',
+	external_org_group_key, // Mixpanel group key for Slack Connect orgs (optional)
+	workspace_group_key = 'team_id', // Mixpanel group key for workspace rollups
+	private_channel_details = 'redact', // 'export' or 'redact' names/topics of private channels
+	event_time_strategy = 'offset', // 'start_of_day', 'end_of_day', 'user_noon' or 'offset'
+	event_time_offset_minutes = '260', // minutes after midnight UTC for 'offset' (04:20)
+	workspace_timezone = 'UTC', // IANA timezone for 'user_noon' when no member tz is known
+	NODE_ENV = "unknown"
+} = process.env;
 
 /**
- * Extract relative path from full file path
- * @param {string} fullPath - Full path (GCS or local)
- * @returns {string} Relative path
+ * Event timestamp settings passed to transforms (see transforms/utils.js getEventTime)
+ * @returns {{strategy: string, offsetMinutes: number, workspaceTimezone: string}}
+ * @throws {Error} If event_time_strategy is unknown or event_time_offset_minutes isn't a minute of the day (0-1439)
  */
-function getRelativePath(fullPath) {
-	if (storage.isGCS()) {
-		const gcsPath = storage.getStoragePath();
-		const match = fullPath.match(/^gs:\/\/[^\/]+\/(.+)$/);
-		if (match) {
-			const fullGcsPath = match[1];
-			const prefixMatch = gcsPath.match(/^gs:\/\/[^\/]+\/(.+)$/);
-			if (prefixMatch) {
-				const prefix = prefixMatch[1];
-				return fullGcsPath.replace(prefix + '/', '');
-			}
-			return fullGcsPath;
-		}
-		return fullPath;
-	} else {
-		const basePath = path.resolve(storage.getStoragePath());
-		const resolved = path.resolve(fullPath);
-		return resolved.replace(basePath + path.sep, '');
+export function getEventTimeOptions() {
+	if (!TIME_STRATEGIES.includes(event_time_strategy)) {
+		throw new Error(`Unknown event_time_strategy: ${event_time_strategy} (expected one of ${TIME_STRATEGIES.join(', ')})`);
+	}
+
+	const offsetMinutes = parseInt(event_time_offset_minutes, 10);
+	if (!/^\d+$/.test(event_time_offset_minutes.trim()) || offsetMinutes > 1439) {
+		throw new Error(`event_time_offset_minutes must be a whole number of minutes from 0 to 1439 (got "${event_time_offset_minutes}")`);
 	}
+
+	return {
+		strategy: event_time_strategy,
+		offsetMinutes,
+		workspaceTimezone: workspace_timezone
+	};
+}
+
+/**
+ * Records a transform's output sends to Mixpanel (mixpanel-import flattens arrays and skips null and {})
+ * @param {*} output - transformFunc output
+ * @returns {number}
+ */
+function countOutput(output) {
+	if (Array.isArray(output)) return output.reduce((sum, item) => sum + countOutput(item), 0);
+	return output && Object.keys(output).length > 0 ? 1 : 0;
 }
 
 /**
  * Upload batch of files to Mixpanel with retry logic
  * @param {Array<string>} files - Array of file paths (GCS or local)
- * @param {Object} options - Upload options
- * @returns {Promise<Object>} Upload result
+ * @param {Object} options - Upload options (onDay is called with each record date the first time it's seen)
+ * @returns {Promise<Object>} Upload result; days counts the records sent per record date (the successful attempt's)
  */
 async function uploadBatch(files, options) {
-	const { type, groupKey, transformFunc, heavyObjects, maxRetries = 3 } = options;
+	const { type, groupKey, heavyObjects, onDay, maxRetries = 3 } = options;
+	let { transformFunc } = options;
 	let lastError = null;
 
+	// Multi-workspace runs stamp team_id / team_name on everything they send
+	const workspace = currentWorkspace();
+	if (workspace && transformFunc) {
+		const transform = transformFunc;
+		transformFunc = (record, context) => stampWorkspace(transform(record, context), workspace);
+	}
+
 	const fileCount = files.length;
 	const typeLabel = type === 'event' ? 'Events' : type === 'user' ? 'User Profiles' : 'Group Profiles';
 
@@ -60,6 +95,20 @@ async function uploadBatch(files, options) {
 				logger.verbose(`[MIXPANEL] Retry ${attempt}/${maxRetries}: ${typeLabel}`);
 			}
 
+			// Files mixpanel-import can't read itself are streamed from storage (a new stream per attempt)
+			const source = storage.getImportSource(files);
+
+			// Records sent per day, so a multi-day upload can be attributed to each day
+			const days = {};
+			const transform = transformFunc && ((record, context) => {
+				const output = transformFunc(record, context);
+				if (record.date) {
+					if (!(record.date in days)) onDay?.(record.date);
+					days[record.date] = (days[record.date] || 0) + countOutput(output);
+				}
+				return output;
+			});
+
 			// Credentials for mixpanel-import
 			const creds = {
 				token: mixpanel_token,
@@ -77,7 +126,8 @@ async function uploadBatch(files, options) {
 				abridged: false, // Always get full details for structured logging
 				fixTime: true,
 				keepBadRecords: true, // Always keep bad records for debugging
-				...(transformFunc && { transformFunc }),
+				...source.options,
+				...(transform && { transformFunc: transform }),
 				...(heavyObjects && { heavyObjects }),
 				...(groupKey && { groupKey })
 			};
@@ -90,10 +140,10 @@ async function uploadBatch(files, options) {
 			}
 
 			// Pass array of file paths to mixpanel-import
-			const result = await mixpanelImport(creds, files, importOptions);
+			const result = await mixpanelImport(creds, source.data, importOptions);
 
 			logger.verbose(`[MIXPANEL] ✅ ${typeLabel}: ${fileCount} files uploaded`);
-			return { success: true, files, result, attempts: attempt };
+			return { success: true, files, result, days, attempts: attempt };
 
 		} catch (error) {
 			lastError = error;
@@ -117,21 +167,24 @@ async function uploadBatch(files, options) {
 /**
  * Load member analytics files to Mixpanel (events + profiles)
  * @param {Array<string>} files - Array of file paths (GCS or local)
- * @param {Object} context - Context with slackMembers cache and options
+ * @param {Object} context - Context with slackMembers cache and profileFields mappings
  * @param {Object} options - Load options
  * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
  * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
  */
 export async function loadMemberAnalytics(files, context, options = {}) {
-	const { slackMembers } = context;
-	const { cleanup = false } = options;
+	const { slackMembers, profileFields = [] } = context;
+	const { cleanup = false, onDay } = options;
 	const totalFiles = files.length;
 
 	logger.verbose(`\n[LOAD] Member analytics: ${totalFiles} files to Mixpanel`);
 
 	const heavyObjects = {
 		slackMembers,
-		slack_prefix
+		profileFields,
+		slack_prefix,
+		eventTime: getEventTimeOptions()
 	};
 
 	const results = {
@@ -143,6 +196,7 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
 	const eventsResult = await uploadBatch(files, {
 		type: 'event',
+		onDay,
 		transformFunc: transformMemberEvent,
 		heavyObjects
 	});
@@ -151,6 +205,7 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 	results.events.error = eventsResult.error || null;
 	results.events.count = totalFiles;
 	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
 
 	if (!eventsResult.success) {
 		logger.error(`[LOAD] ⚠️  Events upload failed, skipping profiles`);
@@ -165,6 +220,7 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 	logger.verbose(`[LOAD] → User Profiles (${totalFiles} files)`);
 	const profilesResult = await uploadBatch(files, {
 		type: 'user',
+		onDay,
 		transformFunc: transformMemberProfile,
 		heavyObjects
 	});
@@ -173,6 +229,7 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 	results.profiles.error = profilesResult.error || null;
 	results.profiles.count = totalFiles;
 	results.profiles.result = profilesResult.result; // Full mixpanel-import response
+	results.profiles.days = profilesResult.days; // Records sent per date
 
 	// Debug inspection point in dev mode
 	if (NODE_ENV === 'dev') debugger;
@@ -185,7 +242,7 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 
 		for (const file of files) {
 			try {
-				const relativePath = getRelativePath(file);
+				const relativePath = storage.getRelativePath(file);
 				await storage.deleteFile(relativePath);
 				deleted++;
 			} catch (deleteError) {
@@ -212,35 +269,44 @@ export async function loadMemberAnalytics(files, context, options = {}) {
 }
 
 /**
- * Load channel analytics files to Mixpanel (events + profiles)
+ * Load channel analytics files to Mixpanel (events + profiles, plus external org profiles when external_org_group_key is set)
  * @param {Array<string>} files - Array of file paths (GCS or local)
  * @param {Object} context - Context with slackChannels cache
  * @param {Object} options - Load options
  * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @param {boolean} [options.private=false] - Files contain private channel analytics
  * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
  */
 export async function loadChannelAnalytics(files, context, options = {}) {
 	const { slackChannels } = context;
-	const { cleanup = false } = options;
+	const { cleanup = false, private: isPrivate = false, onDay } = options;
 	const totalFiles = files.length;
+	const label = isPrivate ? 'Private channel' : 'Channel';
 
-	logger.verbose(`\n[LOAD] Channel analytics: ${totalFiles} files to Mixpanel`);
+	logger.verbose(`\n[LOAD] ${label} analytics: ${totalFiles} files to Mixpanel`);
 
 	const heavyObjects = {
 		slackChannels,
 		slack_prefix,
-		channel_group_key
+		channel_group_key,
+		private_channels: isPrivate,
+		private_channel_details,
+		external_org_group_key,
+		eventTime: getEventTimeOptions()
 	};
 
 	const results = {
 		events: { success: false, error: null },
-		profiles: { success: false, error: null }
+		profiles: { success: false, error: null },
+		...(external_org_group_key && { orgs: { success: false, error: null } })
 	};
 
 	// Upload events first (batch upload)
 	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
 	const eventsResult = await uploadBatch(files, {
 		type: 'event',
+		onDay,
 		transformFunc: transformChannelEvent,
 		heavyObjects
 	});
@@ -249,6 +315,7 @@ export async function loadChannelAnalytics(files, context, options = {}) {
 	results.events.error = eventsResult.error || null;
 	results.events.count = totalFiles;
 	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
 
 	if (!eventsResult.success) {
 		logger.error(`[LOAD] ⚠️  Events upload failed, skipping group profiles`);
@@ -263,6 +330,7 @@ export async function loadChannelAnalytics(files, context, options = {}) {
 	logger.verbose(`[LOAD] → Group Profiles (${totalFiles} files)`);
 	const profilesResult = await uploadBatch(files, {
 		type: 'group',
+		onDay,
 		groupKey: channel_group_key,
 		transformFunc: transformChannelProfile,
 		heavyObjects
@@ -272,19 +340,39 @@ export async function loadChannelAnalytics(files, context, options = {}) {
 	results.profiles.error = profilesResult.error || null;
 	results.profiles.count = totalFiles;
 	results.profiles.result = profilesResult.result; // Full mixpanel-import response
+	results.profiles.days = profilesResult.days; // Records sent per date
+
+	// Slack Connect orgs as their own groups (opt-in)
+	let orgsResult = { success: true };
+	if (external_org_group_key) {
+		logger.verbose(`[LOAD] → External Org Profiles (${totalFiles} files)`);
+		orgsResult = await uploadBatch(files, {
+			type: 'group',
+			onDay,
+			groupKey: external_org_group_key,
+			transformFunc: transformExternalOrgProfiles,
+			heavyObjects
+		});
+
+		results.orgs.success = orgsResult.success;
+		results.orgs.error = orgsResult.error || null;
+		results.orgs.count = totalFiles;
+		results.orgs.result = orgsResult.result; // Full mixpanel-import response
+		results.orgs.days = orgsResult.days; // Records sent per date
+	}
 
 	// Debug inspection point in dev mode
 	if (NODE_ENV === 'dev') debugger;
 
 	// Cleanup files after successful upload if requested
-	if (cleanup && eventsResult.success && profilesResult.success) {
+	if (cleanup && eventsResult.success && profilesResult.success && orgsResult.success) {
 		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
 		let deleted = 0;
 		let deleteFailed = 0;
 
 		for (const file of files) {
 			try {
-				const relativePath = getRelativePath(file);
+				const relativePath = storage.getRelativePath(file);
 				await storage.deleteFile(relativePath);
 				deleted++;
 			} catch (deleteError) {
@@ -296,12 +384,423 @@ export async function loadChannelAnalytics(files, context, options = {}) {
 		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
 	}
 
-	const uploaded = (eventsResult.success ? totalFiles : 0) + (profilesResult.success ? totalFiles : 0);
-	const failed = (eventsResult.success ? 0 : totalFiles) + (profilesResult.success ? 0 : totalFiles);
+	const uploaded = (eventsResult.success ? totalFiles : 0) + (profilesResult.success ? totalFiles : 0)
+		+ (external_org_group_key && orgsResult.success ? totalFiles : 0);
+	const failed = (eventsResult.success ? 0 : totalFiles) + (profilesResult.success ? 0 : totalFiles)
+		+ (orgsResult.success ? 0 : totalFiles);
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary(`[LOAD] ${isPrivate ? 'Private Channels' : 'Channels'} Complete`, result);
+	logger.verbose(`[LOAD] ✅ ${label}s complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Load private channel analytics files to Mixpanel (events + profiles)
+ * Events and group profiles are tagged private: true; names and topics follow private_channel_details
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} context - Context with slackChannels cache (private channels)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadPrivateChannelAnalytics(files, context, options = {}) {
+	return loadChannelAnalytics(files, context, { ...options, private: true });
+}
+
+/**
+ * Load channel lifecycle files to Mixpanel (lifecycle events + group profile updates)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadChannelLifecycle(files, options = {}) {
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] Channel lifecycle: ${totalFiles} files to Mixpanel`);
+
+	const heavyObjects = {
+		slack_prefix,
+		channel_group_key,
+		private_channel_details
+	};
+
+	const results = {
+		events: { success: false, error: null },
+		profiles: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
+	const eventsResult = await uploadBatch(files, {
+		type: 'event',
+		onDay,
+		transformFunc: transformChannelLifecycleEvent,
+		heavyObjects
+	});
+
+	results.events.success = eventsResult.success;
+	results.events.error = eventsResult.error || null;
+	results.events.count = totalFiles;
+	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
+
+	if (!eventsResult.success) {
+		logger.error(`[LOAD] ⚠️  Events upload failed, skipping group profiles`);
+		return {
+			uploaded: 0,
+			failed: totalFiles * 2, // events + profiles
+			results
+		};
+	}
+
+	logger.verbose(`[LOAD] → Group Profiles (${totalFiles} files)`);
+	const profilesResult = await uploadBatch(files, {
+		type: 'group',
+		onDay,
+		groupKey: channel_group_key,
+		transformFunc: transformChannelLifecycleProfile,
+		heavyObjects
+	});
+
+	results.profiles.success = profilesResult.success;
+	results.profiles.error = profilesResult.error || null;
+	results.profiles.count = totalFiles;
+	results.profiles.result = profilesResult.result; // Full mixpanel-import response
+	results.profiles.days = profilesResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested (snapshots are kept for the next diff)
+	if (cleanup && eventsResult.success && profilesResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = totalFiles + (profilesResult.success ? totalFiles : 0);
+	const failed = profilesResult.success ? 0 : totalFiles;
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary('[LOAD] Channel Lifecycle Complete', result);
+	logger.verbose(`[LOAD] ✅ Channel lifecycle complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Load member lifecycle files to Mixpanel (lifecycle events on each member's $user_id)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadMemberLifecycle(files, options = {}) {
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] Member lifecycle: ${totalFiles} files to Mixpanel`);
+
+	const results = {
+		events: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
+	const eventsResult = await uploadBatch(files, {
+		type: 'event',
+		onDay,
+		transformFunc: transformMemberLifecycleEvent,
+		heavyObjects: { slack_prefix }
+	});
+
+	results.events.success = eventsResult.success;
+	results.events.error = eventsResult.error || null;
+	results.events.count = totalFiles;
+	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested (snapshots are kept for the next diff)
+	if (cleanup && eventsResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = eventsResult.success ? totalFiles : 0;
+	const failed = eventsResult.success ? 0 : totalFiles;
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary('[LOAD] Member Lifecycle Complete', result);
+	logger.verbose(`[LOAD] ✅ Member lifecycle complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Load workspace activity files to Mixpanel (one `daily workspace activity` event per day, with no user)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadWorkspaceActivity(files, options = {}) {
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] Workspace activity: ${totalFiles} files to Mixpanel`);
+
+	const results = {
+		events: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
+	const eventsResult = await uploadBatch(files, {
+		type: 'event',
+		onDay,
+		transformFunc: transformWorkspaceEvent,
+		heavyObjects: { workspace_group_key, eventTime: getEventTimeOptions() }
+	});
+
+	results.events.success = eventsResult.success;
+	results.events.error = eventsResult.error || null;
+	results.events.count = totalFiles;
+	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested
+	if (cleanup && eventsResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = eventsResult.success ? totalFiles : 0;
+	const failed = eventsResult.success ? 0 : totalFiles;
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary('[LOAD] Workspace Activity Complete', result);
+	logger.verbose(`[LOAD] ✅ Workspace activity complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Load channel membership files to Mixpanel (user profile `channels` lists, then channel group profile `member_ids`)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadChannelMembership(files, options = {}) {
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] Channel membership: ${totalFiles} files to Mixpanel`);
+
+	const heavyObjects = {
+		channel_group_key,
+		private_channel_details
+	};
+
+	const results = {
+		profiles: { success: false, error: null },
+		groups: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → User Profiles (${totalFiles} files)`);
+	const profilesResult = await uploadBatch(files, {
+		type: 'user',
+		onDay,
+		transformFunc: transformMembershipProfile,
+		heavyObjects
+	});
+
+	results.profiles.success = profilesResult.success;
+	results.profiles.error = profilesResult.error || null;
+	results.profiles.count = totalFiles;
+	results.profiles.result = profilesResult.result; // Full mixpanel-import response
+	results.profiles.days = profilesResult.days; // Records sent per date
+
+	logger.verbose(`[LOAD] → Group Profiles (${totalFiles} files)`);
+	const groupsResult = await uploadBatch(files, {
+		type: 'group',
+		onDay,
+		groupKey: channel_group_key,
+		transformFunc: transformMembershipGroupProfile,
+		heavyObjects
+	});
+
+	results.groups.success = groupsResult.success;
+	results.groups.error = groupsResult.error || null;
+	results.groups.count = totalFiles;
+	results.groups.result = groupsResult.result; // Full mixpanel-import response
+	results.groups.days = groupsResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested (snapshots are kept for the next diff)
+	if (cleanup && profilesResult.success && groupsResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = (profilesResult.success ? totalFiles : 0) + (groupsResult.success ? totalFiles : 0);
+	const failed = (profilesResult.success ? 0 : totalFiles) + (groupsResult.success ? 0 : totalFiles);
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary('[LOAD] Channel Membership Complete', result);
+	logger.verbose(`[LOAD] ✅ Channel membership complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Load user group files to Mixpanel (user group profiles, then `slack_user_groups` on user profiles)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadUserGroups(files, options = {}) {
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] User groups: ${totalFiles} files to Mixpanel`);
+
+	const heavyObjects = { user_group_key };
+
+	const results = {
+		groups: { success: false, error: null },
+		profiles: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → Group Profiles (${totalFiles} files)`);
+	const groupsResult = await uploadBatch(files, {
+		type: 'group',
+		onDay,
+		groupKey: user_group_key,
+		transformFunc: transformUserGroupProfile,
+		heavyObjects
+	});
+
+	results.groups.success = groupsResult.success;
+	results.groups.error = groupsResult.error || null;
+	results.groups.count = totalFiles;
+	results.groups.result = groupsResult.result; // Full mixpanel-import response
+	results.groups.days = groupsResult.days; // Records sent per date
+
+	logger.verbose(`[LOAD] → User Profiles (${totalFiles} files)`);
+	const profilesResult = await uploadBatch(files, {
+		type: 'user',
+		onDay,
+		transformFunc: transformUserGroupMemberProfile,
+		heavyObjects
+	});
+
+	results.profiles.success = profilesResult.success;
+	results.profiles.error = profilesResult.error || null;
+	results.profiles.count = totalFiles;
+	results.profiles.result = profilesResult.result; // Full mixpanel-import response
+	results.profiles.days = profilesResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested
+	if (cleanup && groupsResult.success && profilesResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = (groupsResult.success ? totalFiles : 0) + (profilesResult.success ? totalFiles : 0);
+	const failed = (groupsResult.success ? 0 : totalFiles) + (profilesResult.success ? 0 : totalFiles);
 
 	const result = { uploaded, failed, files: totalFiles, results };
-	logger.summary('[LOAD] Channels Complete', result);
-	logger.verbose(`[LOAD] ✅ Channels complete: ${uploaded} uploaded, ${failed} failed`);
+	logger.summary('[LOAD] User Groups Complete', result);
+	logger.verbose(`[LOAD] ✅ User groups complete: ${uploaded} uploaded, ${failed} failed`);
 
 	return {
 		uploaded,
@@ -310,7 +809,153 @@ export async function loadChannelAnalytics(files, context, options = {}) {
 	};
 }
 
+/**
+ * Load message files to Mixpanel ('message posted' / 'thread reply' events, then 'reaction added' events)
+ * @param {Array<string>} files - Array of file paths (GCS or local)
+ * @param {Object} context - Context with slackChannels cache (for channel names)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.cleanup=false] - Delete files after successful upload
+ * @param {Function} [options.onDay] - Called with each date the first time one of its records is sent
+ * @returns {Promise<{uploaded: number, failed: number, results: Object}>}
+ */
+export async function loadMessageEvents(files, context, options = {}) {
+	const { slackChannels } = context;
+	const { cleanup = false, onDay } = options;
+	const totalFiles = files.length;
+
+	logger.verbose(`\n[LOAD] Messages: ${totalFiles} files to Mixpanel`);
+
+	const heavyObjects = {
+		slackChannels,
+		slack_prefix
+	};
+
+	const results = {
+		events: { success: false, error: null },
+		reactions: { success: false, error: null }
+	};
+
+	logger.verbose(`[LOAD] → Events (${totalFiles} files)`);
+	const eventsResult = await uploadBatch(files, {
+		type: 'event',
+		onDay,
+		transformFunc: transformMessageEvent,
+		heavyObjects
+	});
+
+	results.events.success = eventsResult.success;
+	results.events.error = eventsResult.error || null;
+	results.events.count = totalFiles;
+	results.events.result = eventsResult.result; // Full mixpanel-import response
+	results.events.days = eventsResult.days; // Records sent per date
+
+	if (!eventsResult.success) {
+		logger.error(`[LOAD] ⚠️  Events upload failed, skipping reactions`);
+		return {
+			uploaded: 0,
+			failed: totalFiles * 2, // events + reactions
+			results
+		};
+	}
+
+	// Then one 'reaction added' event per (message, emoji, user) from the same files
+	logger.verbose(`[LOAD] → Reaction Events (${totalFiles} files)`);
+	const reactionsResult = await uploadBatch(files, {
+		type: 'event',
+		onDay,
+		transformFunc: transformReactionEvents,
+		heavyObjects
+	});
+
+	results.reactions.success = reactionsResult.success;
+	results.reactions.error = reactionsResult.error || null;
+	results.reactions.count = totalFiles;
+	results.reactions.result = reactionsResult.result; // Full mixpanel-import response
+	results.reactions.days = reactionsResult.days; // Records sent per date
+
+	// Cleanup files after successful upload if requested
+	if (cleanup && eventsResult.success && reactionsResult.success) {
+		logger.verbose(`[LOAD] → Cleanup: Deleting ${totalFiles} files...`);
+		let deleted = 0;
+		let deleteFailed = 0;
+
+		for (const file of files) {
+			try {
+				await storage.deleteFile(storage.getRelativePath(file));
+				deleted++;
+			} catch (deleteError) {
+				deleteFailed++;
+				logger.warn(`[LOAD] ⚠️  Failed to delete ${path.basename(file)}: ${deleteError.message}`);
+			}
+		}
+
+		logger.verbose(`[LOAD] → Cleanup complete: ${deleted} deleted, ${deleteFailed} failed`);
+	}
+
+	const uploaded = totalFiles + (reactionsResult.success ? totalFiles : 0);
+	const failed = reactionsResult.success ? 0 : totalFiles;
+
+	const result = { uploaded, failed, files: totalFiles, results };
+	logger.summary('[LOAD] Messages Complete', result);
+	logger.verbose(`[LOAD] ✅ Messages complete: ${uploaded} uploaded, ${failed} failed`);
+
+	return {
+		uploaded,
+		failed,
+		results
+	};
+}
+
+/**
+ * Replace the emoji lookup table in Mixpanel with usage combined from daily emoji summary files
+ * Summary files are kept (never cleaned up) so later runs can rebuild the table over their window.
+ * @param {Array<string>} files - Emoji summary file paths (GCS or local)
+ * @param {Object} context - Context with slackChannels cache (for top channel names)
+ * @param {Object} options - Load options
+ * @param {string} options.lookupTableId - Mixpanel lookup table ID
+ * @returns {Promise<{success: boolean, rows: number, files: number, error?: string}>}
+ */
+export async function loadEmojiLookupTable(files, context, options) {
+	const { lookupTableId } = options;
+
+	logger.verbose(`\n[LOAD] Emoji lookup table: ${files.length} summary files to ${lookupTableId}`);
+
+	const summaries = [];
+	for (const file of files) {
+		summaries.push(...await storage.readJSONLGz(storage.getRelativePath(file)));
+	}
+
+	const rows = buildEmojiLookupRows(summaries, context);
+	if (rows.length === 0) {
+		logger.warn(`[LOAD] ⚠️  No emoji usage to load`);
+		return { success: true, rows: 0, files: files.length };
+	}
+
+	try {
+		const creds = { token: mixpanel_token, secret: mixpanel_secret, lookupTableId };
+		const result = await mixpanelImport(creds, toLookupTableCsv(rows), { recordType: 'table', logs: false });
+
+		const summary = { success: true, rows: rows.length, files: files.length, result };
+		logger.summary('[LOAD] Emoji Lookup Table Complete', summary);
+		logger.verbose(`[LOAD] ✅ Emoji lookup table: ${rows.length} emoji`);
+		return summary;
+
+	} catch (error) {
+		logger.error(`[LOAD] ❌ Emoji lookup table: ${error.message}`);
+		return { success: false, rows: rows.length, files: files.length, error: error.message };
+	}
+}
+
 export default {
+	getEventTimeOptions,
 	loadMemberAnalytics,
-	loadChannelAnalytics
+	loadChannelAnalytics,
+	loadPrivateChannelAnalytics,
+	loadChannelLifecycle,
+	loadMemberLifecycle,
+	loadWorkspaceActivity,
+	loadChannelMembership,
+	loadUserGroups,
+	loadMessageEvents,
+	loadEmojiLookupTable
 };
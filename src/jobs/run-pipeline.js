@@ -5,11 +5,19 @@
  */
 
 import dotenv from 'dotenv';
-import { extractMemberAnalytics, extractChannelAnalytics } from './extract.js';
-import { loadMemberAnalytics, loadChannelAnalytics } from './load.js';
+import { extractMemberAnalytics, extractChannelAnalytics, extractPrivateChannelAnalytics, extractChannelMessages, extractChannelLifecycle, extractMemberLifecycle, extractChannelMembership, extractUserGroups, extractWorkspaceActivity, MESSAGE_CHANNELS } from './extract.js';
+import { getEventTimeOptions, loadMemberAnalytics, loadChannelAnalytics, loadPrivateChannelAnalytics, loadChannelLifecycle, loadMemberLifecycle, loadWorkspaceActivity, loadChannelMembership, loadUserGroups, loadMessageEvents, loadEmojiLookupTable } from './load.js';
+import { loadToBigQuery } from './load-bigquery.js';
 import slackService from '../services/slack.js';
+import storage from '../services/storage.js';
+import pipelineLock from '../services/pipeline-lock.js';
+import profileFieldService from '../services/profile-fields.js';
+import { createEnrichmentBudgets } from '../services/enrichment-cache.js';
+import runManifest from '../services/run-manifest.js';
+import workspaceService, { workspaceDir } from '../services/workspaces.js';
 import logger from '../utils/logger.js';
 import * as akTools from 'ak-tools';
+import path from 'path';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 
@@ -19,15 +27,39 @@ dayjs.extend(utc);
 const { timer } = akTools;
 
 const {
-	NODE_ENV = "unknown"
+	NODE_ENV = "unknown",
+	BIGQUERY_DATASET,
+	EMOJI_LOOKUP_TABLE_ID, // Mixpanel lookup table for emoji usage (messages pipeline)
+	EMOJI_LOOKUP_DAYS = "30", // days of emoji summaries (ending at end_date) combined into the lookup table
+	CHANNEL_MEMBERSHIP = "false" // 'true' to snapshot conversations.members for enriched channels (channels pipeline)
 } = process.env;
 
+/** Load targets selectable per run with the `targets` parameter */
+const TARGETS = ['mixpanel', 'bigquery'];
+
 /**
  * Parse and validate pipeline parameters
  * @param {Object} params - Pipeline parameters
  * @returns {Object} Validated parameters
+ * @throws {Error} If parameters are invalid or mutually exclusive
  */
-function parseParameters(params) {
+export function parseParameters(params) {
+	// Event timestamp settings come from the environment; a bad value would mistime every event
+	getEventTimeOptions();
+
+	// Load targets: array or comma-separated string (e.g., 'mixpanel,bigquery')
+	if (params.targets !== undefined) {
+		const targets = Array.isArray(params.targets) ? params.targets : String(params.targets).split(',');
+		params.targets = targets.map(target => String(target).trim()).filter(Boolean);
+
+		if (params.targets.length === 0 || params.targets.some(target => !TARGETS.includes(target))) {
+			throw new Error(`Parameter "targets" must be a comma-separated list of: ${TARGETS.join(', ')}`);
+		}
+		if (params.targets.includes('bigquery') && !BIGQUERY_DATASET) {
+			throw new Error('Parameter "targets" includes bigquery but BIGQUERY_DATASET is not set');
+		}
+	}
+
 	// Handle backfill parameter (mutually exclusive with date params)
 	if (params.backfill === 'true' || params.backfill === true) {
 		if (params.days !== undefined || params.start_date !== undefined || params.end_date !== undefined) {
@@ -115,6 +147,160 @@ function getDateRange(params) {
 	};
 }
 
+/**
+ * Discover previously extracted files for a pipeline within a date range
+ * Files follow the extract naming convention: <directory>/YYYY-MM-DD-<directory>.jsonl.gz
+ * (<directory>/<team_id>/YYYY-MM-DD-<directory>.jsonl.gz inside a workspace)
+ * @param {string} directory - Storage directory (e.g., 'members', 'channels', 'private-channels')
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Full paths (GCS or local) sorted by date
+ */
+async function discoverFiles(directory, startDate, endDate) {
+	const dirPath = workspaceDir(directory);
+	const pattern = new RegExp(`^${dirPath}/(\\d{4}-\\d{2}-\\d{2})-${directory}\\.jsonl\\.gz$`);
+	const relativePaths = await storage.listFiles(dirPath);
+
+	const files = relativePaths
+		.map(filePath => ({ filePath, date: filePath.match(pattern)?.[1] }))
+		.filter(({ date }) => date && date >= startDate && date <= endDate)
+		.sort((a, b) => a.date.localeCompare(b.date))
+		.map(({ filePath }) => storage.getFullPath(filePath));
+
+	logger.verbose(`[LOAD] Discovered ${files.length} ${directory} files (${startDate} to ${endDate})`);
+	return files;
+}
+
+/**
+ * Date of an extracted file (YYYY-MM-DD prefix of its name)
+ * @param {string} file - Full or relative path
+ * @returns {string|null}
+ */
+function fileDate(file) {
+	return path.basename(file).match(/^(\d{4}-\d{2}-\d{2})-/)?.[1] || null;
+}
+
+/**
+ * Load a pipeline's dated files and record each day's load in its run manifest
+ * Days already loaded to a target are skipped unless reload is set. Pending days go to Mixpanel in one
+ * upload; each day's row gets the records its file sent plus the upload's mixpanel-import counts.
+ * @param {Object} manifest - Run manifest for the pipeline's directory
+ * @param {Array<string>} files - Full paths of the pipeline's files
+ * @param {Object} loaders - Load functions for the selected targets
+ * @param {Function} [loaders.bigquery] - (files) => loadToBigQuery result
+ * @param {Function} [loaders.mixpanel] - (files, onDay) => Mixpanel load result (e.g. loadMemberAnalytics)
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.reload=false] - Load days that were already loaded
+ * @param {Function} [options.onProgress] - Called per day with { stage: 'load', pipeline, target, date, status, day, totalDays }:
+ * 'loading' as Mixpanel starts sending a day, then 'loaded' or 'failed' once each target's upload finishes
+ * @returns {Promise<{bigquery?: Object, mixpanel?: Object}>} bigquery: loadToBigQuery result;
+ * mixpanel: the Mixpanel load result plus skipped (days already loaded)
+ */
+async function loadDailyFiles(manifest, files, loaders, options = {}) {
+	const { reload = false, onProgress } = options;
+	const pending = (target) => files.filter(file => reload || manifest.needsLoad(fileDate(file), target));
+	const report = (target, date, status, day, totalDays) => onProgress?.({ stage: 'load', pipeline: manifest.pipeline, target, date, status, day, totalDays });
+	const results = {};
+
+	// Record days whose files the load deleted
+	const recordCleanups = async (loadedFiles) => {
+		for (const file of loadedFiles) {
+			if (!await storage.fileExists(storage.getRelativePath(file))) manifest.recordCleanup(fileDate(file));
+		}
+	};
+
+	// BigQuery first: a Mixpanel load with cleanup deletes the files
+	if (loaders.bigquery) {
+		const bigqueryFiles = pending('bigquery');
+		logger.verbose(`[LOAD] ${manifest.pipeline} to BigQuery: ${bigqueryFiles.length} files (${files.length - bigqueryFiles.length} already loaded)`);
+
+		if (bigqueryFiles.length > 0) {
+			try {
+				results.bigquery = await loaders.bigquery(bigqueryFiles);
+				bigqueryFiles.forEach((file, index) => {
+					manifest.recordLoad(fileDate(file), 'bigquery', { status: 'loaded' });
+					report('bigquery', fileDate(file), 'loaded', index + 1, bigqueryFiles.length);
+				});
+				await recordCleanups(bigqueryFiles);
+			} catch (error) {
+				bigqueryFiles.forEach((file, index) => {
+					manifest.recordLoad(fileDate(file), 'bigquery', { status: 'failed', error: error.message });
+					report('bigquery', fileDate(file), 'failed', index + 1, bigqueryFiles.length);
+				});
+				throw error;
+			} finally {
+				await runManifest.saveRunManifest(manifest);
+			}
+		}
+	}
+
+	if (loaders.mixpanel) {
+		const mixpanelFiles = pending('mixpanel');
+		const skipped = files.length - mixpanelFiles.length;
+		logger.verbose(`[LOAD] ${manifest.pipeline} to Mixpanel: ${mixpanelFiles.length} files (${skipped} already loaded)`);
+
+		if (mixpanelFiles.length > 0) {
+			// A retry or the next record type sees the same days again; each is reported once
+			const started = new Set();
+			const result = await loaders.mixpanel(mixpanelFiles, (date) => {
+				if (started.has(date)) return;
+				started.add(date);
+				report('mixpanel', date, 'loading', started.size, mixpanelFiles.length);
+			});
+
+			for (const [index, file] of mixpanelFiles.entries()) {
+				const date = fileDate(file);
+				const load = runManifest.summarizeMixpanelLoad(result, date);
+				manifest.recordLoad(date, 'mixpanel', load);
+				report('mixpanel', date, load.status, index + 1, mixpanelFiles.length);
+			}
+			await recordCleanups(mixpanelFiles);
+			await runManifest.saveRunManifest(manifest);
+			results.mixpanel = { ...result, skipped };
+		} else {
+			results.mixpanel = { uploaded: 0, failed: 0, skipped, results: {} };
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Build custom profile field mappings from team.profile.get and the optional PROFILE_FIELDS_CONFIG file
+ * Falls back to config-only mappings if the workspace's field definitions can't be fetched
+ * @returns {Promise<Array<{id: string, property: string, type: string}>>}
+ */
+async function getProfileFieldMappings() {
+	const config = profileFieldService.loadProfileFieldConfig();
+
+	let definitions = [];
+	try {
+		definitions = await slackService.getProfileFields();
+	} catch (error) {
+		logger.warn(`[SLACK] ⚠️  Could not fetch custom profile fields (team.profile.get): ${error.message}`);
+	}
+
+	const mappings = profileFieldService.resolveProfileFieldMappings(definitions, config);
+	logger.verbose(`[SLACK] Mapped ${mappings.length} custom profile fields: ${mappings.map(f => f.property).join(', ')}`);
+	return mappings;
+}
+
+/**
+ * Fill in a workspace's team_name from team.info when the config doesn't give one
+ * @param {Object} workspace - Workspace from loadWorkspaces
+ * @returns {Promise<Object>} Workspace with team_name (unchanged if team.info fails)
+ */
+async function resolveWorkspace(workspace) {
+	if (workspace.team_name) return workspace;
+
+	try {
+		const team = await workspaceService.runInWorkspace(workspace, () => slackService.getTeamInfo(workspace.team_id));
+		return { ...workspace, team_name: team.name };
+	} catch (error) {
+		logger.warn(`[SLACK] ⚠️  Could not fetch the name of workspace ${workspace.team_id} (team.info): ${error.message}`);
+		return workspace;
+	}
+}
 
 /**
  * Run the complete pipeline (members and channels) with file-based extract/load
@@ -123,15 +309,24 @@ function getDateRange(params) {
  * @param {string} [options.start_date] - Start date (YYYY-MM-DD)
  * @param {string} [options.end_date] - End date (YYYY-MM-DD)
  * @param {boolean} [options.backfill] - Run in backfill mode
- * @param {Array<string>} [options.pipelines] - Which pipelines to run (default: ['members', 'channels'])
+ * @param {Array<string>} [options.pipelines] - Which pipelines to run: 'members', 'channels', 'private-channels', 'messages', 'user-groups' (default: ['members', 'channels'])
  * @param {boolean} [options.extractOnly] - Only extract, don't load
  * @param {boolean} [options.loadOnly] - Only load existing files, don't extract
+ * @param {boolean} [options.reload=false] - Load days the run manifests say were already loaded
  * @param {boolean} [options.cleanup=false] - Delete files after successful upload
- * @returns {Promise<Object>} Pipeline results
+ * @param {Array<string>|string} [options.targets] - Load targets: 'mixpanel', 'bigquery' (default: ['mixpanel'])
+ * @param {Function} [options.onProgress] - Progress callback: { stage, pipeline } when a stage starts,
+ * plus { stage, pipeline, date, status, day, totalDays } after each extracted day and as each day loads (with target)
+ * @param {Array<Object>} [options.locks] - Pipeline locks already acquired by the caller (acquired here if omitted);
+ * renewed while the run is alive and released when it finishes
+ * @returns {Promise<Object>} Pipeline results (per workspace under `workspaces` when SLACK_TEAM_IDS / SLACK_WORKSPACES_CONFIG is set)
+ * @throws {Error} With code 'pipeline_locked' if another run holds one of the pipelines
  */
 export async function runPipeline(options = {}) {
 	const t = timer('pipeline');
 	t.start();
+	let locks = options.locks || [];
+	let stopHeartbeat = async () => {};
 
 	try {
 		const params = parseParameters(options);
@@ -139,85 +334,352 @@ export async function runPipeline(options = {}) {
 		const pipelines = options.pipelines || ['members', 'channels'];
 		const extractOnly = options.extractOnly || false;
 		const loadOnly = options.loadOnly || false;
+		const reload = options.reload || false;
+		const targets = params.targets || ['mixpanel'];
+		const toMixpanel = targets.includes('mixpanel');
+		const toBigQuery = targets.includes('bigquery');
+		const workspaces = workspaceService.loadWorkspaces();
+		// EMOJI_LOOKUP_TABLE_ID holds one workspace's emoji, so it's only a fallback when one workspace would use it
+		const sharedEmojiTable = workspaces.filter(workspace => !workspace.emoji_lookup_table_id).length > 1;
+		// The daily workspace rollup is built when a run covers both members and channels
+		const rollupWorkspace = pipelines.includes('members') && pipelines.includes('channels');
 		// In production, always cleanup to avoid keeping cache; otherwise respect option
 		const cleanup = NODE_ENV === 'production' ? true : (options.cleanup || false);
 
+		// The messages pipeline is opt-in per channel
+		const hasMessageChannels = workspaces.length > 0
+			? workspaces.every(workspace => (workspace.message_channels || MESSAGE_CHANNELS).length > 0)
+			: MESSAGE_CHANNELS.length > 0;
+		if (pipelines.includes('messages') && !hasMessageChannels) {
+			throw new Error('Parameter "pipelines" includes messages but no channels are allowlisted (set message_channels)');
+		}
+
+		// Prevent overlapping runs of the same pipeline
+		if (!options.locks) {
+			locks = await pipelineLock.acquireLocks(pipelines, {
+				pipelines,
+				start_date: dateRange.simpleStart,
+				end_date: dateRange.simpleEnd
+			});
+		}
+		stopHeartbeat = pipelineLock.startHeartbeat(locks);
+
 		logger.verbose(`\n${'='.repeat(80)}`);
 		logger.verbose(`[MAIN] Pipeline: ${params.env || NODE_ENV} mode`);
 		logger.verbose(`[MAIN] Date Range: ${dateRange.simpleStart} to ${dateRange.simpleEnd} (${dateRange.days} days)`);
 		logger.verbose(`[MAIN] Pipelines: ${pipelines.join(', ')}`);
 		logger.verbose(`[MAIN] Mode: ${extractOnly ? 'Extract Only' : loadOnly ? 'Load Only' : 'Extract + Load'}`);
+		logger.verbose(`[MAIN] Targets: ${targets.join(', ')}`);
+		if (workspaces.length > 0) logger.verbose(`[MAIN] Workspaces: ${workspaces.map(workspace => workspace.team_id).join(', ')}`);
 		logger.verbose(`[MAIN] Cleanup: ${cleanup ? 'Enabled' : 'Disabled'}`);
 		logger.verbose(`${'='.repeat(80)}\n`);
 
-		// Cache channels and members for transforms (only needed for load stage)
-		let slackMembers = [];
-		let slackChannels = [];
-
-		if (!extractOnly) {
-			if (pipelines.includes('members')) {
-				slackMembers = await slackService.getUsers();
-				logger.verbose(`[SLACK] Cached ${slackMembers.length} members`);
+		/**
+		 * Extract and load every selected pipeline for one workspace (or the only one)
+		 * @param {Function} [onProgress] - Progress callback
+		 * @returns {Promise<{extract: Object, load: Object, bigquery: Object}>}
+		 */
+		const runStages = async (onProgress) => {
+			const reportStage = (stage, pipeline) => onProgress?.({ stage, pipeline });
+
+			// Cache channels and members for transforms (only needed for the Mixpanel load)
+			let slackMembers = [];
+			let profileFields = [];
+			let slackChannels = [];
+			let slackPrivateChannels = [];
+
+			if (!extractOnly && toMixpanel) {
+				if (pipelines.includes('members')) {
+					slackMembers = await slackService.getUsers();
+					logger.verbose(`[SLACK] Cached ${slackMembers.length} members`);
+					profileFields = await getProfileFieldMappings();
+				}
+				if (pipelines.includes('channels') || pipelines.includes('messages')) {
+					slackChannels = await slackService.getChannels();
+					logger.verbose(`[SLACK] Cached ${slackChannels.length} channels`);
+				}
+				if (pipelines.includes('private-channels')) {
+					slackPrivateChannels = await slackService.getChannels({ types: 'private_channel' });
+					logger.verbose(`[SLACK] Cached ${slackPrivateChannels.length} private channels`);
+				}
 			}
-			if (pipelines.includes('channels')) {
-				slackChannels = await slackService.getChannels();
-				logger.verbose(`[SLACK] Cached ${slackChannels.length} channels`);
+
+			const extractResults = {};
+			const loadResults = {};
+			const bigqueryResults = {};
+			// The Mixpanel load cleans up after itself; BigQuery only cleans up when it's the sole target
+			const bigqueryCleanup = cleanup && !toMixpanel;
+
+			// Per-date extract and load state of every directory the run writes dated files to (this workspace's)
+			const manifestDirectories = [
+				...(pipelines.includes('members') ? ['members', 'member-lifecycle'] : []),
+				...(pipelines.includes('channels') ? ['channels', 'channel-lifecycle', ...(CHANNEL_MEMBERSHIP === 'true' ? ['channel-membership'] : [])] : []),
+				...(pipelines.includes('private-channels') ? ['private-channels'] : []),
+				...(rollupWorkspace ? ['workspace-activity'] : []),
+				...(pipelines.includes('messages') ? ['messages'] : []),
+				...(pipelines.includes('user-groups') ? ['user-groups'] : [])
+			];
+			const manifests = {};
+			for (const directory of manifestDirectories) {
+				manifests[directory] = await runManifest.loadRunManifest(directory, { targets });
 			}
-		}
 
-		const extractResults = {};
-		const loadResults = {};
+			// EXTRACT STAGE
+			if (!loadOnly) {
+				logger.verbose(`\n${'='.repeat(80)}`);
+				logger.verbose(`[MAIN] STAGE 1: EXTRACT`);
+				logger.verbose(`${'='.repeat(80)}`);
+
+				// The run's enrichment time is split between users and channels (per workspace)
+				const enrichmentBudgets = createEnrichmentBudgets([
+					...(pipelines.includes('members') ? ['users'] : []),
+					...(pipelines.some(pipeline => ['channels', 'private-channels'].includes(pipeline)) ? ['channels'] : [])
+				]);
+
+				if (pipelines.includes('members')) {
+					reportStage('extract', 'members');
+					extractResults.members = await extractMemberAnalytics(
+						dateRange.simpleStart,
+						dateRange.simpleEnd,
+						{ onProgress, enrichmentBudget: enrichmentBudgets.get('users'), manifest: manifests.members }
+					);
+					extractResults['member-lifecycle'] = await extractMemberLifecycle({ manifest: manifests['member-lifecycle'] });
+				}
 
-		// EXTRACT STAGE
-		if (!loadOnly) {
-			logger.verbose(`\n${'='.repeat(80)}`);
-			logger.verbose(`[MAIN] STAGE 1: EXTRACT`);
-			logger.verbose(`${'='.repeat(80)}`);
+				if (pipelines.includes('channels')) {
+					reportStage('extract', 'channels');
+					extractResults.channels = await extractChannelAnalytics(
+						dateRange.simpleStart,
+						dateRange.simpleEnd,
+						{ onProgress, enrichmentBudget: enrichmentBudgets.get('channels'), manifest: manifests.channels }
+					);
+					extractResults['channel-lifecycle'] = await extractChannelLifecycle({ manifest: manifests['channel-lifecycle'] });
+					if (CHANNEL_MEMBERSHIP === 'true') {
+						extractResults['channel-membership'] = await extractChannelMembership({ manifest: manifests['channel-membership'] });
+					}
+				}
 
-			if (pipelines.includes('members')) {
-				extractResults.members = await extractMemberAnalytics(
-					dateRange.simpleStart,
-					dateRange.simpleEnd
-				);
-			}
+				if (pipelines.includes('private-channels')) {
+					reportStage('extract', 'private-channels');
+					extractResults['private-channels'] = await extractPrivateChannelAnalytics(
+						dateRange.simpleStart,
+						dateRange.simpleEnd,
+						{ onProgress, enrichmentBudget: enrichmentBudgets.get('channels'), manifest: manifests['private-channels'] }
+					);
+				}
 
-			if (pipelines.includes('channels')) {
-				extractResults.channels = await extractChannelAnalytics(
-					dateRange.simpleStart,
-					dateRange.simpleEnd
-				);
-			}
-		}
+				if (pipelines.some(pipeline => ['members', 'channels', 'private-channels'].includes(pipeline))) {
+					extractResults.enrichment = enrichmentBudgets.summary();
+				}
 
-		// LOAD STAGE
-		if (!extractOnly) {
-			logger.verbose(`\n${'='.repeat(80)}`);
-			logger.verbose(`[MAIN] STAGE 2: LOAD`);
-			logger.verbose(`${'='.repeat(80)}`);
+				// Workspace rollups need both the member and channel files for each day
+				if (rollupWorkspace) {
+					reportStage('extract', 'workspace-activity');
+					extractResults['workspace-activity'] = await extractWorkspaceActivity(
+						dateRange.simpleStart,
+						dateRange.simpleEnd,
+						{ manifest: manifests['workspace-activity'] }
+					);
+				}
 
-			if (pipelines.includes('members')) {
-				const files = loadOnly
-					? [] // TODO: discover existing files
-					: extractResults.members?.files || [];
+				if (pipelines.includes('messages')) {
+					reportStage('extract', 'messages');
+					extractResults.messages = await extractChannelMessages(
+						dateRange.simpleStart,
+						dateRange.simpleEnd,
+						{ channels: workspaceService.currentWorkspace()?.message_channels || MESSAGE_CHANNELS, onProgress, manifest: manifests.messages }
+					);
+				}
 
-				if (files.length > 0) {
-					loadResults.members = await loadMemberAnalytics(files, { slackMembers }, { cleanup });
-				} else {
-					logger.warn(`[LOAD] ⚠️  No member files to load`);
+				if (pipelines.includes('user-groups')) {
+					reportStage('extract', 'user-groups');
+					extractResults['user-groups'] = await extractUserGroups({ manifest: manifests['user-groups'] });
 				}
 			}
 
-			if (pipelines.includes('channels')) {
-				const files = loadOnly
-					? [] // TODO: discover existing files
-					: extractResults.channels?.files || [];
+			// LOAD STAGE
+			if (!extractOnly) {
+				logger.verbose(`\n${'='.repeat(80)}`);
+				logger.verbose(`[MAIN] STAGE 2: LOAD`);
+				logger.verbose(`${'='.repeat(80)}`);
+
+				if (pipelines.includes('members')) {
+					reportStage('load', 'members');
+					const files = loadOnly
+						? await discoverFiles('members', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults.members?.files || [];
+
+					if (files.length > 0) {
+						const { bigquery, mixpanel } = await loadDailyFiles(manifests.members, files, {
+							...(toBigQuery && { bigquery: (pending) => loadToBigQuery('members', pending, { cleanup: bigqueryCleanup }) }),
+							...(toMixpanel && { mixpanel: (pending, onDay) => loadMemberAnalytics(pending, { slackMembers, profileFields }, { cleanup, onDay }) })
+						}, { reload, onProgress });
+						if (bigquery) bigqueryResults.members = bigquery;
+						if (mixpanel) loadResults.members = mixpanel;
+					} else {
+						logger.warn(`[LOAD] ⚠️  No member files to load`);
+					}
+
+					// Lifecycle files are dated by the snapshot (the run date), not the activity date
+					const lifecycleFiles = loadOnly
+						? await discoverFiles('member-lifecycle', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults['member-lifecycle']?.files || [];
+
+					if (lifecycleFiles.length > 0 && toMixpanel) {
+						const { mixpanel } = await loadDailyFiles(manifests['member-lifecycle'], lifecycleFiles, {
+							mixpanel: (pending, onDay) => loadMemberLifecycle(pending, { cleanup, onDay })
+						}, { reload, onProgress });
+						loadResults['member-lifecycle'] = mixpanel;
+					}
+				}
+
+				if (pipelines.includes('channels')) {
+					reportStage('load', 'channels');
+					const files = loadOnly
+						? await discoverFiles('channels', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults.channels?.files || [];
+
+					if (files.length > 0) {
+						const { bigquery, mixpanel } = await loadDailyFiles(manifests.channels, files, {
+							...(toBigQuery && { bigquery: (pending) => loadToBigQuery('channels', pending, { cleanup: bigqueryCleanup }) }),
+							...(toMixpanel && { mixpanel: (pending, onDay) => loadChannelAnalytics(pending, { slackChannels }, { cleanup, onDay }) })
+						}, { reload, onProgress });
+						if (bigquery) bigqueryResults.channels = bigquery;
+						if (mixpanel) loadResults.channels = mixpanel;
+					} else {
+						logger.warn(`[LOAD] ⚠️  No channel files to load`);
+					}
+
+					// Lifecycle files are dated by the snapshot (the run date), not the activity date
+					const lifecycleFiles = loadOnly
+						? await discoverFiles('channel-lifecycle', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults['channel-lifecycle']?.files || [];
+
+					if (lifecycleFiles.length > 0 && toMixpanel) {
+						const { mixpanel } = await loadDailyFiles(manifests['channel-lifecycle'], lifecycleFiles, {
+							mixpanel: (pending, onDay) => loadChannelLifecycle(pending, { cleanup, onDay })
+						}, { reload, onProgress });
+						loadResults['channel-lifecycle'] = mixpanel;
+					}
+
+					if (CHANNEL_MEMBERSHIP === 'true') {
+						const membershipFiles = loadOnly
+							? await discoverFiles('channel-membership', dateRange.simpleStart, dateRange.simpleEnd)
+							: extractResults['channel-membership']?.files || [];
+
+						if (membershipFiles.length > 0 && toMixpanel) {
+							const { mixpanel } = await loadDailyFiles(manifests['channel-membership'], membershipFiles, {
+								mixpanel: (pending, onDay) => loadChannelMembership(pending, { cleanup, onDay })
+							}, { reload, onProgress });
+							loadResults['channel-membership'] = mixpanel;
+						}
+					}
+				}
+
+				if (pipelines.includes('private-channels')) {
+					reportStage('load', 'private-channels');
+					const files = loadOnly
+						? await discoverFiles('private-channels', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults['private-channels']?.files || [];
+
+					if (files.length > 0) {
+						const { bigquery, mixpanel } = await loadDailyFiles(manifests['private-channels'], files, {
+							...(toBigQuery && { bigquery: (pending) => loadToBigQuery('private-channels', pending, { cleanup: bigqueryCleanup }) }),
+							...(toMixpanel && { mixpanel: (pending, onDay) => loadPrivateChannelAnalytics(pending, { slackChannels: slackPrivateChannels }, { cleanup, onDay }) })
+						}, { reload, onProgress });
+						if (bigquery) bigqueryResults['private-channels'] = bigquery;
+						if (mixpanel) loadResults['private-channels'] = mixpanel;
+					} else {
+						logger.warn(`[LOAD] ⚠️  No private channel files to load`);
+					}
+				}
 
-				if (files.length > 0) {
-					loadResults.channels = await loadChannelAnalytics(files, { slackChannels }, { cleanup });
-				} else {
-					logger.warn(`[LOAD] ⚠️  No channel files to load`);
+				if (rollupWorkspace) {
+					reportStage('load', 'workspace-activity');
+					const files = loadOnly
+						? await discoverFiles('workspace-activity', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults['workspace-activity']?.files || [];
+
+					if (files.length > 0) {
+						const { bigquery, mixpanel } = await loadDailyFiles(manifests['workspace-activity'], files, {
+							...(toBigQuery && { bigquery: (pending) => loadToBigQuery('workspace-activity', pending, { cleanup: bigqueryCleanup }) }),
+							...(toMixpanel && { mixpanel: (pending, onDay) => loadWorkspaceActivity(pending, { cleanup, onDay }) })
+						}, { reload, onProgress });
+						if (bigquery) bigqueryResults['workspace-activity'] = bigquery;
+						if (mixpanel) loadResults['workspace-activity'] = mixpanel;
+					} else {
+						logger.warn(`[LOAD] ⚠️  No workspace activity files to load`);
+					}
+				}
+
+				if (pipelines.includes('messages')) {
+					reportStage('load', 'messages');
+					const files = loadOnly
+						? await discoverFiles('messages', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults.messages?.files || [];
+
+					if (files.length > 0) {
+						const { bigquery, mixpanel } = await loadDailyFiles(manifests.messages, files, {
+							...(toBigQuery && { bigquery: (pending) => loadToBigQuery('messages', pending, { cleanup: bigqueryCleanup }) }),
+							...(toMixpanel && { mixpanel: (pending, onDay) => loadMessageEvents(pending, { slackChannels }, { cleanup, onDay }) })
+						}, { reload, onProgress });
+						if (bigquery) bigqueryResults.messages = bigquery;
+						if (mixpanel) loadResults.messages = mixpanel;
+					} else {
+						logger.warn(`[LOAD] ⚠️  No message files to load`);
+					}
+
+					// Rolling emoji usage window, independent of the run's own date range
+					const workspace = workspaceService.currentWorkspace();
+					const lookupTableId = workspace?.emoji_lookup_table_id || (sharedEmojiTable ? null : EMOJI_LOOKUP_TABLE_ID);
+					if (toMixpanel && EMOJI_LOOKUP_TABLE_ID && !lookupTableId) {
+						logger.warn(`[LOAD] ⚠️  Skipping the emoji lookup table for ${workspace.team_id}: EMOJI_LOOKUP_TABLE_ID holds one workspace's emoji, so set emoji_lookup_table_id per workspace`);
+					} else if (toMixpanel && lookupTableId) {
+						const windowStart = dayjs.utc(dateRange.simpleEnd).subtract(parseInt(EMOJI_LOOKUP_DAYS, 10) - 1, 'd').format('YYYY-MM-DD');
+						const emojiFiles = await discoverFiles('emoji', windowStart, dateRange.simpleEnd);
+						loadResults.emoji = await loadEmojiLookupTable(emojiFiles, { slackChannels }, { lookupTableId });
+					}
+				}
+
+				if (pipelines.includes('user-groups')) {
+					reportStage('load', 'user-groups');
+					// User group files are dated by the snapshot (the run date), not the activity date
+					const files = loadOnly
+						? await discoverFiles('user-groups', dateRange.simpleStart, dateRange.simpleEnd)
+						: extractResults['user-groups']?.files || [];
+
+					if (files.length > 0) {
+						if (toMixpanel) {
+							const { mixpanel } = await loadDailyFiles(manifests['user-groups'], files, {
+								mixpanel: (pending, onDay) => loadUserGroups(pending, { cleanup, onDay })
+							}, { reload, onProgress });
+							loadResults['user-groups'] = mixpanel;
+						}
+					} else {
+						logger.warn(`[LOAD] ⚠️  No user group files to load`);
+					}
 				}
 			}
+
+			return { extract: extractResults, load: loadResults, bigquery: bigqueryResults };
+		};
+
+		let stages = null;
+		const workspaceResults = {};
+
+		if (workspaces.length === 0) {
+			stages = await runStages(options.onProgress);
+		} else {
+			for (const configured of workspaces) {
+				const workspace = await resolveWorkspace(configured);
+				const { team_id, team_name } = workspace;
+				// Progress is tracked per pipeline and workspace (e.g. 'members/T0123')
+				const onProgress = options.onProgress && ((event) => options.onProgress({ ...event, pipeline: `${event.pipeline}/${team_id}` }));
+
+				logger.verbose(`\n[MAIN] Workspace: ${team_name ? `${team_name} ` : ''}(${team_id})`);
+				const { extract, load, bigquery } = await workspaceService.runInWorkspace(workspace, () => runStages(onProgress));
+				workspaceResults[team_id] = { team_name, extract, load, ...(toBigQuery && { bigquery }) };
+			}
 		}
 
 		const timing = t.end();
@@ -231,14 +693,18 @@ export async function runPipeline(options = {}) {
 				days: dateRange.days,
 				pipelines: pipelines.join(', '),
 				mode: extractOnly ? 'Extract Only' : loadOnly ? 'Load Only' : 'Extract + Load',
-				cleanup
+				targets: targets.join(', '),
+				cleanup,
+				reload
 			},
-			extract: extractResults,
-			load: loadResults
+			...(stages
+				? { extract: stages.extract, load: stages.load, ...(toBigQuery && { bigquery: stages.bigquery }) }
+				: { workspaces: workspaceResults })
 		};
 
 		// Log completion with structured data
 		logger.summary(`Pipeline Complete: ${timing}`, result);
+		logger.summary('[SLACK] Rate Limits', slackService.getRateLimits());
 
 		logger.verbose(`\n${'='.repeat(80)}`);
 		logger.verbose(`[MAIN] ✅ Pipeline Complete: ${timing}`);
@@ -249,6 +715,10 @@ export async function runPipeline(options = {}) {
 	} catch (error) {
 		logger.error('PIPELINE ERROR:', error);
 		throw error;
+
+	} finally {
+		await stopHeartbeat();
+		await pipelineLock.releaseLocks(locks);
 	}
 }
 
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview BigQuery service for writing Slack analytics to partitioned tables
+ * @module BigQueryService
+ *
+ * Rows are merged idempotently: each batch is loaded into a staging table, then MERGEd into the
+ * target table on its key columns (date + entity ID), so re-running a date range updates rows in place.
+ * Target tables are partitioned by day on `date` and clustered by the entity ID. Schemas are inferred
+ * from the rows; new columns are added to existing tables automatically (existing columns are never changed).
+ * Keys that flatten to the same column are renamed rather than overwritten, and values that don't fit an
+ * existing column's type are counted and logged; neither is dropped silently.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID, createHash } from 'crypto';
+import { BigQuery } from '@google-cloud/bigquery';
+import logger from '../utils/logger.js';
+import 'dotenv/config';
+
+const {
+	gcs_project = 'mixpanel-gtm-training',
+	BIGQUERY_PROJECT,
+	BIGQUERY_LOCATION = 'US'
+} = process.env;
+
+/** @type {import('@google-cloud/bigquery').BigQuery|null} */
+let client = null;
+
+/**
+ * Get the BigQuery client (created on first use)
+ * @returns {import('@google-cloud/bigquery').BigQuery}
+ */
+export function getClient() {
+	if (!client) {
+		client = new BigQuery({ projectId: BIGQUERY_PROJECT || gcs_project });
+	}
+	return client;
+}
+
+/**
+ * Replace the BigQuery client (e.g. with a mock in tests)
+ * @param {Object|null} bigqueryClient - Client with the @google-cloud/bigquery interface (null resets to the default)
+ */
+export function setClient(bigqueryClient) {
+	client = bigqueryClient;
+}
+
+/**
+ * Make a valid BigQuery column name (letters, digits, underscores; lowercase to avoid case collisions)
+ * @param {string} name - Raw key
+ * @returns {string}
+ */
+function toColumnName(name) {
+	const column = String(name).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+	return /^[0-9]/.test(column) ? `_${column}` : column;
+}
+
+/**
+ * Collect a record's leaf values with their key paths
+ * @param {Object} value - Object to walk
+ * @param {Array<string>} keyPath - Keys leading to value
+ * @param {Array<{keyPath: Array<string>, value: *}>} fields - Leaf values found so far
+ * @returns {Array<{keyPath: Array<string>, value: *}>}
+ */
+function collectFields(value, keyPath, fields) {
+	for (const [key, child] of Object.entries(value)) {
+		if (child === null || child === undefined) continue;
+
+		if (Array.isArray(child)) {
+			fields.push({ keyPath: [...keyPath, key], value: JSON.stringify(child) });
+		} else if (typeof child === 'object') {
+			collectFields(child, [...keyPath, key], fields);
+		} else {
+			fields.push({ keyPath: [...keyPath, key], value: child });
+		}
+	}
+	return fields;
+}
+
+/**
+ * Flatten a record into a single level of columns
+ * Nested objects (e.g. ENRICHED.user.real_name) become enriched_user_real_name; arrays are stored as JSON strings.
+ * Keys that normalize to the same column (e.g. `foo.bar` and `foo_bar`) would overwrite each other, so in a
+ * record where that happens, the key already spelled like the column keeps it and the others get a suffix
+ * from a hash of their key path (foo_bar_1b2c3d4e), the same in every record.
+ * @param {Object} record - Record to flatten
+ * @param {Map<string, string>} [renamed] - Collects renamed columns (column → original key path as JSON) for reporting
+ * @returns {Object} Flat row
+ */
+export function flattenRecord(record, renamed) {
+	const byColumn = new Map();
+	for (const field of collectFields(record, [], [])) {
+		const column = toColumnName(field.keyPath.join('_'));
+		if (!byColumn.has(column)) byColumn.set(column, []);
+		byColumn.get(column).push(field);
+	}
+
+	const row = {};
+	for (const [column, fields] of byColumn) {
+		if (fields.length === 1) {
+			row[column] = fields[0].value;
+			continue;
+		}
+
+		// Exact spelling first, then by key path, so the same keys always get the same columns
+		const ranked = fields
+			.map(field => ({ ...field, path: JSON.stringify(field.keyPath), exact: field.keyPath.join('_') === column }))
+			.sort((a, b) => (b.exact - a.exact) || a.path.localeCompare(b.path));
+
+		row[column] = ranked[0].value;
+		for (const { path: keyPath, value } of ranked.slice(1)) {
+			const suffixed = `${column}_${createHash('md5').update(keyPath).digest('hex').slice(0, 8)}`;
+			row[suffixed] = value;
+			renamed?.set(suffixed, keyPath);
+		}
+	}
+	return row;
+}
+
+/**
+ * BigQuery type for a single value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+	if (typeof value === 'boolean') return 'BOOLEAN';
+	if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'FLOAT';
+	return 'STRING';
+}
+
+/**
+ * Infer a schema from flat rows
+ * Mixed INTEGER/FLOAT columns become FLOAT; any other mix becomes STRING. `date` is always DATE (partition column).
+ * @param {Array<Object>} rows - Flat rows
+ * @returns {Array<{name: string, type: string, mode: string}>} Schema fields
+ */
+export function inferSchema(rows) {
+	const types = new Map();
+
+	for (const row of rows) {
+		for (const [name, value] of Object.entries(row)) {
+			if (value === null || value === undefined) continue;
+			const type = typeOf(value);
+			const existing = types.get(name);
+
+			if (!existing || existing === type) {
+				types.set(name, type);
+			} else if ([existing, type].every(t => t === 'INTEGER' || t === 'FLOAT')) {
+				types.set(name, 'FLOAT');
+			} else {
+				types.set(name, 'STRING');
+			}
+		}
+	}
+
+	if (types.has('date')) types.set('date', 'DATE');
+
+	return [...types].map(([name, type]) => ({ name, type, mode: 'NULLABLE' }));
+}
+
+/**
+ * Coerce a value to a column type (used when an existing column's type differs from the inferred one)
+ * @param {*} value
+ * @param {string} type - BigQuery column type
+ * @returns {*} Coerced value (null if it can't be represented; mergeRows counts those)
+ */
+function coerceValue(value, type) {
+	if (value === null || value === undefined) return null;
+
+	switch (type) {
+		case 'STRING':
+		case 'DATE':
+			return String(value);
+		case 'FLOAT':
+			return Number.isFinite(Number(value)) ? Number(value) : null;
+		case 'INTEGER':
+			return Number.isInteger(Number(value)) ? Number(value) : null;
+		case 'BOOLEAN':
+			return typeof value === 'boolean' ? value : null;
+		default:
+			return value;
+	}
+}
+
+/**
+ * Create the dataset if it doesn't exist
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} Dataset
+ */
+async function ensureDataset(datasetId) {
+	const dataset = getClient().dataset(datasetId);
+	const [exists] = await dataset.exists();
+
+	if (!exists) {
+		await dataset.create({ location: BIGQUERY_LOCATION });
+		logger.verbose(`[BIGQUERY] Created dataset ${datasetId}`);
+	}
+
+	return dataset;
+}
+
+/**
+ * Create the target table, or add columns it's missing
+ * @param {Object} dataset - Dataset
+ * @param {string} tableId - Table ID
+ * @param {Array<Object>} fields - Schema fields for this batch
+ * @param {Array<string>} clusterBy - Entity ID columns to cluster by (none for one row per day)
+ * @returns {Promise<Array<Object>>} The table's full schema fields
+ */
+async function ensureTable(dataset, tableId, fields, clusterBy) {
+	const table = dataset.table(tableId);
+	const [exists] = await table.exists();
+
+	if (!exists) {
+		await dataset.createTable(tableId, {
+			schema: { fields },
+			timePartitioning: { type: 'DAY', field: 'date' },
+			...(clusterBy.length > 0 && { clustering: { fields: clusterBy } })
+		});
+		logger.verbose(`[BIGQUERY] Created table ${tableId} (${fields.length} columns, partitioned by date)`);
+		return fields;
+	}
+
+	const [metadata] = await table.getMetadata();
+	const existingFields = metadata.schema?.fields || [];
+	const existingNames = new Set(existingFields.map(field => field.name));
+	const newFields = fields.filter(field => !existingNames.has(field.name));
+
+	if (newFields.length === 0) return existingFields;
+
+	const allFields = [...existingFields, ...newFields];
+	await table.setMetadata({ schema: { fields: allFields } });
+	logger.verbose(`[BIGQUERY] Added ${newFields.length} columns to ${tableId}: ${newFields.map(f => f.name).join(', ')}`);
+	return allFields;
+}
+
+/**
+ * Merge flat rows into a partitioned table, keyed by date + entity
+ * @param {Object} options - Merge options
+ * @param {string} options.datasetId - Dataset ID
+ * @param {string} options.tableId - Target table ID
+ * @param {Array<string>} options.keys - Key columns, date first (e.g., ['date', 'user_id'])
+ * @param {Array<Object>} options.rows - Flat rows (see flattenRecord)
+ * @returns {Promise<{rows: number, columns: number, table: string, nulled: Object<string, number>}>} nulled: values per
+ * column that didn't fit the existing column type and were loaded as NULL
+ * @throws {Error} If rows are missing key columns or a BigQuery job fails
+ */
+export async function mergeRows({ datasetId, tableId, keys, rows }) {
+	if (rows.length === 0) return { rows: 0, columns: 0, table: `${datasetId}.${tableId}`, nulled: {} };
+
+	const missingKeys = keys.filter(key => rows.some(row => row[key] === undefined || row[key] === null));
+	if (missingKeys.length > 0) {
+		throw new Error(`BigQuery rows for ${tableId} are missing key columns: ${missingKeys.join(', ')}`);
+	}
+
+	// One row per key, or MERGE fails (last occurrence wins)
+	const rowsByKey = new Map(rows.map(row => [keys.map(key => row[key]).join('|'), row]));
+	rows = [...rowsByKey.values()];
+
+	const inferred = inferSchema(rows);
+	const dataset = await ensureDataset(datasetId);
+	const tableFields = await ensureTable(dataset, tableId, inferred, keys.filter(key => key !== 'date'));
+
+	// Staging uses the target's column types so the MERGE never has to cast
+	const typeByName = new Map(tableFields.map(field => [field.name, field.type]));
+	const stagingFields = inferred.map(field => ({ ...field, type: typeByName.get(field.name) || field.type }));
+	const nulled = {};
+	const stagingRows = rows.map(row => Object.fromEntries(stagingFields.map(({ name, type }) => {
+		const value = coerceValue(row[name], type);
+		if (value === null && row[name] !== null && row[name] !== undefined) nulled[name] = (nulled[name] || 0) + 1;
+		return [name, value];
+	})));
+
+	if (Object.keys(nulled).length > 0) {
+		const counts = Object.entries(nulled).map(([name, count]) => `${name} (${typeByName.get(name)}): ${count}`);
+		logger.warn(`[BIGQUERY] ⚠️  Values that don't fit ${tableId}'s column types were loaded as NULL: ${counts.join(', ')}`);
+	}
+
+	const stagingId = `${tableId}_staging_${randomUUID().replace(/-/g, '')}`;
+	const tmpFile = path.join(os.tmpdir(), `${stagingId}.jsonl`);
+
+	try {
+		fs.writeFileSync(tmpFile, stagingRows.map(row => JSON.stringify(row)).join('\n'));
+		await dataset.table(stagingId).load(tmpFile, {
+			sourceFormat: 'NEWLINE_DELIMITED_JSON',
+			schema: { fields: stagingFields },
+			createDisposition: 'CREATE_IF_NEEDED',
+			writeDisposition: 'WRITE_TRUNCATE'
+		});
+
+		const dates = stagingRows.map(row => row.date).sort();
+		const columns = stagingFields.map(field => `\`${field.name}\``);
+		const updates = stagingFields
+			.filter(field => !keys.includes(field.name))
+			.map(field => `\`${field.name}\` = S.\`${field.name}\``);
+
+		const query = [
+			`MERGE \`${datasetId}.${tableId}\` T`,
+			`USING \`${datasetId}.${stagingId}\` S`,
+			`ON ${keys.map(key => `T.\`${key}\` = S.\`${key}\``).join(' AND ')}`,
+			`AND T.\`date\` BETWEEN DATE '${dates[0]}' AND DATE '${dates[dates.length - 1]}'`,
+			...(updates.length > 0 ? [`WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}`] : []),
+			`WHEN NOT MATCHED THEN INSERT (${columns.join(', ')}) VALUES (${columns.map(c => `S.${c}`).join(', ')})`
+		].join('\n');
+
+		await getClient().query({ query, location: BIGQUERY_LOCATION });
+		logger.verbose(`[BIGQUERY] Merged ${rows.length} rows into ${datasetId}.${tableId} (${dates[0]} to ${dates[dates.length - 1]})`);
+
+		return { rows: rows.length, columns: stagingFields.length, table: `${datasetId}.${tableId}`, nulled };
+
+	} finally {
+		fs.rmSync(tmpFile, { force: true });
+		await dataset.table(stagingId).delete({ ignoreNotFound: true }).catch(error => {
+			logger.warn(`[BIGQUERY] ⚠️  Failed to delete staging table ${stagingId}: ${error.message}`);
+		});
+	}
+}
+
+export default {
+	getClient,
+	setClient,
+	flattenRecord,
+	inferSchema,
+	mergeRows
+};
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Persistent enrichment cache for users.info / conversations.info results
+ * @module EnrichmentCache
+ *
+ * Enrichment details are stored as JSONL.gz through the storage service so they survive across runs:
+ * { id: 'U123', fetched_at: '2024-01-15T12:00:00.000Z', details: { user, profile, ok } }
+ *
+ * Each entity type has its own TTL. Entries older than the TTL are still served to records
+ * (stale details beat no details), but they are refreshed: never-enriched entities first, then the
+ * most active, then the stalest.
+ * Multi-workspace runs keep one cache per workspace (cache/<team_id>/users.jsonl.gz).
+ * The channels cache is shared by pipelines that can run at the same time (channels, private-channels), so
+ * saves merge with what is stored instead of overwriting it (see mergeCacheRows).
+ *
+ * Refreshes run against a wall-clock budget (ENRICHMENT_BUDGET_MINUTES, split between users and channels by
+ * createEnrichmentBudgets) rather than a fixed count, so each run enriches as much as the Slack rate limits
+ * allow in that time.
+ */
+
+import pLimit from 'p-limit';
+import storage from './storage.js';
+import { workspaceDir } from './workspaces.js';
+import logger from '../utils/logger.js';
+import 'dotenv/config';
+
+const {
+	NODE_ENV,
+	USER_ENRICHMENT_TTL_HOURS = "168",
+	CHANNEL_ENRICHMENT_TTL_HOURS = "168",
+	ENRICHMENT_BUDGET_MINUTES = NODE_ENV === 'production' ? "20" : "1"
+} = process.env;
+
+/** Storage file name and TTL for each cached entity type */
+const ENTITIES = {
+	users: {
+		fileName: 'users.jsonl.gz',
+		ttlHours: parseFloat(USER_ENRICHMENT_TTL_HOURS)
+	},
+	channels: {
+		fileName: 'channels.jsonl.gz',
+		ttlHours: parseFloat(CHANNEL_ENRICHMENT_TTL_HOURS)
+	}
+};
+
+/**
+ * Create an in-memory enrichment cache
+ * @param {('users'|'channels')} entity - Entity type being cached
+ * @param {Array<{id: string, fetched_at: string, details: Object}>} [rows] - Persisted cache rows
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlHours] - Hours before an entry is considered stale (defaults to the entity TTL)
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Object} Enrichment cache
+ */
+export function createEnrichmentCache(entity, rows = [], options = {}) {
+	const config = ENTITIES[entity];
+	if (!config) throw new Error(`Unknown enrichment cache entity: ${entity}`);
+
+	const { ttlHours = config.ttlHours, now = Date.now() } = options;
+	const ttlMs = ttlHours * 60 * 60 * 1000;
+
+	/** @type {Map<string, {id: string, fetched_at: string, details: Object}>} */
+	const entries = new Map(rows.filter(row => row && row.id).map(row => [row.id, row]));
+	/** IDs fetched (or attempted) during this run; never fetched twice in one run */
+	const attempted = new Set();
+	let dirty = false;
+
+	/**
+	 * Age of an entry in ms (Infinity if never fetched)
+	 * @param {string} id
+	 * @returns {number}
+	 */
+	const ageOf = (id) => {
+		const entry = entries.get(id);
+		if (!entry) return Infinity;
+		return now - new Date(entry.fetched_at).getTime();
+	};
+
+	/**
+	 * Fetched within the TTL, or already attempted this run
+	 * @param {string} id
+	 * @returns {boolean}
+	 */
+	const isFresh = (id) => attempted.has(id) || ageOf(id) < ttlMs;
+
+	return {
+		entity,
+		ttlHours,
+
+		/** Number of cached entries */
+		get size() {
+			return entries.size;
+		},
+
+		/** Number of entities fetched during this run */
+		get fetchedThisRun() {
+			return attempted.size;
+		},
+
+		/**
+		 * Get cached details for an ID (stale entries are still returned)
+		 * @param {string} id
+		 * @returns {Object|null}
+		 */
+		get(id) {
+			return entries.get(id)?.details || null;
+		},
+
+		/** Check if an ID was fetched within the TTL (or already attempted this run) */
+		isFresh,
+
+		/**
+		 * IDs that need a refresh: never-fetched first, then most active, then stalest
+		 * @param {Array<string>} ids
+		 * @param {Map<string, number>} [activity] - Activity by ID (e.g. messages posted in the current analytics)
+		 * @returns {Array<string>}
+		 */
+		getRefreshOrder(ids, activity = new Map()) {
+			const neverFetched = (id) => !entries.has(id);
+
+			return ids
+				.filter(id => !isFresh(id))
+				.sort((a, b) => (Number(neverFetched(b)) - Number(neverFetched(a)))
+					|| ((activity.get(b) || 0) - (activity.get(a) || 0))
+					|| (neverFetched(a) ? 0 : ageOf(b) - ageOf(a)));
+		},
+
+		/**
+		 * How many of the given IDs have details (stale or fresh)
+		 * @param {Array<string>} ids - IDs seen in the analytics
+		 * @returns {{total: number, enriched: number, fresh: number, pct: number}}
+		 */
+		coverage(ids) {
+			const enriched = ids.filter(id => entries.get(id)?.details?.ok);
+			const fresh = enriched.filter(id => ageOf(id) < ttlMs || attempted.has(id));
+			return {
+				total: ids.length,
+				enriched: enriched.length,
+				fresh: fresh.length,
+				pct: ids.length > 0 ? Math.round((enriched.length / ids.length) * 1000) / 10 : 100
+			};
+		},
+
+		/**
+		 * Store freshly fetched details
+		 * @param {string} id
+		 * @param {Object} details
+		 */
+		set(id, details) {
+			attempted.add(id);
+			entries.set(id, { id, fetched_at: new Date().toISOString(), details });
+			dirty = true;
+		},
+
+		/**
+		 * Record a failed fetch; previously cached details are kept so records still get enriched
+		 * @param {string} id
+		 * @param {string} message - Error message
+		 */
+		setError(id, message) {
+			attempted.add(id);
+			if (entries.get(id)?.details?.ok) return;
+			entries.set(id, { id, fetched_at: new Date().toISOString(), details: { error: message } });
+			dirty = true;
+		},
+
+		/** Whether the cache has changed since it was loaded */
+		get dirty() {
+			return dirty;
+		},
+
+		/**
+		 * Rows to persist
+		 * @returns {Array<{id: string, fetched_at: string, details: Object}>}
+		 */
+		toRows() {
+			return [...entries.values()];
+		}
+	};
+}
+
+/**
+ * Create a wall-clock budget for enrichment, shared by every enrichment batch in a run
+ * @param {number} [minutes] - Minutes to spend enriching (default: ENRICHMENT_BUDGET_MINUTES, 20 in production, 1 otherwise)
+ * @param {Object} [options] - Budget options
+ * @param {() => number} [options.now] - Clock in ms (for testing)
+ * @returns {Object} Enrichment budget
+ */
+export function createEnrichmentBudget(minutes = parseFloat(ENRICHMENT_BUDGET_MINUTES), options = {}) {
+	const { now = () => Date.now() } = options;
+	const budgetMs = minutes * 60 * 1000;
+	let spentMs = 0;
+	let skipped = 0;
+
+	return {
+		minutes,
+
+		/** Milliseconds left */
+		get remainingMs() {
+			return Math.max(0, budgetMs - spentMs);
+		},
+
+		/** Whether the budget is used up */
+		get exhausted() {
+			return spentMs >= budgetMs;
+		},
+
+		/** Milliseconds used so far */
+		get spentMs() {
+			return Math.min(spentMs, budgetMs);
+		},
+
+		/**
+		 * Fetch IDs in order until they're done or the budget runs out
+		 * Fetches already in flight finish; no new ones start after the deadline.
+		 * @param {Array<string>} ids - IDs in priority order
+		 * @param {(id: string) => Promise<void>} fetchOne - Fetches and caches one ID (must not throw)
+		 * @param {Object} [runOptions] - Run options
+		 * @param {number} [runOptions.concurrency=1] - Fetches in flight
+		 * @returns {Promise<{attempted: number, skipped: number}>}
+		 */
+		async run(ids, fetchOne, runOptions = {}) {
+			const { concurrency = 1 } = runOptions;
+			const limit = pLimit(concurrency);
+			const startedAt = now();
+			const deadline = startedAt + Math.max(0, budgetMs - spentMs);
+			let attempted = 0;
+
+			await Promise.all(ids.map(id => limit(async () => {
+				if (now() >= deadline) return;
+				attempted++;
+				await fetchOne(id);
+			})));
+
+			spentMs += now() - startedAt;
+			if (attempted < ids.length) spentMs = Math.max(spentMs, budgetMs);
+			skipped += ids.length - attempted;
+			return { attempted, skipped: ids.length - attempted };
+		},
+
+		/**
+		 * Budget use for the run summary
+		 * @returns {{budget_minutes: number, spent_minutes: number, exhausted: boolean, skipped: number}}
+		 */
+		summary() {
+			return {
+				budget_minutes: minutes,
+				spent_minutes: Math.round((spentMs / 60000) * 10) / 10,
+				exhausted: spentMs >= budgetMs,
+				skipped
+			};
+		}
+	};
+}
+
+/**
+ * Split a run's enrichment time between entity types, so one can't starve the other
+ * Budgets are created as each entity type's extract starts. Each gets an equal share of the time the
+ * budgets before it left over, so time users don't need goes to channels (and the reverse).
+ * @param {Array<('users'|'channels')>} entities - Entity types the run enriches, in extract order
+ * @param {number} [minutes] - Minutes for the whole run (default: ENRICHMENT_BUDGET_MINUTES)
+ * @param {Object} [options] - Budget options (passed to createEnrichmentBudget)
+ * @returns {{get: (entity: string) => Object, summary: () => Object}} get returns the entity's budget
+ * (createEnrichmentBudget); summary returns each created budget's summary by entity type
+ */
+export function createEnrichmentBudgets(entities, minutes = parseFloat(ENRICHMENT_BUDGET_MINUTES), options = {}) {
+	const budgets = new Map();
+
+	return {
+		get(entity) {
+			if (!budgets.has(entity)) {
+				const spentMs = [...budgets.values()].reduce((total, budget) => total + budget.spentMs, 0);
+				const remaining = Math.max(0, minutes - spentMs / 60000);
+				const entitiesLeft = Math.max(1, entities.filter(name => !budgets.has(name)).length);
+				budgets.set(entity, createEnrichmentBudget(remaining / entitiesLeft, options));
+			}
+			return budgets.get(entity);
+		},
+
+		summary() {
+			return Object.fromEntries([...budgets].map(([entity, budget]) => [entity, budget.summary()]));
+		}
+	};
+}
+
+/**
+ * Storage path of an entity's cache for the current workspace
+ * @param {('users'|'channels')} entity - Entity type
+ * @returns {string}
+ */
+function cacheFilePath(entity) {
+	return `${workspaceDir('cache')}/${ENTITIES[entity].fileName}`;
+}
+
+/**
+ * Load the enrichment cache for an entity type from storage
+ * @param {('users'|'channels')} entity - Entity type
+ * @returns {Promise<Object>} Enrichment cache (empty if no cache file exists or it can't be read)
+ */
+export async function loadEnrichmentCache(entity) {
+	const filePath = cacheFilePath(entity);
+	let rows = [];
+
+	try {
+		if (await storage.fileExists(filePath)) {
+			rows = await storage.readJSONLGz(filePath);
+		}
+	} catch (error) {
+		logger.warn(`[CACHE] ⚠️  Could not read ${entity} enrichment cache, starting empty: ${error.message}`);
+	}
+
+	const cache = createEnrichmentCache(entity, rows);
+	logger.verbose(`[CACHE] Loaded ${cache.size} ${entity} (TTL ${cache.ttlHours}h)`);
+	return cache;
+}
+
+/**
+ * Merge cache rows, keeping the most recently fetched row for each ID
+ * A failed fetch never replaces details that were fetched successfully.
+ * @param {Array<{id: string, fetched_at: string, details: Object}>} stored - Rows currently in storage
+ * @param {Array<{id: string, fetched_at: string, details: Object}>} rows - Rows from this run's cache
+ * @returns {Array<{id: string, fetched_at: string, details: Object}>}
+ */
+export function mergeCacheRows(stored, rows) {
+	const merged = new Map(stored.filter(row => row && row.id).map(row => [row.id, row]));
+
+	for (const row of rows) {
+		const current = merged.get(row.id);
+		const newer = !current || new Date(row.fetched_at) >= new Date(current.fetched_at);
+		const keepsDetails = current?.details?.ok && !row.details?.ok;
+		if (newer && !keepsDetails) merged.set(row.id, row);
+	}
+
+	return [...merged.values()];
+}
+
+/**
+ * Persist the enrichment cache to storage (no-op if nothing changed)
+ * Rows saved by another run since this cache was loaded are merged in, not overwritten.
+ * @param {Object} cache - Enrichment cache from loadEnrichmentCache
+ * @returns {Promise<void>}
+ */
+export async function saveEnrichmentCache(cache) {
+	if (!cache.dirty) return;
+
+	const filePath = cacheFilePath(cache.entity);
+	let stored = [];
+	try {
+		if (await storage.fileExists(filePath)) stored = await storage.readJSONLGz(filePath);
+	} catch (error) {
+		logger.warn(`[CACHE] ⚠️  Could not re-read ${cache.entity} enrichment cache before saving: ${error.message}`);
+	}
+
+	const rows = mergeCacheRows(stored, cache.toRows());
+	await storage.writeJSONLGz(filePath, rows);
+	logger.verbose(`[CACHE] Saved ${rows.length} ${cache.entity} (${cache.fetchedThisRun} refreshed this run)`);
+}
+
+export default {
+	createEnrichmentCache,
+	createEnrichmentBudget,
+	createEnrichmentBudgets,
+	loadEnrichmentCache,
+	mergeCacheRows,
+	saveEnrichmentCache
+};
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Per-pipeline locks stored through the storage service
+ * @module PipelineLock
+ *
+ * Prevents overlapping runs (e.g. Cloud Scheduler and a manual POST /mixpanel-all) from writing
+ * the same files and double-importing events. Each pipeline has its own lock file:
+ * locks/members.lock.json, locks/channels.lock.json, locks/private-channels.lock.json
+ *
+ * Locks are created atomically (local 'wx' flag / GCS ifGenerationMatch: 0 / S3 If-None-Match) and expire after
+ * PIPELINE_LOCK_TTL_MINUTES so a crashed run can't block the pipeline forever. A running pipeline renews its
+ * locks on a heartbeat (every third of the TTL), so the TTL only bounds how long a crashed run blocks others.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import storage from './storage.js';
+import logger from '../utils/logger.js';
+import 'dotenv/config';
+
+const {
+	PIPELINE_LOCK_TTL_MINUTES = "180"
+} = process.env;
+
+/**
+ * Storage path of a pipeline's lock file
+ * @param {string} pipeline - Pipeline name
+ * @returns {string}
+ */
+function lockPath(pipeline) {
+	return `locks/${pipeline}.lock.json`;
+}
+
+/**
+ * Parse lock file contents; unreadable locks are treated as expired
+ * @param {string} content - Lock file contents
+ * @returns {Object} Lock holder details
+ */
+function parseLock(content) {
+	try {
+		return JSON.parse(content);
+	} catch (error) {
+		return { expires_at: new Date(0).toISOString() };
+	}
+}
+
+/**
+ * Create an error for a pipeline that is already locked
+ * @param {string} pipeline - Pipeline name
+ * @param {Object} holder - Current lock contents
+ * @returns {Error} Error with code 'pipeline_locked' and the holder's details
+ */
+function lockedError(pipeline, holder) {
+	const error = new Error(`Pipeline ${pipeline} is already running (locked since ${holder.acquired_at}, expires ${holder.expires_at})`);
+	error.code = 'pipeline_locked';
+	error.holder = holder;
+	return error;
+}
+
+/**
+ * Acquire the lock for a single pipeline, taking over an expired lock if needed
+ * @param {string} pipeline - Pipeline name
+ * @param {Object} details - Holder details stored in the lock
+ * @param {Object} options - Lock options
+ * @param {number} options.ttlMinutes - Minutes before the lock expires
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<Object>} The lock
+ * @throws {Error} With code 'pipeline_locked' if another run holds an unexpired lock
+ */
+async function acquireLock(pipeline, details, { ttlMinutes, now }) {
+	const lock = {
+		pipeline,
+		lock_id: randomUUID(),
+		host: os.hostname(),
+		pid: process.pid,
+		...details,
+		acquired_at: new Date(now).toISOString(),
+		expires_at: new Date(now + ttlMinutes * 60 * 1000).toISOString()
+	};
+
+	// Two attempts: the second one after removing an expired lock
+	for (let attempt = 0; attempt < 2; attempt++) {
+		if (await storage.writeFileIfAbsent(lockPath(pipeline), JSON.stringify(lock))) {
+			logger.verbose(`[LOCK] Acquired ${pipeline} lock (expires ${lock.expires_at})`);
+			return lock;
+		}
+
+		const current = await storage.readFileWithGeneration(lockPath(pipeline));
+		if (!current) continue; // Released between our create and read
+
+		const holder = parseLock(current.content);
+		if (new Date(holder.expires_at).getTime() > now) {
+			throw lockedError(pipeline, holder);
+		}
+
+		logger.warn(`[LOCK] ⚠️  Removing expired ${pipeline} lock (expired ${holder.expires_at})`);
+		await storage.deleteFileIfGeneration(lockPath(pipeline), current.generation);
+	}
+
+	// Another run took over the expired lock first
+	const current = await storage.readFileWithGeneration(lockPath(pipeline));
+	throw lockedError(pipeline, current ? parseLock(current.content) : {});
+}
+
+/**
+ * Release locks (only if they are still ours)
+ * @param {Array<Object>} locks - Locks from acquireLocks
+ * @returns {Promise<void>}
+ */
+export async function releaseLocks(locks = []) {
+	for (const lock of locks) {
+		try {
+			const current = await storage.readFileWithGeneration(lockPath(lock.pipeline));
+			if (!current || parseLock(current.content).lock_id !== lock.lock_id) {
+				logger.warn(`[LOCK] ⚠️  ${lock.pipeline} lock is no longer held by this run`);
+				continue;
+			}
+
+			await storage.deleteFileIfGeneration(lockPath(lock.pipeline), current.generation);
+			logger.verbose(`[LOCK] Released ${lock.pipeline} lock`);
+		} catch (error) {
+			// An unreleased lock expires on its own
+			logger.error(`[LOCK] Failed to release ${lock.pipeline} lock: ${error.message}`);
+		}
+	}
+}
+
+/**
+ * Renew locks (only if they are still ours), pushing expires_at out by the TTL
+ * Never throws: a lock that can't be renewed is logged, and simply expires if the run outlives it
+ * @param {Array<Object>} locks - Locks from acquireLocks (updated in place)
+ * @param {Object} [details] - Holder details to add to each lock (e.g., job_id)
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.ttlMinutes] - Minutes from now before locks expire (default: PIPELINE_LOCK_TTL_MINUTES)
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Promise<number>} Number of locks renewed
+ */
+export async function renewLocks(locks = [], details = {}, options = {}) {
+	const { ttlMinutes = parseFloat(PIPELINE_LOCK_TTL_MINUTES), now = Date.now() } = options;
+	let renewed = 0;
+
+	for (const lock of locks) {
+		try {
+			const current = await storage.readFileWithGeneration(lockPath(lock.pipeline));
+			if (!current || parseLock(current.content).lock_id !== lock.lock_id) {
+				logger.warn(`[LOCK] ⚠️  ${lock.pipeline} lock is no longer held by this run; not renewing it`);
+				continue;
+			}
+
+			const renewedLock = { ...lock, ...details, expires_at: new Date(now + ttlMinutes * 60 * 1000).toISOString() };
+			if (!await storage.replaceFileIfGeneration(lockPath(lock.pipeline), JSON.stringify(renewedLock), current.generation)) {
+				logger.warn(`[LOCK] ⚠️  ${lock.pipeline} lock changed while renewing it; not renewing it`);
+				continue;
+			}
+
+			Object.assign(lock, renewedLock);
+			renewed++;
+			logger.verbose(`[LOCK] Renewed ${lock.pipeline} lock (expires ${lock.expires_at})`);
+		} catch (error) {
+			logger.error(`[LOCK] Failed to renew ${lock.pipeline} lock: ${error.message}`);
+		}
+	}
+
+	return renewed;
+}
+
+/**
+ * Renew locks periodically while a run is alive
+ * @param {Array<Object>} locks - Locks from acquireLocks
+ * @param {Object} [options] - Heartbeat options
+ * @param {number} [options.ttlMinutes] - Minutes before locks expire (default: PIPELINE_LOCK_TTL_MINUTES)
+ * @param {number} [options.intervalMs] - Milliseconds between renewals (default: a third of the TTL)
+ * @returns {Function} Async stop function; waits for an in-flight renewal so it can't race releaseLocks
+ */
+export function startHeartbeat(locks = [], options = {}) {
+	const { ttlMinutes = parseFloat(PIPELINE_LOCK_TTL_MINUTES) } = options;
+	const { intervalMs = ttlMinutes * 60 * 1000 / 3 } = options;
+	let renewing = null;
+
+	const interval = setInterval(() => {
+		if (renewing) return;
+		renewing = renewLocks(locks, {}, { ttlMinutes }).finally(() => {
+			renewing = null;
+		});
+	}, intervalMs);
+	// Don't keep the process alive just to renew locks
+	interval.unref();
+
+	return async () => {
+		clearInterval(interval);
+		await renewing;
+	};
+}
+
+/**
+ * Acquire locks for all pipelines in a run (all or nothing)
+ * @param {Array<string>} pipelines - Pipeline names (e.g., ['members', 'channels'])
+ * @param {Object} [details] - Holder details stored in each lock (e.g., job_id, params)
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.ttlMinutes] - Minutes before locks expire (default: PIPELINE_LOCK_TTL_MINUTES)
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Promise<Array<Object>>} Acquired locks, to pass to releaseLocks
+ * @throws {Error} With code 'pipeline_locked' and holder details if any pipeline is locked
+ */
+export async function acquireLocks(pipelines, details = {}, options = {}) {
+	const { ttlMinutes = parseFloat(PIPELINE_LOCK_TTL_MINUTES), now = Date.now() } = options;
+	const locks = [];
+
+	try {
+		for (const pipeline of pipelines) {
+			locks.push(await acquireLock(pipeline, details, { ttlMinutes, now }));
+		}
+	} catch (error) {
+		await releaseLocks(locks);
+		throw error;
+	}
+
+	return locks;
+}
+
+export default {
+	acquireLocks,
+	renewLocks,
+	startHeartbeat,
+	releaseLocks
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Custom profile field mapping for member profiles
+ * @module ProfileFields
+ *
+ * Field definitions come from team.profile.get; every custom field becomes a Mixpanel user property
+ * named by its label. An optional JSON config (PROFILE_FIELDS_CONFIG) adjusts the mapping:
+ *
+ * {
+ *   "rename": { "Title": "profile_title", "Xf013HAN4A92": "manager" },
+ *   "exclude": ["Pronunciation"],
+ *   "overrides": { "Xf0EXAMPLE01": { "label": "Cost Center", "type": "text" } }
+ * }
+ *
+ * rename and exclude keys match a field ID or label. overrides are merged into the definition with
+ * that ID (or add it, if team.profile.get doesn't return it). Fields of type 'user' hold Slack user IDs
+ * and are resolved to names by the member transform.
+ */
+
+import fs from 'fs';
+import 'dotenv/config';
+
+const { PROFILE_FIELDS_CONFIG } = process.env;
+
+/**
+ * Load the profile field config file
+ * @param {string} [filePath] - Path to a JSON config file (default: PROFILE_FIELDS_CONFIG)
+ * @returns {{rename?: Object<string, string>, exclude?: Array<string>, overrides?: Object<string, Object>}} Config ({} if not configured)
+ * @throws {Error} If the file can't be read or isn't valid JSON
+ */
+export function loadProfileFieldConfig(filePath = PROFILE_FIELDS_CONFIG) {
+	if (!filePath) return {};
+
+	try {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		throw new Error(`Could not load profile field config ${filePath}: ${error.message}`);
+	}
+}
+
+/**
+ * Map custom profile field definitions to Mixpanel property names
+ * @param {Array<{id: string, label: string, type?: string}>} definitions - Field definitions from team.profile.get
+ * @param {Object} [config] - Config from loadProfileFieldConfig
+ * @returns {Array<{id: string, property: string, type: string}>} Field mappings
+ */
+export function resolveProfileFieldMappings(definitions = [], config = {}) {
+	const { rename = {}, exclude = [], overrides = {} } = config;
+
+	const fieldsById = new Map(definitions.map(field => [field.id, { ...field }]));
+	for (const [id, override] of Object.entries(overrides)) {
+		fieldsById.set(id, { id, ...fieldsById.get(id), ...override });
+	}
+
+	const excluded = new Set(exclude);
+
+	return [...fieldsById.values()]
+		.filter(field => field.label && !excluded.has(field.id) && !excluded.has(field.label))
+		.map(field => ({
+			id: field.id,
+			property: rename[field.id] || rename[field.label] || field.label,
+			type: field.type || 'text'
+		}));
+}
+
+export default {
+	loadProfileFieldConfig,
+	resolveProfileFieldMappings
+};
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Per-date extract and load state for each pipeline, stored next to the data
+ * @module RunManifest
+ *
+ * A file's existence can't tell an extracted day from a loaded one, and cleanup deletes loaded files.
+ * Every dated file directory (members, channels, private-channels, messages, member-lifecycle,
+ * channel-lifecycle, channel-membership, user-groups, workspace-activity) keeps a manifest with one row
+ * per date (manifests/members.jsonl.gz, manifests/<team_id>/members.jsonl.gz in multi-workspace runs):
+ * {
+ *   date: '2024-01-15',
+ *   extract: { status: 'extracted', records: 812, enrichment: { total, enriched, fresh, pct }, file, at },
+ *   load: {
+ *     mixpanel: { status: 'loaded', at, events: { status, records, batch: { days, total, success, failed, duplicates } }, profiles: { ... } },
+ *     bigquery: { status: 'loaded', at }
+ *   },
+ *   cleaned_up_at: '2024-01-17T04:20:00.000Z'
+ * }
+ *
+ * The pipeline uses it to decide:
+ * - what to extract: days without a file, except days that were cleaned up after reaching every target of the run
+ * - what to load: days whose current file hasn't been loaded to a target (reload=true loads them again)
+ * Re-extracting a day marks its loads 'superseded': the new file still needs loading, but the day's data did
+ * reach those targets, so a later cleanup doesn't make it look missing to them.
+ * Days without a row (files written before manifests existed) fall back to whether the file exists.
+ * The pipeline lock keeps runs of a pipeline from overlapping, so a run reads its manifest once and
+ * rewrites it as it goes.
+ */
+
+import storage from './storage.js';
+import { workspaceDir } from './workspaces.js';
+import logger from '../utils/logger.js';
+
+/** Load states that mean the day's data reached a target */
+const DELIVERED = ['loaded', 'superseded'];
+
+/**
+ * Create an in-memory manifest for a pipeline
+ * @param {string} pipeline - Pipeline name (e.g., 'members')
+ * @param {Array<Object>} [rows] - Rows from a previous run
+ * @param {Object} [options] - Manifest options
+ * @param {Array<string>} [options.targets=['mixpanel']] - The run's load targets (see needsExtract)
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Object} Run manifest
+ */
+export function createRunManifest(pipeline, rows = [], options = {}) {
+	const { targets = ['mixpanel'], now } = options;
+	const entries = new Map(rows.map(row => [row.date, row]));
+	let dirty = false;
+
+	const timestamp = () => new Date(now ?? Date.now()).toISOString();
+
+	/**
+	 * Row for a date, created if missing (marks the manifest as changed)
+	 * @param {string} date - Date (YYYY-MM-DD)
+	 * @returns {Object}
+	 */
+	const entryFor = (date) => {
+		if (!entries.has(date)) entries.set(date, { date });
+		dirty = true;
+		return entries.get(date);
+	};
+
+	return {
+		pipeline,
+
+		/** Number of dates tracked */
+		get size() {
+			return entries.size;
+		},
+
+		/** Whether anything changed since the last save */
+		get dirty() {
+			return dirty;
+		},
+
+		/**
+		 * Row for a date
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 * @returns {Object|null}
+		 */
+		get(date) {
+			return entries.get(date) || null;
+		},
+
+		/**
+		 * Record a day's extract
+		 * A new file hasn't been loaded anywhere, so its loads are marked superseded.
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 * @param {Object} state - Extract state
+		 * @param {('extracted'|'empty'|'failed')} state.status - Outcome
+		 * @param {number} [state.records] - Records written
+		 * @param {Object} [state.enrichment] - Enrichment coverage of the day's records
+		 * @param {string} [state.file] - Full path of the file written
+		 * @param {string} [state.error] - Error message (failed)
+		 */
+		recordExtract(date, { status, records = 0, enrichment, file, error }) {
+			const entry = entryFor(date);
+			entry.extract = {
+				status,
+				records,
+				...(enrichment && { enrichment }),
+				...(file && { file }),
+				...(error && { error }),
+				at: timestamp()
+			};
+
+			if (status === 'extracted') {
+				for (const [target, load] of Object.entries(entry.load || {})) {
+					if (load.status === 'loaded') entry.load[target] = { ...load, status: 'superseded' };
+				}
+				delete entry.cleaned_up_at;
+			}
+		},
+
+		/**
+		 * Record a day's load to a target
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 * @param {('mixpanel'|'bigquery')} target - Load target
+		 * @param {Object} state - Load state: status ('loaded' or 'failed') plus per-record-type results (see summarizeMixpanelLoad)
+		 */
+		recordLoad(date, target, { status, ...details }) {
+			const entry = entryFor(date);
+			entry.load = { ...entry.load, [target]: { status, ...details, at: timestamp() } };
+		},
+
+		/**
+		 * Record that a day's file was deleted after loading
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 */
+		recordCleanup(date) {
+			entryFor(date).cleaned_up_at = timestamp();
+		},
+
+		/**
+		 * Whether a day needs extracting
+		 * A cleaned-up day is extracted again for a target its data never reached (e.g. one added since).
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 * @param {boolean} fileExists - Whether the day's file is in storage
+		 * @returns {boolean} false if the file exists, or the day was cleaned up after reaching every target of the run
+		 */
+		needsExtract(date, fileExists) {
+			if (fileExists) return false;
+			const entry = entries.get(date);
+			if (entry?.extract?.status !== 'extracted' || !entry.cleaned_up_at) return true;
+			return targets.some(target => !DELIVERED.includes(entry.load?.[target]?.status));
+		},
+
+		/**
+		 * Whether a day's file still needs loading to a target
+		 * @param {string} date - Date (YYYY-MM-DD)
+		 * @param {('mixpanel'|'bigquery')} target - Load target
+		 * @returns {boolean}
+		 */
+		needsLoad(date, target) {
+			return entries.get(date)?.load?.[target]?.status !== 'loaded';
+		},
+
+		/** Mark the manifest as saved */
+		markSaved() {
+			dirty = false;
+		},
+
+		/**
+		 * Rows to persist, by date
+		 * @returns {Array<Object>}
+		 */
+		toRows() {
+			return [...entries.values()].sort((a, b) => a.date.localeCompare(b.date));
+		}
+	};
+}
+
+/**
+ * A day's manifest load state from a Mixpanel load of one or more days (see loadMemberAnalytics / loadChannelAnalytics)
+ * records: what the day's file sent to Mixpanel (mixpanel-import's transform output, counted by record date);
+ * batch: mixpanel-import's counts for the whole upload, which don't split by day
+ * @param {{failed: number, results: Object}} loadResult - Load result
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} { status, events: { status, records, batch: { days, total, success, failed, duplicates } }, profiles: {...}, orgs?: {...} }
+ */
+export function summarizeMixpanelLoad({ failed, results }, date) {
+	const recordTypes = Object.fromEntries(Object.entries(results).map(([recordType, { success, error, days = {}, result = {} }]) => [recordType, {
+		status: success ? 'loaded' : 'failed',
+		records: days[date] || 0,
+		batch: {
+			days: Object.keys(days).length,
+			total: result.total || 0,
+			success: result.success || 0,
+			failed: result.failed || 0,
+			duplicates: result.duplicates || 0
+		},
+		...(error && { error })
+	}]));
+
+	return { status: failed === 0 ? 'loaded' : 'failed', ...recordTypes };
+}
+
+/**
+ * Storage path of a pipeline's manifest for the current workspace
+ * @param {string} pipeline - Pipeline name
+ * @returns {string}
+ */
+function manifestFilePath(pipeline) {
+	return `${workspaceDir('manifests')}/${pipeline}.jsonl.gz`;
+}
+
+/**
+ * Load a pipeline's manifest from storage
+ * @param {string} pipeline - Pipeline name
+ * @param {Object} [options] - Manifest options (see createRunManifest)
+ * @returns {Promise<Object>} Run manifest (empty if no manifest exists or it can't be read)
+ */
+export async function loadRunManifest(pipeline, options = {}) {
+	const filePath = manifestFilePath(pipeline);
+	let rows = [];
+
+	try {
+		if (await storage.fileExists(filePath)) {
+			rows = await storage.readJSONLGz(filePath);
+		}
+	} catch (error) {
+		logger.warn(`[MANIFEST] ⚠️  Could not read ${pipeline} manifest, falling back to stored files: ${error.message}`);
+	}
+
+	const manifest = createRunManifest(pipeline, rows, options);
+	logger.verbose(`[MANIFEST] Loaded ${pipeline}: ${manifest.size} dates`);
+	return manifest;
+}
+
+/**
+ * Persist a manifest to storage (no-op if nothing changed)
+ * @param {Object} manifest - Run manifest from loadRunManifest
+ * @returns {Promise<void>}
+ */
+export async function saveRunManifest(manifest) {
+	if (!manifest.dirty) return;
+
+	await storage.writeJSONLGz(manifestFilePath(manifest.pipeline), manifest.toRows());
+	manifest.markSaved();
+	logger.verbose(`[MANIFEST] Saved ${manifest.pipeline}: ${manifest.size} dates`);
+}
+
+export default {
+	createRunManifest,
+	summarizeMixpanelLoad,
+	loadRunManifest,
+	saveRunManifest
+};
@@ -20,52 +20,80 @@ import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import * as akTools from 'ak-tools';
 import pLimit from 'p-limit';
+import { currentWorkspace } from './workspaces.js';
+import { rateLimiter, isRateLimitError } from '../utils/rate-limiter.js';
 
 dayjs.extend(utc);
-const { progress, sleep } = akTools;
+const { progress } = akTools;
 
-const { slack_bot_token, slack_user_token, NODE_ENV = "unknown", CONCURRENCY = "1" } = process.env;
+const {
+	slack_bot_token,
+	slack_user_token,
+	NODE_ENV = "unknown",
+	CONCURRENCY = "1",
+	ANALYTICS_MAX_ATTEMPTS = "5"
+} = process.env;
 
 if (!slack_bot_token) throw new Error('No slack_bot_token in environment variables');
 if (!slack_user_token) throw new Error('No slack_user_token in environment variables');
 
+/** Concurrent admin.analytics.getFile days (request pacing is up to the rate limiter) */
 const limit = pLimit(parseInt(CONCURRENCY, 10));
 const initStartTime = Date.now();
 
+/**
+ * Create a Slack client that hands 429s to the caller instead of retrying them itself,
+ * so the shared rate limiter can slow down (see utils/rate-limiter.js)
+ * @param {string} token - Bot or user token
+ * @returns {WebClient}
+ */
+function createClient(token) {
+	return new WebClient(token, { rejectRateLimitedCalls: true });
+}
+
 /** @type {WebClient} */
-const slackBotClient = new WebClient(slack_bot_token);
+const slackBotClient = createClient(slack_bot_token);
 /** @type {WebClient} */
-const slackUserClient = new WebClient(slack_user_token);
+const slackUserClient = createClient(slack_user_token);
 
-/** @type {Object.<string, any>} */
-const cache = {};
+/** @type {Map<string, WebClient>} Clients for workspaces with their own tokens, by token */
+const workspaceClients = new Map();
+
+/** @type {Map<string, Object.<string, any>>} Response caches, by team_id ('' outside a workspace) */
+const caches = new Map();
 
 /**
- * Slack API Rate Limit Tiers and Safe Request Delays
- *
- * Based on Slack's documented rate limits: https://api.slack.com/docs/rate-limits
- * Delays are calculated with ~10% safety buffer to avoid 429 errors
- *
- * Reference: https://api.slack.com/docs/rate-limits
- * - Tier 1: 1+ requests per minute (most restrictive)
- * - Tier 2: 20+ requests per minute
- * - Tier 3: 50+ requests per minute
- * - Tier 4: 100+ requests per minute (most generous)
- * - Special: Unique rate limiting (e.g., auth.test allows hundreds/min)
- *
- * Formula: delay_ms = (60000 / target_requests_per_min)
- * - Tier 1: 60000ms per request (1/min)
- * - Tier 2: 3000ms per request (20/min)
- * - Tier 3: 1333ms per request (~45/min with buffer)
- * - Tier 4: 667ms per request (~90/min with buffer)
+ * Response cache for the current workspace
+ * @returns {Object.<string, any>}
  */
-const RATE_LIMIT_DELAYS = {
-	TIER_1: 60000,    // 1 request per minute
-	TIER_2: 3000,     // ~20 requests per minute
-	TIER_3: 1333,     // ~45 requests per minute
-	TIER_4: 667,      // ~90 requests per minute
-	TIER_SPECIAL: 0   // No rate limits (auth.test, etc.)
-};
+function getCache() {
+	const teamId = currentWorkspace()?.team_id || '';
+	if (!caches.has(teamId)) caches.set(teamId, {});
+	return caches.get(teamId);
+}
+
+/**
+ * Client for the current workspace's token, falling back to the default (org) client
+ * @param {('bot'|'user')} clientType - Token type
+ * @returns {WebClient}
+ */
+function getClient(clientType) {
+	const token = currentWorkspace()?.[`${clientType}_token`];
+	if (!token) return clientType === 'user' ? slackUserClient : slackBotClient;
+
+	if (!workspaceClients.has(token)) workspaceClients.set(token, createClient(token));
+	return workspaceClients.get(token);
+}
+
+/**
+ * team_id argument for list methods called with an org-level token inside a workspace
+ * @param {('bot'|'user')} clientType - Token type the call uses
+ * @returns {{team_id?: string}}
+ */
+function teamScope(clientType) {
+	const workspace = currentWorkspace();
+	return workspace && !workspace[`${clientType}_token`] ? { team_id: workspace.team_id } : {};
+}
 
 /**
  * Initialize Slack service and test authentication for both bot and user tokens
@@ -96,7 +124,7 @@ async function initializeSlack() {
 async function testAuth(clientType = 'bot') {
 	try {
 		const client = clientType === 'user' ? slackUserClient : slackBotClient;
-		const response = await client.auth.test();
+		const response = await rateLimiter.call('auth.test', () => client.auth.test());
 		console.log(`SLACK: ${clientType} token validated`);
 		return response;
 	} catch (error) {
@@ -111,8 +139,11 @@ async function testAuth(clientType = 'bot') {
  * @param {string} [endDate] - End date in YYYY-MM-DD format (defaults to 2 days ago)
  * @param {('member'|'public_channel'|'private_channel')} [type='member'] - Analytics type to fetch
  * @param {boolean} [streamResult=true] - Whether to return Highland stream (true) or consolidated array (false)
+ * @param {Object} [options] - Optional retry parameters
+ * @param {number} [options.maxAttempts] - Attempts per date when rate limited (default: ANALYTICS_MAX_ATTEMPTS or 5)
  * @returns {Promise<any|SlackAnalyticsRecord[]>} Highland stream of analytics records or array of all records
- * @throws {Error} When API calls fail (unless known errors like data_not_available)
+ * @throws {Error} When API calls fail (unless known errors like data_not_available), including
+ * dates that are still rate limited after maxAttempts (error.code === 'ratelimited', error.date set)
  * @slack-api-method admin.analytics.getFile
  * @slack-rate-limit Tier 2 (20 requests per minute)
  * @example
@@ -123,7 +154,7 @@ async function testAuth(clientType = 'bot') {
  * // Get all analytics as array
  * const data = await analytics('2024-01-01', '2024-01-07', 'member', false);
  */
-async function analytics(startDate, endDate, type = 'member', streamResult = true) {
+async function analytics(startDate, endDate, type = 'member', streamResult = true, options = {}) {
 	// Ensure Slack is initialized before making API calls
 	await ensureSlackInitialized();
 
@@ -137,10 +168,36 @@ async function analytics(startDate, endDate, type = 'member', streamResult = tru
 	
 	// Removed verbose per-call logging - progress is shown in extract stage
 	
+	const { maxAttempts = parseInt(ANALYTICS_MAX_ATTEMPTS, 10) || 5 } = options;
+	const workspace = currentWorkspace();
 	const internalStream = streamResult ? _() : null;
 	const results = [];
 	let completed = 0;
 
+	/**
+	 * Call admin.analytics.getFile for a date; the rate limiter retries rate limited calls after Retry-After
+	 * @param {string} date - Date in YYYY-MM-DD format
+	 * @returns {Promise<any>} getFile response
+	 * @throws {Error} When the date is still rate limited after maxAttempts, or on any other error
+	 */
+	const getFileWithRetry = async (date) => {
+		/** @type {import('@slack/web-api').AdminAnalyticsGetFileArguments} */
+		const fileOptions = { date, type };
+
+		try {
+			return await rateLimiter.call('admin.analytics.getFile', () => getClient('user').admin.analytics.getFile(fileOptions), { maxAttempts });
+		} catch (error) {
+			if (!isRateLimitError(error)) throw error;
+
+			const rateLimitError = new Error(`Rate limited on ${date} after ${maxAttempts} attempts`);
+			// @ts-ignore - annotate error for callers tracking failed dates
+			rateLimitError.code = 'ratelimited';
+			// @ts-ignore - annotate error for callers tracking failed dates
+			rateLimitError.date = date;
+			throw rateLimitError;
+		}
+	};
+
 	/**
 	 * Fetch analytics data for a specific date
 	 * @param {string} date - Date in YYYY-MM-DD format
@@ -148,15 +205,18 @@ async function analytics(startDate, endDate, type = 'member', streamResult = tru
 	 */
 	const fetchData = async (date) => {
 		try {
-			/** @type {import('@slack/web-api').AdminAnalyticsGetFileArguments} */
-			const options = { date, type };
-			const response = await slackUserClient.admin.analytics.getFile(options);
+			const response = await getFileWithRetry(date);
 			
 			if (!response || !response.file_data) {
 				throw new Error('Failed to get file data from Slack API');
 			}
 			
-			const fileData = response.file_data;
+			// Org-level files cover every workspace in the org; keep the current workspace's rows
+			// (members carry team_id, channels the team they were created in)
+			const teamOf = (record) => record.team_id || record.originating_team?.team_id;
+			const fileData = workspace
+				? response.file_data.filter(record => !teamOf(record) || teamOf(record) === workspace.team_id)
+				: response.file_data;
 			
 			if (internalStream) {
 				fileData.forEach(record => internalStream.write(record));
@@ -170,23 +230,10 @@ async function analytics(startDate, endDate, type = 'member', streamResult = tru
 				console.log(`📊 SLACK PROGRESS: ${completed}/${daysToFetch.length} days completed (${Math.round(completed/daysToFetch.length*100)}%)`);
 			}
 
-			// Tier 2 rate limit: 20/min → 3000ms per request (using 1500-3000ms with jitter)
-			// Formula: 60000ms / 20 requests/min = 3000ms
-			const baseDelay = 1500;
-			const jitter = Math.floor(Math.random() * 1500); // 0-1500ms random jitter
-			await sleep(baseDelay + jitter); // 1500-3000ms between requests
 			return Promise.resolve();
 			
 		} catch (error) {
 			const knownErrors = ['data_not_available', 'file_not_yet_available', 'file_not_found'];
-			const isRateLimit = error?.data?.error === 'ratelimited';
-			
-			if (isRateLimit) {
-				console.log(`⏱️  Rate limited on ${date}, waiting 60 seconds before continuing...`);
-				await sleep(60000); // Wait 60 seconds for rate limit
-				// Don't increment completed counter for rate limited requests
-				return Promise.resolve();
-			}
 			
 			if (!knownErrors.includes(error?.data?.error)) {
 				console.error(`Error fetching analytics data for date ${date}:`, error);
@@ -215,33 +262,42 @@ async function analytics(startDate, endDate, type = 'member', streamResult = tru
 
 /**
  * Fetch all Slack channels with caching and pagination support
- * @returns {Promise<SlackChannel[]>} Array of channel objects (excludes archived channels)
+ * @param {Object} [options] - Optional listing parameters
+ * @param {string} [options.types='public_channel'] - Comma-separated conversation types (public_channel, private_channel)
+ * @param {boolean} [options.excludeArchived=true] - Whether to exclude archived channels
+ * @returns {Promise<SlackChannel[]>} Array of channel objects (excludes archived channels by default)
  * @throws {Error} When API calls fail
  * @slack-api-method conversations.list
  * @slack-rate-limit Tier 2 (20 requests per minute)
  * @example
  * const channels = await getChannels();
  * console.log(`Found ${channels.length} active channels`);
+ *
+ * // Private channels visible to the user token
+ * const privateChannels = await getChannels({ types: 'private_channel' });
  */
-async function getChannels() {
+async function getChannels(options = {}) {
 	// Ensure Slack is initialized before making API calls
 	await ensureSlackInitialized();
+	const cache = getCache();
 
-	if (cache.channels) return cache.channels;
+	const { types = 'public_channel', excludeArchived = true } = options;
+	const cacheKey = `channels:${types}:${excludeArchived}`;
+	if (cache[cacheKey]) return cache[cacheKey];
 
 	const channels = [];
-	const options = { exclude_archived: true, limit: 1000 };
-	const firstResponse = await slackUserClient.conversations.list(options);
+	const listOptions = { exclude_archived: excludeArchived, types, limit: 1000, ...teamScope('user') };
+	const firstResponse = await rateLimiter.call('conversations.list', () => getClient('user').conversations.list(listOptions));
 	channels.push(...firstResponse.channels);
 	
 	let { next_cursor = "" } = firstResponse.response_metadata;
 	while (next_cursor) {
-		const response = await slackUserClient.conversations.list({ ...options, cursor: next_cursor });
+		const response = await rateLimiter.call('conversations.list', () => getClient('user').conversations.list({ ...listOptions, cursor: next_cursor }));
 		channels.push(...response.channels);
 		next_cursor = response.response_metadata.next_cursor;
 	}
 	
-	cache.channels = channels;
+	cache[cacheKey] = channels;
 	return channels;
 }
 
@@ -259,17 +315,18 @@ async function getChannels() {
 async function getUsers() {
 	// Ensure Slack is initialized before making API calls
 	await ensureSlackInitialized();
+	const cache = getCache();
 
 	if (cache.users) return cache.users;
 
 	const users = [];
-	const options = { limit: 1000, include_locale: true };
-	const firstResponse = await slackUserClient.users.list(options);
+	const options = { limit: 1000, include_locale: true, ...teamScope('user') };
+	const firstResponse = await rateLimiter.call('users.list', () => getClient('user').users.list(options));
 	users.push(...firstResponse.members);
 
 	let { next_cursor = "" } = firstResponse.response_metadata;
 	while (next_cursor) {
-		const response = await slackUserClient.users.list({ ...options, cursor: next_cursor });
+		const response = await rateLimiter.call('users.list', () => getClient('user').users.list({ ...options, cursor: next_cursor }));
 		users.push(...response.members);
 		next_cursor = response.response_metadata.next_cursor;
 	}
@@ -278,6 +335,104 @@ async function getUsers() {
 	return users;
 }
 
+/**
+ * Fetch the workspace's custom profile field definitions with caching
+ * @returns {Promise<Array<{id: string, label: string, type: string}>>} Field definitions (type is e.g. 'text', 'date', 'link', 'options_list', 'user')
+ * @throws {Error} When API calls fail (e.g. missing users.profile:read scope)
+ * @slack-api-method team.profile.get
+ * @slack-rate-limit Tier 3 (50 requests per minute)
+ * @example
+ * const fields = await getProfileFields();
+ * console.log(fields.map(f => `${f.id}: ${f.label} (${f.type})`));
+ */
+async function getProfileFields() {
+	await ensureSlackInitialized();
+	const cache = getCache();
+
+	if (cache.profileFields) return cache.profileFields;
+
+	const response = await rateLimiter.call('team.profile.get', () => getClient('bot').team.profile.get());
+	cache.profileFields = response.profile?.fields || [];
+	return cache.profileFields;
+}
+
+/**
+ * Fetch the workspace's custom emoji with caching
+ * @returns {Promise<Object<string, string>>} Emoji name → image URL (aliases are 'alias:<name>')
+ * @throws {Error} When API calls fail (e.g. missing emoji:read scope)
+ * @slack-api-method emoji.list
+ * @slack-rate-limit Tier 2 (20 requests per minute)
+ * @example
+ * const emoji = await getCustomEmoji();
+ * console.log(Object.keys(emoji).length, 'custom emoji');
+ */
+async function getCustomEmoji() {
+	await ensureSlackInitialized();
+	const cache = getCache();
+
+	if (cache.customEmoji) return cache.customEmoji;
+
+	const response = await rateLimiter.call('emoji.list', () => getClient('bot').emoji.list());
+	cache.customEmoji = response.emoji || {};
+	return cache.customEmoji;
+}
+
+/**
+ * Fetch a workspace's name and domain with caching
+ * @param {string} teamId - Slack team (workspace) ID
+ * @returns {Promise<{id: string, name: string, domain: string}>} Team details
+ * @throws {Error} When API calls fail (e.g. missing team:read scope)
+ * @slack-api-method team.info
+ * @slack-rate-limit Tier 3 (50 requests per minute)
+ * @example
+ * const team = await getTeamInfo('T1234567890');
+ * console.log(team.name, team.domain);
+ */
+async function getTeamInfo(teamId) {
+	await ensureSlackInitialized();
+	const cache = getCache();
+
+	cache.teams = cache.teams || {};
+	if (cache.teams[teamId]) return cache.teams[teamId];
+
+	const response = await rateLimiter.call('team.info', () => getClient('bot').team.info({ team: teamId }));
+	cache.teams[teamId] = response.team;
+	return response.team;
+}
+
+/**
+ * Fetch the workspace's active user groups, with their members, with caching
+ * usergroups.list can return a truncated users array for large groups, so those are re-read with usergroups.users.list
+ * @returns {Promise<Array<{id: string, handle: string, name: string, description?: string, user_count: number, users: Array<string>}>>} User groups
+ * @throws {Error} When API calls fail (e.g. missing usergroups:read scope)
+ * @slack-api-method usergroups.list, usergroups.users.list
+ * @slack-rate-limit Tier 2 (20 requests per minute)
+ * @example
+ * const groups = await getUserGroups();
+ * console.log(groups.map(g => `@${g.handle}: ${g.users.length} members`));
+ */
+async function getUserGroups() {
+	await ensureSlackInitialized();
+	const cache = getCache();
+
+	if (cache.userGroups) return cache.userGroups;
+
+	const response = await rateLimiter.call('usergroups.list', () => getClient('bot').usergroups.list({ include_users: true, include_count: true, include_disabled: false, ...teamScope('bot') }));
+	const userGroups = [];
+
+	for (const group of response.usergroups || []) {
+		let users = group.users || [];
+		if (group.user_count > users.length) {
+			const members = await rateLimiter.call('usergroups.users.list', () => getClient('bot').usergroups.users.list({ usergroup: group.id }));
+			users = members.users || [];
+		}
+		userGroups.push({ ...group, users });
+	}
+
+	cache.userGroups = userGroups;
+	return userGroups;
+}
+
 /**
  * Get all messages for a specific user with optional filtering
  * @param {string} userId - The Slack user ID to get messages for
@@ -292,7 +447,7 @@ async function getUsers() {
  * @returns {Promise<UserMessage[]>} Array of all messages from the user
  * @throws {Error} When API calls fail
  * @slack-api-method search.messages, conversations.history
- * @slack-rate-limit Tier 2 (20/min for search.messages), Tier 1 (1/min for conversations.history - non-Marketplace apps)
+ * @slack-rate-limit Tier 2 (20/min for search.messages), Tier 3 (50/min for conversations.history)
  * @example
  * // Get all messages from user in last 30 days
  * const messages = await getUserMessages('U1234567890', {
@@ -344,10 +499,11 @@ async function getUserMessages(userId, options = {}) {
 				sort: /** @type {'timestamp' | 'score'} */ ('timestamp'),
 				sort_dir: /** @type {'desc' | 'asc'} */ ('desc'),
 				...(oldest && { oldest }),
-				...(latest && { latest })
+				...(latest && { latest }),
+				...teamScope('user')
 			};
 
-			const response = await limit(() => slackUserClient.search.messages(searchOptions));
+			const response = await rateLimiter.call('search.messages', () => getClient('user').search.messages(searchOptions));
 
 			if (!response.messages || !response.messages.matches) {
 				break;
@@ -371,13 +527,13 @@ async function getUserMessages(userId, options = {}) {
 				if (includeReactions || includeReplies) {
 					try {
 						// Get detailed message info to include reactions and thread info
-						const detailResponse = await slackUserClient.conversations.history({
+						const detailResponse = await rateLimiter.call('conversations.history', () => getClient('user').conversations.history({
 							channel: message.channel.id,
 							latest: message.ts,
 							oldest: message.ts,
 							inclusive: true,
 							limit: 1
-						});
+						}));
 
 						if (detailResponse.messages && detailResponse.messages.length > 0) {
 							const detailedMessage = detailResponse.messages[0];
@@ -426,9 +582,6 @@ async function getUserMessages(userId, options = {}) {
 			}
 
 			page++;
-
-			// Rate limiting - search API has strict limits
-			await sleep(1000);
 		}
 
 	} catch (error) {
@@ -536,7 +689,7 @@ async function getUserMessageAnalytics(userId, options = {}) {
  * @returns {Promise<ChannelMessage[]>} Array of all messages from the channel
  * @throws {Error} When API calls fail
  * @slack-api-method conversations.history
- * @slack-rate-limit Tier 1 (1/min for non-Marketplace apps as of May 2025)
+ * @slack-rate-limit Tier 3 (50 requests per minute; Tier 1 for non-Marketplace apps created since May 2025)
  * @example
  * // Get all messages from channel in last 3 days (default)
  * const messages = await getChannelMessages('C1234567890');
@@ -580,7 +733,7 @@ async function getChannelMessages(channelId, options = {}) {
 				...(cursor && { cursor })
 			};
 
-			const response = await limit(() => slackUserClient.conversations.history(historyOptions));
+			const response = await rateLimiter.call('conversations.history', () => getClient('user').conversations.history(historyOptions));
 
 			if (!response.messages || response.messages.length === 0) {
 				break;
@@ -595,10 +748,13 @@ async function getChannelMessages(channelId, options = {}) {
 					text: message.text || '',
 					ts: message.ts,
 					user: message.user,
+					subtype: message.subtype,
+					bot_id: message.bot_id,
+					thread_ts: message.thread_ts,
 					channel_id: channelId,
 					channel_name: '', // Will be filled if we have channel info cached
 					// @ts-ignore - team.domain may not be in type definition
-					permalink: `https://${slackUserClient.team?.domain || 'workspace'}.slack.com/archives/${channelId}/p${message.ts.replace('.', '')}`
+					permalink: `https://${getClient('user').team?.domain || 'workspace'}.slack.com/archives/${channelId}/p${message.ts.replace('.', '')}`
 				};
 
 				// Add reaction and reply data if requested
@@ -635,9 +791,6 @@ async function getChannelMessages(channelId, options = {}) {
 			}
 
 			cursor = response.response_metadata.next_cursor;
-
-			// Rate limiting between requests
-			await sleep(1000);
 		}
 
 	} catch (error) {
@@ -654,6 +807,70 @@ async function getChannelMessages(channelId, options = {}) {
 	return finalMessages;
 }
 
+/**
+ * Get the replies in a thread (excluding the parent message)
+ * @param {string} channelId - The Slack channel ID
+ * @param {string} threadTs - Timestamp of the thread's parent message
+ * @returns {Promise<Array<{ts: string, thread_ts: string, user?: string, bot_id?: string, subtype?: string, text?: string, reactions?: Array}>>} Replies, oldest first
+ * @throws {Error} When API calls fail
+ * @slack-api-method conversations.replies
+ * @slack-rate-limit Tier 3 (50 requests per minute)
+ * @example
+ * const replies = await getThreadReplies('C1234567890', '1705312800.000100');
+ * console.log(`First reply after ${replies[0].ts - 1705312800.000100}s`);
+ */
+async function getThreadReplies(channelId, threadTs) {
+	await ensureSlackInitialized();
+
+	const replies = [];
+	let cursor = null;
+
+	do {
+		const response = await rateLimiter.call('conversations.replies', () => getClient('user').conversations.replies({
+			channel: channelId,
+			ts: threadTs,
+			limit: 200,
+			...(cursor && { cursor })
+		}));
+
+		replies.push(...(response.messages || []).filter(message => message.ts !== threadTs));
+		cursor = response.has_more ? response.response_metadata?.next_cursor : null;
+	} while (cursor);
+
+	return replies.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+}
+
+/**
+ * Get the member IDs of a channel
+ * @param {string} channelId - The Slack channel ID
+ * @returns {Promise<Array<string>>} User IDs of the channel's members
+ * @throws {Error} When API calls fail (e.g. a private channel the token isn't in)
+ * @slack-api-method conversations.members
+ * @slack-rate-limit Tier 4 (100 requests per minute)
+ * @example
+ * const members = await getChannelMembers('C1234567890');
+ * console.log(`${members.length} members`);
+ */
+async function getChannelMembers(channelId) {
+	await ensureSlackInitialized();
+
+	const members = [];
+	let cursor = null;
+
+	do {
+		const response = await rateLimiter.call('conversations.members', () => getClient('user').conversations.members({
+			channel: channelId,
+			limit: 1000,
+			...(cursor && { cursor })
+		}));
+
+		members.push(...(response.members || []));
+		cursor = response.response_metadata?.next_cursor || null;
+	} while (cursor);
+
+	return members;
+}
+
 /**
  * Get detailed information about a specific user
  * @param {string} userId - The Slack user ID
@@ -671,8 +888,8 @@ async function getUserDetails(userId) {
 	try {
 		// Fetch both user info and profile in parallel
 		const [userInfo, profileInfo] = await Promise.all([
-			slackBotClient.users.info({ user: userId }),
-			slackBotClient.users.profile.get({ user: userId })
+			rateLimiter.call('users.info', () => getClient('bot').users.info({ user: userId })),
+			rateLimiter.call('users.profile.get', () => getClient('bot').users.profile.get({ user: userId }))
 		]);
 
 		return {
@@ -692,7 +909,7 @@ async function getUserDetails(userId) {
  * @returns {Promise<Object>} Channel details
  * @throws {Error} When API calls fail
  * @slack-api-method conversations.info
- * @slack-rate-limit Tier 3 (50 requests per minute) - enrichment intentionally pushes limit for performance
+ * @slack-rate-limit Tier 3 (50 requests per minute)
  * @example
  * const details = await getChannelDetails('C1234567890');
  * console.log(details.channel.name, details.channel.topic);
@@ -701,7 +918,7 @@ async function getChannelDetails(channelId) {
 	await ensureSlackInitialized();
 
 	try {
-		const response = await slackUserClient.conversations.info({ channel: channelId });
+		const response = await rateLimiter.call('conversations.info', () => getClient('user').conversations.info({ channel: channelId }));
 
 		return {
 			channel: response.channel,
@@ -832,13 +1049,20 @@ const slackService = {
 	analytics,
 	getChannels,
 	getUsers,
+	getProfileFields,
+	getCustomEmoji,
+	getTeamInfo,
+	getUserGroups,
 	getUserDetails,
 	getChannelDetails,
 	getUserMessages,
 	getUserMessageAnalytics,
 	getChannelMessages,
+	getThreadReplies,
+	getChannelMembers,
 	getChannelMessageAnalytics,
-	testAuth
+	testAuth,
+	getRateLimits: () => rateLimiter.getStats()
 };
 
 // Direct execution capability for debugging
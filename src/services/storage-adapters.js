@@ -0,0 +1,587 @@
+/**
+ * @fileoverview Storage backends (local filesystem, GCS, S3-compatible) behind one adapter interface
+ * @module StorageAdapters
+ *
+ * services/storage.js picks an adapter from the storage path and builds JSONL.gz reads/writes,
+ * locks and listings on top of it. Every adapter works on keys relative to its root
+ * (e.g. 'members/2024-01-01-members.jsonl.gz') and implements:
+ * - write(key, body, options) / read(key) / exists(key) / list(dir) / delete(key) / stat(key); delete() returns
+ *   false when there was nothing to delete
+ * - readStream(key) for streamed reads; write() takes a Buffer or a Readable and only makes the file
+ *   visible once the whole body is stored
+ * - createIfAbsent(key, content) / readWithGeneration(key) / replaceIfGeneration(key, content, generation) /
+ *   deleteIfGeneration(key, generation) for locks
+ * - fullPath(key) / relativePath(fullPath) to convert to and from the paths handed to mixpanel-import
+ * Adapters whose full paths mixpanel-import can't read itself set importOptions to null.
+ *
+ * Storage paths:
+ * - ./tmp (or any local directory)
+ * - gs://bucket/prefix
+ * - s3://bucket/prefix - AWS S3, or any S3-compatible store (MinIO, R2) with S3_ENDPOINT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Storage as GCSStorage } from '@google-cloud/storage';
+import {
+	S3Client,
+	PutObjectCommand,
+	GetObjectCommand,
+	HeadObjectCommand,
+	DeleteObjectCommand,
+	ListObjectsV2Command,
+	CreateMultipartUploadCommand,
+	UploadPartCommand,
+	CompleteMultipartUploadCommand,
+	AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import 'dotenv/config';
+
+const {
+	gcs_project = 'mixpanel-gtm-training',
+	S3_REGION,
+	AWS_REGION,
+	S3_ENDPOINT,
+	AWS_ACCESS_KEY_ID,
+	AWS_SECRET_ACCESS_KEY
+} = process.env;
+
+/** S3 multipart part size; streamed uploads hold at most one part in memory (S3 minimum: 5 MB) */
+const S3_PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Readable for a write body
+ * @param {Buffer|Readable} body - Buffer or stream
+ * @returns {Readable}
+ */
+function toReadable(body) {
+	return Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+}
+
+/**
+ * Parse a bucket URL into bucket and prefix
+ * @param {string} url - Bucket URL (gs://bucket/path or s3://bucket/path)
+ * @param {('gs'|'s3')} scheme - Expected scheme
+ * @returns {{bucket: string, prefix: string}} Prefix without leading or trailing slashes
+ * @throws {Error} If the URL isn't a bucket URL for the scheme
+ */
+export function parseBucketUrl(url, scheme) {
+	const match = url.match(new RegExp(`^${scheme}:\\/\\/([^\\/]+)\\/?(.*)$`));
+	if (!match) {
+		throw new Error(`Invalid ${scheme === 'gs' ? 'GCS' : 'S3'} path: ${url}`);
+	}
+	return {
+		bucket: match[1],
+		prefix: match[2].replace(/\/+$/, '')
+	};
+}
+
+/**
+ * Local filesystem adapter
+ * @param {string} [basePath='./tmp'] - Root directory
+ * @returns {Object} Storage adapter
+ */
+export function createLocalAdapter(basePath = './tmp') {
+	const resolve = (key) => path.join(basePath, key);
+
+	return {
+		name: 'local',
+		remote: false,
+		root: basePath,
+
+		async write(key, body) {
+			const fullPath = resolve(key);
+			const tempPath = `${fullPath}.${process.pid}.tmp`;
+			await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+			// Write beside the file and rename, so a failed write leaves nothing behind
+			try {
+				await pipeline(toReadable(body), fs.createWriteStream(tempPath));
+				await fs.promises.rename(tempPath, fullPath);
+			} catch (error) {
+				await fs.promises.rm(tempPath, { force: true });
+				throw error;
+			}
+			return fullPath;
+		},
+
+		async read(key) {
+			return fs.promises.readFile(resolve(key));
+		},
+
+		async readStream(key) {
+			return fs.createReadStream(resolve(key));
+		},
+
+		async exists(key) {
+			return fs.existsSync(resolve(key));
+		},
+
+		async list(dir) {
+			const fullPath = resolve(dir);
+			if (!fs.existsSync(fullPath)) return [];
+
+			return fs.readdirSync(fullPath, { withFileTypes: true })
+				.filter(entry => entry.isFile())
+				.map(entry => path.posix.join(dir, entry.name));
+		},
+
+		async delete(key) {
+			const fullPath = resolve(key);
+			if (!fs.existsSync(fullPath)) return false;
+			fs.unlinkSync(fullPath);
+			return true;
+		},
+
+		async stat(key) {
+			try {
+				const { size, mtimeMs, mtime } = fs.statSync(resolve(key));
+				return { size, generation: String(mtimeMs), updated: mtime.toISOString() };
+			} catch (error) {
+				if (error.code === 'ENOENT') return null;
+				throw error;
+			}
+		},
+
+		async createIfAbsent(key, content) {
+			const fullPath = resolve(key);
+			fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+
+			try {
+				fs.writeFileSync(fullPath, content, { flag: 'wx' });
+				return true;
+			} catch (error) {
+				if (error.code === 'EEXIST') return false;
+				throw error;
+			}
+		},
+
+		async readWithGeneration(key) {
+			const fullPath = resolve(key);
+
+			try {
+				const { mtimeMs } = fs.statSync(fullPath);
+				return { content: fs.readFileSync(fullPath, 'utf8'), generation: String(mtimeMs) };
+			} catch (error) {
+				if (error.code === 'ENOENT') return null;
+				throw error;
+			}
+		},
+
+		async replaceIfGeneration(key, content, generation) {
+			// Local storage is single-host; the stat/rename window is acceptable here
+			const fullPath = resolve(key);
+			const tempPath = `${fullPath}.${process.pid}.tmp`;
+
+			try {
+				if (String(fs.statSync(fullPath).mtimeMs) !== generation) return null;
+				fs.writeFileSync(tempPath, content);
+				fs.renameSync(tempPath, fullPath);
+				return String(fs.statSync(fullPath).mtimeMs);
+			} catch (error) {
+				fs.rmSync(tempPath, { force: true });
+				if (error.code === 'ENOENT') return null;
+				throw error;
+			}
+		},
+
+		async deleteIfGeneration(key, generation) {
+			// Local storage is single-host; the stat/unlink window is acceptable here
+			const fullPath = resolve(key);
+
+			try {
+				if (String(fs.statSync(fullPath).mtimeMs) !== generation) return false;
+				fs.unlinkSync(fullPath);
+				return true;
+			} catch (error) {
+				if (error.code === 'ENOENT') return false;
+				throw error;
+			}
+		},
+
+		fullPath(key) {
+			return path.resolve(basePath, key);
+		},
+
+		relativePath(fullPath) {
+			const base = path.resolve(basePath);
+			return path.resolve(fullPath).replace(base + path.sep, '');
+		}
+	};
+}
+
+/**
+ * Google Cloud Storage adapter
+ * Locks use object generations (ifGenerationMatch preconditions).
+ * @param {string} url - gs://bucket/prefix
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.client] - @google-cloud/storage client (default: one for gcs_project)
+ * @returns {Object} Storage adapter
+ */
+export function createGCSAdapter(url, options = {}) {
+	const { bucket, prefix } = parseBucketUrl(url, 'gs');
+	const { client = new GCSStorage({ projectId: gcs_project }) } = options;
+	const objectName = (key) => path.posix.join(prefix, key);
+	const file = (key) => client.bucket(bucket).file(objectName(key));
+
+	return {
+		name: 'gcs',
+		remote: true,
+		root: url.replace(/\/$/, ''),
+
+		async write(key, body, writeOptions = {}) {
+			const { contentType = 'application/x-ndjson', contentEncoding } = writeOptions;
+			// Single-request uploads only create the object once the whole body has arrived
+			await pipeline(toReadable(body), file(key).createWriteStream({
+				resumable: false,
+				metadata: { contentType, ...(contentEncoding && { contentEncoding }) }
+			}));
+			return `gs://${bucket}/${objectName(key)}`;
+		},
+
+		async read(key) {
+			const [content] = await file(key).download({ decompress: false });
+			return content;
+		},
+
+		async readStream(key) {
+			// Stored bytes as written (callers decompress gzip themselves)
+			return file(key).createReadStream({ decompress: false });
+		},
+
+		async exists(key) {
+			const [exists] = await file(key).exists();
+			return exists;
+		},
+
+		async list(dir) {
+			const dirPrefix = objectName(dir) + '/';
+			const [files] = await client.bucket(bucket).getFiles({ prefix: dirPrefix });
+
+			return files
+				.map(object => path.posix.join(dir, object.name.slice(dirPrefix.length)))
+				.filter(key => !key.endsWith('/'));
+		},
+
+		async delete(key) {
+			try {
+				await file(key).delete();
+				return true;
+			} catch (error) {
+				if (error.code === 404) return false;
+				throw error;
+			}
+		},
+
+		async stat(key) {
+			try {
+				const [metadata] = await file(key).getMetadata();
+				return { size: Number(metadata.size), generation: String(metadata.generation), updated: metadata.updated };
+			} catch (error) {
+				if (error.code === 404) return null;
+				throw error;
+			}
+		},
+
+		async createIfAbsent(key, content) {
+			try {
+				await file(key).save(content, {
+					resumable: false,
+					contentType: 'application/json',
+					preconditionOpts: { ifGenerationMatch: 0 }
+				});
+				return true;
+			} catch (error) {
+				if (error.code === 412) return false;
+				throw error;
+			}
+		},
+
+		async readWithGeneration(key) {
+			try {
+				const [metadata] = await file(key).getMetadata();
+				const [content] = await client.bucket(bucket).file(objectName(key), { generation: metadata.generation }).download();
+				return { content: content.toString(), generation: String(metadata.generation) };
+			} catch (error) {
+				if (error.code === 404) return null;
+				throw error;
+			}
+		},
+
+		async replaceIfGeneration(key, content, generation) {
+			const target = file(key);
+
+			try {
+				await target.save(content, {
+					resumable: false,
+					contentType: 'application/json',
+					preconditionOpts: { ifGenerationMatch: generation }
+				});
+				return String(target.metadata.generation);
+			} catch (error) {
+				if (error.code === 404 || error.code === 412) return null;
+				throw error;
+			}
+		},
+
+		async deleteIfGeneration(key, generation) {
+			try {
+				await file(key).delete({ ifGenerationMatch: generation });
+				return true;
+			} catch (error) {
+				if (error.code === 404 || error.code === 412) return false;
+				throw error;
+			}
+		},
+
+		fullPath(key) {
+			return `gs://${bucket}/${objectName(key)}`;
+		},
+
+		relativePath(fullPath) {
+			return bucketRelativePath(fullPath, 'gs', bucket, prefix);
+		}
+	};
+}
+
+/**
+ * Check whether an S3 error is a missing object
+ * @param {any} error - Error from the S3 client
+ * @returns {boolean}
+ */
+function isS3NotFound(error) {
+	return error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Check whether an S3 error is a failed (or conflicting) conditional request
+ * @param {any} error - Error from the S3 client
+ * @returns {boolean}
+ */
+function isS3PreconditionFailed(error) {
+	const status = error?.$metadata?.httpStatusCode;
+	return error?.name === 'PreconditionFailed' || error?.name === 'ConditionalRequestConflict' || status === 412 || status === 409;
+}
+
+/**
+ * S3 (or S3-compatible) adapter
+ * Locks use conditional requests: PutObject with If-None-Match: * and DeleteObject with If-Match on the
+ * ETag. Stores that ignore If-Match on deletes release locks without the check.
+ * @param {string} url - s3://bucket/prefix
+ * @param {Object} [options] - Adapter options
+ * @param {Object} [options.client] - S3Client (default: one for S3_REGION / S3_ENDPOINT)
+ * @param {string} [options.region] - Region (default: S3_REGION, then AWS_REGION, then us-east-1)
+ * @param {string} [options.endpoint] - S3-compatible endpoint (default: S3_ENDPOINT); uses path-style URLs
+ * @returns {Object} Storage adapter
+ */
+export function createS3Adapter(url, options = {}) {
+	const { bucket, prefix } = parseBucketUrl(url, 's3');
+	const {
+		region = S3_REGION || AWS_REGION || 'us-east-1',
+		endpoint = S3_ENDPOINT,
+		client = new S3Client({ region, ...(endpoint && { endpoint, forcePathStyle: true }) })
+	} = options;
+	const objectKey = (key) => path.posix.join(prefix, key);
+
+	/**
+	 * Read an object's body and ETag
+	 * @param {string} key - Relative key
+	 * @returns {Promise<{body: Buffer, etag: string}>}
+	 */
+	const getObject = async (key) => {
+		const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+		return { body: Buffer.from(await response.Body.transformToByteArray()), etag: response.ETag };
+	};
+
+	return {
+		name: 's3',
+		remote: true,
+		root: url.replace(/\/$/, ''),
+		// mixpanel-import reads s3:// paths itself from AWS, but not from custom endpoints
+		importOptions: endpoint ? null : {
+			s3Region: region,
+			...(AWS_ACCESS_KEY_ID && { s3Key: AWS_ACCESS_KEY_ID, s3Secret: AWS_SECRET_ACCESS_KEY })
+		},
+
+		async write(key, body, writeOptions = {}) {
+			const { contentType = 'application/x-ndjson' } = writeOptions;
+			const Key = objectKey(key);
+			const parts = [];
+			let uploadId = null;
+			let pending = [];
+			let pendingBytes = 0;
+
+			// Bodies up to one part go up in a single PutObject; larger ones as a multipart upload
+			const uploadPart = async () => {
+				uploadId ??= (await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key, ContentType: contentType }))).UploadId;
+				const PartNumber = parts.length + 1;
+				const { ETag } = await client.send(new UploadPartCommand({ Bucket: bucket, Key, UploadId: uploadId, PartNumber, Body: Buffer.concat(pending) }));
+				parts.push({ ETag, PartNumber });
+				pending = [];
+				pendingBytes = 0;
+			};
+
+			try {
+				for await (const chunk of toReadable(body)) {
+					pending.push(Buffer.from(chunk));
+					pendingBytes += chunk.length;
+					if (pendingBytes >= S3_PART_SIZE) await uploadPart();
+				}
+
+				if (uploadId === null) {
+					await client.send(new PutObjectCommand({ Bucket: bucket, Key, Body: Buffer.concat(pending), ContentType: contentType }));
+				} else {
+					if (pendingBytes > 0) await uploadPart();
+					await client.send(new CompleteMultipartUploadCommand({ Bucket: bucket, Key, UploadId: uploadId, MultipartUpload: { Parts: parts } }));
+				}
+			} catch (error) {
+				if (uploadId) await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key, UploadId: uploadId })).catch(() => {});
+				throw error;
+			}
+
+			return `s3://${bucket}/${Key}`;
+		},
+
+		async read(key) {
+			return (await getObject(key)).body;
+		},
+
+		async readStream(key) {
+			const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+			return response.Body;
+		},
+
+		async exists(key) {
+			return (await this.stat(key)) !== null;
+		},
+
+		async list(dir) {
+			const dirPrefix = objectKey(dir) + '/';
+			const keys = [];
+			let ContinuationToken;
+
+			do {
+				const response = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: dirPrefix, ContinuationToken }));
+				keys.push(...(response.Contents || []).map(object => object.Key));
+				ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+			} while (ContinuationToken);
+
+			return keys
+				.map(objectName => path.posix.join(dir, objectName.slice(dirPrefix.length)))
+				.filter(key => !key.endsWith('/'));
+		},
+
+		async delete(key) {
+			// S3 deletes succeed whether or not the object exists
+			if (!(await this.exists(key))) return false;
+			await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+			return true;
+		},
+
+		async stat(key) {
+			try {
+				const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+				return { size: response.ContentLength, generation: response.ETag, updated: response.LastModified?.toISOString() };
+			} catch (error) {
+				if (isS3NotFound(error)) return null;
+				throw error;
+			}
+		},
+
+		async createIfAbsent(key, content) {
+			try {
+				await client.send(new PutObjectCommand({
+					Bucket: bucket,
+					Key: objectKey(key),
+					Body: content,
+					ContentType: 'application/json',
+					IfNoneMatch: '*'
+				}));
+				return true;
+			} catch (error) {
+				if (isS3PreconditionFailed(error)) return false;
+				throw error;
+			}
+		},
+
+		async readWithGeneration(key) {
+			try {
+				const { body, etag } = await getObject(key);
+				return { content: body.toString(), generation: etag };
+			} catch (error) {
+				if (isS3NotFound(error)) return null;
+				throw error;
+			}
+		},
+
+		async replaceIfGeneration(key, content, generation) {
+			try {
+				const { ETag } = await client.send(new PutObjectCommand({
+					Bucket: bucket,
+					Key: objectKey(key),
+					Body: content,
+					ContentType: 'application/json',
+					IfMatch: generation
+				}));
+				return ETag;
+			} catch (error) {
+				if (isS3NotFound(error) || isS3PreconditionFailed(error)) return null;
+				throw error;
+			}
+		},
+
+		async deleteIfGeneration(key, generation) {
+			try {
+				await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key), IfMatch: generation }));
+				return true;
+			} catch (error) {
+				if (isS3NotFound(error) || isS3PreconditionFailed(error)) return false;
+				throw error;
+			}
+		},
+
+		fullPath(key) {
+			return `s3://${bucket}/${objectKey(key)}`;
+		},
+
+		relativePath(fullPath) {
+			return bucketRelativePath(fullPath, 's3', bucket, prefix);
+		}
+	};
+}
+
+/**
+ * Strip the bucket and prefix from a bucket URL (inverse of fullPath)
+ * @param {string} fullPath - gs://... or s3://... path
+ * @param {('gs'|'s3')} scheme - URL scheme
+ * @param {string} bucket - Adapter bucket
+ * @param {string} prefix - Adapter prefix
+ * @returns {string} Relative key, or the input if it isn't a bucket URL
+ */
+function bucketRelativePath(fullPath, scheme, bucket, prefix) {
+	const match = fullPath.match(new RegExp(`^${scheme}:\\/\\/[^\\/]+\\/(.+)$`));
+	if (!match) return fullPath;
+	return prefix && match[1].startsWith(prefix + '/') ? match[1].slice(prefix.length + 1) : match[1];
+}
+
+/**
+ * Pick the adapter for a storage path
+ * @param {string} [storagePath] - gs://..., s3://... or a local directory (default: ./tmp)
+ * @param {Object} [options] - Adapter options (e.g. an injected client)
+ * @returns {Object} Storage adapter
+ */
+export function createStorageAdapter(storagePath, options = {}) {
+	if (storagePath?.startsWith('gs://')) return createGCSAdapter(storagePath, options);
+	if (storagePath?.startsWith('s3://')) return createS3Adapter(storagePath, options);
+	return createLocalAdapter(storagePath ? storagePath.replace(/\/$/, '') : './tmp');
+}
+
+export default {
+	createStorageAdapter,
+	createLocalAdapter,
+	createGCSAdapter,
+	createS3Adapter,
+	parseBucketUrl
+};
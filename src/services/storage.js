@@ -1,34 +1,56 @@
 /**
  * @fileoverview File storage service for writing/reading JSONL.gz files
  * @module Storage
+ *
+ * Files live under STORAGE_PATH (falls back to gcs_path, then ./tmp):
+ * - ./tmp or another local directory
+ * - gs://bucket/prefix - Google Cloud Storage
+ * - s3://bucket/prefix - AWS S3 or an S3-compatible store (S3_ENDPOINT, e.g. MinIO)
+ * Each backend is an adapter (see storage-adapters.js); this module adds JSONL.gz encoding on top.
+ *
+ * JSONL.gz files are streamed both ways (writeJSONLGzStream / readJSONLGzStream): records are
+ * serialized and compressed as they arrive and parsed as they're read, so neither side holds a whole
+ * file. (Callers may still buffer: Slack returns a day's analytics in one response, and BigQuery rows
+ * are merged in bounded chunks.) writeJSONLGz / readJSONLGz are the array versions.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { createWriteStream, createReadStream } from 'fs';
+import { Readable, pipeline } from 'stream';
 import { createGzip, createGunzip } from 'zlib';
-import { pipeline } from 'stream/promises';
-import { Storage as GCSStorage } from '@google-cloud/storage';
+import _ from 'highland';
 import 'dotenv/config';
+import { createStorageAdapter } from './storage-adapters.js';
 import logger from '../utils/logger.js';
 
-const { gcs_path, gcs_project = 'mixpanel-gtm-training' } = process.env;
+const { STORAGE_PATH, gcs_path } = process.env;
 
-// Initialize GCS client if GCS path is configured
-let gcsClient = null;
-if (gcs_path) {
-	gcsClient = new GCSStorage({ projectId: gcs_project });
+/** Adapter for the configured storage path */
+let adapter = createStorageAdapter(STORAGE_PATH || gcs_path);
+
+/**
+ * Swap the storage adapter (for testing)
+ * @param {Object} nextAdapter - Storage adapter (see storage-adapters.js)
+ * @returns {Object} The previous adapter
+ */
+export function setStorageAdapter(nextAdapter) {
+	const previous = adapter;
+	adapter = nextAdapter;
+	return previous;
 }
 
 /**
- * Get storage path (GCS or local tmp)
+ * Get storage path (bucket URL or local directory)
  * @returns {string} Storage base path
  */
 export function getStoragePath() {
-	if (gcs_path) {
-		return gcs_path.replace(/\/$/, ''); // Remove trailing slash
-	}
-	return './tmp';
+	return adapter.root;
+}
+
+/**
+ * Get the storage backend in use
+ * @returns {('local'|'gcs'|'s3')}
+ */
+export function getStorageType() {
+	return adapter.name;
 }
 
 /**
@@ -36,105 +58,97 @@ export function getStoragePath() {
  * @returns {boolean}
  */
 export function isGCS() {
-	return !!gcs_path;
+	return adapter.name === 'gcs';
 }
 
 /**
- * Parse GCS path into bucket and prefix
- * @param {string} gcsPath - GCS path (gs://bucket/path)
- * @returns {{bucket: string, prefix: string}}
+ * Check if using a bucket (GCS or S3) rather than the local filesystem
+ * @returns {boolean}
  */
-function parseGCSPath(gcsPath) {
-	const match = gcsPath.match(/^gs:\/\/([^\/]+)\/(.*)$/);
-	if (!match) {
-		throw new Error(`Invalid GCS path: ${gcsPath}`);
-	}
-	return {
-		bucket: match[1],
-		prefix: match[2]
-	};
+export function isRemote() {
+	return adapter.remote;
 }
 
 /**
- * Write array of objects to JSONL.gz file
+ * Stream records to a JSONL.gz file
+ * Nothing is visible at filePath until the last record is written, so a failed write never
+ * leaves a partial file that resumption would treat as done.
  * @param {string} filePath - Relative path (e.g., 'members/2024-01-01-members.jsonl.gz')
- * @param {Array<Object>} data - Array of objects to write
+ * @param {AsyncIterable<Object>|Iterable<Object>|Object} records - Async iterable, iterable (array, generator) or Highland stream
  * @returns {Promise<string>} Full path to written file
  */
-export async function writeJSONLGz(filePath, data) {
-	const basePath = getStoragePath();
-	const fullPath = path.join(basePath, filePath);
-
-	if (isGCS()) {
-		// Write to GCS
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsFilePath = path.join(prefix, filePath);
-		const file = gcsClient.bucket(bucket).file(gcsFilePath);
-
-		// Create JSONL content
-		const jsonlContent = data.map(obj => JSON.stringify(obj)).join('\n');
-
-		// Upload with gzip compression
-		const writeStream = file.createWriteStream({
-			gzip: true,
-			metadata: {
-				contentType: 'application/x-ndjson',
-				contentEncoding: 'gzip'
-			}
-		});
-
-		return new Promise((resolve, reject) => {
-			writeStream.on('error', reject);
-			writeStream.on('finish', () => resolve(`gs://${bucket}/${gcsFilePath}`));
-			writeStream.end(jsonlContent);
-		});
-
-	} else {
-		// Write to local filesystem
-		const dir = path.dirname(fullPath);
-		if (!fs.existsSync(dir)) {
-			fs.mkdirSync(dir, { recursive: true });
+export async function writeJSONLGzStream(filePath, records) {
+	const source = _.isStream(records) ? records.toNodeStream({ objectMode: true }) : records;
+
+	async function* lines() {
+		let first = true;
+		for await (const record of source) {
+			yield (first ? '' : '\n') + JSON.stringify(record);
+			first = false;
 		}
+	}
 
-		// Create JSONL content
-		const jsonlContent = data.map(obj => JSON.stringify(obj)).join('\n');
-
-		// Write with gzip compression
-		const gzip = createGzip();
-		const writeStream = createWriteStream(fullPath);
-
-		await pipeline(
-			async function* () {
-				yield Buffer.from(jsonlContent);
-			},
-			gzip,
-			writeStream
-		);
+	const gzip = createGzip();
+	// Errors in the records (or serializing them) destroy gzip, which fails the adapter's write
+	pipeline(Readable.from(lines()), gzip, () => {});
 
-		return fullPath;
+	try {
+		return await adapter.write(filePath, gzip, { contentType: 'application/x-ndjson', contentEncoding: 'gzip' });
+	} catch (error) {
+		// Stop pulling records if the storage write failed
+		gzip.destroy();
+		throw error;
 	}
 }
 
+/**
+ * Write array of objects to JSONL.gz file
+ * @param {string} filePath - Relative path (e.g., 'members/2024-01-01-members.jsonl.gz')
+ * @param {Array<Object>} data - Array of objects to write
+ * @returns {Promise<string>} Full path to written file
+ */
+export async function writeJSONLGz(filePath, data) {
+	return writeJSONLGzStream(filePath, data);
+}
+
 /**
  * Check if file exists
  * @param {string} filePath - Relative path
  * @returns {Promise<boolean>}
  */
 export async function fileExists(filePath) {
-	const basePath = getStoragePath();
-
-	if (isGCS()) {
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsFilePath = path.join(prefix, filePath);
-		const file = gcsClient.bucket(bucket).file(gcsFilePath);
-
-		const [exists] = await file.exists();
-		return exists;
+	return adapter.exists(filePath);
+}
 
-	} else {
-		const fullPath = path.join(basePath, filePath);
-		return fs.existsSync(fullPath);
+/**
+ * Stream records from a JSONL.gz file
+ * The result is an object-mode Readable: iterate it with for await, or wrap it in Highland (_(stream)).
+ * @param {string} filePath - Relative path
+ * @returns {Readable} Records, one per line (errors if the file doesn't exist)
+ */
+export function readJSONLGzStream(filePath) {
+	async function* records() {
+		const source = await adapter.readStream(filePath);
+		const gunzip = createGunzip();
+		gunzip.setEncoding('utf8');
+		pipeline(source, gunzip, () => {});
+
+		let buffered = '';
+		try {
+			for await (const chunk of gunzip) {
+				const lines = (buffered + chunk).split('\n');
+				buffered = lines.pop();
+				for (const line of lines) {
+					if (line.trim()) yield JSON.parse(line);
+				}
+			}
+			if (buffered.trim()) yield JSON.parse(buffered);
+		} finally {
+			source.destroy();
+		}
 	}
+
+	return Readable.from(records());
 }
 
 /**
@@ -143,56 +157,11 @@ export async function fileExists(filePath) {
  * @returns {Promise<Array<Object>>}
  */
 export async function readJSONLGz(filePath) {
-	const basePath = getStoragePath();
-
-	if (isGCS()) {
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsFilePath = path.join(prefix, filePath);
-		const file = gcsClient.bucket(bucket).file(gcsFilePath);
-
-		// Download and decompress
-		const [content] = await file.download();
-		const decompressed = await new Promise((resolve, reject) => {
-			const gunzip = createGunzip();
-			const chunks = [];
-
-			gunzip.on('data', chunk => chunks.push(chunk));
-			gunzip.on('end', () => resolve(Buffer.concat(chunks).toString()));
-			gunzip.on('error', reject);
-
-			gunzip.end(content);
-		});
-
-		// Parse JSONL
-		return decompressed
-			.split('\n')
-			.filter(line => line.trim())
-			.map(line => JSON.parse(line));
-
-	} else {
-		const fullPath = path.join(basePath, filePath);
-
-		// Read and decompress
-		const decompressed = await new Promise((resolve, reject) => {
-			const gunzip = createGunzip();
-			const chunks = [];
-
-			pipeline(
-				createReadStream(fullPath),
-				gunzip
-			)
-				.then(() => resolve(Buffer.concat(chunks).toString()))
-				.catch(reject);
-
-			gunzip.on('data', chunk => chunks.push(chunk));
-		});
-
-		// Parse JSONL
-		return decompressed
-			.split('\n')
-			.filter(line => line.trim())
-			.map(line => JSON.parse(line));
+	const records = [];
+	for await (const record of readJSONLGzStream(filePath)) {
+		records.push(record);
 	}
+	return records;
 }
 
 /**
@@ -201,40 +170,108 @@ export async function readJSONLGz(filePath) {
  * @returns {Promise<void>}
  */
 export async function deleteFile(filePath) {
-	const basePath = getStoragePath();
+	if (await adapter.delete(filePath)) {
+		logger.verbose(`🗑️  Deleted ${adapter.name} file: ${adapter.fullPath(filePath)}`);
+	}
+}
 
-	if (isGCS()) {
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsFilePath = path.join(prefix, filePath);
-		const file = gcsClient.bucket(bucket).file(gcsFilePath);
+/**
+ * Get size, generation and last update of a file
+ * @param {string} filePath - Relative path
+ * @returns {Promise<{size: number, generation: string, updated: string}|null>} null if the file doesn't exist
+ */
+export async function statFile(filePath) {
+	return adapter.stat(filePath);
+}
 
-		await file.delete();
-		logger.verbose(`🗑️  Deleted GCS file: gs://${bucket}/${gcsFilePath}`);
+/**
+ * Get full path for file (for passing to mixpanel-import)
+ * @param {string} filePath - Relative path
+ * @returns {string} Full path (gs://..., s3://... or absolute local path)
+ */
+export function getFullPath(filePath) {
+	return adapter.fullPath(filePath);
+}
 
-	} else {
-		const fullPath = path.join(basePath, filePath);
-		if (fs.existsSync(fullPath)) {
-			fs.unlinkSync(fullPath);
-			logger.verbose(`🗑️  Deleted local file: ${fullPath}`);
+/**
+ * Get relative path from a full path (inverse of getFullPath)
+ * @param {string} fullPath - Full path (gs://..., s3://... or local)
+ * @returns {string} Relative path (e.g., 'members/2024-01-01-members.jsonl.gz')
+ */
+export function getRelativePath(fullPath) {
+	return adapter.relativePath(fullPath);
+}
+
+/**
+ * Data and options for handing stored files to mixpanel-import
+ * Local, GCS and AWS S3 paths are read by mixpanel-import itself; files in a custom S3 endpoint
+ * (MinIO etc.) are streamed here and passed as records. Streams are read once, so get a new
+ * source for each upload attempt.
+ * @param {Array<string>} fullPaths - Full paths from getFullPath / writeJSONLGz
+ * @returns {{data: Array<string>|Readable, options: Object}}
+ */
+export function getImportSource(fullPaths) {
+	if (adapter.importOptions !== null) {
+		return { data: fullPaths, options: adapter.importOptions || {} };
+	}
+
+	async function* records() {
+		for (const fullPath of fullPaths) {
+			yield* readJSONLGzStream(getRelativePath(fullPath));
 		}
 	}
+	return { data: Readable.from(records()), options: {} };
 }
 
 /**
- * Get full path for file (for passing to mixpanel-import)
+ * List files in a directory
+ * @param {string} dirPath - Relative directory path (e.g., 'members')
+ * @returns {Promise<Array<string>>} Relative paths of files in the directory (e.g., 'members/2024-01-01-members.jsonl.gz')
+ */
+export async function listFiles(dirPath) {
+	return adapter.list(dirPath);
+}
+
+/**
+ * Create a small text file only if it doesn't already exist (atomic create, used for locks)
+ * Local files use the exclusive 'wx' flag, GCS objects an ifGenerationMatch: 0 precondition
+ * and S3 objects If-None-Match: *
  * @param {string} filePath - Relative path
- * @returns {string} Full path (gs://... or absolute local path)
+ * @param {string} content - File content
+ * @returns {Promise<boolean>} true if created, false if the file already exists
  */
-export function getFullPath(filePath) {
-	const basePath = getStoragePath();
-
-	if (isGCS()) {
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsFilePath = path.join(prefix, filePath);
-		return `gs://${bucket}/${gcsFilePath}`;
-	} else {
-		return path.resolve(basePath, filePath);
-	}
+export async function writeFileIfAbsent(filePath, content) {
+	return adapter.createIfAbsent(filePath, content);
+}
+
+/**
+ * Read a small text file along with its generation (GCS object generation, S3 ETag, or local mtime)
+ * @param {string} filePath - Relative path
+ * @returns {Promise<{content: string, generation: string}|null>} null if the file doesn't exist
+ */
+export async function readFileWithGeneration(filePath) {
+	return adapter.readWithGeneration(filePath);
+}
+
+/**
+ * Overwrite a small text file only if it hasn't changed since it was read (used to renew locks)
+ * @param {string} filePath - Relative path
+ * @param {string} content - New file content
+ * @param {string} generation - Generation from readFileWithGeneration
+ * @returns {Promise<string|null>} The new generation, or null if the file changed or no longer exists
+ */
+export async function replaceFileIfGeneration(filePath, content, generation) {
+	return adapter.replaceIfGeneration(filePath, content, generation);
+}
+
+/**
+ * Delete a file only if it hasn't changed since it was read
+ * @param {string} filePath - Relative path
+ * @param {string} generation - Generation from readFileWithGeneration
+ * @returns {Promise<boolean>} true if deleted, false if the file changed or no longer exists
+ */
+export async function deleteFileIfGeneration(filePath, generation) {
+	return adapter.deleteIfGeneration(filePath, generation);
 }
 
 /**
@@ -243,43 +280,36 @@ export function getFullPath(filePath) {
  * @returns {Promise<number>} Number of files deleted
  */
 export async function clearDirectory(dirPath) {
-	const basePath = getStoragePath();
 	let count = 0;
 
-	if (isGCS()) {
-		const { bucket, prefix } = parseGCSPath(basePath);
-		const gcsDirPath = path.join(prefix, dirPath);
-		const [files] = await gcsClient.bucket(bucket).getFiles({ prefix: gcsDirPath });
-
-		for (const file of files) {
-			await file.delete();
-			count++;
-		}
-
-		logger.verbose(`🗑️  Cleared ${count} files from GCS directory: gs://${bucket}/${gcsDirPath}`);
-
-	} else {
-		const fullPath = path.join(basePath, dirPath);
-		if (fs.existsSync(fullPath)) {
-			const files = fs.readdirSync(fullPath);
-			for (const file of files) {
-				fs.unlinkSync(path.join(fullPath, file));
-				count++;
-			}
-			logger.verbose(`🗑️  Cleared ${count} files from local directory: ${fullPath}`);
-		}
+	for (const filePath of await adapter.list(dirPath)) {
+		if (await adapter.delete(filePath)) count++;
 	}
 
+	logger.verbose(`🗑️  Cleared ${count} files from ${adapter.name} directory: ${adapter.fullPath(dirPath)}`);
 	return count;
 }
 
 export default {
 	getStoragePath,
+	getStorageType,
 	isGCS,
+	isRemote,
+	setStorageAdapter,
 	writeJSONLGz,
+	writeJSONLGzStream,
 	fileExists,
 	readJSONLGz,
+	readJSONLGzStream,
 	deleteFile,
+	statFile,
 	getFullPath,
+	getRelativePath,
+	getImportSource,
+	listFiles,
+	writeFileIfAbsent,
+	readFileWithGeneration,
+	replaceFileIfGeneration,
+	deleteFileIfGeneration,
 	clearDirectory
 };
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Multi-workspace (Enterprise Grid) configuration and the workspace a run is working on
+ * @module Workspaces
+ *
+ * By default the pipeline runs against the one workspace behind slack_bot_token / slack_user_token.
+ * Multi-workspace runs are configured with either:
+ * - SLACK_TEAM_IDS=T0123,T0456 - an org-level install (the default tokens) plus the workspaces to extract
+ * - SLACK_WORKSPACES_CONFIG=./workspaces.json - one entry per workspace:
+ *   [{ "team_id": "T0123", "team_name": "Sales", "bot_token": "xoxb-...", "user_token": "xoxp-...", "message_channels": "C0123,C0456",
+ *      "emoji_lookup_table_id": "..." }]
+ *   Everything but team_id is optional; missing tokens fall back to the default (org) tokens, missing
+ *   message_channels to the message_channels env var and a missing emoji_lookup_table_id to EMOJI_LOOKUP_TABLE_ID.
+ *   A lookup table is replaced on every load, so each workspace needs its own.
+ *
+ * The pipeline runs each workspace in turn inside runInWorkspace(). Everything below it reads the
+ * current workspace to pick Slack clients, storage paths (members/<team_id>/...) and the
+ * team_id / team_name stamped on records. Outside a workspace nothing changes.
+ */
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import 'dotenv/config';
+
+const { SLACK_TEAM_IDS = '', SLACK_WORKSPACES_CONFIG } = process.env;
+
+/** @type {AsyncLocalStorage<Object>} */
+const workspaceStorage = new AsyncLocalStorage();
+
+/**
+ * Validate workspace config entries
+ * @param {Array<Object>} entries - Workspace entries ({ team_id, team_name?, bot_token?, user_token?, message_channels?, emoji_lookup_table_id? })
+ * @returns {Array<{team_id: string, team_name?: string, bot_token?: string, user_token?: string, message_channels?: Array<string>, emoji_lookup_table_id?: string}>}
+ * @throws {Error} If an entry has no team_id, or a team_id or emoji_lookup_table_id is listed twice
+ */
+export function parseWorkspaces(entries) {
+	if (!Array.isArray(entries)) throw new Error('Workspace config must be an array of workspaces');
+
+	const seen = new Set();
+	const lookupTables = new Set();
+
+	return entries.map((entry, index) => {
+		const teamId = String(entry?.team_id || '').trim();
+		if (!teamId) throw new Error(`Workspace config entry ${index} is missing team_id`);
+		if (seen.has(teamId)) throw new Error(`Workspace ${teamId} is listed more than once`);
+		seen.add(teamId);
+
+		const lookupTableId = String(entry.emoji_lookup_table_id || '').trim();
+		if (lookupTables.has(lookupTableId)) throw new Error(`Emoji lookup table ${lookupTableId} is configured for more than one workspace`);
+		if (lookupTableId) lookupTables.add(lookupTableId);
+
+		return {
+			team_id: teamId,
+			...(entry.team_name && { team_name: entry.team_name }),
+			...(entry.bot_token && { bot_token: entry.bot_token }),
+			...(entry.user_token && { user_token: entry.user_token }),
+			...(entry.message_channels && {
+				message_channels: (Array.isArray(entry.message_channels) ? entry.message_channels : String(entry.message_channels).split(','))
+					.map(id => String(id).trim())
+					.filter(Boolean)
+			}),
+			...(lookupTableId && { emoji_lookup_table_id: lookupTableId })
+		};
+	});
+}
+
+/**
+ * Load the configured workspaces
+ * @param {Object} [options] - Config sources (default: environment)
+ * @param {string} [options.teamIds] - Comma-separated team IDs (default: SLACK_TEAM_IDS)
+ * @param {string} [options.configPath] - Path to a JSON workspace config (default: SLACK_WORKSPACES_CONFIG)
+ * @returns {Array<Object>} Workspaces from parseWorkspaces ([] for a single-workspace setup)
+ * @throws {Error} If both sources are set, or the config file can't be read or is invalid
+ */
+export function loadWorkspaces(options = {}) {
+	const { teamIds = SLACK_TEAM_IDS, configPath = SLACK_WORKSPACES_CONFIG } = options;
+
+	if (teamIds && configPath) {
+		throw new Error('SLACK_TEAM_IDS and SLACK_WORKSPACES_CONFIG are mutually exclusive');
+	}
+
+	if (configPath) {
+		let entries;
+		try {
+			entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+		} catch (error) {
+			throw new Error(`Could not load workspace config ${configPath}: ${error.message}`);
+		}
+		return parseWorkspaces(entries);
+	}
+
+	return parseWorkspaces(teamIds.split(',').map(id => id.trim()).filter(Boolean).map(id => ({ team_id: id })));
+}
+
+/**
+ * Run a function with a workspace as the current workspace (including everything it awaits)
+ * @template T
+ * @param {Object} workspace - Workspace from loadWorkspaces
+ * @param {() => Promise<T>} fn - Work to run for the workspace
+ * @returns {Promise<T>}
+ */
+export function runInWorkspace(workspace, fn) {
+	return workspaceStorage.run(workspace, fn);
+}
+
+/**
+ * The workspace the current run is working on
+ * @returns {{team_id: string, team_name?: string, bot_token?: string, user_token?: string}|null} null outside runInWorkspace
+ */
+export function currentWorkspace() {
+	return workspaceStorage.getStore() || null;
+}
+
+/**
+ * Storage directory for the current workspace
+ * @param {string} directory - Directory used by single-workspace runs (e.g., 'members', 'snapshots/channels')
+ * @returns {string} The directory itself, or <directory>/<team_id> inside a workspace
+ * @example
+ * workspaceDir('members'); // => 'members' (single workspace) or 'members/T0123'
+ */
+export function workspaceDir(directory) {
+	const workspace = currentWorkspace();
+	return workspace ? `${directory}/${workspace.team_id}` : directory;
+}
+
+export default {
+	parseWorkspaces,
+	loadWorkspaces,
+	runInWorkspace,
+	currentWorkspace,
+	workspaceDir
+};
@@ -9,17 +9,56 @@
  *     is_private, is_archived, is_ext_shared,
  *     creator, created, ...
  *   },
+ *   connected_teams: [{ id, name, domain }], // Slack Connect channels only
  *   ok: true
  * }
  *
- * Enrichment is ONLY used for profiles. Events use basic analytics + lookup data.
+ * Enrichment is ONLY used for profiles. Events use basic analytics + lookup data
+ * (plus the connected external orgs, which conversations.list doesn't return).
+ *
+ * Slack Connect channels list their external orgs as external_team_ids / external_teams. With
+ * context.external_org_group_key set, events also carry that group key and each org gets a group profile.
+ *
+ * Private channels (context.private_channels) are tagged private: true. Unless
+ * context.private_channel_details is 'export', their names, topics and purposes are redacted.
  */
 
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
+import { makeInsertId, getEventTime } from './utils.js';
 
 dayjs.extend(utc);
 
+/** Channel fields that can reveal what a private channel is about */
+export const PRIVATE_CHANNEL_FIELDS = ['name', 'name_normalized', 'previous_names', 'topic', 'purpose'];
+
+/**
+ * Check whether a private channel's names and topics should be redacted
+ * @param {Object} context - Heavy objects (private_channel_details, etc.)
+ * @returns {boolean}
+ */
+function shouldRedact(context) {
+	return context.private_channel_details !== 'export';
+}
+
+/**
+ * List properties for the external orgs a channel is shared with
+ * @param {Array<{id: string, name?: string}>} connectedTeams - External teams from enrichment
+ * @param {Object} context - Heavy objects (external_org_group_key)
+ * @returns {Object} Properties ({} for channels that aren't shared with another org)
+ */
+function externalTeamProperties(connectedTeams = [], context) {
+	const { external_org_group_key } = context;
+	if (connectedTeams.length === 0) return {};
+
+	const teamIds = connectedTeams.map(team => team.id);
+	return {
+		external_team_ids: teamIds,
+		external_teams: connectedTeams.map(team => team.name || team.id),
+		...(external_org_group_key && { [external_org_group_key]: teamIds })
+	};
+}
+
 /**
  * Transform channel analytics record to Mixpanel event
  * @param {Object} record - Raw Slack analytics record (includes ENRICHED key)
@@ -27,22 +66,27 @@ dayjs.extend(utc);
  * @returns {Object|null} Mixpanel event or null to skip
  */
 export function transformChannelEvent(record, context) {
-	const { slackChannels, slack_prefix } = context;
-
-	const channelDetails = slackChannels.find((c) => c.id === record.channel_id);
+	const { slackChannels, slack_prefix, private_channels = false, eventTime = {} } = context;
 
 	const { ENRICHED = {}, ...recordWithoutEnriched } = record;
 	// EVENTS DON'T GET ENRICHED, SO WE IGNORE the ENRICHED key here
+	// (except for private channels, which conversations.list only returns if the token user is a member)
+
+	const channelDetails = slackChannels.find((c) => c.id === record.channel_id)
+		|| (private_channels ? ENRICHED?.channel : undefined);
+	const redact = private_channels && shouldRedact(context);
 
 	// Add basic channel details from lookup
 	if (channelDetails) {
-		recordWithoutEnriched.name = `#${channelDetails.name}`;
+		if (!redact) {
+			recordWithoutEnriched.name = `#${channelDetails.name}`;
+		}
 		recordWithoutEnriched['#  → SLACK'] = `${slack_prefix}/${record.channel_id}`;
 
-		if (channelDetails.purpose?.value) {
+		if (channelDetails.purpose?.value && !redact) {
 			recordWithoutEnriched.purpose = channelDetails.purpose.value;
 		}
-		if (channelDetails.topic?.value) {
+		if (channelDetails.topic?.value && !redact) {
 			recordWithoutEnriched.topic = channelDetails.topic.value;
 		}
 		if (channelDetails.is_ext_shared) {
@@ -59,12 +103,21 @@ export function transformChannelEvent(record, context) {
 		}
 	}
 
+	if (private_channels) {
+		recordWithoutEnriched.private = true;
+	}
+
+	Object.assign(recordWithoutEnriched, externalTeamProperties(ENRICHED?.connected_teams, context));
+
 	const event = {
 		event: 'daily channel activity',
 		properties: {
 			...recordWithoutEnriched,
 			distinct_id: "",  // DO NOT ASSOCIATE WITH A USER!
-			time: dayjs.utc(record.date).add(4, 'h').add(20, 'm').unix(),
+			$insert_id: makeInsertId('daily channel activity', record.channel_id, record.date), // idempotent re-imports
+			time: getEventTime(record.date, eventTime), // channels have no timezone; user_noon uses the workspace timezone
+			time_strategy: eventTime.strategy || 'offset',
+			workspace_timezone: eventTime.workspaceTimezone || 'UTC',
 			channel_id: record.channel_id,
 			date: record.date
 		}
@@ -80,9 +133,7 @@ export function transformChannelEvent(record, context) {
  * @returns {Object|null} Mixpanel group profile or null to skip
  */
 export function transformChannelProfile(record, context) {
-	const { slackChannels, slack_prefix, channel_group_key } = context;
-
-	const channelDetails = slackChannels.find((c) => c.id === record.channel_id);
+	const { slackChannels, slack_prefix, channel_group_key, private_channels = false } = context;
 
 	// ===== ENRICHED DATA HOOK =====
 	// Extract ENRICHED data and merge all channel fields
@@ -90,21 +141,33 @@ export function transformChannelProfile(record, context) {
 	const { channel: enrichedChannel = {} } = ENRICHED;
 	const enrichedFields = { ...enrichedChannel };
 
+	const channelDetails = slackChannels.find((c) => c.id === record.channel_id)
+		|| (private_channels && enrichedChannel.id ? enrichedChannel : undefined);
+	const redact = private_channels && shouldRedact(context);
+
+	if (redact) {
+		for (const field of PRIVATE_CHANNEL_FIELDS) delete enrichedFields[field];
+	}
+
 	if (Object.keys(enrichedFields).length > 1) debugger;
 	// Add channel details if available from the lookup
 	if (channelDetails) {
-		// Ensure channel name has # prefix (but don't double-prefix if it already has one)
-		const channelName = channelDetails.name || '';
-		enrichedFields.$name = channelName.startsWith('#') ? channelName : `#${channelName}`;
-		enrichedFields.channel_name = channelName.replace(/^#/, ''); // Always store without # prefix
+		if (redact) {
+			enrichedFields.$name = `🔒 ${record.channel_id}`;
+		} else {
+			// Ensure channel name has # prefix (but don't double-prefix if it already has one)
+			const channelName = channelDetails.name || '';
+			enrichedFields.$name = channelName.startsWith('#') ? channelName : `#${channelName}`;
+			enrichedFields.channel_name = channelName.replace(/^#/, ''); // Always store without # prefix
+		}
 		enrichedFields['#  → SLACK'] = `${slack_prefix}/${record.channel_id}`;
 		enrichedFields.$email = `${slack_prefix}/${record.channel_id}`;
 		enrichedFields.created = dayjs.unix(channelDetails.created).format('YYYY-MM-DD');
 
-		if (channelDetails.purpose?.value) {
+		if (channelDetails.purpose?.value && !redact) {
 			enrichedFields.purpose = channelDetails.purpose.value;
 		}
-		if (channelDetails.topic?.value) {
+		if (channelDetails.topic?.value && !redact) {
 			enrichedFields.topic = channelDetails.topic.value;
 		}
 		if (channelDetails.is_ext_shared) {
@@ -121,6 +184,12 @@ export function transformChannelProfile(record, context) {
 		}
 	}
 
+	if (private_channels) {
+		enrichedFields.private = true;
+	}
+
+	Object.assign(enrichedFields, externalTeamProperties(ENRICHED.connected_teams, context));
+
 	// Make sure fields doesn't have any complex objects
 	for (const key in enrichedFields) {
 		const value = enrichedFields[key];
@@ -141,7 +210,29 @@ export function transformChannelProfile(record, context) {
 	return profile;
 }
 
+/**
+ * Transform a channel analytics record to group profiles for the external orgs it's shared with
+ * @param {Object} record - Raw Slack analytics record (includes ENRICHED key)
+ * @param {Object} context - Heavy objects (external_org_group_key)
+ * @returns {Array<Object>|null} One group profile per external org, or null if there are none
+ */
+export function transformExternalOrgProfiles(record, context) {
+	const { external_org_group_key } = context;
+	const connectedTeams = record.ENRICHED?.connected_teams || [];
+	if (!external_org_group_key || connectedTeams.length === 0) return null;
+
+	return connectedTeams.map(team => ({
+		$group_key: external_org_group_key,
+		$group_id: team.id,
+		$set: {
+			$name: team.name || team.id,
+			...(team.domain && { domain: team.domain })
+		}
+	}));
+}
+
 export default {
 	transformChannelEvent,
-	transformChannelProfile
+	transformChannelProfile,
+	transformExternalOrgProfiles
 };
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Lifecycle changes from snapshot diffs, and their transforms
+ * @module LifecycleTransforms
+ *
+ * Each run saves dated snapshots of every channel and member (snapshots/<kind>/YYYY-MM-DD-<kind>.jsonl.gz);
+ * diffing them against the previous snapshots yields change records:
+ * { date, previous_date, detected_at, channel_id, change, channel: {...snapshot}, previous?: {...snapshot} }
+ * { date, previous_date, detected_at, user_id, change, member: {...snapshot}, previous?: {...snapshot} }
+ *
+ * Channel changes: 'created', 'renamed', 'archived', 'unarchived', 'privacy_changed'.
+ * Member changes: 'joined', 'deactivated', 'reactivated', 'became_admin', 'became_guest'.
+ * Changes are only known to have happened between the two snapshots, so events are timed at
+ * detected_at (when the newer snapshot was taken), except 'channel created', which uses the channel's own created time.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { makeInsertId } from './utils.js';
+
+dayjs.extend(utc);
+
+/** Event names for channel lifecycle changes */
+export const CHANNEL_LIFECYCLE_EVENTS = {
+	created: 'channel created',
+	renamed: 'channel renamed',
+	archived: 'channel archived',
+	unarchived: 'channel unarchived',
+	privacy_changed: 'channel privacy changed'
+};
+
+/**
+ * Reduce a conversations.list channel to the fields a snapshot tracks
+ * @param {Object} channel - Channel from slackService.getChannels
+ * @returns {{id: string, name: string, is_private: boolean, is_archived: boolean, created: number, creator: string}}
+ */
+export function toChannelSnapshot(channel) {
+	return {
+		id: channel.id,
+		name: channel.name,
+		is_private: Boolean(channel.is_private),
+		is_archived: Boolean(channel.is_archived),
+		created: channel.created,
+		creator: channel.creator
+	};
+}
+
+/**
+ * Diff two channel snapshots
+ * Channels missing from the newer snapshot are ignored: deleted channels and private channels the
+ * token can no longer see look the same.
+ * @param {Array<Object>} previous - Older snapshot (from toChannelSnapshot)
+ * @param {Array<Object>} current - Newer snapshot
+ * @param {Object} meta - Snapshot details copied to each change
+ * @param {string} meta.date - Newer snapshot date (YYYY-MM-DD)
+ * @param {string} meta.previousDate - Older snapshot date (YYYY-MM-DD)
+ * @param {number} meta.detectedAt - Unix time the newer snapshot was taken
+ * @returns {Array<Object>} Change records
+ */
+export function diffChannelSnapshots(previous, current, { date, previousDate, detectedAt }) {
+	const previousById = new Map(previous.map(channel => [channel.id, channel]));
+	const changes = [];
+	const change = (type, channel, before) => changes.push({
+		date,
+		previous_date: previousDate,
+		detected_at: detectedAt,
+		channel_id: channel.id,
+		change: type,
+		channel,
+		...(before && { previous: before })
+	});
+
+	for (const channel of current) {
+		const before = previousById.get(channel.id);
+
+		if (!before) {
+			change('created', channel);
+			continue;
+		}
+		if (before.name !== channel.name) change('renamed', channel, before);
+		if (!before.is_archived && channel.is_archived) change('archived', channel, before);
+		if (before.is_archived && !channel.is_archived) change('unarchived', channel, before);
+		if (before.is_private !== channel.is_private) change('privacy_changed', channel, before);
+	}
+
+	return changes;
+}
+
+/**
+ * Check whether a private channel's names should be redacted
+ * @param {Object} record - Change record
+ * @param {Object} context - Heavy objects (private_channel_details)
+ * @returns {boolean}
+ */
+function shouldRedact(record, context) {
+	const wasPrivate = record.channel.is_private || record.previous?.is_private;
+	return Boolean(wasPrivate) && context.private_channel_details !== 'export';
+}
+
+/**
+ * Transform a channel change record to a Mixpanel lifecycle event
+ * @param {Object} record - Change record (from diffChannelSnapshots)
+ * @param {Object} context - Heavy objects (slack_prefix, channel_group_key, private_channel_details)
+ * @returns {Object|null} Mixpanel event or null to skip (unknown change types)
+ */
+export function transformChannelLifecycleEvent(record, context) {
+	const { slack_prefix, channel_group_key = 'channel_id' } = context;
+	const eventName = CHANNEL_LIFECYCLE_EVENTS[record.change];
+	if (!eventName) return null;
+
+	const { channel, previous } = record;
+	const redact = shouldRedact(record, context);
+	const isCreated = record.change === 'created';
+
+	// Created is keyed by the channel's creation time, so it's the same event whenever it's detected
+	const insertId = isCreated
+		? makeInsertId(eventName, channel.id, String(channel.created))
+		: makeInsertId(eventName, record.change === 'renamed' ? `${channel.id}-${channel.name}` : channel.id, record.date);
+
+	const properties = {
+		distinct_id: "", // DO NOT ASSOCIATE WITH A USER!
+		$insert_id: insertId,
+		time: isCreated && channel.created ? channel.created : record.detected_at,
+		[channel_group_key]: channel.id,
+		channel_id: channel.id,
+		...(!redact && { name: `#${channel.name}` }),
+		private: channel.is_private,
+		archived: channel.is_archived,
+		...(channel.creator && { creator: channel.creator }),
+		date: record.date,
+		previous_snapshot_date: record.previous_date,
+		'#  → SLACK': `${slack_prefix}/${channel.id}`
+	};
+
+	if (record.change === 'renamed' && !redact) {
+		properties.previous_name = `#${previous.name}`;
+	}
+	if (record.change === 'privacy_changed') {
+		properties.previous_privacy = previous.is_private ? 'private' : 'public';
+		properties.privacy = channel.is_private ? 'private' : 'public';
+	}
+
+	return { event: eventName, properties };
+}
+
+/**
+ * Transform a channel change record to a Mixpanel group profile update
+ * @param {Object} record - Change record (from diffChannelSnapshots)
+ * @param {Object} context - Heavy objects (slack_prefix, channel_group_key, private_channel_details)
+ * @returns {Object|null} Mixpanel group profile or null to skip
+ */
+export function transformChannelLifecycleProfile(record, context) {
+	const { slack_prefix, channel_group_key = 'channel_id' } = context;
+	if (!CHANNEL_LIFECYCLE_EVENTS[record.change]) return null;
+
+	const { channel } = record;
+	const redact = shouldRedact(record, context);
+
+	return {
+		$group_key: channel_group_key,
+		$group_id: channel.id,
+		$set: {
+			$name: redact ? `🔒 ${channel.id}` : `#${channel.name}`,
+			...(!redact && { channel_name: channel.name }),
+			'#  → SLACK': `${slack_prefix}/${channel.id}`,
+			private: channel.is_private,
+			archived: channel.is_archived,
+			...(channel.created && { created: dayjs.unix(channel.created).utc().format('YYYY-MM-DD') }),
+			last_lifecycle_change: record.change,
+			last_lifecycle_change_date: record.date,
+			...(record.change === 'archived' && { archived_date: record.date })
+		}
+	};
+}
+
+/** Event names for member lifecycle changes */
+export const MEMBER_LIFECYCLE_EVENTS = {
+	joined: 'member joined',
+	deactivated: 'member deactivated',
+	reactivated: 'member reactivated',
+	became_admin: 'member became admin',
+	became_guest: 'member became guest'
+};
+
+/**
+ * Reduce a users.list member to the fields a snapshot tracks
+ * @param {Object} user - User from slackService.getUsers
+ * @returns {Object} Member snapshot
+ */
+export function toMemberSnapshot(user) {
+	return {
+		id: user.id,
+		deleted: Boolean(user.deleted),
+		is_admin: Boolean(user.is_admin),
+		is_owner: Boolean(user.is_owner),
+		is_primary_owner: Boolean(user.is_primary_owner),
+		is_restricted: Boolean(user.is_restricted),
+		is_ultra_restricted: Boolean(user.is_ultra_restricted),
+		is_bot: Boolean(user.is_bot) || user.id === 'USLACKBOT'
+	};
+}
+
+/**
+ * Workspace role of a member snapshot
+ * @param {Object} member - Member snapshot
+ * @returns {'primary_owner'|'owner'|'admin'|'member'|'multi_channel_guest'|'single_channel_guest'}
+ */
+export function memberRole(member) {
+	if (member.is_primary_owner) return 'primary_owner';
+	if (member.is_owner) return 'owner';
+	if (member.is_admin) return 'admin';
+	if (member.is_ultra_restricted) return 'single_channel_guest';
+	if (member.is_restricted) return 'multi_channel_guest';
+	return 'member';
+}
+
+/**
+ * Check whether a member snapshot is a guest (multi- or single-channel)
+ * @param {Object} member - Member snapshot
+ * @returns {boolean}
+ */
+function isGuest(member) {
+	return member.is_restricted || member.is_ultra_restricted;
+}
+
+/**
+ * Diff two member snapshots
+ * Bots (and Slackbot) are ignored. Owners count as admins, so an owner demoted to admin isn't 'became_admin'.
+ * @param {Array<Object>} previous - Older snapshot (from toMemberSnapshot)
+ * @param {Array<Object>} current - Newer snapshot
+ * @param {Object} meta - Snapshot details copied to each change
+ * @param {string} meta.date - Newer snapshot date (YYYY-MM-DD)
+ * @param {string} meta.previousDate - Older snapshot date (YYYY-MM-DD)
+ * @param {number} meta.detectedAt - Unix time the newer snapshot was taken
+ * @returns {Array<Object>} Change records
+ */
+export function diffMemberSnapshots(previous, current, { date, previousDate, detectedAt }) {
+	const previousById = new Map(previous.map(member => [member.id, member]));
+	const changes = [];
+	const change = (type, member, before) => changes.push({
+		date,
+		previous_date: previousDate,
+		detected_at: detectedAt,
+		user_id: member.id,
+		change: type,
+		member,
+		...(before && { previous: before })
+	});
+
+	for (const member of current) {
+		if (member.is_bot) continue;
+		const before = previousById.get(member.id);
+
+		if (!before) {
+			// Accounts created and deactivated between snapshots never joined as far as headcount goes
+			if (!member.deleted) change('joined', member);
+			continue;
+		}
+		if (!before.deleted && member.deleted) change('deactivated', member, before);
+		if (before.deleted && !member.deleted) change('reactivated', member, before);
+		if (!before.is_admin && member.is_admin) change('became_admin', member, before);
+		if (!isGuest(before) && isGuest(member)) change('became_guest', member, before);
+	}
+
+	return changes;
+}
+
+/**
+ * Transform a member change record to a Mixpanel lifecycle event on the member's $user_id
+ * @param {Object} record - Change record (from diffMemberSnapshots)
+ * @param {Object} context - Heavy objects (slack_prefix)
+ * @returns {Object|null} Mixpanel event or null to skip (unknown change types)
+ */
+export function transformMemberLifecycleEvent(record, context) {
+	const { slack_prefix } = context;
+	const eventName = MEMBER_LIFECYCLE_EVENTS[record.change];
+	if (!eventName) return null;
+
+	const { member, previous } = record;
+
+	return {
+		event: eventName,
+		properties: {
+			$user_id: member.id,
+			$insert_id: makeInsertId(eventName, member.id, record.date),
+			time: record.detected_at,
+			role: memberRole(member),
+			...(previous && { previous_role: memberRole(previous) }),
+			guest: isGuest(member),
+			deactivated: member.deleted,
+			date: record.date,
+			previous_snapshot_date: record.previous_date,
+			'#  → SLACK': `${slack_prefix}/${member.id}`
+		}
+	};
+}
+
+export default {
+	CHANNEL_LIFECYCLE_EVENTS,
+	MEMBER_LIFECYCLE_EVENTS,
+	toChannelSnapshot,
+	diffChannelSnapshots,
+	transformChannelLifecycleEvent,
+	transformChannelLifecycleProfile,
+	toMemberSnapshot,
+	memberRole,
+	diffMemberSnapshots,
+	transformMemberLifecycleEvent
+};
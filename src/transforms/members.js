@@ -13,20 +13,17 @@
  * Example: record.ENRICHED?.profile?.title or record.ENRICHED?.user?.tz
  */
 
-import dayjs from 'dayjs';
-import utc from 'dayjs/plugin/utc.js';
+import { makeInsertId, getEventTime } from './utils.js';
 const { NODE_ENV = "unknown" } = process.env;
 
-dayjs.extend(utc);
-
 /**
  * Transform member analytics record to Mixpanel event
  * @param {Object} record - Raw Slack analytics record (includes ENRICHED key)
- * @param {Object} context - Heavy objects (slackMembers, etc.)
+ * @param {Object} context - Heavy objects (slackMembers, eventTime, etc.)
  * @returns {Object|null} Mixpanel event or null to skip
  */
 export function transformMemberEvent(record, context) {
-	const { slackMembers, slack_prefix } = context;
+	const { slackMembers, slack_prefix, eventTime = {} } = context;
 
 	// Skip if no email or not company domain
 	if (!record.email_address) return null;
@@ -49,7 +46,10 @@ export function transformMemberEvent(record, context) {
 		properties: {
 			...recordWithoutEnriched,
 			$user_id: record.user_id, // this is the primary UUID
-			time: dayjs.utc(record.date).add(4, 'h').add(20, 'm').unix(),
+			$insert_id: makeInsertId('daily user activity', record.user_id, record.date), // idempotent re-imports
+			time: getEventTime(record.date, { ...eventTime, userTimezone: memberDetails?.tz }),
+			time_strategy: eventTime.strategy || 'offset',
+			workspace_timezone: eventTime.workspaceTimezone || 'UTC',
 			email: record.email_address,
 			team_id: record.team_id,
 			'#  → SLACK': `${slack_prefix}/${record.user_id}`,
@@ -65,11 +65,11 @@ export function transformMemberEvent(record, context) {
 /**
  * Transform member analytics record to Mixpanel user profile
  * @param {Object} record - Raw Slack analytics record
- * @param {Object} context - Heavy objects (slackMembers, etc.)
+ * @param {Object} context - Heavy objects (slackMembers, profileFields, etc.)
  * @returns {Object|null} Mixpanel user profile or null to skip
  */
 export function transformMemberProfile(record, context) {
-	const { slackMembers, slack_prefix } = context;
+	const { slackMembers, slack_prefix, profileFields = [] } = context;
 
 	// Skip if no email
 	if (!record.email_address) return null;
@@ -82,42 +82,22 @@ export function transformMemberProfile(record, context) {
 	const { user: enrichedUser = {}, profile: enrichedProfile = {} } = ENRICHED;
 	const enrichedFields = { ...enrichedUser, ...enrichedProfile };
 
+	// Custom profile fields, mapped by label (see services/profile-fields.js)
 	const { fields: customFields } = enrichedFields;
-	const fieldDfns = [{
-		"id": "Xf013B5DC38A",
-		"label": "Division"
-	},
-	{
-		"id": "Xf0139PMR3CM",
-		"label": "Department"
-	},
-	{
-		"id": "Xf013HAN47PW",
-		"label": "profile_title"
-	},
-	{
-		"id": "Xf013HAN4A92",
-		"label": "manager"
-	},
-	{
-		"id": "Xf03JNMJ0DRV",
-		"label": "pronunciation"
-	}];
-
 	if (customFields) {
-		for (const fieldDef of fieldDfns) {
-			const customField = customFields[fieldDef.id];
-			if (customField && customField.value) {
-				// For manager field, look up the email address
-				if (fieldDef.label === 'manager') {
-					const managerUser = slackMembers.find(m => m.id === customField.value);
-					if (managerUser) {
-						enrichedFields[fieldDef.label] = managerUser.real_name || managerUser.name
-					}
-				} else {
-					// For other fields, just use the value
-					enrichedFields[fieldDef.label] = customField.value;
-				}
+		for (const field of profileFields) {
+			const value = customFields[field.id]?.value;
+			if (!value) continue;
+
+			if (field.type === 'user') {
+				// User-reference fields (e.g. manager) hold Slack user IDs (comma-separated if several); resolve to names
+				const names = value.split(',')
+					.map(id => slackMembers.find(m => m.id === id.trim()))
+					.filter(Boolean)
+					.map(user => user.real_name || user.name);
+				if (names.length) enrichedFields[field.property] = names.join(', ');
+			} else {
+				enrichedFields[field.property] = value;
 			}
 		}
 	}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Channel membership diffs and their profile transforms
+ * @module MembershipTransforms
+ *
+ * Membership snapshots (snapshots/channel-members/YYYY-MM-DD-channel-members.jsonl.gz) hold one row per channel:
+ * { channel_id, name, is_private, member_ids: [...] }
+ *
+ * Diffing two snapshots yields two kinds of records in the same file:
+ * { type: 'user', date, previous_date, user_id, joined: [channel], left: [channel] }
+ * { type: 'channel', date, previous_date, channel_id, member_ids, member_count }
+ * where channel is { channel_id, name, is_private }.
+ *
+ * User records update the `channels` list on user profiles ($union / $remove); channel records set
+ * `member_ids` on the channel group profile. A renamed channel shows up as left (old name) + joined (new name).
+ */
+
+/**
+ * Key for a channel as it appears on user profiles; changes when the name or privacy changes
+ * @param {Object} channel - Snapshot row or channel reference
+ * @returns {string}
+ */
+function channelKey(channel) {
+	return `${channel.channel_id}|${channel.name}|${Boolean(channel.is_private)}`;
+}
+
+/**
+ * Map each user to the channels they belong to in a snapshot
+ * @param {Array<Object>} snapshot - Membership snapshot rows
+ * @returns {Map<string, Map<string, {channel_id: string, name: string, is_private: boolean}>>}
+ */
+function channelsByUser(snapshot) {
+	const users = new Map();
+
+	for (const { channel_id, name, is_private, member_ids = [] } of snapshot) {
+		const channel = { channel_id, name, is_private: Boolean(is_private) };
+		for (const userId of member_ids) {
+			if (!users.has(userId)) users.set(userId, new Map());
+			users.get(userId).set(channelKey(channel), channel);
+		}
+	}
+
+	return users;
+}
+
+/**
+ * Diff two membership snapshots
+ * With no previous snapshot every membership is 'joined' and every channel gets a group profile update.
+ * Channels missing from the newer snapshot count as left by all their members.
+ * @param {Array<Object>} previous - Older snapshot rows ([] for the first snapshot)
+ * @param {Array<Object>} current - Newer snapshot rows
+ * @param {Object} meta - Snapshot details copied to each record
+ * @param {string} meta.date - Newer snapshot date (YYYY-MM-DD)
+ * @param {string|null} meta.previousDate - Older snapshot date (null for the first snapshot)
+ * @returns {Array<Object>} User records, then channel records
+ */
+export function diffChannelMembership(previous, current, { date, previousDate }) {
+	const before = channelsByUser(previous);
+	const after = channelsByUser(current);
+	const records = [];
+
+	for (const userId of new Set([...before.keys(), ...after.keys()])) {
+		const was = before.get(userId) || new Map();
+		const is = after.get(userId) || new Map();
+
+		const joined = [...is].filter(([key]) => !was.has(key)).map(([, channel]) => channel);
+		const left = [...was].filter(([key]) => !is.has(key)).map(([, channel]) => channel);
+
+		if (joined.length > 0 || left.length > 0) {
+			records.push({ type: 'user', date, previous_date: previousDate, user_id: userId, joined, left });
+		}
+	}
+
+	const previousMembers = new Map(previous.map(row => [row.channel_id, [...(row.member_ids || [])].sort().join(',')]));
+
+	for (const row of current) {
+		const memberIds = [...(row.member_ids || [])].sort();
+		if (previousMembers.get(row.channel_id) === memberIds.join(',')) continue;
+
+		records.push({
+			type: 'channel',
+			date,
+			previous_date: previousDate,
+			channel_id: row.channel_id,
+			member_ids: memberIds,
+			member_count: memberIds.length
+		});
+	}
+
+	return records;
+}
+
+/**
+ * Label a channel for the `channels` profile list (private channels are listed by ID unless exporting details)
+ * @param {Object} channel - Channel reference ({ channel_id, name, is_private })
+ * @param {Object} context - Heavy objects (private_channel_details)
+ * @returns {string}
+ */
+function channelLabel(channel, context) {
+	if (channel.is_private && context.private_channel_details !== 'export') return channel.channel_id;
+	return `#${channel.name}`;
+}
+
+/**
+ * Transform a user membership record to Mixpanel profile updates
+ * One $union with every joined channel, then one $remove per channel left ($remove takes a single value)
+ * @param {Object} record - Membership record
+ * @param {Object} context - Heavy objects (private_channel_details)
+ * @returns {Array<Object>|null} Profile updates, or null for channel records and no-op changes
+ */
+export function transformMembershipProfile(record, context) {
+	if (record.type !== 'user') return null;
+
+	const joined = [...new Set(record.joined.map(channel => channelLabel(channel, context)))];
+	// A label can be both left and joined (e.g. a redacted private channel that was renamed)
+	const left = [...new Set(record.left.map(channel => channelLabel(channel, context)))]
+		.filter(label => !joined.includes(label));
+
+	const updates = [
+		...(joined.length > 0 ? [{ $distinct_id: record.user_id, $union: { channels: joined } }] : []),
+		...left.map(label => ({ $distinct_id: record.user_id, $remove: { channels: label } }))
+	];
+
+	return updates.length > 0 ? updates : null;
+}
+
+/**
+ * Transform a channel membership record to a Mixpanel group profile update
+ * @param {Object} record - Membership record
+ * @param {Object} context - Heavy objects (channel_group_key)
+ * @returns {Object|null} Group profile, or null for user records
+ */
+export function transformMembershipGroupProfile(record, context) {
+	const { channel_group_key = 'channel_id' } = context;
+	if (record.type !== 'channel') return null;
+
+	return {
+		$group_key: channel_group_key,
+		$group_id: record.channel_id,
+		$set: {
+			member_ids: record.member_ids,
+			member_count: record.member_count,
+			membership_date: record.date
+		}
+	};
+}
+
+export default {
+	diffChannelMembership,
+	transformMembershipProfile,
+	transformMembershipGroupProfile
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Transform functions for channel message data
+ * @module MessageTransforms
+ *
+ * Message records come from the messages pipeline (conversations.history for allowlisted channels):
+ * { date, channel_id, ts, user, subtype, thread_ts, reply_count, reply_users_count, latest_reply,
+ *   reactions: [{ name, count }], reaction_count, pinned_to, is_pinned, text? }
+ *
+ * text is only present when the extract ran with message_text=include.
+ *
+ * With message_thread_replies=true, thread parents also carry { first_reply_ts, time_to_first_reply }
+ * and their replies are stored in the same file as reply records (they have a parent_ts):
+ * { date, channel_id, ts, user, subtype, thread_ts, parent_ts, parent_user, reply_index,
+ *   seconds_since_parent, is_first_reply, time_to_first_reply, reactions, reaction_count, text? }
+ */
+
+import { makeInsertId } from './utils.js';
+
+/**
+ * Transform a thread reply record to a Mixpanel 'thread reply' event
+ * @param {Object} record - Reply record (has parent_ts)
+ * @param {Object} context - Heavy objects (slackChannels, slack_prefix)
+ * @returns {Object} Mixpanel event
+ */
+function transformThreadReplyEvent(record, context) {
+	const { slackChannels = [], slack_prefix } = context;
+	const channelDetails = slackChannels.find((c) => c.id === record.channel_id);
+
+	return {
+		event: 'thread reply',
+		properties: {
+			$user_id: record.user, // the reply's author
+			$insert_id: makeInsertId('thread reply', `${record.channel_id}-${record.ts}`, record.date),
+			time: Math.floor(parseFloat(record.ts)),
+			channel_id: record.channel_id,
+			...(channelDetails && { channel_name: `#${channelDetails.name}` }),
+			ts: record.ts,
+			date: record.date,
+			subtype: record.subtype,
+			// Link to the parent message
+			parent_ts: record.parent_ts,
+			parent_user: record.parent_user,
+			is_own_thread: record.user === record.parent_user,
+			reply_index: record.reply_index,
+			seconds_since_parent: record.seconds_since_parent,
+			is_first_reply: record.is_first_reply,
+			time_to_first_reply: record.time_to_first_reply,
+			reaction_count: record.reaction_count,
+			reactions: (record.reactions || []).map(r => r.name),
+			...(record.text !== undefined && { text: record.text }),
+			'#  → SLACK': `${slack_prefix}/${record.channel_id}/p${record.ts.replace('.', '')}?thread_ts=${record.parent_ts}`
+		}
+	};
+}
+
+/**
+ * Transform a message record to a Mixpanel 'message posted' event ('thread reply' for reply records)
+ * @param {Object} record - Message record
+ * @param {Object} context - Heavy objects (slackChannels, slack_prefix)
+ * @returns {Object|null} Mixpanel event or null to skip (messages without an author, e.g. most bot messages)
+ */
+export function transformMessageEvent(record, context) {
+	const { slackChannels = [], slack_prefix } = context;
+
+	if (!record.user) return null;
+	if (record.parent_ts) return transformThreadReplyEvent(record, context);
+
+	const channelDetails = slackChannels.find((c) => c.id === record.channel_id);
+	const isThreadParent = Boolean(record.thread_ts) && record.thread_ts === record.ts;
+
+	const event = {
+		event: 'message posted',
+		properties: {
+			$user_id: record.user, // the author
+			$insert_id: makeInsertId('message posted', `${record.channel_id}-${record.ts}`, record.date),
+			time: Math.floor(parseFloat(record.ts)),
+			channel_id: record.channel_id,
+			...(channelDetails && { channel_name: `#${channelDetails.name}` }),
+			ts: record.ts,
+			date: record.date,
+			subtype: record.subtype,
+			// Thread metadata
+			thread_ts: record.thread_ts,
+			is_thread_parent: isThreadParent,
+			is_thread_reply: Boolean(record.thread_ts) && !isThreadParent,
+			reply_count: record.reply_count,
+			reply_users_count: record.reply_users_count,
+			...(record.time_to_first_reply !== undefined && { time_to_first_reply: record.time_to_first_reply }),
+			// Reaction metadata
+			reaction_count: record.reaction_count,
+			reactions: (record.reactions || []).map(r => r.name),
+			// Pin metadata
+			is_pinned: record.is_pinned,
+			pinned_to: record.pinned_to,
+			...(record.text !== undefined && { text: record.text }),
+			'#  → SLACK': `${slack_prefix}/${record.channel_id}/p${record.ts.replace('.', '')}`
+		}
+	};
+
+	return event;
+}
+
+export default {
+	transformMessageEvent
+};
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Transform functions for message reactions and emoji usage
+ * @module ReactionTransforms
+ *
+ * Reactions come from the messages pipeline: each message record carries
+ * reactions: [{ name, count, users }], where name may include a skin tone ('+1::skin-tone-2').
+ * Slack doesn't say when a reaction was added, so reaction events use the message's timestamp.
+ *
+ * Daily emoji summaries (emoji/YYYY-MM-DD-emoji.jsonl.gz) are written by the messages extract:
+ * { date, emoji, is_custom, uses, users: [...], channels: { C123: uses } }
+ * and combined into rows for the emoji lookup table (keyed by emoji name).
+ */
+
+import { makeInsertId } from './utils.js';
+
+/**
+ * Split a reaction name into its emoji and skin tone
+ * @param {string} name - Reaction name (e.g., 'wave::skin-tone-3')
+ * @returns {{emoji: string, skinTone: number|undefined}}
+ */
+export function parseReactionName(name) {
+	const [emoji, ...modifiers] = name.split('::');
+	const skinTone = modifiers.map(modifier => modifier.match(/^skin-tone-(\d)$/)?.[1]).find(Boolean);
+	return { emoji, skinTone: skinTone ? parseInt(skinTone, 10) : undefined };
+}
+
+/**
+ * Transform a message record's reactions to Mixpanel 'reaction added' events
+ * One event per (message, emoji, reacting user)
+ * @param {Object} record - Message or thread reply record
+ * @param {Object} context - Heavy objects (slackChannels, slack_prefix)
+ * @returns {Array<Object>} Mixpanel events (empty if the message has no reactions)
+ */
+export function transformReactionEvents(record, context) {
+	const { slackChannels = [], slack_prefix } = context;
+	const channelDetails = slackChannels.find((c) => c.id === record.channel_id);
+	const events = [];
+
+	for (const reaction of record.reactions || []) {
+		const { emoji, skinTone } = parseReactionName(reaction.name);
+
+		for (const user of reaction.users || []) {
+			events.push({
+				event: 'reaction added',
+				properties: {
+					$user_id: user, // the person who reacted
+					$insert_id: makeInsertId('reaction added', `${record.channel_id}-${record.ts}-${reaction.name}-${user}`, record.date),
+					time: Math.floor(parseFloat(record.ts)),
+					emoji,
+					reaction: reaction.name,
+					...(skinTone && { skin_tone: skinTone }),
+					channel_id: record.channel_id,
+					...(channelDetails && { channel_name: `#${channelDetails.name}` }),
+					date: record.date,
+					message_ts: record.ts,
+					message_user: record.user,
+					is_own_message: user === record.user,
+					is_thread_reply: Boolean(record.parent_ts),
+					'#  → SLACK': `${slack_prefix}/${record.channel_id}/p${record.ts.replace('.', '')}`
+				}
+			});
+		}
+	}
+
+	return events;
+}
+
+/**
+ * Summarize a day's emoji usage from message records
+ * @param {Array<Object>} records - Message records for one day
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {Object<string, string>|null} customEmoji - Custom emoji from emoji.list (null if unknown)
+ * @returns {Array<Object>} One summary row per emoji, most used first
+ */
+export function summarizeEmojiUsage(records, date, customEmoji) {
+	const usage = new Map();
+
+	for (const record of records) {
+		for (const reaction of record.reactions || []) {
+			const { emoji } = parseReactionName(reaction.name);
+			if (!usage.has(emoji)) usage.set(emoji, { uses: 0, users: new Set(), channels: {} });
+
+			const summary = usage.get(emoji);
+			summary.uses += reaction.count;
+			for (const user of reaction.users || []) summary.users.add(user);
+			summary.channels[record.channel_id] = (summary.channels[record.channel_id] || 0) + reaction.count;
+		}
+	}
+
+	return [...usage]
+		.map(([emoji, { uses, users, channels }]) => ({
+			date,
+			emoji,
+			...(customEmoji && { is_custom: emoji in customEmoji }),
+			uses,
+			users: [...users],
+			channels
+		}))
+		.sort((a, b) => b.uses - a.uses);
+}
+
+/**
+ * Combine daily emoji summaries into emoji lookup table rows
+ * @param {Array<Object>} summaries - Summary rows from one or more days
+ * @param {Object} [context] - Context with slackChannels cache (for the top channel's name)
+ * @returns {Array<Object>} One row per emoji (keyed by emoji), most used first
+ */
+export function buildEmojiLookupRows(summaries, context = {}) {
+	const { slackChannels = [] } = context;
+	const emoji = new Map();
+
+	for (const summary of summaries) {
+		if (!emoji.has(summary.emoji)) {
+			emoji.set(summary.emoji, { uses: 0, users: new Set(), channels: {}, dates: [] });
+		}
+
+		const combined = emoji.get(summary.emoji);
+		combined.uses += summary.uses;
+		combined.dates.push(summary.date);
+		if (summary.is_custom !== undefined) combined.is_custom = summary.is_custom;
+		for (const user of summary.users || []) combined.users.add(user);
+		for (const [channelId, uses] of Object.entries(summary.channels || {})) {
+			combined.channels[channelId] = (combined.channels[channelId] || 0) + uses;
+		}
+	}
+
+	return [...emoji]
+		.map(([name, combined]) => {
+			const [topChannelId] = Object.entries(combined.channels).sort((a, b) => b[1] - a[1])[0] || [];
+			const topChannel = slackChannels.find((c) => c.id === topChannelId);
+			const dates = combined.dates.sort();
+
+			return {
+				emoji: name,
+				is_custom: combined.is_custom,
+				uses: combined.uses,
+				unique_users: combined.users.size,
+				channel_count: Object.keys(combined.channels).length,
+				top_channel_id: topChannelId,
+				top_channel: topChannel ? `#${topChannel.name}` : undefined,
+				first_used: dates[0],
+				last_used: dates[dates.length - 1]
+			};
+		})
+		.sort((a, b) => b.uses - a.uses);
+}
+
+/**
+ * Serialize lookup table rows to CSV (the format Mixpanel's lookup table API expects; the first column is the key)
+ * @param {Array<Object>} rows - Rows with the same keys
+ * @returns {string} CSV with a header row
+ */
+export function toLookupTableCsv(rows) {
+	if (rows.length === 0) return '';
+
+	const columns = Object.keys(rows[0]);
+	const escape = (value) => {
+		if (value === undefined || value === null) return '';
+		const text = String(value);
+		return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+
+	return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+export default {
+	parseReactionName,
+	transformReactionEvents,
+	summarizeEmojiUsage,
+	buildEmojiLookupRows,
+	toLookupTableCsv
+};
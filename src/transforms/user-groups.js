@@ -0,0 +1,122 @@
+/**
+ * @fileoverview User group records and their profile transforms
+ * @module UserGroupTransforms
+ *
+ * The user-groups extract (user-groups/YYYY-MM-DD-user-groups.jsonl.gz) holds two kinds of records:
+ * { type: 'group', date, usergroup_id, handle, name, description, user_count, member_ids, created_by, created, updated }
+ * { type: 'member', date, user_id, user_groups: ['@handle', ...], user_group_ids: [...] }
+ *
+ * Group records become group profiles (keyed by user_group_key); member records $set `slack_user_groups`
+ * on user profiles. Every active member gets a record, including those in no group, so leaving a group
+ * shows up on the next run.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * Build user group records from usergroups.list and users.list
+ * @param {Array<Object>} groups - User groups from slackService.getUserGroups
+ * @param {Array<Object>} users - Users from slackService.getUsers (bots and deactivated accounts are skipped)
+ * @param {Object} meta - Extract details copied to each record
+ * @param {string} meta.date - Extract date (YYYY-MM-DD)
+ * @returns {Array<Object>} Group records, then member records
+ */
+export function toUserGroupRecords(groups, users, { date }) {
+	const groupsByUser = new Map();
+	const records = [];
+
+	for (const group of [...groups].sort((a, b) => a.handle.localeCompare(b.handle))) {
+		const memberIds = [...(group.users || [])].sort();
+
+		records.push({
+			type: 'group',
+			date,
+			usergroup_id: group.id,
+			handle: group.handle,
+			name: group.name,
+			description: group.description || '',
+			user_count: memberIds.length,
+			member_ids: memberIds,
+			...(group.created_by && { created_by: group.created_by }),
+			...(group.date_create && { created: dayjs.unix(group.date_create).utc().format('YYYY-MM-DD') }),
+			...(group.date_update && { updated: dayjs.unix(group.date_update).utc().format('YYYY-MM-DD') })
+		});
+
+		for (const userId of memberIds) {
+			if (!groupsByUser.has(userId)) groupsByUser.set(userId, []);
+			groupsByUser.get(userId).push(group);
+		}
+	}
+
+	for (const user of users) {
+		if (user.is_bot || user.id === 'USLACKBOT' || user.deleted) continue;
+		const userGroups = groupsByUser.get(user.id) || [];
+
+		records.push({
+			type: 'member',
+			date,
+			user_id: user.id,
+			user_groups: userGroups.map(group => `@${group.handle}`),
+			user_group_ids: userGroups.map(group => group.id)
+		});
+	}
+
+	return records;
+}
+
+/**
+ * Transform a group record to a Mixpanel user group profile
+ * @param {Object} record - User group record
+ * @param {Object} context - Heavy objects (user_group_key)
+ * @returns {Object|null} Group profile, or null for member records
+ */
+export function transformUserGroupProfile(record, context) {
+	const { user_group_key = 'user_group_id' } = context;
+	if (record.type !== 'group') return null;
+
+	return {
+		$group_key: user_group_key,
+		$group_id: record.usergroup_id,
+		$set: {
+			$name: `@${record.handle}`,
+			handle: record.handle,
+			name: record.name,
+			description: record.description,
+			user_count: record.user_count,
+			member_ids: record.member_ids,
+			...(record.created_by && { created_by: record.created_by }),
+			...(record.created && { created: record.created }),
+			...(record.updated && { updated: record.updated }),
+			snapshot_date: record.date
+		}
+	};
+}
+
+/**
+ * Transform a member record to a Mixpanel user profile update
+ * `user_group_key` holds the group IDs, so the member's events can be broken down by user group
+ * @param {Object} record - User group record
+ * @param {Object} context - Heavy objects (user_group_key)
+ * @returns {Object|null} Profile update, or null for group records
+ */
+export function transformUserGroupMemberProfile(record, context) {
+	const { user_group_key = 'user_group_id' } = context;
+	if (record.type !== 'member') return null;
+
+	return {
+		$distinct_id: record.user_id,
+		$set: {
+			slack_user_groups: record.user_groups,
+			[user_group_key]: record.user_group_ids
+		}
+	};
+}
+
+export default {
+	toUserGroupRecords,
+	transformUserGroupProfile,
+	transformUserGroupMemberProfile
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Shared helpers for transform functions
+ * @module TransformUtils
+ */
+
+import { createHash } from 'crypto';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Event timestamp strategies for daily activity events
+ * - start_of_day: 00:00:00 UTC
+ * - end_of_day: 23:59:59 UTC
+ * - user_noon: 12:00 in the member's timezone (workspace timezone for channels and members without a tz)
+ * - offset: a fixed number of minutes after 00:00 UTC (default 260 = 04:20, the historical behavior)
+ */
+export const TIME_STRATEGIES = ['start_of_day', 'end_of_day', 'user_noon', 'offset'];
+
+/**
+ * Build a deterministic $insert_id so re-importing a date is idempotent in Mixpanel
+ * The same event name, entity and date always produce the same ID (32 hex chars, within Mixpanel's 36 char limit)
+ * @param {string} eventName - Event name (e.g., 'daily user activity')
+ * @param {string} entityId - Entity the event describes (user ID, channel ID, ...)
+ * @param {string} date - Activity date (YYYY-MM-DD)
+ * @returns {string} Insert ID
+ * @example
+ * makeInsertId('daily user activity', 'U123', '2024-01-15'); // => 'a1b2c3...'
+ */
+export function makeInsertId(eventName, entityId, date) {
+	return createHash('md5').update(`${eventName}|${entityId}|${date}`).digest('hex');
+}
+
+/**
+ * Compute the timestamp for a daily activity event
+ * @param {string} date - Activity date (YYYY-MM-DD)
+ * @param {Object} [options] - Timestamp options
+ * @param {string} [options.strategy='offset'] - One of TIME_STRATEGIES
+ * @param {number} [options.offsetMinutes=260] - Minutes after midnight UTC for the 'offset' strategy
+ * @param {string} [options.workspaceTimezone='UTC'] - IANA timezone used when no member timezone is known
+ * @param {string} [options.userTimezone] - Member's IANA timezone (from the cached user list) for 'user_noon'
+ * @returns {number} Unix timestamp (seconds)
+ * @throws {Error} If the strategy is unknown
+ */
+export function getEventTime(date, options = {}) {
+	const { strategy = 'offset', offsetMinutes = 260, workspaceTimezone = 'UTC', userTimezone } = options;
+
+	switch (strategy) {
+		case 'start_of_day':
+			return dayjs.utc(date).startOf('day').unix();
+		case 'end_of_day':
+			return dayjs.utc(date).endOf('day').unix();
+		case 'user_noon':
+			for (const tz of [userTimezone, workspaceTimezone]) {
+				if (!tz) continue;
+				try {
+					return dayjs.tz(`${date} 12:00`, tz).unix();
+				} catch (error) {
+					// Invalid timezone name, fall through
+				}
+			}
+			return dayjs.utc(date).hour(12).unix();
+		case 'offset':
+			return dayjs.utc(date).add(offsetMinutes, 'm').unix();
+		default:
+			throw new Error(`Unknown event time strategy: ${strategy} (expected one of ${TIME_STRATEGIES.join(', ')})`);
+	}
+}
+
+/** Profile update keys that identify the profile (copied onto the team $union) */
+const PROFILE_IDENTITY_KEYS = ['$token', '$distinct_id', '$group_key', '$group_id'];
+
+/**
+ * Stamp a transformed record with its workspace (multi-workspace runs)
+ * Events get team_id / team_name properties and an $insert_id that includes the team, so the same user
+ * or channel in two workspaces doesn't dedupe. Profile $set updates are followed by a $union of the team into
+ * team_ids / team_names lists, since a profile can be loaded from several workspaces; other profile operations
+ * pass through.
+ * @param {Object|Array<Object>|null} output - Transform output (event, profile, array of them, or null)
+ * @param {{team_id: string, team_name?: string}} workspace - Workspace the record was extracted from
+ * @returns {Object|Array<Object>|null} The same output, stamped (an array when a profile gains a $union)
+ */
+export function stampWorkspace(output, workspace) {
+	if (!output) return output;
+	if (Array.isArray(output)) return output.flatMap(record => stampWorkspace(record, workspace) ?? []);
+
+	const team = { team_id: workspace.team_id, ...(workspace.team_name && { team_name: workspace.team_name }) };
+
+	if (output.event && output.properties) {
+		const { properties } = output;
+		return {
+			...output,
+			properties: {
+				...properties,
+				...(properties.$insert_id && { $insert_id: makeInsertId(output.event, `${workspace.team_id}|${properties.$insert_id}`, '') }),
+				...team
+			}
+		};
+	}
+	// A profile can belong to several workspaces, so profiles collect the teams in lists
+	if (output.$set) {
+		const identity = Object.fromEntries(Object.entries(output).filter(([key]) => PROFILE_IDENTITY_KEYS.includes(key)));
+		return [
+			output,
+			{ ...identity, $union: { team_ids: [workspace.team_id], ...(workspace.team_name && { team_names: [workspace.team_name] }) } }
+		];
+	}
+
+	return output;
+}
+
+export default {
+	TIME_STRATEGIES,
+	makeInsertId,
+	getEventTime,
+	stampWorkspace
+};
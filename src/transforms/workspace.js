@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Workspace-level daily rollup of member and channel analytics
+ * @module WorkspaceTransforms
+ *
+ * Summing `daily user activity` or `daily channel activity` in Mixpanel double-counts: a message is
+ * counted once per channel event and members are counted once per day. The extract stage writes one
+ * rollup per day (workspace-activity/YYYY-MM-DD-workspace-activity.jsonl.gz) built from:
+ * - member totals (required): active members, messages posted, channel vs DM messages, guests. The member
+ *   extract summarizes the full analytics response, before company_domain filtering, into
+ *   workspace-members/YYYY-MM-DD-workspace-members.jsonl.gz
+ * - channels / private-channels files (optional): public channel messages and channels with activity
+ *
+ * The rollup loads as a `daily workspace activity` event with no user, carrying workspace_group_key
+ * (default: team_id) so it can be analyzed as a workspace group.
+ */
+
+import { makeInsertId, getEventTime } from './utils.js';
+
+/**
+ * Percentage of a total, to one decimal place
+ * @param {number} part - Part of the total
+ * @param {number} total - Total
+ * @returns {number} 0 when the total is 0
+ */
+function percent(part, total) {
+	return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Sum a numeric field across records
+ * @param {Array<Object>} records - Analytics records
+ * @param {string} field - Field to sum (missing values count as 0)
+ * @returns {number}
+ */
+function sum(records, field) {
+	return records.reduce((total, record) => total + (Number(record[field]) || 0), 0);
+}
+
+/**
+ * Summarize one day of member analytics into the member totals of the workspace rollup
+ * DMs are the messages members posted outside channels (messages_posted_count - channel_messages_posted_count).
+ * @param {Array<Object>} members - Member analytics records
+ * @param {Object} meta - Rollup details
+ * @param {string} meta.date - Activity date (YYYY-MM-DD)
+ * @param {string} [meta.team_id] - Workspace (defaults to the members' team_id)
+ * @returns {Object} Member totals
+ */
+export function summarizeMemberActivity(members, { date, team_id }) {
+	const guests = members.filter(member => member.is_guest);
+	const messagesPosted = sum(members, 'messages_posted_count');
+	const channelMessages = sum(members, 'channel_messages_posted_count');
+	const dmMessages = Math.max(messagesPosted - channelMessages, 0);
+
+	return {
+		date,
+		team_id: team_id || members.find(member => member.team_id)?.team_id,
+		members: members.length,
+		active_members: members.filter(member => member.is_active).length,
+		messages_posted: messagesPosted,
+		channel_messages_posted: channelMessages,
+		dm_messages_posted: dmMessages,
+		pct_channel_messages: percent(channelMessages, messagesPosted),
+		pct_dm_messages: percent(dmMessages, messagesPosted),
+		reactions_added: sum(members, 'reactions_added_count'),
+		guests: guests.length,
+		active_guests: guests.filter(member => member.is_active).length,
+		guest_messages_posted: sum(guests, 'messages_posted_count')
+	};
+}
+
+/**
+ * Build the workspace rollup for one day
+ * Public channel messages come from the channel file, which can count posts the member totals don't
+ * (e.g. Slack Connect guests), so they are capped at the members' channel messages.
+ * @param {Object} files - That day's analytics
+ * @param {Array<Object>} [files.members] - Member analytics records (summarized with summarizeMemberActivity)
+ * @param {Object} [files.memberSummary] - Member totals from summarizeMemberActivity (instead of members)
+ * @param {Array<Object>|null} [files.channels] - Public channel analytics records (null if not extracted)
+ * @param {Array<Object>|null} [files.privateChannels] - Private channel analytics records (null if not extracted)
+ * @param {Object} meta - Rollup details
+ * @param {string} meta.date - Activity date (YYYY-MM-DD)
+ * @param {string} [meta.team_id] - Workspace (defaults to the members' team_id)
+ * @returns {Object} Rollup record
+ */
+export function summarizeWorkspaceActivity({ members, memberSummary, channels = null, privateChannels = null }, { date, team_id }) {
+	const totals = memberSummary || summarizeMemberActivity(members, { date, team_id });
+	const record = { ...totals, date, team_id: team_id || totals.team_id };
+	const channelMessages = record.channel_messages_posted;
+	const messagesPosted = record.messages_posted;
+
+	if (channels) {
+		const publicMessages = Math.min(sum(channels, 'messages_posted_count'), channelMessages);
+		record.public_channel_messages_posted = publicMessages;
+		record.pct_public_channel_messages = percent(publicMessages, messagesPosted);
+		record.public_channels_with_activity = channels.filter(channel => channel.messages_posted_count > 0).length;
+	}
+
+	if (privateChannels) {
+		record.private_channels_with_activity = privateChannels.filter(channel => channel.messages_posted_count > 0).length;
+	}
+
+	if (channels || privateChannels) {
+		record.channels_with_activity = (record.public_channels_with_activity || 0) + (record.private_channels_with_activity || 0);
+	}
+
+	return record;
+}
+
+/**
+ * Transform a workspace rollup record to a Mixpanel event
+ * @param {Object} record - Rollup record from summarizeWorkspaceActivity
+ * @param {Object} context - Heavy objects (workspace_group_key, eventTime)
+ * @returns {Object} Mixpanel event
+ */
+export function transformWorkspaceEvent(record, context) {
+	const { workspace_group_key = 'team_id', eventTime = {} } = context;
+
+	return {
+		event: 'daily workspace activity',
+		properties: {
+			...record,
+			distinct_id: "",  // DO NOT ASSOCIATE WITH A USER!
+			$insert_id: makeInsertId('daily workspace activity', record.team_id || 'workspace', record.date), // idempotent re-imports
+			time: getEventTime(record.date, eventTime),
+			time_strategy: eventTime.strategy || 'offset',
+			workspace_timezone: eventTime.workspaceTimezone || 'UTC',
+			...(record.team_id && { [workspace_group_key]: record.team_id }),
+			date: record.date
+		}
+	};
+}
+
+export default {
+	summarizeMemberActivity,
+	summarizeWorkspaceActivity,
+	transformWorkspaceEvent
+};
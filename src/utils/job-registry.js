@@ -0,0 +1,144 @@
+/**
+ * @fileoverview In-memory registry of pipeline jobs started with async=true
+ * @module JobRegistry
+ *
+ * Jobs live in process memory: they are visible to GET /jobs on the instance that started them
+ * and are lost on restart. Only the most recent MAX_JOBS are kept; queued and running jobs are never evicted.
+ */
+
+import { randomUUID } from 'crypto';
+
+/** Number of jobs kept in memory (oldest finished jobs are evicted first) */
+const MAX_JOBS = 100;
+
+/** Statuses of jobs that are done and can be evicted */
+const FINISHED = ['success', 'error'];
+
+/** @type {Map<string, Object>} */
+const jobs = new Map();
+
+/**
+ * Create a job in the 'queued' state
+ * @param {string} pipeline - Pipeline label (e.g., 'members', 'all')
+ * @param {Object} params - Parsed request parameters
+ * @returns {Object} The job
+ */
+export function createJob(pipeline, params) {
+	const job = {
+		id: randomUUID(),
+		pipeline,
+		params,
+		status: 'queued',
+		stage: null,
+		progress: {},
+		result: null,
+		error: null,
+		created_at: new Date().toISOString(),
+		started_at: null,
+		finished_at: null
+	};
+
+	jobs.set(job.id, job);
+
+	// Evict the oldest finished jobs (Map preserves insertion order); jobs still queued or running are kept
+	for (const [id, { status }] of jobs) {
+		if (jobs.size <= MAX_JOBS) break;
+		if (FINISHED.includes(status)) jobs.delete(id);
+	}
+
+	return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+	return jobs.get(id) || null;
+}
+
+/**
+ * List recent jobs, newest first, without their (potentially large) results
+ * @param {number} [limit=MAX_JOBS] - Maximum number of jobs to return
+ * @returns {Array<Object>}
+ */
+export function listJobs(limit = MAX_JOBS) {
+	return [...jobs.values()]
+		.reverse()
+		.slice(0, limit)
+		.map(({ result, progress, ...summary }) => summary);
+}
+
+/**
+ * Mark a job as running
+ * @param {string} id - Job ID
+ */
+export function startJob(id) {
+	const job = jobs.get(id);
+	if (!job) return;
+	job.status = 'running';
+	job.started_at = new Date().toISOString();
+}
+
+/**
+ * Record pipeline progress on a job
+ * Stage events ({ stage, pipeline }) update the current stage; day events
+ * ({ stage, pipeline, date, status, day, totalDays }, from the extract and load stages) update per-day progress.
+ * @param {string} id - Job ID
+ * @param {Object} event - Progress event from runPipeline's onProgress callback
+ */
+export function recordProgress(id, event) {
+	const job = jobs.get(id);
+	if (!job) return;
+
+	const { stage, pipeline, date, status, day, totalDays } = event;
+	job.stage = pipeline ? `${stage}:${pipeline}` : stage;
+
+	if (!pipeline) return;
+	const pipelineProgress = job.progress[pipeline] || (job.progress[pipeline] = { stage, days: {} });
+	pipelineProgress.stage = stage;
+
+	if (date) {
+		pipelineProgress.days[date] = status;
+		pipelineProgress.completedDays = day;
+		pipelineProgress.totalDays = totalDays;
+	}
+}
+
+/**
+ * Mark a job as finished successfully
+ * @param {string} id - Job ID
+ * @param {Object} result - runPipeline result
+ */
+export function completeJob(id, result) {
+	const job = jobs.get(id);
+	if (!job) return;
+	job.status = 'success';
+	job.stage = 'complete';
+	job.result = result;
+	job.finished_at = new Date().toISOString();
+}
+
+/**
+ * Mark a job as failed
+ * @param {string} id - Job ID
+ * @param {Error} error - Error thrown by runPipeline
+ */
+export function failJob(id, error) {
+	const job = jobs.get(id);
+	if (!job) return;
+	job.status = 'error';
+	job.error = error.message;
+	job.finished_at = new Date().toISOString();
+}
+
+export default {
+	createJob,
+	getJob,
+	listJobs,
+	startJob,
+	recordProgress,
+	completeJob,
+	failJob
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Adaptive token-bucket rate limiter for Slack Web API methods
+ * @module RateLimiter
+ *
+ * Every Slack call goes through one shared limiter (see services/slack.js). Each method gets its own
+ * bucket, refilled at the rate of its Slack tier (https://api.slack.com/docs/rate-limits):
+ * - Tier 1: 1+ requests per minute
+ * - Tier 2: 20+ requests per minute
+ * - Tier 3: 50+ requests per minute
+ * - Tier 4: 100+ requests per minute
+ *
+ * Buckets start at the documented rate and adapt:
+ * - A 429 halves the bucket's rate and holds every call to that method until Retry-After has passed
+ * - Every SPEEDUP_AFTER successful calls in a row raise the rate by 10%, up to MAX_MULTIPLIER × the tier rate
+ *
+ * Rate changes are logged ([SLACK] prefix) and getStats() reports each bucket's current rate.
+ * Tiers can be overridden per method with SLACK_METHOD_TIERS (e.g. conversations.history:1).
+ */
+
+import * as akTools from 'ak-tools';
+import logger from './logger.js';
+
+const { SLACK_METHOD_TIERS = '' } = process.env;
+
+/** Documented requests per minute and burst size for each tier ('special' methods are not limited) */
+export const TIERS = {
+	1: { perMinute: 1, burst: 1 },
+	2: { perMinute: 20, burst: 3 },
+	3: { perMinute: 50, burst: 5 },
+	4: { perMinute: 100, burst: 10 },
+	special: { perMinute: Infinity, burst: Infinity }
+};
+
+/**
+ * Tier of each Slack method this service calls
+ * conversations.history is Tier 3 for internal apps. Non-Marketplace apps created since May 2025 are
+ * limited to Tier 1 and should set SLACK_METHOD_TIERS=conversations.history:1
+ */
+export const METHOD_TIERS = {
+	'auth.test': 'special',
+	'admin.analytics.getFile': 2,
+	'conversations.list': 2,
+	'users.list': 2,
+	'emoji.list': 2,
+	'usergroups.list': 2,
+	'usergroups.users.list': 2,
+	'search.messages': 2,
+	'team.profile.get': 3,
+	'team.info': 3,
+	'conversations.info': 3,
+	'conversations.history': 3,
+	'conversations.replies': 3,
+	'conversations.members': 4,
+	'users.info': 4,
+	'users.profile.get': 4
+};
+
+/** Tier for methods missing from METHOD_TIERS */
+const DEFAULT_TIER = 3;
+
+/** Successful calls in a row before a bucket speeds up */
+const SPEEDUP_AFTER = 10;
+
+/** Ceiling for a bucket's rate, as a multiple of its tier rate */
+const MAX_MULTIPLIER = 2;
+
+/** Floor for a bucket's rate, as a fraction of its tier rate */
+const MIN_MULTIPLIER = 0.25;
+
+/** Fallback wait when a rate limited response carries no Retry-After */
+export const DEFAULT_RETRY_AFTER_MS = 60000;
+
+/**
+ * Parse SLACK_METHOD_TIERS overrides
+ * @param {string} value - Comma-separated method:tier pairs (e.g., 'conversations.history:1,users.info:3')
+ * @returns {Object<string, number|string>} Method → tier
+ * @throws {Error} If a tier is unknown
+ */
+export function parseMethodTiers(value) {
+	const overrides = {};
+
+	for (const entry of value.split(',').map(pair => pair.trim()).filter(Boolean)) {
+		const [method, tier] = entry.split(':').map(part => part.trim());
+		if (!method || !(tier in TIERS)) {
+			throw new Error(`Invalid SLACK_METHOD_TIERS entry "${entry}" (expected method:tier with tier 1-4 or special)`);
+		}
+		overrides[method] = tier === 'special' ? tier : Number(tier);
+	}
+
+	return overrides;
+}
+
+/**
+ * Check whether an error from the Slack WebClient is a rate limit
+ * @param {any} error - Error thrown by the Slack WebClient
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+	return error?.data?.error === 'ratelimited' || error?.code === 'slack_webapi_rate_limited_error';
+}
+
+/**
+ * Determine how long to wait after a rate limited Slack API call
+ * Honors Retry-After (seconds) from the SDK error or response headers
+ * @param {any} error - Error thrown by the Slack WebClient
+ * @returns {number} Milliseconds to wait before retrying
+ */
+export function getRetryAfterMs(error) {
+	const retryAfter = error?.retryAfter
+		?? error?.headers?.['retry-after']
+		?? error?.data?.headers?.['retry-after'];
+	const seconds = parseInt(retryAfter, 10);
+	return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : DEFAULT_RETRY_AFTER_MS;
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options] - Limiter options (for testing)
+ * @param {Object<string, number|string>} [options.tiers] - Method → tier overrides (default: SLACK_METHOD_TIERS)
+ * @param {() => number} [options.now] - Clock in ms
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Wait function
+ * @returns {{call: Function, getStats: Function}}
+ */
+export function createRateLimiter(options = {}) {
+	const {
+		tiers = parseMethodTiers(SLACK_METHOD_TIERS),
+		now = () => Date.now(),
+		sleep = (ms) => akTools.sleep(ms)
+	} = options;
+
+	/** @type {Map<string, Object>} Buckets by method */
+	const buckets = new Map();
+
+	/**
+	 * Bucket for a method, created at its tier's rate
+	 * @param {string} method - Slack API method (e.g., 'users.info')
+	 * @returns {Object}
+	 */
+	const getBucket = (method) => {
+		if (!buckets.has(method)) {
+			const tier = tiers[method] ?? METHOD_TIERS[method] ?? DEFAULT_TIER;
+			const { perMinute, burst } = TIERS[tier];
+			// `tat` is when the bucket will be full again (generic cell rate algorithm form of a token bucket)
+			buckets.set(method, { method, tier, baseRate: perMinute, rate: perMinute, burst, tat: 0, streak: 0, calls: 0, rateLimited: 0 });
+		}
+		return buckets.get(method);
+	};
+
+	/**
+	 * Take a token from a method's bucket, waiting until one is available
+	 * The slot is reserved before waiting, so concurrent callers queue in order
+	 * @param {Object} bucket - Method bucket
+	 * @returns {Promise<void>}
+	 */
+	const acquire = async (bucket) => {
+		if (!Number.isFinite(bucket.rate)) return;
+
+		const interval = 60000 / bucket.rate;
+		const currentTime = now();
+		const tat = Math.max(bucket.tat, currentTime);
+		const waitMs = Math.max(0, tat - (bucket.burst - 1) * interval - currentTime);
+
+		bucket.tat = tat + interval;
+		if (waitMs > 0) await sleep(Math.ceil(waitMs));
+	};
+
+	/**
+	 * Record a successful call, speeding the bucket up after a run of them
+	 * @param {Object} bucket - Method bucket
+	 */
+	const onSuccess = (bucket) => {
+		bucket.streak++;
+		if (bucket.streak < SPEEDUP_AFTER || bucket.rate >= bucket.baseRate * MAX_MULTIPLIER) return;
+
+		const previous = bucket.rate;
+		bucket.rate = Math.min(bucket.rate * 1.1, bucket.baseRate * MAX_MULTIPLIER);
+		bucket.streak = 0;
+		logger.verbose(`[SLACK] ⏩ ${bucket.method}: ${previous.toFixed(1)} → ${bucket.rate.toFixed(1)} req/min`);
+	};
+
+	/**
+	 * Record a 429, slowing the bucket down and holding it until Retry-After has passed
+	 * @param {Object} bucket - Method bucket
+	 * @param {number} retryAfterMs - Wait from the response
+	 */
+	const onRateLimited = (bucket, retryAfterMs) => {
+		bucket.rateLimited++;
+		if (!Number.isFinite(bucket.rate)) return;
+
+		const previous = bucket.rate;
+		bucket.rate = Math.max(bucket.rate / 2, bucket.baseRate * MIN_MULTIPLIER);
+		bucket.streak = 0;
+		// Empty the bucket and hold it: the next call waits out Retry-After, later ones the new interval
+		bucket.tat = Math.max(bucket.tat, now() + retryAfterMs + (bucket.burst - 1) * (60000 / bucket.rate));
+		logger.warn(`[SLACK] ⏱️  ${bucket.method} rate limited: ${previous.toFixed(1)} → ${bucket.rate.toFixed(1)} req/min, pausing for ${Math.round(retryAfterMs / 1000)}s`);
+	};
+
+	/**
+	 * Call a Slack method through its bucket, retrying rate limited calls after Retry-After
+	 * @template T
+	 * @param {string} method - Slack API method (e.g., 'users.info')
+	 * @param {() => Promise<T>} fn - The call
+	 * @param {Object} [callOptions] - Call options
+	 * @param {number} [callOptions.maxAttempts=5] - Attempts before a rate limit error is thrown
+	 * @returns {Promise<T>}
+	 * @throws {Error} The call's error, or the last rate limit error once attempts are exhausted
+	 */
+	const call = async (method, fn, callOptions = {}) => {
+		const { maxAttempts = 5 } = callOptions;
+		const bucket = getBucket(method);
+
+		for (let attempt = 1; ; attempt++) {
+			await acquire(bucket);
+			bucket.calls++;
+
+			try {
+				const response = await fn();
+				onSuccess(bucket);
+				return response;
+			} catch (error) {
+				if (!isRateLimitError(error)) throw error;
+				onRateLimited(bucket, getRetryAfterMs(error));
+				if (attempt >= maxAttempts) throw error;
+			}
+		}
+	};
+
+	/**
+	 * Current state of every bucket used so far
+	 * @returns {Object<string, {tier: number|string, rate: number, calls: number, rateLimited: number}>} By method
+	 */
+	const getStats = () => Object.fromEntries([...buckets.values()].map(bucket => [bucket.method, {
+		tier: bucket.tier,
+		rate: Number.isFinite(bucket.rate) ? Math.round(bucket.rate * 10) / 10 : bucket.rate,
+		calls: bucket.calls,
+		rateLimited: bucket.rateLimited
+	}]));
+
+	return { call, getStats };
+}
+
+/** Limiter shared by every Slack call in the service */
+export const rateLimiter = createRateLimiter();
+
+export default rateLimiter;
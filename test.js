@@ -78,7 +78,7 @@ async function runTests() {
 
 		// Test 5: Storage service
 		console.log('\n💾 Test 5: Storage service');
-		console.log(`   Storage type: ${storage.isGCS() ? 'Google Cloud Storage' : 'Local Filesystem'}`);
+		console.log(`   Storage type: ${storage.getStorageType()}`);
 		console.log(`   Storage path: ${storage.getStoragePath()}`);
 
 		console.log('\n🎉 All tests completed successfully!');
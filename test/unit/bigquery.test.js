@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import bigquery from '../../src/services/bigquery.js';
+import storage from '../../src/services/storage.js';
+import { loadToBigQuery } from '../../src/jobs/load-bigquery.js';
+
+/**
+ * Unit tests for the BigQuery sink against an in-memory mock of the BigQuery client
+ */
+
+function createMockBigQuery() {
+  const state = { datasets: new Set(), tables: new Map(), loads: [], queries: [], deleted: [] };
+
+  const table = (datasetId, tableId) => ({
+    exists: async () => [state.tables.has(`${datasetId}.${tableId}`)],
+    getMetadata: async () => [{ schema: { fields: state.tables.get(`${datasetId}.${tableId}`).schema.fields } }],
+    setMetadata: async ({ schema }) => {
+      state.tables.get(`${datasetId}.${tableId}`).schema = schema;
+    },
+    load: async (file, metadata) => {
+      const rows = fs.readFileSync(file, 'utf8').split('\n').map(line => JSON.parse(line));
+      state.loads.push({ tableId, metadata, rows });
+      return [{}];
+    },
+    delete: async () => {
+      state.deleted.push(tableId);
+    }
+  });
+
+  return {
+    state,
+    dataset: (datasetId) => ({
+      exists: async () => [state.datasets.has(datasetId)],
+      create: async () => {
+        state.datasets.add(datasetId);
+      },
+      createTable: async (tableId, options) => {
+        state.tables.set(`${datasetId}.${tableId}`, options);
+      },
+      table: (tableId) => table(datasetId, tableId)
+    }),
+    query: async ({ query }) => {
+      state.queries.push(query);
+      return [[]];
+    }
+  };
+}
+
+describe('BigQuery Service', () => {
+  let mock;
+
+  beforeEach(() => {
+    mock = createMockBigQuery();
+    bigquery.setClient(mock);
+  });
+
+  afterAll(() => bigquery.setClient(null));
+
+  describe('flattenRecord', () => {
+    it('should flatten ENRICHED details into columns', () => {
+      const row = bigquery.flattenRecord({
+        date: '2024-01-15',
+        user_id: 'U1',
+        ENRICHED: { user: { real_name: 'Ada', is_admin: false }, profile: { 'Pronouns': 'she/her' }, ok: true },
+        shared_with: ['T1', 'T2'],
+        empty: null
+      });
+
+      expect(row).toEqual({
+        date: '2024-01-15',
+        user_id: 'U1',
+        enriched_user_real_name: 'Ada',
+        enriched_user_is_admin: false,
+        enriched_profile_pronouns: 'she/her',
+        enriched_ok: true,
+        shared_with: '["T1","T2"]'
+      });
+    });
+
+    it('should give keys that flatten to the same column their own columns', () => {
+      const renamed = new Map();
+      const first = bigquery.flattenRecord({ foo_bar: 1, 'foo.bar': 2, foo: { bar: 3 } }, renamed);
+      const reordered = bigquery.flattenRecord({ foo: { bar: 3 }, 'foo.bar': 2, foo_bar: 1 });
+
+      expect(Object.keys(first)).toHaveLength(3);
+      expect(first).toEqual(reordered);
+      expect(Object.values(first).sort()).toEqual([1, 2, 3]);
+      expect([...renamed.values()].sort()).toEqual(['["foo","bar"]', '["foo.bar"]']);
+      expect([...renamed.keys()].every(column => /^foo_bar_[0-9a-f]{8}$/.test(column))).toBe(true);
+    });
+  });
+
+  describe('inferSchema', () => {
+    it('should infer column types and widen conflicts', () => {
+      const schema = bigquery.inferSchema([
+        { date: '2024-01-15', count: 1, ratio: 1, flag: true, mixed: 1 },
+        { date: '2024-01-16', count: 2, ratio: 1.5, flag: false, mixed: 'x' }
+      ]);
+
+      expect(schema).toEqual([
+        { name: 'date', type: 'DATE', mode: 'NULLABLE' },
+        { name: 'count', type: 'INTEGER', mode: 'NULLABLE' },
+        { name: 'ratio', type: 'FLOAT', mode: 'NULLABLE' },
+        { name: 'flag', type: 'BOOLEAN', mode: 'NULLABLE' },
+        { name: 'mixed', type: 'STRING', mode: 'NULLABLE' }
+      ]);
+    });
+  });
+
+  describe('mergeRows', () => {
+    const keys = ['date', 'user_id'];
+
+    it('should create a partitioned table and merge through a staging table', async () => {
+      const result = await bigquery.mergeRows({
+        datasetId: 'slack',
+        tableId: 'slack_members',
+        keys,
+        rows: [
+          { date: '2024-01-15', user_id: 'U1', messages: 3 },
+          { date: '2024-01-16', user_id: 'U1', messages: 5 }
+        ]
+      });
+
+      expect(result).toEqual({ rows: 2, columns: 3, table: 'slack.slack_members', nulled: {} });
+      expect(mock.state.datasets.has('slack')).toBe(true);
+      expect(mock.state.tables.get('slack.slack_members')).toMatchObject({
+        timePartitioning: { type: 'DAY', field: 'date' },
+        clustering: { fields: ['user_id'] }
+      });
+
+      const [load] = mock.state.loads;
+      expect(load.tableId).toMatch(/^slack_members_staging_/);
+      expect(load.metadata.writeDisposition).toBe('WRITE_TRUNCATE');
+      expect(load.rows).toHaveLength(2);
+
+      const [query] = mock.state.queries;
+      expect(query).toContain('MERGE `slack.slack_members` T');
+      expect(query).toContain('ON T.`date` = S.`date` AND T.`user_id` = S.`user_id`');
+      expect(query).toContain("BETWEEN DATE '2024-01-15' AND DATE '2024-01-16'");
+      expect(query).toContain('UPDATE SET `messages` = S.`messages`');
+      expect(mock.state.deleted).toEqual([load.tableId]);
+    });
+
+    it('should add new columns and keep existing column types', async () => {
+      await bigquery.mergeRows({ datasetId: 'slack', tableId: 'slack_members', keys, rows: [{ date: '2024-01-15', user_id: 'U1', title: 'Engineer' }] });
+      await bigquery.mergeRows({ datasetId: 'slack', tableId: 'slack_members', keys, rows: [{ date: '2024-01-16', user_id: 'U1', title: 42, is_admin: true }] });
+
+      const fields = mock.state.tables.get('slack.slack_members').schema.fields;
+      expect(fields.map(f => `${f.name}:${f.type}`)).toEqual(['date:DATE', 'user_id:STRING', 'title:STRING', 'is_admin:BOOLEAN']);
+      expect(mock.state.loads[1].rows).toEqual([{ date: '2024-01-16', user_id: 'U1', title: '42', is_admin: true }]);
+    });
+
+    it('should count values that do not fit an existing column type', async () => {
+      await bigquery.mergeRows({ datasetId: 'slack', tableId: 'slack_members', keys, rows: [{ date: '2024-01-15', user_id: 'U1', messages: 3 }] });
+      const result = await bigquery.mergeRows({
+        datasetId: 'slack',
+        tableId: 'slack_members',
+        keys,
+        rows: [{ date: '2024-01-16', user_id: 'U1', messages: 'lots' }, { date: '2024-01-16', user_id: 'U2', messages: 4 }]
+      });
+
+      expect(result.nulled).toEqual({ messages: 1 });
+      expect(mock.state.loads[1].rows.map(row => row.messages)).toEqual([null, 4]);
+    });
+
+    it('should keep one row per key', async () => {
+      await bigquery.mergeRows({
+        datasetId: 'slack',
+        tableId: 'slack_members',
+        keys,
+        rows: [{ date: '2024-01-15', user_id: 'U1', messages: 1 }, { date: '2024-01-15', user_id: 'U1', messages: 2 }]
+      });
+
+      expect(mock.state.loads[0].rows).toEqual([{ date: '2024-01-15', user_id: 'U1', messages: 2 }]);
+    });
+
+    it('should reject rows without key columns', async () => {
+      await expect(bigquery.mergeRows({ datasetId: 'slack', tableId: 'slack_members', keys, rows: [{ date: '2024-01-15' }] }))
+        .rejects.toThrow('missing key columns: user_id');
+      expect(mock.state.queries).toHaveLength(0);
+    });
+  });
+
+  describe.skipIf(storage.isRemote())('loadToBigQuery (local files)', () => {
+    const dir = `test-bigquery-${process.pid}`;
+
+    afterAll(() => {
+      fs.rmSync(path.join(storage.getStoragePath(), dir), { recursive: true, force: true });
+    });
+
+    it('should merge extracted files and redact private channel details', async () => {
+      const file = await storage.writeJSONLGz(`${dir}/2024-01-15-private-channels.jsonl.gz`, [
+        { date: '2024-01-15', channel_id: 'G1', messages_posted_count: 4, ENRICHED: { channel: { name: 'secret', num_members: 3 }, ok: true } }
+      ]);
+
+      const result = await loadToBigQuery('private-channels', [file], { dataset: 'slack' });
+
+      expect(result).toMatchObject({ uploaded: 1, rows: 1, table: 'slack.slack_private_channels' });
+      expect(mock.state.loads[0].rows).toEqual([
+        { date: '2024-01-15', channel_id: 'G1', messages_posted_count: 4, enriched_channel_num_members: 3, enriched_ok: true }
+      ]);
+    });
+
+    it('should merge in bounded chunks and only clean up fully merged files', async () => {
+      const first = await storage.writeJSONLGz(`${dir}/2024-01-15-members.jsonl.gz`, [
+        { date: '2024-01-15', user_id: 'U1' }, { date: '2024-01-15', user_id: 'U2' }, { date: '2024-01-15', user_id: 'U3' }
+      ]);
+      const second = await storage.writeJSONLGz(`${dir}/2024-01-16-members.jsonl.gz`, [{ date: '2024-01-16', user_id: 'U1' }]);
+
+      const deleted = [];
+      const deleteFile = storage.deleteFile;
+      const merges = [];
+      const mergeRows = bigquery.mergeRows;
+      bigquery.mergeRows = async (args) => {
+        merges.push({ rows: args.rows.length, remaining: [first, second].filter(file => !deleted.includes(storage.getRelativePath(file))).length });
+        return mergeRows(args);
+      };
+      storage.deleteFile = async (filePath) => {
+        deleted.push(filePath);
+        return deleteFile(filePath);
+      };
+
+      try {
+        const result = await loadToBigQuery('members', [first, second], { dataset: 'slack', cleanup: true, rowsPerMerge: 2 });
+
+        expect(result).toMatchObject({ uploaded: 2, rows: 4 });
+        // The first file spans two merges, so it's only deleted after the second
+        expect(merges).toEqual([{ rows: 2, remaining: 2 }, { rows: 2, remaining: 2 }]);
+        expect(deleted).toEqual([first, second].map(file => storage.getRelativePath(file)));
+      } finally {
+        bigquery.mergeRows = mergeRows;
+        storage.deleteFile = deleteFile;
+      }
+    });
+  });
+});
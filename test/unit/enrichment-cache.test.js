@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Unit tests for the persistent enrichment cache (in-memory behavior, merging saves, and refresh order during an extract)
+ * Storage and extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { analytics, getUserDetails } = vi.hoisted(() => ({
+  analytics: vi.fn(),
+  getUserDetails: vi.fn()
+}));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { analytics, getUserDetails }
+}));
+
+const { createEnrichmentCache, createEnrichmentBudget, createEnrichmentBudgets, loadEnrichmentCache, saveEnrichmentCache, mergeCacheRows } = await import('../../src/services/enrichment-cache.js');
+const { default: storage } = await import('../../src/services/storage.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { extractMemberAnalytics } = await import('../../src/jobs/extract.js');
+
+describe('Enrichment Cache', () => {
+  const now = new Date('2024-01-15T00:00:00Z').getTime();
+  const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000).toISOString();
+
+  const rows = [
+    { id: 'U_FRESH', fetched_at: hoursAgo(1), details: { ok: true, user: { id: 'U_FRESH' } } },
+    { id: 'U_STALE', fetched_at: hoursAgo(48), details: { ok: true, user: { id: 'U_STALE' } } },
+    { id: 'U_STALEST', fetched_at: hoursAgo(96), details: { ok: true, user: { id: 'U_STALEST' } } }
+  ];
+
+  it('should refresh never-enriched entities first, then the stalest', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+
+    const order = cache.getRefreshOrder(['U_FRESH', 'U_STALE', 'U_NEW', 'U_STALEST']);
+    expect(order).toEqual(['U_NEW', 'U_STALEST', 'U_STALE']);
+  });
+
+  it('should refresh the most active entities before staler ones', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+    const activity = new Map([['U_STALE', 12], ['U_QUIET', 0], ['U_BUSY', 30]]);
+
+    const order = cache.getRefreshOrder(['U_STALEST', 'U_STALE', 'U_QUIET', 'U_BUSY'], activity);
+    expect(order).toEqual(['U_BUSY', 'U_QUIET', 'U_STALE', 'U_STALEST']);
+  });
+
+  it('should report how many entities have details', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+    cache.setError('U_GONE', 'user_not_found');
+
+    expect(cache.coverage(['U_FRESH', 'U_STALE', 'U_GONE', 'U_NEW'])).toEqual({ total: 4, enriched: 2, fresh: 1, pct: 50 });
+    expect(cache.coverage([])).toMatchObject({ total: 0, pct: 100 });
+  });
+
+  it('should still serve stale details to records', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+
+    expect(cache.isFresh('U_STALE')).toBe(false);
+    expect(cache.get('U_STALE')).toEqual({ ok: true, user: { id: 'U_STALE' } });
+    expect(cache.get('U_MISSING')).toBeNull();
+  });
+
+  it('should not refetch entities attempted during this run', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+
+    cache.set('U_NEW', { ok: true, user: { id: 'U_NEW' } });
+    cache.setError('U_STALE', 'user_not_found');
+
+    expect(cache.fetchedThisRun).toBe(2);
+    expect(cache.getRefreshOrder(['U_NEW', 'U_STALE', 'U_STALEST'])).toEqual(['U_STALEST']);
+    expect(cache.dirty).toBe(true);
+  });
+
+  it('should keep previously cached details when a refresh fails', () => {
+    const cache = createEnrichmentCache('users', rows, { ttlHours: 24, now });
+
+    cache.setError('U_STALE', 'ratelimited');
+    expect(cache.get('U_STALE')).toEqual({ ok: true, user: { id: 'U_STALE' } });
+
+    cache.setError('U_NEW', 'user_not_found');
+    expect(cache.get('U_NEW')).toEqual({ error: 'user_not_found' });
+  });
+
+  it('should reject unknown entity types', () => {
+    expect(() => createEnrichmentCache('emoji')).toThrow('Unknown enrichment cache entity');
+  });
+
+  it('should merge rows by keeping the most recently fetched, unless it lost good details', () => {
+    const merged = mergeCacheRows(rows, [
+      { id: 'U_STALE', fetched_at: hoursAgo(0), details: { ok: true, user: { id: 'U_STALE', refreshed: true } } },
+      { id: 'U_FRESH', fetched_at: hoursAgo(2), details: { ok: true, user: { id: 'U_FRESH', older: true } } },
+      { id: 'U_STALEST', fetched_at: hoursAgo(0), details: { error: 'ratelimited' } },
+      { id: 'U_NEW', fetched_at: hoursAgo(0), details: { ok: true } }
+    ]);
+
+    expect(Object.fromEntries(merged.map(row => [row.id, row.details]))).toEqual({
+      U_FRESH: rows[0].details,
+      U_STALE: { ok: true, user: { id: 'U_STALE', refreshed: true } },
+      U_STALEST: rows[2].details,
+      U_NEW: { ok: true }
+    });
+  });
+});
+
+describe.skipIf(storage.isRemote())('Enrichment Cache Storage', () => {
+  const workspace = { team_id: 'T_CACHE_TEST' };
+  const cacheDir = path.join(storage.getStoragePath(), 'cache', workspace.team_id);
+
+  beforeEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+  afterAll(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  it('should keep what another run saved since the cache was loaded', async () => {
+    await runInWorkspace(workspace, async () => {
+      // channels and private-channels both load the channels cache before either saves
+      const channels = await loadEnrichmentCache('channels');
+      const privateChannels = await loadEnrichmentCache('channels');
+      channels.set('C_PUBLIC', { ok: true });
+      privateChannels.set('C_PRIVATE', { ok: true });
+
+      await saveEnrichmentCache(channels);
+      await saveEnrichmentCache(privateChannels);
+
+      const saved = await loadEnrichmentCache('channels');
+      expect(saved.get('C_PUBLIC')).toEqual({ ok: true });
+      expect(saved.get('C_PRIVATE')).toEqual({ ok: true });
+    });
+  });
+});
+
+describe('Enrichment Budget', () => {
+  it('should stop starting fetches once the budget runs out', async () => {
+    let time = 0;
+    const budget = createEnrichmentBudget(1, { now: () => time });
+    const fetched = [];
+
+    // Each fetch takes 25s of a 60s budget
+    const result = await budget.run(['U1', 'U2', 'U3', 'U4'], async (id) => {
+      fetched.push(id);
+      time += 25000;
+    });
+
+    expect(fetched).toEqual(['U1', 'U2', 'U3']);
+    expect(result).toEqual({ attempted: 3, skipped: 1 });
+    expect(budget.exhausted).toBe(true);
+    expect(await budget.run(['C1'], async () => { throw new Error('should not fetch'); })).toEqual({ attempted: 0, skipped: 1 });
+    expect(budget.summary()).toEqual({ budget_minutes: 1, spent_minutes: 1.3, exhausted: true, skipped: 2 });
+  });
+
+  it('should share what is left of the budget between batches', async () => {
+    let time = 0;
+    const budget = createEnrichmentBudget(1, { now: () => time });
+
+    await budget.run(['U1'], async () => { time += 20000; });
+
+    expect(budget.exhausted).toBe(false);
+    expect(budget.remainingMs).toBe(40000);
+    expect(budget.summary()).toMatchObject({ spent_minutes: 0.3, exhausted: false, skipped: 0 });
+  });
+});
+
+describe('Enrichment Budgets', () => {
+  it('should split the run between entity types and pass on unused time', async () => {
+    let time = 0;
+    const budgets = createEnrichmentBudgets(['users', 'channels'], 2, { now: () => time });
+
+    const users = budgets.get('users');
+    expect(users.minutes).toBe(1);
+    await users.run(['U1'], async () => { time += 15000; });
+
+    // Channels get what users left, not just their half
+    expect(budgets.get('channels').minutes).toBe(1.75);
+    expect(budgets.get('users')).toBe(users);
+    expect(budgets.summary()).toEqual({
+      users: { budget_minutes: 1, spent_minutes: 0.3, exhausted: false, skipped: 0 },
+      channels: { budget_minutes: 1.75, spent_minutes: 0, exhausted: false, skipped: 0 }
+    });
+  });
+
+  it('should give one entity type the whole budget', () => {
+    expect(createEnrichmentBudgets(['channels'], 20).get('channels').minutes).toBe(20);
+  });
+});
+
+describe.skipIf(storage.isRemote())('Enrichment Order During Extract', () => {
+  // Far enough back that the test never collides with real files, in a workspace of its own
+  const workspace = { team_id: 'T_ENRICH_TEST' };
+  const dates = ['1999-01-01', '1999-01-02'];
+  const dirs = () => ['members', 'staging/members', 'workspace-members', 'manifests', 'cache'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+
+  beforeEach(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should spend the budget on the most active users across every day', async () => {
+    analytics.mockImplementation(async (date) => date === dates[0]
+      ? [{ user_id: 'U_QUIET', messages_posted_count: 1 }]
+      : [{ user_id: 'U_BUSY', messages_posted_count: 50 }, { user_id: 'U_QUIET', messages_posted_count: 0 }]);
+
+    // Room for one fetch: each takes the whole minute
+    let time = 0;
+    getUserDetails.mockImplementation(async (userId) => {
+      time += 60000;
+      return { ok: true, user: { id: userId } };
+    });
+
+    await runInWorkspace(workspace, async () => {
+      const result = await extractMemberAnalytics(dates[0], dates[1], { enrichmentBudget: createEnrichmentBudget(1, { now: () => time }) });
+      expect(result).toMatchObject({ extracted: 2, failedDates: [] });
+
+      expect(getUserDetails.mock.calls).toEqual([['U_BUSY']]);
+      const [quiet] = await storage.readJSONLGz(`members/${workspace.team_id}/${dates[0]}-members.jsonl.gz`);
+      const [busy] = await storage.readJSONLGz(`members/${workspace.team_id}/${dates[1]}-members.jsonl.gz`);
+      expect(quiet.ENRICHED).toBeNull();
+      expect(busy.ENRICHED).toEqual({ ok: true, user: { id: 'U_BUSY' } });
+
+      // Staged records are removed once the day files are written
+      expect(await storage.listFiles(`staging/members/${workspace.team_id}`)).toEqual([]);
+    });
+  });
+});
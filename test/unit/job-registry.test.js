@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import jobRegistry from '../../src/utils/job-registry.js';
+
+/**
+ * Unit tests for the in-memory async job registry
+ */
+
+describe('Job Registry', () => {
+  it('should create queued jobs that can be looked up by ID', () => {
+    const job = jobRegistry.createJob('members', { days: 3 });
+
+    expect(job.status).toBe('queued');
+    expect(jobRegistry.getJob(job.id)).toBe(job);
+    expect(jobRegistry.getJob('missing')).toBeNull();
+  });
+
+  it('should record stage and per-day progress', () => {
+    const job = jobRegistry.createJob('all', { days: 2 });
+    jobRegistry.startJob(job.id);
+
+    jobRegistry.recordProgress(job.id, { stage: 'extract', pipeline: 'members' });
+    jobRegistry.recordProgress(job.id, { stage: 'extract', pipeline: 'members', date: '2024-01-01', status: 'extracted', day: 1, totalDays: 2 });
+    jobRegistry.recordProgress(job.id, { stage: 'extract', pipeline: 'members', date: '2024-01-02', status: 'failed', day: 2, totalDays: 2 });
+    jobRegistry.recordProgress(job.id, { stage: 'load', pipeline: 'members' });
+
+    expect(job.status).toBe('running');
+    expect(job.stage).toBe('load:members');
+    expect(job.progress.members).toEqual({
+      stage: 'load',
+      days: { '2024-01-01': 'extracted', '2024-01-02': 'failed' },
+      completedDays: 2,
+      totalDays: 2
+    });
+  });
+
+  it('should record results and errors', () => {
+    const ok = jobRegistry.createJob('members', {});
+    const failed = jobRegistry.createJob('channels', {});
+
+    jobRegistry.completeJob(ok.id, { extract: {}, load: {} });
+    jobRegistry.failJob(failed.id, new Error('boom'));
+
+    expect(ok).toMatchObject({ status: 'success', stage: 'complete', result: { extract: {}, load: {} } });
+    expect(failed).toMatchObject({ status: 'error', error: 'boom' });
+    expect(failed.finished_at).toBeTruthy();
+  });
+
+  it('should evict the oldest finished jobs, never queued or running ones', () => {
+    const running = jobRegistry.createJob('members', {});
+    jobRegistry.startJob(running.id);
+    const queued = jobRegistry.createJob('channels', {});
+    const finished = jobRegistry.createJob('members', {});
+    jobRegistry.failJob(finished.id, new Error('boom'));
+
+    for (let i = 0; i < 100; i++) {
+      jobRegistry.completeJob(jobRegistry.createJob('all', {}).id, {});
+    }
+
+    expect(jobRegistry.getJob(running.id)).toMatchObject({ status: 'running' });
+    expect(jobRegistry.getJob(queued.id)).toMatchObject({ status: 'queued' });
+    expect(jobRegistry.getJob(finished.id)).toBeNull();
+    expect(jobRegistry.listJobs(1000)).toHaveLength(100);
+  });
+
+  it('should list jobs newest first without results', () => {
+    const first = jobRegistry.createJob('members', {});
+    const second = jobRegistry.createJob('channels', {});
+    jobRegistry.completeJob(second.id, { load: {} });
+
+    const [latest, previous] = jobRegistry.listJobs(2);
+    expect(latest.id).toBe(second.id);
+    expect(previous.id).toBe(first.id);
+    expect(latest).not.toHaveProperty('result');
+    expect(latest).not.toHaveProperty('progress');
+  });
+});
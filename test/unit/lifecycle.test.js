@@ -0,0 +1,262 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * Unit tests for lifecycle snapshot diffing (extract with a mocked Slack service, and the transforms)
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { getChannels, getUsers } = vi.hoisted(() => ({ getChannels: vi.fn(), getUsers: vi.fn() }));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { getChannels, getUsers }
+}));
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { extractChannelLifecycle, extractMemberLifecycle } = await import('../../src/jobs/extract.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const {
+  diffChannelSnapshots,
+  transformChannelLifecycleEvent,
+  transformChannelLifecycleProfile,
+  toMemberSnapshot,
+  diffMemberSnapshots,
+  transformMemberLifecycleEvent
+} = await import('../../src/transforms/lifecycle.js');
+
+const channel = (overrides) => ({ id: 'C1', name: 'general', is_private: false, is_archived: false, created: 1262304000, creator: 'U1', ...overrides });
+
+describe('Channel Snapshot Diff', () => {
+  const meta = { date: '2024-01-16', previousDate: '2024-01-15', detectedAt: 1705400000 };
+
+  it('should detect created, renamed, archived, unarchived and privacy changes', () => {
+    const previous = [
+      channel({ id: 'C1' }),
+      channel({ id: 'C2', name: 'old-name' }),
+      channel({ id: 'C3', is_archived: true }),
+      channel({ id: 'C4' }),
+      channel({ id: 'C5' })
+    ];
+    const current = [
+      channel({ id: 'C1' }),
+      channel({ id: 'C2', name: 'new-name', is_archived: true }),
+      channel({ id: 'C3' }),
+      channel({ id: 'C4', is_private: true }),
+      channel({ id: 'C6' })
+    ];
+
+    const changes = diffChannelSnapshots(previous, current, meta);
+
+    expect(changes.map(c => [c.channel_id, c.change])).toEqual([
+      ['C2', 'renamed'],
+      ['C2', 'archived'],
+      ['C3', 'unarchived'],
+      ['C4', 'privacy_changed'],
+      ['C6', 'created']
+    ]);
+    expect(changes[0]).toMatchObject({ date: '2024-01-16', previous_date: '2024-01-15', detected_at: 1705400000, previous: { name: 'old-name' } });
+  });
+
+  it('should ignore channels missing from the newer snapshot', () => {
+    expect(diffChannelSnapshots([channel({ id: 'C1' })], [], meta)).toEqual([]);
+  });
+});
+
+describe('Channel Lifecycle Transforms', () => {
+  const context = { slack_prefix: 'https://mixpanel.slack.com/archives', channel_group_key: 'channel_id', private_channel_details: 'redact' };
+  const base = { date: '2024-01-16', previous_date: '2024-01-15', detected_at: 1705400000, channel_id: 'C1' };
+
+  it('should time created events at the channel creation time', () => {
+    const event = transformChannelLifecycleEvent({ ...base, change: 'created', channel: channel() }, context);
+
+    expect(event.event).toBe('channel created');
+    expect(event.properties).toMatchObject({ distinct_id: '', channel_id: 'C1', name: '#general', creator: 'U1', time: 1262304000 });
+  });
+
+  it('should include the previous name for renamed public channels', () => {
+    const record = { ...base, change: 'renamed', channel: channel({ name: 'new' }), previous: channel({ name: 'old' }) };
+    const event = transformChannelLifecycleEvent(record, context);
+
+    expect(event.event).toBe('channel renamed');
+    expect(event.properties).toMatchObject({ name: '#new', previous_name: '#old', time: 1705400000 });
+  });
+
+  it('should redact names of private channels unless exporting details', () => {
+    const record = { ...base, change: 'renamed', channel: channel({ name: 'new', is_private: true }), previous: channel({ name: 'old', is_private: true }) };
+
+    const event = transformChannelLifecycleEvent(record, context);
+    expect(event.properties).not.toHaveProperty('name');
+    expect(event.properties).not.toHaveProperty('previous_name');
+    expect(transformChannelLifecycleProfile(record, context).$set.$name).toBe('🔒 C1');
+
+    const exported = transformChannelLifecycleEvent(record, { ...context, private_channel_details: 'export' });
+    expect(exported.properties).toMatchObject({ name: '#new', previous_name: '#old' });
+  });
+
+  it('should describe privacy changes and update the group profile', () => {
+    const record = { ...base, change: 'privacy_changed', channel: channel({ is_private: true }), previous: channel() };
+
+    const event = transformChannelLifecycleEvent(record, context);
+    expect(event.event).toBe('channel privacy changed');
+    expect(event.properties).toMatchObject({ previous_privacy: 'public', privacy: 'private' });
+
+    const profile = transformChannelLifecycleProfile({ ...base, change: 'archived', channel: channel({ is_archived: true }), previous: channel() }, context);
+    expect(profile).toMatchObject({
+      $group_key: 'channel_id',
+      $group_id: 'C1',
+      $set: { $name: '#general', archived: true, archived_date: '2024-01-16', last_lifecycle_change: 'archived' }
+    });
+  });
+
+  it('should give repeated detections of the same change the same insert ID', () => {
+    const record = { ...base, change: 'created', channel: channel() };
+    const first = transformChannelLifecycleEvent(record, context);
+    // A later snapshot can detect the same channel (e.g. after a missed run)
+    const again = transformChannelLifecycleEvent({ ...record, date: '2024-01-20', previous_date: '2024-01-19', detected_at: 1705750000 }, context);
+
+    expect(first.properties.$insert_id).toBe(again.properties.$insert_id);
+  });
+});
+
+const member = (overrides) => toMemberSnapshot({ id: 'U1', ...overrides });
+
+describe('Member Snapshot Diff', () => {
+  const meta = { date: '2024-01-16', previousDate: '2024-01-15', detectedAt: 1705400000 };
+
+  it('should detect joined, deactivated, reactivated, admin and guest changes', () => {
+    const previous = [
+      member({ id: 'U1' }),
+      member({ id: 'U2', deleted: true }),
+      member({ id: 'U3' }),
+      member({ id: 'U4' })
+    ];
+    const current = [
+      member({ id: 'U1', deleted: true }),
+      member({ id: 'U2' }),
+      member({ id: 'U3', is_admin: true }),
+      member({ id: 'U4', is_restricted: true, is_ultra_restricted: true }),
+      member({ id: 'U5' })
+    ];
+
+    const changes = diffMemberSnapshots(previous, current, meta);
+
+    expect(changes.map(c => [c.user_id, c.change])).toEqual([
+      ['U1', 'deactivated'],
+      ['U2', 'reactivated'],
+      ['U3', 'became_admin'],
+      ['U4', 'became_guest'],
+      ['U5', 'joined']
+    ]);
+  });
+
+  it('should ignore bots, Slackbot and accounts that were already deactivated when first seen', () => {
+    const current = [member({ id: 'B1', is_bot: true }), member({ id: 'USLACKBOT' }), member({ id: 'U9', deleted: true })];
+    expect(diffMemberSnapshots([], current, meta)).toEqual([]);
+  });
+});
+
+describe('Member Lifecycle Transforms', () => {
+  const context = { slack_prefix: 'https://mixpanel.slack.com/archives' };
+
+  it('should create events on the member with their current and previous role', () => {
+    const record = {
+      date: '2024-01-16',
+      previous_date: '2024-01-15',
+      detected_at: 1705400000,
+      user_id: 'U4',
+      change: 'became_guest',
+      member: member({ id: 'U4', is_restricted: true }),
+      previous: member({ id: 'U4' })
+    };
+
+    const event = transformMemberLifecycleEvent(record, context);
+
+    expect(event.event).toBe('member became guest');
+    expect(event.properties).toMatchObject({
+      $user_id: 'U4',
+      time: 1705400000,
+      role: 'multi_channel_guest',
+      previous_role: 'member',
+      guest: true,
+      deactivated: false
+    });
+    expect(event.properties.$insert_id).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  it('should skip unknown changes', () => {
+    expect(transformMemberLifecycleEvent({ change: 'renamed', member: member() }, context)).toBeNull();
+  });
+});
+
+describe.skipIf(storage.isRemote())('Channel Lifecycle Extract', () => {
+  // Far enough back that the test never collides with real snapshots, in a workspace of its own
+  const workspace = { team_id: 'T_CHANNEL_LIFECYCLE_TEST' };
+  const days = ['1999-01-01', '1999-01-02'];
+  const dirs = () => ['snapshots/channels', 'channel-lifecycle', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+  const cleanup = () => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    cleanup();
+    getChannels.mockReset();
+  });
+
+  afterAll(cleanup);
+
+  it('should save a baseline snapshot, then write changes on the next run', async () => {
+    const manifest = createRunManifest('channel-lifecycle');
+    const extract = (date) => runInWorkspace(workspace, () => extractChannelLifecycle({ manifest, now: dayjs.utc(`${date}T06:00:00Z`) }));
+
+    getChannels.mockResolvedValueOnce([channel({ id: 'C1' })]);
+    const first = await extract(days[0]);
+
+    expect(getChannels).toHaveBeenCalledWith({ types: 'public_channel,private_channel', excludeArchived: false });
+    expect(first).toEqual({ changes: 0, files: [], snapshot: days[0], previous: null });
+    expect(await storage.fileExists(`snapshots/channels/${workspace.team_id}/${days[0]}-channels.jsonl.gz`)).toBe(true);
+
+    getChannels.mockResolvedValueOnce([channel({ id: 'C1', is_archived: true }), channel({ id: 'C2', name: 'new' })]);
+    const second = await extract(days[1]);
+
+    expect(second).toMatchObject({ changes: 2, snapshot: days[1], previous: days[0] });
+    expect(manifest.get(days[1]).extract).toMatchObject({ status: 'extracted', records: 2 });
+    const changes = await storage.readJSONLGz(`channel-lifecycle/${workspace.team_id}/${days[1]}-channel-lifecycle.jsonl.gz`);
+    expect(changes.map(c => c.change)).toEqual(['archived', 'created']);
+  });
+});
+
+describe.skipIf(storage.isRemote())('Member Lifecycle Extract', () => {
+  const workspace = { team_id: 'T_MEMBER_LIFECYCLE_TEST' };
+  const days = ['1999-01-01', '1999-01-02'];
+  const dirs = () => ['snapshots/members', 'member-lifecycle', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+  const cleanup = () => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    cleanup();
+    getUsers.mockReset();
+  });
+
+  afterAll(cleanup);
+
+  it('should diff users.list snapshots run to run', async () => {
+    const manifest = createRunManifest('member-lifecycle');
+    const extract = (date) => runInWorkspace(workspace, () => extractMemberLifecycle({ manifest, now: dayjs.utc(`${date}T06:00:00Z`) }));
+
+    getUsers.mockResolvedValueOnce([{ id: 'U1', name: 'ada' }]);
+    await extract(days[0]);
+
+    getUsers.mockResolvedValueOnce([{ id: 'U1', name: 'ada', deleted: true }, { id: 'U2', name: 'grace' }]);
+    const result = await extract(days[1]);
+
+    expect(result).toMatchObject({ changes: 2, snapshot: days[1], previous: days[0] });
+    const changes = await storage.readJSONLGz(`member-lifecycle/${workspace.team_id}/${days[1]}-member-lifecycle.jsonl.gz`);
+    expect(changes.map(c => [c.user_id, c.change])).toEqual([['U1', 'deactivated'], ['U2', 'joined']]);
+
+    const snapshot = await storage.readJSONLGz(`snapshots/members/${workspace.team_id}/${days[1]}-members.jsonl.gz`);
+    expect(snapshot[0]).not.toHaveProperty('name');
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+
+/**
+ * Unit tests for the Mixpanel load stage, with mixpanel-import mocked out
+ */
+
+const mixpanelImport = vi.fn();
+
+vi.mock('mixpanel-import', () => ({
+  default: (...args) => mixpanelImport(...args)
+}));
+
+const { loadMemberAnalytics, loadChannelAnalytics } = await import('../../src/jobs/load.js');
+
+const files = ['/tmp/channels/2024-01-15-channels.jsonl.gz'];
+
+describe('Mixpanel Load', () => {
+  beforeEach(() => {
+    mixpanelImport.mockReset();
+    mixpanelImport.mockResolvedValue({ success: 10, failed: 0 });
+  });
+
+  it('should upload channel events, then group profiles', async () => {
+    const result = await loadChannelAnalytics(files, { slackChannels: [] });
+
+    expect(mixpanelImport.mock.calls.map(([, , options]) => options.recordType)).toEqual(['event', 'group']);
+    expect(result).toMatchObject({ uploaded: 2, failed: 0 });
+    expect(result.results.profiles).toMatchObject({ success: true, result: { success: 10 } });
+  });
+
+  it('should upload member events, then user profiles', async () => {
+    const result = await loadMemberAnalytics(files, { slackMembers: [] });
+
+    expect(mixpanelImport.mock.calls.map(([, , options]) => options.recordType)).toEqual(['event', 'user']);
+    expect(result).toMatchObject({ uploaded: 2, failed: 0 });
+  });
+
+  it('should count and report the records each day sends in a multi-day upload', async () => {
+    const records = [
+      { date: '2024-01-15', user_id: 'U1', email_address: 'ada@example.com' },
+      { date: '2024-01-15', user_id: 'U2' },
+      { date: '2024-01-15', user_id: 'U3', email_address: 'grace@example.com' },
+      { date: '2024-01-16', user_id: 'U1', email_address: 'ada@example.com' }
+    ];
+    mixpanelImport.mockImplementation(async (creds, data, options) => {
+      records.forEach(record => options.transformFunc(record, options.heavyObjects));
+      return { success: 4, failed: 0 };
+    });
+
+    const onDay = vi.fn();
+    const result = await loadMemberAnalytics([...files, '/tmp/members/2024-01-16-members.jsonl.gz'], { slackMembers: [] }, { onDay });
+
+    // Once per day for each record type's upload
+    expect(onDay.mock.calls.map(([date]) => date)).toEqual(['2024-01-15', '2024-01-16', '2024-01-15', '2024-01-16']);
+
+    // Members without an email address are skipped, so they don't count
+    expect(result.results.events.days).toEqual({ '2024-01-15': 2, '2024-01-16': 1 });
+    expect(result.results.profiles.days).toEqual({ '2024-01-15': 2, '2024-01-16': 1 });
+  });
+});
+
+describe('Mixpanel Load (external orgs)', () => {
+  let load;
+
+  beforeAll(async () => {
+    // external_org_group_key is read when load.js is imported
+    vi.stubEnv('external_org_group_key', 'org_id');
+    vi.resetModules();
+    load = await import('../../src/jobs/load.js');
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  beforeEach(() => {
+    mixpanelImport.mockReset();
+    mixpanelImport.mockResolvedValue({ success: 10, failed: 0 });
+  });
+
+  it('should upload channel events, group profiles, then external org profiles', async () => {
+    const result = await load.loadChannelAnalytics(files, { slackChannels: [] });
+
+    expect(mixpanelImport.mock.calls.map(([, , options]) => [options.recordType, options.groupKey])).toEqual([
+      ['event', undefined],
+      ['group', 'channel_id'],
+      ['group', 'org_id']
+    ]);
+    expect(result).toMatchObject({ uploaded: 3, failed: 0 });
+    expect(result.results.orgs).toMatchObject({ success: true });
+  });
+
+  it('should not upload external org profiles from member files', async () => {
+    const result = await load.loadMemberAnalytics(files, { slackMembers: [] });
+
+    expect(mixpanelImport.mock.calls.map(([, , options]) => options.recordType)).toEqual(['event', 'user']);
+    expect(result.results.orgs).toBeUndefined();
+  });
+});
+
+describe('Event Time Settings', () => {
+  afterAll(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it.each(['', 'abc', '90.5', '-1', '1440'])('should reject event_time_offset_minutes=%j', async (value) => {
+    vi.stubEnv('event_time_offset_minutes', value);
+    vi.resetModules();
+    const { getEventTimeOptions } = await import('../../src/jobs/load.js');
+
+    expect(() => getEventTimeOptions()).toThrow('event_time_offset_minutes must be a whole number of minutes from 0 to 1439');
+  });
+
+  it('should accept minutes of the day', async () => {
+    vi.stubEnv('event_time_offset_minutes', '1439');
+    vi.resetModules();
+    const { getEventTimeOptions } = await import('../../src/jobs/load.js');
+
+    expect(getEventTimeOptions()).toMatchObject({ strategy: 'offset', offsetMinutes: 1439 });
+  });
+});
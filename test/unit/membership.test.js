@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * Unit tests for channel membership snapshots (extract with mocked Slack + enrichment cache, and the transforms)
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { getChannelMembers, cachedChannels } = vi.hoisted(() => ({ getChannelMembers: vi.fn(), cachedChannels: [] }));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { getChannelMembers }
+}));
+
+vi.mock('../../src/services/enrichment-cache.js', () => ({
+  default: {
+    loadEnrichmentCache: async () => ({ toRows: () => cachedChannels.map(channel => ({ id: channel.id, details: { ok: true, channel } })) })
+  }
+}));
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { extractChannelMembership } = await import('../../src/jobs/extract.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { diffChannelMembership, transformMembershipProfile, transformMembershipGroupProfile } = await import('../../src/transforms/membership.js');
+
+const row = (channel_id, name, member_ids, is_private = false) => ({ channel_id, name, is_private, member_ids });
+
+describe('Channel Membership Diff', () => {
+  it('should treat every membership as joined on the first snapshot', () => {
+    const records = diffChannelMembership([], [row('C1', 'general', ['U1', 'U2'])], { date: '2024-01-16', previousDate: null });
+
+    expect(records.filter(r => r.type === 'user').map(r => [r.user_id, r.joined.map(c => c.channel_id)])).toEqual([
+      ['U1', ['C1']],
+      ['U2', ['C1']]
+    ]);
+    expect(records.find(r => r.type === 'channel')).toMatchObject({ channel_id: 'C1', member_ids: ['U1', 'U2'], member_count: 2 });
+  });
+
+  it('should record joins, leaves and renames, and only update channels whose members changed', () => {
+    const previous = [row('C1', 'general', ['U1', 'U2']), row('C2', 'old', ['U1']), row('C3', 'quiet', ['U3'])];
+    const current = [row('C1', 'general', ['U2', 'U3']), row('C2', 'new', ['U1']), row('C3', 'quiet', ['U3'])];
+
+    const records = diffChannelMembership(previous, current, { date: '2024-01-16', previousDate: '2024-01-15' });
+    const users = Object.fromEntries(records.filter(r => r.type === 'user').map(r => [r.user_id, r]));
+
+    expect(users.U1.left.map(c => c.name)).toEqual(['general', 'old']);
+    expect(users.U1.joined.map(c => c.name)).toEqual(['new']);
+    expect(users.U3.joined.map(c => c.name)).toEqual(['general']);
+    expect(users).not.toHaveProperty('U2');
+    expect(records.filter(r => r.type === 'channel').map(r => r.channel_id)).toEqual(['C1']);
+  });
+});
+
+describe('Channel Membership Transforms', () => {
+  const context = { channel_group_key: 'channel_id', private_channel_details: 'redact' };
+
+  it('should $union joined channels and $remove each channel left', () => {
+    const record = {
+      type: 'user',
+      user_id: 'U1',
+      joined: [{ channel_id: 'C2', name: 'new', is_private: false }, { channel_id: 'C9', name: 'secret', is_private: true }],
+      left: [{ channel_id: 'C1', name: 'general', is_private: false }, { channel_id: 'C2', name: 'old', is_private: false }]
+    };
+
+    expect(transformMembershipProfile(record, context)).toEqual([
+      { $distinct_id: 'U1', $union: { channels: ['#new', 'C9'] } },
+      { $distinct_id: 'U1', $remove: { channels: '#general' } },
+      { $distinct_id: 'U1', $remove: { channels: '#old' } }
+    ]);
+  });
+
+  it('should not remove a redacted private channel that was only renamed', () => {
+    const record = {
+      type: 'user',
+      user_id: 'U1',
+      joined: [{ channel_id: 'C9', name: 'new-secret', is_private: true }],
+      left: [{ channel_id: 'C9', name: 'secret', is_private: true }]
+    };
+
+    expect(transformMembershipProfile(record, context)).toEqual([{ $distinct_id: 'U1', $union: { channels: ['C9'] } }]);
+    expect(transformMembershipProfile(record, { ...context, private_channel_details: 'export' })).toHaveLength(2);
+  });
+
+  it('should set member_ids on the channel group profile', () => {
+    const record = { type: 'channel', date: '2024-01-16', channel_id: 'C1', member_ids: ['U1', 'U2'], member_count: 2 };
+
+    expect(transformMembershipGroupProfile(record, context)).toEqual({
+      $group_key: 'channel_id',
+      $group_id: 'C1',
+      $set: { member_ids: ['U1', 'U2'], member_count: 2, membership_date: '2024-01-16' }
+    });
+    expect(transformMembershipProfile(record, context)).toBeNull();
+    expect(transformMembershipGroupProfile({ type: 'user' }, context)).toBeNull();
+  });
+});
+
+describe.skipIf(storage.isRemote())('Channel Membership Extract', () => {
+  // Far enough back that the test never collides with real snapshots, in a workspace of its own
+  const workspace = { team_id: 'T_MEMBERSHIP_TEST' };
+  const days = ['1999-01-01', '1999-01-02'];
+  const dirs = () => ['snapshots/channel-members', 'channel-membership', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+  const cleanup = () => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    cleanup();
+    getChannelMembers.mockReset();
+    cachedChannels.splice(0, cachedChannels.length,
+      { id: 'C1', name: 'general' },
+      { id: 'C2', name: 'random' },
+      { id: 'C3', name: 'old', is_archived: true }
+    );
+  });
+
+  afterAll(cleanup);
+
+  it('should snapshot enriched channels and keep the previous membership of channels that fail', async () => {
+    const manifest = createRunManifest('channel-membership');
+    const extract = (date) => runInWorkspace(workspace, () => extractChannelMembership({ manifest, now: dayjs.utc(`${date}T06:00:00Z`) }));
+
+    getChannelMembers.mockImplementation(async (channelId) => (channelId === 'C1' ? ['U1', 'U2'] : ['U3']));
+    const first = await extract(days[0]);
+
+    expect(getChannelMembers).toHaveBeenCalledTimes(2); // archived C3 skipped
+    expect(first).toMatchObject({ channels: 2, failed: 0, previous: null });
+
+    getChannelMembers.mockReset()
+      .mockResolvedValueOnce(['U1'])
+      .mockRejectedValueOnce(new Error('channel_not_found'));
+    const second = await extract(days[1]);
+
+    expect(second).toMatchObject({ channels: 2, failed: 1, previous: days[0] });
+    expect(manifest.get(days[1]).extract).toMatchObject({ status: 'extracted', records: 2 });
+    const records = await storage.readJSONLGz(`channel-membership/${workspace.team_id}/${days[1]}-channel-membership.jsonl.gz`);
+    expect(records.map(r => [r.type, r.user_id || r.channel_id])).toEqual([['user', 'U2'], ['channel', 'C1']]);
+    expect(records[0].left.map(c => c.channel_id)).toEqual(['C1']);
+  });
+});
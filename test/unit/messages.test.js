@@ -0,0 +1,381 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Unit tests for the messages pipeline (extract with a mocked Slack service, and the event transform)
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { getChannelMessages, getThreadReplies, getCustomEmoji } = vi.hoisted(() => ({
+  getChannelMessages: vi.fn(),
+  getThreadReplies: vi.fn(),
+  getCustomEmoji: vi.fn()
+}));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { getChannelMessages, getThreadReplies, getCustomEmoji }
+}));
+
+// Only the lookback tests re-extract recent days (at a fixed "now" in 1999)
+vi.stubEnv('message_lookback_days', '0');
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { extractChannelMessages } = await import('../../src/jobs/extract.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { transformMessageEvent } = await import('../../src/transforms/messages.js');
+const { default: dayjs } = await import('dayjs');
+const { transformReactionEvents, summarizeEmojiUsage, buildEmojiLookupRows, toLookupTableCsv } = await import('../../src/transforms/reactions.js');
+
+const tsFor = (isoTime) => `${new Date(isoTime).getTime() / 1000}.000100`;
+
+describe.skipIf(storage.isRemote())('Messages Extract', () => {
+  // Far enough back that the test never collides with real extracted files, in a workspace of its own
+  const workspace = { team_id: 'T_MESSAGES_TEST' };
+  const days = ['1999-01-01', '1999-01-02', '1999-01-03'];
+  const messagesFile = (date) => `messages/${workspace.team_id}/${date}-messages.jsonl.gz`;
+  const emojiFile = (date) => `emoji/${workspace.team_id}/${date}-emoji.jsonl.gz`;
+  const extract = (startDate, endDate, options) =>
+    runInWorkspace(workspace, () => extractChannelMessages(startDate, endDate, { manifest: createRunManifest('messages'), ...options }));
+
+  const cleanup = () => ['messages', 'emoji', 'manifests'].forEach(dir =>
+    fs.rmSync(path.join(storage.getStoragePath(), dir, workspace.team_id), { recursive: true, force: true }));
+
+  beforeEach(() => {
+    cleanup();
+    getChannelMessages.mockReset();
+    getThreadReplies.mockReset();
+    getCustomEmoji.mockReset().mockResolvedValue({ partyparrot: 'https://emoji.slack-edge.com/partyparrot.gif' });
+  });
+
+  afterAll(cleanup);
+
+  it('should bucket messages from all channels into per-day files without text', async () => {
+    getChannelMessages.mockImplementation(async (channelId) => [
+      { channel_id: channelId, ts: tsFor('1999-01-01T10:00:00Z'), user: 'U1', text: 'secret', reactions: [{ name: 'tada', count: 2, users: ['U2', 'U3'] }], reaction_count: 2 },
+      { channel_id: channelId, ts: tsFor('1999-01-03T23:59:00Z'), user: 'U2', text: 'hello', pinned_to: [channelId] }
+    ]);
+
+    const result = await extract(days[0], days[2], { channels: ['C1', 'C2'] });
+
+    expect(getChannelMessages).toHaveBeenCalledTimes(2);
+    expect(getChannelMessages).toHaveBeenCalledWith('C1', { startDate: days[0], endDate: days[2] });
+    expect(result.extracted).toBe(2);
+    expect(result.failedDates).toEqual([]);
+
+    const records = await storage.readJSONLGz(messagesFile(days[0]));
+    expect(records.map(r => r.channel_id)).toEqual(['C1', 'C2']);
+    expect(records[0]).toMatchObject({ date: days[0], user: 'U1', reactions: [{ name: 'tada', count: 2, users: ['U2', 'U3'] }], is_pinned: false });
+    expect(records[0]).not.toHaveProperty('text');
+
+    const lastDay = await storage.readJSONLGz(messagesFile(days[2]));
+    expect(lastDay[0]).toMatchObject({ is_pinned: true, pinned_to: ['C1'] });
+    expect(await storage.fileExists(messagesFile(days[1]))).toBe(false);
+  });
+
+  it('should write a daily emoji usage summary', async () => {
+    getChannelMessages.mockImplementation(async (channelId) => [
+      { channel_id: channelId, ts: tsFor('1999-01-01T10:00:00Z'), user: 'U1', reactions: [{ name: 'partyparrot', count: 2, users: ['U2', 'U3'] }, { name: '+1::skin-tone-2', count: 1, users: ['U2'] }] },
+      { channel_id: channelId, ts: tsFor('1999-01-02T10:00:00Z'), user: 'U1' }
+    ]);
+
+    await extract(days[0], days[1], { channels: ['C1', 'C2'] });
+
+    const emoji = await storage.readJSONLGz(emojiFile(days[0]));
+    expect(emoji).toEqual([
+      { date: days[0], emoji: 'partyparrot', is_custom: true, uses: 4, users: ['U2', 'U3'], channels: { C1: 2, C2: 2 } },
+      { date: days[0], emoji: '+1', is_custom: false, uses: 2, users: ['U2'], channels: { C1: 1, C2: 1 } }
+    ]);
+    expect(await storage.fileExists(emojiFile(days[1]))).toBe(false);
+  });
+
+  it('should only fetch days that have no file yet', async () => {
+    await storage.writeJSONLGz(messagesFile(days[0]), [{ date: days[0], channel_id: 'C1', ts: '1', user: 'U1' }]);
+    getChannelMessages.mockResolvedValue([]);
+
+    const result = await extract(days[0], days[2], { channels: ['C1'] });
+
+    expect(result.skipped).toBe(1);
+    expect(getChannelMessages).toHaveBeenCalledWith('C1', { startDate: days[1], endDate: days[2] });
+  });
+
+  it('should write nothing when any channel fails', async () => {
+    getChannelMessages
+      .mockResolvedValueOnce([{ channel_id: 'C1', ts: tsFor('1999-01-01T10:00:00Z'), user: 'U1' }])
+      .mockRejectedValueOnce(new Error('ratelimited'));
+
+    const result = await extract(days[0], days[2], { channels: ['C1', 'C2'] });
+
+    expect(result.failedDates).toEqual(days);
+    expect(await storage.fileExists(messagesFile(days[0]))).toBe(false);
+  });
+
+  it('should never extract today or later', async () => {
+    getChannelMessages.mockResolvedValue([]);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const result = await extract(today, today, { channels: ['C1'] });
+
+    expect(getChannelMessages).not.toHaveBeenCalled();
+    expect(result).toEqual({ extracted: 0, skipped: 0, files: [], failedDates: [] });
+  });
+
+  it('should store thread replies with the parent and measure time to first reply', async () => {
+    const parentTs = tsFor('1999-01-01T23:00:00Z');
+    getChannelMessages.mockResolvedValue([
+      { channel_id: 'C1', ts: parentTs, user: 'U1', thread_ts: parentTs, reply_count: 3 },
+      { channel_id: 'C1', ts: tsFor('1999-01-02T10:00:00Z'), user: 'U2' }
+    ]);
+    getThreadReplies.mockResolvedValue([
+      { ts: tsFor('1999-01-01T23:01:00Z'), user: 'U1', thread_ts: parentTs },
+      { ts: tsFor('1999-01-02T01:00:00Z'), user: 'U3', thread_ts: parentTs, reactions: [{ name: 'eyes', count: 1 }] },
+      { ts: tsFor('1999-01-02T02:00:00Z'), user: 'U2', thread_ts: parentTs }
+    ]);
+
+    await extract(days[0], days[1], { channels: ['C1'], threadReplies: true });
+
+    expect(getThreadReplies).toHaveBeenCalledTimes(1);
+    expect(getThreadReplies).toHaveBeenCalledWith('C1', parentTs);
+
+    const [parent, ...replies] = await storage.readJSONLGz(messagesFile(days[0]));
+    expect(parent).toMatchObject({ ts: parentTs, first_reply_ts: replies[1].ts, time_to_first_reply: 7200 });
+    expect(replies).toHaveLength(3);
+    expect(replies[0]).toMatchObject({ date: days[0], parent_ts: parentTs, parent_user: 'U1', reply_index: 1, seconds_since_parent: 60, is_first_reply: false });
+    expect(replies[1]).toMatchObject({ user: 'U3', is_first_reply: true, reaction_count: 1, time_to_first_reply: 7200 });
+    expect(await storage.readJSONLGz(messagesFile(days[1]))).toHaveLength(1);
+  });
+
+  it('should record a reply broadcast to the channel only once', async () => {
+    const parentTs = tsFor('1999-01-01T09:00:00Z');
+    const broadcastTs = tsFor('1999-01-01T09:05:00Z');
+    getChannelMessages.mockResolvedValue([
+      { channel_id: 'C1', ts: parentTs, user: 'U1', thread_ts: parentTs, reply_count: 2 },
+      { channel_id: 'C1', ts: broadcastTs, user: 'U2', thread_ts: parentTs, subtype: 'thread_broadcast' }
+    ]);
+    getThreadReplies.mockResolvedValue([
+      { ts: broadcastTs, user: 'U2', thread_ts: parentTs, subtype: 'thread_broadcast' },
+      { ts: tsFor('1999-01-01T09:10:00Z'), user: 'U3', thread_ts: parentTs }
+    ]);
+
+    await extract(days[0], days[0], { channels: ['C1'], threadReplies: true });
+
+    const records = await storage.readJSONLGz(messagesFile(days[0]));
+    expect(records.filter(record => record.ts === broadcastTs)).toEqual([expect.objectContaining({ subtype: 'thread_broadcast', thread_ts: parentTs })]);
+    expect(records.filter(record => record.parent_ts)).toEqual([expect.objectContaining({ user: 'U3', reply_index: 2, is_first_reply: false })]);
+    expect(records[0]).toMatchObject({ first_reply_ts: broadcastTs, time_to_first_reply: 300 });
+  });
+
+  it('should re-extract cached days inside the lookback window to pick up late replies', async () => {
+    const parentTs = tsFor('1999-01-02T10:00:00Z');
+    await storage.writeJSONLGz(messagesFile(days[0]), [{ date: days[0], channel_id: 'C1', ts: '1', user: 'U1' }]);
+    await storage.writeJSONLGz(messagesFile(days[1]), [{ date: days[1], channel_id: 'C1', ts: parentTs, user: 'U1' }]);
+    getChannelMessages.mockResolvedValue([{ channel_id: 'C1', ts: parentTs, user: 'U1', thread_ts: parentTs, reply_count: 1, reactions: [{ name: 'eyes', count: 1, users: ['U2'] }] }]);
+    getThreadReplies.mockResolvedValue([{ ts: tsFor('1999-01-03T09:00:00Z'), user: 'U2', thread_ts: parentTs }]);
+
+    // Run on 1999-01-04 for 1999-01-01 only, with the last two complete days in the window
+    const result = await extract(days[0], days[0], { channels: ['C1'], threadReplies: true, lookbackDays: 2, now: dayjs.utc('1999-01-04T06:00:00Z') });
+
+    expect(getChannelMessages).toHaveBeenCalledTimes(1);
+    expect(getChannelMessages).toHaveBeenCalledWith('C1', { startDate: days[1], endDate: days[2] });
+    expect(result).toMatchObject({ extracted: 1, skipped: 1, failedDates: [] });
+    expect(result.files).toHaveLength(2);
+
+    const [parent, reply] = await storage.readJSONLGz(messagesFile(days[1]));
+    expect(parent).toMatchObject({ reply_count: 1, first_reply_ts: reply.ts, reactions: [{ name: 'eyes', count: 1, users: ['U2'] }] });
+    expect(reply).toMatchObject({ date: days[1], parent_ts: parentTs, user: 'U2' });
+    expect(await storage.fileExists(emojiFile(days[1]))).toBe(true);
+  });
+
+  it('should keep a refreshed day\'s file when its fetch fails', async () => {
+    await storage.writeJSONLGz(messagesFile(days[1]), [{ date: days[1], channel_id: 'C1', ts: '1', user: 'U1' }]);
+    getChannelMessages.mockRejectedValue(new Error('ratelimited'));
+
+    const result = await extract(days[1], days[2], { channels: ['C1'], lookbackDays: 2, now: dayjs.utc('1999-01-04T06:00:00Z') });
+
+    expect(result).toMatchObject({ skipped: 1, failedDates: [days[2]], files: [storage.getFullPath(messagesFile(days[1]))] });
+    expect(await storage.readJSONLGz(messagesFile(days[1]))).toHaveLength(1);
+  });
+
+  it('should fail only the day whose file cannot be written', async () => {
+    const manifest = createRunManifest('messages');
+    getChannelMessages.mockResolvedValue([
+      { channel_id: 'C1', ts: tsFor('1999-01-01T10:00:00Z'), user: 'U1' },
+      { channel_id: 'C1', ts: tsFor('1999-01-02T10:00:00Z'), user: 'U1' }
+    ]);
+    const write = storage.writeJSONLGz;
+    const spy = vi.spyOn(storage, 'writeJSONLGz').mockImplementation((filePath, records) =>
+      filePath.includes(days[0]) ? Promise.reject(new Error('disk full')) : write(filePath, records));
+
+    try {
+      const result = await extract(days[0], days[1], { channels: ['C1'], manifest });
+
+      expect(result).toMatchObject({ extracted: 1, failedDates: [days[0]] });
+      expect(manifest.get(days[0]).extract).toMatchObject({ status: 'failed', error: 'disk full' });
+      expect(manifest.get(days[1]).extract).toMatchObject({ status: 'extracted', records: 1 });
+    } finally {
+      spy.mockRestore();
+    }
+    expect(await storage.fileExists(messagesFile(days[1]))).toBe(true);
+  });
+
+  it('should skip cleaned-up days outside the lookback window and record each day in the manifest', async () => {
+    const manifest = createRunManifest('messages', [
+      { date: days[0], extract: { status: 'extracted', records: 2 }, load: { mixpanel: { status: 'loaded' } }, cleaned_up_at: '1999-01-02T00:00:00.000Z' }
+    ]);
+    getChannelMessages.mockResolvedValue([{ channel_id: 'C1', ts: tsFor('1999-01-02T10:00:00Z'), user: 'U1' }]);
+
+    const result = await extract(days[0], days[2], { channels: ['C1'], manifest, lookbackDays: 2, now: dayjs.utc('1999-01-04T06:00:00Z') });
+
+    expect(getChannelMessages).toHaveBeenCalledWith('C1', { startDate: days[1], endDate: days[2] });
+    expect(result).toMatchObject({ extracted: 1, skipped: 1, failedDates: [] });
+    expect(result.files.map(file => storage.getRelativePath(file))).toEqual([messagesFile(days[1])]);
+    expect(manifest.get(days[1]).extract).toMatchObject({ status: 'extracted', records: 1 });
+    expect(manifest.get(days[2]).extract).toMatchObject({ status: 'empty' });
+  });
+
+  it('should not fetch replies unless enabled', async () => {
+    const parentTs = tsFor('1999-01-01T10:00:00Z');
+    getChannelMessages.mockResolvedValue([{ channel_id: 'C1', ts: parentTs, user: 'U1', thread_ts: parentTs, reply_count: 2 }]);
+
+    await extract(days[0], days[0], { channels: ['C1'], threadReplies: false });
+
+    expect(getThreadReplies).not.toHaveBeenCalled();
+  });
+
+  it('should require an allowlist', async () => {
+    await expect(extract(days[0], days[0], { channels: [] })).rejects.toThrow('message_channels');
+  });
+});
+
+describe('Message Transforms', () => {
+  const context = { slackChannels: [{ id: 'C1', name: 'general' }], slack_prefix: 'https://mixpanel.slack.com/archives' };
+  const record = {
+    date: '2024-01-15',
+    channel_id: 'C1',
+    ts: '1705312800.000100',
+    user: 'U1',
+    thread_ts: '1705312800.000100',
+    reply_count: 3,
+    reply_users_count: 2,
+    reactions: [{ name: 'tada', count: 2 }],
+    reaction_count: 2,
+    pinned_to: [],
+    is_pinned: false
+  };
+
+  it('should create a message posted event attributed to the author', () => {
+    const event = transformMessageEvent(record, context);
+
+    expect(event.event).toBe('message posted');
+    expect(event.properties).toMatchObject({
+      $user_id: 'U1',
+      time: 1705312800,
+      channel_name: '#general',
+      is_thread_parent: true,
+      is_thread_reply: false,
+      reply_count: 3,
+      reactions: ['tada'],
+      is_pinned: false,
+      '#  → SLACK': 'https://mixpanel.slack.com/archives/C1/p1705312800000100'
+    });
+    expect(event.properties.$insert_id).toMatch(/^[0-9a-f]{32}$/);
+    expect(event.properties).not.toHaveProperty('text');
+  });
+
+  it('should create a thread reply event linked to its parent', () => {
+    const reply = {
+      date: '2024-01-15',
+      channel_id: 'C1',
+      ts: '1705313400.000200',
+      user: 'U2',
+      thread_ts: record.ts,
+      parent_ts: record.ts,
+      parent_user: 'U1',
+      reply_index: 1,
+      seconds_since_parent: 600,
+      is_first_reply: true,
+      time_to_first_reply: 600,
+      reactions: [],
+      reaction_count: 0
+    };
+
+    const event = transformMessageEvent(reply, context);
+
+    expect(event.event).toBe('thread reply');
+    expect(event.properties).toMatchObject({
+      $user_id: 'U2',
+      time: 1705313400,
+      parent_ts: record.ts,
+      parent_user: 'U1',
+      is_own_thread: false,
+      is_first_reply: true,
+      time_to_first_reply: 600,
+      '#  → SLACK': `https://mixpanel.slack.com/archives/C1/p1705313400000200?thread_ts=${record.ts}`
+    });
+    expect(event.properties.$insert_id).not.toBe(transformMessageEvent(record, context).properties.$insert_id);
+  });
+
+  it('should skip messages without an author', () => {
+    expect(transformMessageEvent({ ...record, user: undefined, bot_id: 'B1' }, context)).toBeNull();
+  });
+});
+
+describe('Reaction Transforms', () => {
+  const context = { slackChannels: [{ id: 'C1', name: 'general' }, { id: 'C2', name: 'random' }], slack_prefix: 'https://mixpanel.slack.com/archives' };
+  const record = {
+    date: '2024-01-15',
+    channel_id: 'C1',
+    ts: '1705312800.000100',
+    user: 'U1',
+    reactions: [
+      { name: 'tada', count: 2, users: ['U1', 'U2'] },
+      { name: 'wave::skin-tone-3', count: 1, users: ['U3'] }
+    ]
+  };
+
+  it('should create one reaction added event per emoji and reacting user', () => {
+    const events = transformReactionEvents(record, context);
+
+    expect(events).toHaveLength(3);
+    expect(events.map(e => e.properties.$user_id)).toEqual(['U1', 'U2', 'U3']);
+    expect(events[0].properties).toMatchObject({ emoji: 'tada', channel_name: '#general', message_user: 'U1', is_own_message: true, time: 1705312800 });
+    expect(events[2].properties).toMatchObject({ emoji: 'wave', reaction: 'wave::skin-tone-3', skin_tone: 3, is_own_message: false });
+    expect(new Set(events.map(e => e.properties.$insert_id)).size).toBe(3);
+  });
+
+  it('should return no events for messages without reactions', () => {
+    expect(transformReactionEvents({ ...record, reactions: [] }, context)).toEqual([]);
+  });
+
+  it('should combine daily summaries into one lookup row per emoji', () => {
+    const summaries = [
+      ...summarizeEmojiUsage([record], '2024-01-15', { tada: 'https://example.com/tada.png' }),
+      ...summarizeEmojiUsage([{ ...record, channel_id: 'C2', reactions: [{ name: 'tada', count: 3, users: ['U2', 'U4', 'U5'] }] }], '2024-01-16', null)
+    ];
+
+    const rows = buildEmojiLookupRows(summaries, context);
+
+    expect(rows[0]).toEqual({
+      emoji: 'tada',
+      is_custom: true,
+      uses: 5,
+      unique_users: 4,
+      channel_count: 2,
+      top_channel_id: 'C2',
+      top_channel: '#random',
+      first_used: '2024-01-15',
+      last_used: '2024-01-16'
+    });
+    expect(rows[1]).toMatchObject({ emoji: 'wave', uses: 1, is_custom: false });
+  });
+
+  it('should write lookup rows as CSV keyed by the first column', () => {
+    const csv = toLookupTableCsv([
+      { emoji: 'tada', top_channel: '#general', note: 'say "hi", ok' },
+      { emoji: 'wave', top_channel: undefined, note: '' }
+    ]);
+
+    expect(csv).toBe('emoji,top_channel,note\ntada,#general,"say ""hi"", ok"\nwave,,');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import storage from '../../src/services/storage.js';
+import pipelineLock from '../../src/services/pipeline-lock.js';
+
+/**
+ * Unit tests for per-pipeline locks against the local ./tmp directory
+ * Skipped when storage points at a bucket
+ */
+
+const pipeline = `test-lock-${process.pid}`;
+const other = `${pipeline}-other`;
+
+describe.skipIf(storage.isRemote())('Pipeline Lock (local)', () => {
+  afterEach(() => {
+    for (const name of [pipeline, other]) {
+      fs.rmSync(path.join(storage.getStoragePath(), 'locks', `${name}.lock.json`), { force: true });
+    }
+  });
+
+  it('should block a second run with the holder details', async () => {
+    const locks = await pipelineLock.acquireLocks([pipeline], { job_id: 'job-1' });
+
+    const error = await pipelineLock.acquireLocks([pipeline], { job_id: 'job-2' }).catch(e => e);
+    expect(error.code).toBe('pipeline_locked');
+    expect(error.holder).toMatchObject({ pipeline, job_id: 'job-1', lock_id: locks[0].lock_id });
+
+    await pipelineLock.releaseLocks(locks);
+    const next = await pipelineLock.acquireLocks([pipeline], { job_id: 'job-2' });
+    expect(next[0].job_id).toBe('job-2');
+    await pipelineLock.releaseLocks(next);
+  });
+
+  it('should take over an expired lock', async () => {
+    const stale = await pipelineLock.acquireLocks([pipeline], {}, { ttlMinutes: 1, now: Date.now() - 5 * 60 * 1000 });
+
+    const locks = await pipelineLock.acquireLocks([pipeline]);
+    expect(locks[0].lock_id).not.toBe(stale[0].lock_id);
+
+    // The stale holder must not release the new lock
+    await pipelineLock.releaseLocks(stale);
+    const error = await pipelineLock.acquireLocks([pipeline]).catch(e => e);
+    expect(error.code).toBe('pipeline_locked');
+
+    await pipelineLock.releaseLocks(locks);
+  });
+
+  it('should renew a held lock and add holder details', async () => {
+    const now = Date.now();
+    const locks = await pipelineLock.acquireLocks([pipeline], {}, { ttlMinutes: 1, now });
+
+    expect(await pipelineLock.renewLocks(locks, { job_id: 'job-1' }, { ttlMinutes: 10, now })).toBe(1);
+    expect(locks[0]).toMatchObject({ job_id: 'job-1', expires_at: new Date(now + 10 * 60 * 1000).toISOString() });
+
+    const error = await pipelineLock.acquireLocks([pipeline], {}, { now: now + 5 * 60 * 1000 }).catch(e => e);
+    expect(error.holder).toMatchObject({ job_id: 'job-1', lock_id: locks[0].lock_id });
+
+    await pipelineLock.releaseLocks(locks);
+  });
+
+  it('should not renew a lock another run has taken over', async () => {
+    const stale = await pipelineLock.acquireLocks([pipeline], {}, { ttlMinutes: 1, now: Date.now() - 5 * 60 * 1000 });
+    const locks = await pipelineLock.acquireLocks([pipeline], { job_id: 'job-2' });
+
+    expect(await pipelineLock.renewLocks(stale)).toBe(0);
+    const error = await pipelineLock.acquireLocks([pipeline]).catch(e => e);
+    expect(error.holder).toMatchObject({ job_id: 'job-2', expires_at: locks[0].expires_at });
+
+    await pipelineLock.releaseLocks(locks);
+  });
+
+  it('should keep renewing locks until the heartbeat stops', async () => {
+    const locks = await pipelineLock.acquireLocks([pipeline], {}, { ttlMinutes: 1 });
+    const acquiredExpiry = locks[0].expires_at;
+
+    const stop = pipelineLock.startHeartbeat(locks, { ttlMinutes: 60, intervalMs: 10 });
+    await vi.waitFor(() => expect(locks[0].expires_at).not.toBe(acquiredExpiry));
+    await stop();
+
+    const renewedExpiry = locks[0].expires_at;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(locks[0].expires_at).toBe(renewedExpiry);
+
+    await pipelineLock.releaseLocks(locks);
+    expect(await storage.fileExists(`locks/${pipeline}.lock.json`)).toBe(false);
+  });
+
+  it('should acquire all pipelines or none', async () => {
+    const held = await pipelineLock.acquireLocks([other]);
+
+    const error = await pipelineLock.acquireLocks([pipeline, other]).catch(e => e);
+    expect(error.code).toBe('pipeline_locked');
+
+    // The lock acquired before the conflict was released
+    const locks = await pipelineLock.acquireLocks([pipeline]);
+    await pipelineLock.releaseLocks([...locks, ...held]);
+  });
+});
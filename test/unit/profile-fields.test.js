@@ -0,0 +1,78 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadProfileFieldConfig, resolveProfileFieldMappings } from '../../src/services/profile-fields.js';
+
+/**
+ * Unit tests for custom profile field mapping
+ */
+
+describe('Profile Fields', () => {
+  const definitions = [
+    { id: 'XfDIV', label: 'Division', type: 'text' },
+    { id: 'XfTITLE', label: 'Title', type: 'text' },
+    { id: 'XfMGR', label: 'Manager', type: 'user' },
+    { id: 'XfPRON', label: 'Pronunciation', type: 'text' }
+  ];
+
+  describe('resolveProfileFieldMappings', () => {
+    it('should map every field to a property named by its label', () => {
+      expect(resolveProfileFieldMappings(definitions)).toEqual([
+        { id: 'XfDIV', property: 'Division', type: 'text' },
+        { id: 'XfTITLE', property: 'Title', type: 'text' },
+        { id: 'XfMGR', property: 'Manager', type: 'user' },
+        { id: 'XfPRON', property: 'Pronunciation', type: 'text' }
+      ]);
+    });
+
+    it('should apply renames and exclusions by ID or label', () => {
+      const mappings = resolveProfileFieldMappings(definitions, {
+        rename: { Title: 'profile_title', XfMGR: 'manager' },
+        exclude: ['Pronunciation', 'XfDIV']
+      });
+
+      expect(mappings).toEqual([
+        { id: 'XfTITLE', property: 'profile_title', type: 'text' },
+        { id: 'XfMGR', property: 'manager', type: 'user' }
+      ]);
+    });
+
+    it('should merge overrides and add fields missing from team.profile.get', () => {
+      const mappings = resolveProfileFieldMappings(definitions.slice(0, 1), {
+        overrides: {
+          XfDIV: { type: 'options_list' },
+          XfBUDDY: { label: 'Buddy', type: 'user' }
+        }
+      });
+
+      expect(mappings).toEqual([
+        { id: 'XfDIV', property: 'Division', type: 'options_list' },
+        { id: 'XfBUDDY', property: 'Buddy', type: 'user' }
+      ]);
+    });
+  });
+
+  describe('loadProfileFieldConfig', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-fields-'));
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('should return an empty config when no file is configured', () => {
+      expect(loadProfileFieldConfig('')).toEqual({});
+    });
+
+    it('should read a JSON config file', () => {
+      const filePath = path.join(dir, 'fields.json');
+      fs.writeFileSync(filePath, JSON.stringify({ exclude: ['Pronunciation'] }));
+
+      expect(loadProfileFieldConfig(filePath)).toEqual({ exclude: ['Pronunciation'] });
+    });
+
+    it('should throw a descriptive error for invalid files', () => {
+      const filePath = path.join(dir, 'broken.json');
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => loadProfileFieldConfig(filePath)).toThrow('Could not load profile field config');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter, parseMethodTiers, getRetryAfterMs } from '../../src/utils/rate-limiter.js';
+
+/**
+ * Unit tests for the Slack rate limiter, with a fake clock
+ */
+
+function fakeClock() {
+  let time = 0;
+  const waits = [];
+  return {
+    waits,
+    now: () => time,
+    sleep: async (ms) => {
+      waits.push(ms);
+      time += ms;
+    }
+  };
+}
+
+function rateLimitError(retryAfter) {
+  const error = new Error('ratelimited');
+  error.code = 'slack_webapi_rate_limited_error';
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+describe('Rate Limiter', () => {
+  it('should allow a tier\'s burst, then pace calls at its rate', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ tiers: {}, ...clock });
+
+    for (let i = 0; i < 5; i++) await limiter.call('admin.analytics.getFile', async () => ({ ok: true }));
+
+    // Tier 2: 20/min (one every 3s) with a burst of 3
+    expect(clock.waits).toEqual([3000, 3000]);
+    expect(limiter.getStats()['admin.analytics.getFile']).toEqual({ tier: 2, rate: 20, calls: 5, rateLimited: 0 });
+  });
+
+  it('should halve the rate and wait out Retry-After on a 429', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ tiers: {}, ...clock });
+    let attempts = 0;
+
+    const response = await limiter.call('conversations.info', async () => {
+      attempts++;
+      if (attempts === 1) throw rateLimitError(10);
+      return { ok: true };
+    });
+
+    expect(response).toEqual({ ok: true });
+    expect(clock.waits).toEqual([10000]);
+    expect(limiter.getStats()['conversations.info']).toMatchObject({ rate: 25, calls: 2, rateLimited: 1 });
+  });
+
+  it('should speed back up after a run of successful calls', async () => {
+    const limiter = createRateLimiter({ tiers: {}, ...fakeClock() });
+
+    for (let i = 0; i < 20; i++) await limiter.call('users.info', async () => ({ ok: true }));
+
+    expect(limiter.getStats()['users.info'].rate).toBe(121);
+  });
+
+  it('should throw the rate limit error once attempts are exhausted, and pass other errors through', async () => {
+    const limiter = createRateLimiter({ tiers: {}, ...fakeClock() });
+
+    await expect(limiter.call('users.list', async () => { throw rateLimitError(1); }, { maxAttempts: 2 }))
+      .rejects.toMatchObject({ code: 'slack_webapi_rate_limited_error' });
+    await expect(limiter.call('users.list', async () => { throw new Error('channel_not_found'); }))
+      .rejects.toThrow('channel_not_found');
+    expect(limiter.getStats()['users.list']).toMatchObject({ calls: 3, rateLimited: 2 });
+  });
+
+  it('should read tier overrides and Retry-After', () => {
+    expect(parseMethodTiers('conversations.history:3, auth.test:special')).toEqual({ 'conversations.history': 3, 'auth.test': 'special' });
+    expect(() => parseMethodTiers('users.info:5')).toThrow('Invalid SLACK_METHOD_TIERS');
+    expect(getRetryAfterMs({ data: { headers: { 'retry-after': '30' } } })).toBe(30000);
+    expect(getRetryAfterMs({})).toBe(60000);
+  });
+});
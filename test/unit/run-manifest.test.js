@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Unit tests for the run manifest (in-memory decisions, and extract resumption through storage)
+ * Storage tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: {}
+}));
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { createRunManifest, summarizeMixpanelLoad, loadRunManifest, saveRunManifest } = await import('../../src/services/run-manifest.js');
+const { extractMemberAnalytics } = await import('../../src/jobs/extract.js');
+
+describe('Run Manifest', () => {
+  const now = new Date('2024-01-15T00:00:00Z').getTime();
+
+  it('should only re-extract missing days that were not loaded and cleaned up', () => {
+    const manifest = createRunManifest('members', [
+      { date: '2024-01-01', extract: { status: 'extracted', records: 5 }, load: { mixpanel: { status: 'loaded' } }, cleaned_up_at: '2024-01-02T00:00:00.000Z' },
+      { date: '2024-01-02', extract: { status: 'empty', records: 0 } },
+      { date: '2024-01-03', extract: { status: 'extracted', records: 5 } }
+    ], { now });
+
+    expect(manifest.needsExtract('2024-01-01', false)).toBe(false);
+    expect(manifest.needsExtract('2024-01-02', false)).toBe(true);
+    expect(manifest.needsExtract('2024-01-03', false)).toBe(true);
+    expect(manifest.needsExtract('2024-01-03', true)).toBe(false);
+    expect(manifest.needsExtract('2024-01-04', false)).toBe(true);
+  });
+
+  it('should re-extract cleaned-up days for targets their data never reached', () => {
+    const rows = [
+      { date: '2024-01-01', extract: { status: 'extracted', records: 5 }, load: { bigquery: { status: 'loaded' } }, cleaned_up_at: '2024-01-02T00:00:00.000Z' },
+      { date: '2024-01-02', extract: { status: 'extracted', records: 5 }, load: { bigquery: { status: 'superseded' }, mixpanel: { status: 'loaded' } }, cleaned_up_at: '2024-01-03T00:00:00.000Z' }
+    ];
+
+    const bigquery = createRunManifest('members', rows, { targets: ['bigquery'], now });
+    expect(bigquery.needsExtract('2024-01-01', false)).toBe(false);
+    expect(bigquery.needsExtract('2024-01-02', false)).toBe(false);
+
+    const both = createRunManifest('members', rows, { targets: ['mixpanel', 'bigquery'], now });
+    expect(both.needsExtract('2024-01-01', false)).toBe(true);
+    expect(both.needsExtract('2024-01-02', false)).toBe(false);
+  });
+
+  it('should only load days not yet loaded to a target, and supersede their loads when re-extracted', () => {
+    const manifest = createRunManifest('channels', [], { now });
+
+    manifest.recordLoad('2024-01-01', 'mixpanel', { status: 'loaded' });
+    manifest.recordLoad('2024-01-01', 'bigquery', { status: 'failed', error: 'quota' });
+    manifest.recordCleanup('2024-01-01');
+
+    expect(manifest.needsLoad('2024-01-01', 'mixpanel')).toBe(false);
+    expect(manifest.needsLoad('2024-01-01', 'bigquery')).toBe(true);
+    expect(manifest.needsLoad('2024-01-02', 'mixpanel')).toBe(true);
+    expect(manifest.dirty).toBe(true);
+
+    manifest.recordExtract('2024-01-01', { status: 'extracted', records: 3, file: '/tmp/channels/2024-01-01-channels.jsonl.gz' });
+    expect(manifest.needsLoad('2024-01-01', 'mixpanel')).toBe(true);
+    expect(manifest.get('2024-01-01')).toEqual({
+      date: '2024-01-01',
+      extract: { status: 'extracted', records: 3, file: '/tmp/channels/2024-01-01-channels.jsonl.gz', at: '2024-01-15T00:00:00.000Z' },
+      load: {
+        mixpanel: { status: 'superseded', at: '2024-01-15T00:00:00.000Z' },
+        bigquery: { status: 'failed', error: 'quota', at: '2024-01-15T00:00:00.000Z' }
+      }
+    });
+  });
+
+  it('should attribute a multi-day upload to each day per record type', () => {
+    const result = {
+      uploaded: 2,
+      failed: 2,
+      results: {
+        events: { success: true, error: null, days: { '2024-01-01': 4, '2024-01-02': 6 }, result: { total: 10, success: 9, failed: 1, duplicates: 2 } },
+        profiles: { success: false, error: 'timeout' }
+      }
+    };
+
+    expect(summarizeMixpanelLoad(result, '2024-01-02')).toEqual({
+      status: 'failed',
+      events: { status: 'loaded', records: 6, batch: { days: 2, total: 10, success: 9, failed: 1, duplicates: 2 } },
+      profiles: { status: 'failed', records: 0, batch: { days: 0, total: 0, success: 0, failed: 0, duplicates: 0 }, error: 'timeout' }
+    });
+    expect(summarizeMixpanelLoad(result, '2024-01-01').events.records).toBe(4);
+  });
+});
+
+describe.skipIf(storage.isRemote())('Run Manifest Storage', () => {
+  // Far enough back that the test never collides with real files, in a workspace of its own
+  const workspace = { team_id: 'T_MANIFEST_TEST' };
+  const dates = ['1999-01-01', '1999-01-02', '1999-01-03'];
+  const dirs = () => ['members', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+
+  beforeEach(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should skip cleaned-up days, record each day and round-trip through storage', async () => {
+    await runInWorkspace(workspace, async () => {
+      const manifest = createRunManifest('members', [
+        { date: dates[0], extract: { status: 'extracted', records: 5 }, load: { mixpanel: { status: 'loaded' } }, cleaned_up_at: '1999-01-02T00:00:00.000Z' }
+      ]);
+      const cachedFile = `members/${workspace.team_id}/${dates[2]}-members.jsonl.gz`;
+      await storage.writeJSONLGz(cachedFile, [{ user_id: 'U1' }]);
+
+      // Slack isn't mocked beyond an empty service, so the one day that is fetched fails
+      const result = await extractMemberAnalytics(dates[0], dates[2], { manifest });
+
+      expect(result).toMatchObject({ extracted: 0, skipped: 2, files: [storage.getFullPath(cachedFile)], failedDates: [dates[1]] });
+      expect(manifest.get(dates[1]).extract).toMatchObject({ status: 'failed', records: 0 });
+
+      const reloaded = await loadRunManifest('members');
+      expect(reloaded.toRows()).toEqual(manifest.toRows());
+      expect(reloaded.dirty).toBe(false);
+
+      // Nothing changed, so nothing is written
+      fs.rmSync(dirs()[1], { recursive: true, force: true });
+      await saveRunManifest(reloaded);
+      expect(await storage.fileExists(`manifests/${workspace.team_id}/members.jsonl.gz`)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Unit tests for the Slack service with a mocked WebClient
+ * These run without Slack credentials
+ */
+
+const { getFile } = vi.hoisted(() => {
+  process.env.slack_bot_token = process.env.slack_bot_token || 'xoxb-test';
+  process.env.slack_user_token = process.env.slack_user_token || 'xoxp-test';
+  return { getFile: vi.fn() };
+});
+
+vi.mock('@slack/web-api', () => ({
+  WebClient: class {
+    auth = { test: async () => ({ ok: true, team: 'T123' }) };
+    admin = { analytics: { getFile } };
+  }
+}));
+
+vi.mock('ak-tools', async (importOriginal) => ({
+  ...(await importOriginal()),
+  sleep: vi.fn(async () => {})
+}));
+
+const { default: slack } = await import('../../src/services/slack.js');
+const akTools = await import('ak-tools');
+
+function rateLimitError(retryAfter) {
+  const error = new Error('ratelimited');
+  error.code = 'slack_webapi_rate_limited_error';
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+describe('Slack Service (mocked)', () => {
+  beforeEach(() => {
+    getFile.mockReset();
+    vi.mocked(akTools.sleep).mockClear();
+    // The rate limiter times its waits with Date.now
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('analytics', () => {
+    it('should retry rate limited dates after Retry-After', async () => {
+      getFile
+        .mockRejectedValueOnce(rateLimitError(7))
+        .mockResolvedValueOnce({ ok: true, file_data: [{ date: '2024-01-01', user_id: 'U1' }] });
+
+      const data = await slack.analytics('2024-01-01', '2024-01-01', 'member', false);
+
+      expect(data).toEqual([{ date: '2024-01-01', user_id: 'U1' }]);
+      expect(getFile).toHaveBeenCalledTimes(2);
+      expect(akTools.sleep).toHaveBeenCalledWith(7000);
+    });
+
+    it('should throw with the date once attempts are exhausted', async () => {
+      getFile.mockRejectedValue({ data: { error: 'ratelimited' } });
+
+      const error = await slack.analytics('2024-01-02', '2024-01-02', 'member', false, { maxAttempts: 3 })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.code).toBe('ratelimited');
+      expect(error.date).toBe('2024-01-02');
+      expect(getFile).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry known "no data" errors', async () => {
+      getFile.mockRejectedValue({ data: { error: 'data_not_available' } });
+
+      const data = await slack.analytics('2024-01-03', '2024-01-03', 'member', false);
+
+      expect(data).toEqual([]);
+      expect(getFile).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { randomBytes } from 'crypto';
+import { createStorageAdapter, createS3Adapter, parseBucketUrl } from '../../src/services/storage-adapters.js';
+import storage from '../../src/services/storage.js';
+
+/**
+ * Unit tests for the storage adapters, with an in-memory S3-compatible stand-in (MinIO-style)
+ */
+
+function s3Error(name, status) {
+  const error = new Error(name);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+/** Minimal S3 server: objects by key, ETags bumped on every write, conditional put/delete */
+function fakeS3Client() {
+  const objects = new Map();
+  const uploads = new Map();
+  let version = 0;
+
+  const handlers = {
+    PutObjectCommand: ({ Key, Body, IfNoneMatch, IfMatch }) => {
+      if (IfNoneMatch === '*' && objects.has(Key)) throw s3Error('PreconditionFailed', 412);
+      if (IfMatch && objects.get(Key)?.etag !== IfMatch) throw s3Error(objects.has(Key) ? 'PreconditionFailed' : 'NoSuchKey', objects.has(Key) ? 412 : 404);
+      const etag = `"etag-${++version}"`;
+      objects.set(Key, { body: Buffer.from(Body), etag });
+      return { ETag: etag };
+    },
+    GetObjectCommand: ({ Key }) => {
+      const object = objects.get(Key);
+      if (!object) throw s3Error('NoSuchKey', 404);
+      const Body = Readable.from([object.body]);
+      Body.transformToByteArray = async () => new Uint8Array(object.body);
+      return { ETag: object.etag, Body };
+    },
+    HeadObjectCommand: ({ Key }) => {
+      const object = objects.get(Key);
+      if (!object) throw s3Error('NotFound', 404);
+      return { ETag: object.etag, ContentLength: object.body.length, LastModified: new Date('2024-01-15T00:00:00Z') };
+    },
+    DeleteObjectCommand: ({ Key, IfMatch }) => {
+      if (IfMatch && objects.get(Key)?.etag !== IfMatch) throw s3Error(objects.has(Key) ? 'PreconditionFailed' : 'NoSuchKey', objects.has(Key) ? 412 : 404);
+      objects.delete(Key);
+      return {};
+    },
+    CreateMultipartUploadCommand: ({ Key }) => {
+      const UploadId = `upload-${++version}`;
+      uploads.set(UploadId, { Key, parts: [] });
+      return { UploadId };
+    },
+    UploadPartCommand: ({ UploadId, PartNumber, Body }) => {
+      uploads.get(UploadId).parts[PartNumber - 1] = Buffer.from(Body);
+      return { ETag: `"part-${PartNumber}"` };
+    },
+    CompleteMultipartUploadCommand: ({ Key, UploadId }) => {
+      objects.set(Key, { body: Buffer.concat(uploads.get(UploadId).parts), etag: `"etag-${++version}"` });
+      uploads.delete(UploadId);
+      return {};
+    },
+    ListObjectsV2Command: ({ Prefix }) => ({
+      Contents: [...objects.keys()].filter(key => key.startsWith(Prefix)).map(Key => ({ Key })),
+      IsTruncated: false
+    })
+  };
+
+  return {
+    objects,
+    uploads,
+    send: async (command) => handlers[command.constructor.name](command.input)
+  };
+}
+
+describe('Storage Adapters', () => {
+  it('should pick an adapter from the storage path', () => {
+    expect(createStorageAdapter(undefined)).toMatchObject({ name: 'local', root: './tmp', remote: false });
+    expect(createStorageAdapter('s3://bucket/data/', { client: fakeS3Client() })).toMatchObject({ name: 's3', root: 's3://bucket/data', remote: true });
+    expect(createStorageAdapter('gs://bucket/data', { client: {} })).toMatchObject({ name: 'gcs', root: 'gs://bucket/data' });
+    expect(parseBucketUrl('s3://bucket', 's3')).toEqual({ bucket: 'bucket', prefix: '' });
+    expect(() => parseBucketUrl('bucket/data', 's3')).toThrow('Invalid S3 path');
+  });
+
+  it('should map keys to and from s3:// paths under the prefix', () => {
+    const adapter = createS3Adapter('s3://bucket/data', { client: fakeS3Client() });
+
+    expect(adapter.fullPath('members/2024-01-01-members.jsonl.gz')).toBe('s3://bucket/data/members/2024-01-01-members.jsonl.gz');
+    expect(adapter.relativePath('s3://bucket/data/members/2024-01-01-members.jsonl.gz')).toBe('members/2024-01-01-members.jsonl.gz');
+  });
+
+  it('should upload large streamed bodies in parts', async () => {
+    const client = fakeS3Client();
+    const adapter = createS3Adapter('s3://bucket/data', { client });
+    const chunks = [1, 2, 3].map(() => randomBytes(5 * 1024 * 1024));
+
+    await adapter.write('messages/big.jsonl.gz', Readable.from(chunks));
+
+    expect(client.uploads.size).toBe(0);
+    expect(client.objects.get('data/messages/big.jsonl.gz').body.equals(Buffer.concat(chunks))).toBe(true);
+  });
+
+  it('should report whether delete removed anything on every backend', async () => {
+    const notFound = Object.assign(new Error('No such object'), { code: 404 });
+    const gcsClient = { bucket: () => ({ file: () => ({ delete: async () => { throw notFound; } }) }) };
+    const localRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-adapters-'));
+    const adapters = [
+      createStorageAdapter(localRoot),
+      createS3Adapter('s3://bucket/data', { client: fakeS3Client() }),
+      createStorageAdapter('gs://bucket/data', { client: gcsClient })
+    ];
+
+    try {
+      for (const adapter of adapters) {
+        expect(await adapter.delete('members/missing.jsonl.gz')).toBe(false);
+      }
+
+      for (const adapter of adapters.slice(0, 2)) {
+        await adapter.write('members/present.jsonl.gz', Buffer.from('x'));
+        expect(await adapter.delete('members/present.jsonl.gz')).toBe(true);
+        expect(await adapter.exists('members/present.jsonl.gz')).toBe(false);
+      }
+    } finally {
+      fs.rmSync(localRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('should only create a lock object once and only delete the version that was read', async () => {
+    const adapter = createS3Adapter('s3://bucket/data', { client: fakeS3Client() });
+
+    expect(await adapter.createIfAbsent('locks/members.lock.json', '{"a":1}')).toBe(true);
+    expect(await adapter.createIfAbsent('locks/members.lock.json', '{"a":2}')).toBe(false);
+
+    const { content, generation } = await adapter.readWithGeneration('locks/members.lock.json');
+    expect(content).toBe('{"a":1}');
+    expect(await adapter.deleteIfGeneration('locks/members.lock.json', '"stale"')).toBe(false);
+    expect(await adapter.deleteIfGeneration('locks/members.lock.json', generation)).toBe(true);
+    expect(await adapter.readWithGeneration('locks/members.lock.json')).toBeNull();
+    expect(await adapter.deleteIfGeneration('locks/members.lock.json', generation)).toBe(false);
+  });
+
+  it('should only replace the version of a lock object that was read', async () => {
+    const adapter = createS3Adapter('s3://bucket/data', { client: fakeS3Client() });
+    await adapter.createIfAbsent('locks/members.lock.json', '{"a":1}');
+    const { generation } = await adapter.readWithGeneration('locks/members.lock.json');
+
+    const renewed = await adapter.replaceIfGeneration('locks/members.lock.json', '{"a":2}', generation);
+    expect(renewed).not.toBe(generation);
+    expect(await adapter.replaceIfGeneration('locks/members.lock.json', '{"a":3}', generation)).toBeNull();
+    expect(await adapter.readWithGeneration('locks/members.lock.json')).toEqual({ content: '{"a":2}', generation: renewed });
+    expect(await adapter.replaceIfGeneration('locks/other.lock.json', '{"a":1}', renewed)).toBeNull();
+  });
+});
+
+describe('Storage Service (S3-compatible)', () => {
+  let previous;
+
+  afterEach(() => {
+    if (previous) storage.setStorageAdapter(previous);
+    previous = null;
+  });
+
+  it('should write, list, read, stat and clear JSONL.gz files', async () => {
+    const client = fakeS3Client();
+    previous = storage.setStorageAdapter(createS3Adapter('s3://bucket/data', { client, endpoint: 'http://localhost:9000' }));
+    const records = [{ id: 1, name: 'one' }, { id: 2, name: 'two' }];
+
+    const written = await storage.writeJSONLGz('members/2024-01-01-members.jsonl.gz', records);
+
+    expect(written).toBe('s3://bucket/data/members/2024-01-01-members.jsonl.gz');
+    expect(storage.isRemote()).toBe(true);
+    expect(await storage.listFiles('members')).toEqual(['members/2024-01-01-members.jsonl.gz']);
+    expect(await storage.readJSONLGz('members/2024-01-01-members.jsonl.gz')).toEqual(records);
+    expect(await storage.statFile('members/2024-01-01-members.jsonl.gz')).toMatchObject({ generation: '"etag-1"', updated: '2024-01-15T00:00:00.000Z' });
+    expect(await storage.statFile('members/missing.jsonl.gz')).toBeNull();
+    expect(await storage.clearDirectory('members')).toBe(1);
+    expect(await storage.fileExists('members/2024-01-01-members.jsonl.gz')).toBe(false);
+  });
+
+  it('should hand mixpanel-import records for custom endpoints and s3:// paths for AWS', async () => {
+    previous = storage.setStorageAdapter(createS3Adapter('s3://bucket/data', { client: fakeS3Client(), endpoint: 'http://localhost:9000' }));
+    const file = await storage.writeJSONLGz('channels/2024-01-01-channels.jsonl.gz', [{ channel_id: 'C1' }]);
+
+    const source = storage.getImportSource([file, file]);
+    expect(source.options).toEqual({});
+    expect(await source.data.toArray()).toEqual([{ channel_id: 'C1' }, { channel_id: 'C1' }]);
+
+    storage.setStorageAdapter(createS3Adapter('s3://bucket/data', { client: fakeS3Client(), endpoint: null, region: 'eu-west-1' }));
+    expect(storage.getImportSource([file])).toMatchObject({ data: [file], options: { s3Region: 'eu-west-1' } });
+  });
+});
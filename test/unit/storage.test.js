@@ -0,0 +1,73 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import _ from 'highland';
+import storage from '../../src/services/storage.js';
+
+/**
+ * Unit tests for the storage service against the local ./tmp directory
+ * Skipped when storage points at a bucket
+ */
+
+const testDir = `test-storage-${process.pid}`;
+
+describe.skipIf(storage.isRemote())('Storage Service (local)', () => {
+  afterAll(async () => {
+    await storage.clearDirectory(testDir);
+    fs.rmSync(path.join(storage.getStoragePath(), testDir), { recursive: true, force: true });
+  });
+
+  it('should write and read JSONL.gz files', async () => {
+    const records = [{ id: 1, name: 'one' }, { id: 2, name: 'two' }];
+    await storage.writeJSONLGz(`${testDir}/2024-01-01-${testDir}.jsonl.gz`, records);
+
+    const result = await storage.readJSONLGz(`${testDir}/2024-01-01-${testDir}.jsonl.gz`);
+    expect(result).toEqual(records);
+  });
+
+  it('should list files in a directory as relative paths', async () => {
+    await storage.writeJSONLGz(`${testDir}/2024-01-02-${testDir}.jsonl.gz`, [{ id: 3 }]);
+
+    const files = await storage.listFiles(testDir);
+    expect(files.sort()).toEqual([
+      `${testDir}/2024-01-01-${testDir}.jsonl.gz`,
+      `${testDir}/2024-01-02-${testDir}.jsonl.gz`
+    ]);
+  });
+
+  it('should stream records in from async iterables and Highland streams and back out', async () => {
+    async function* generate() {
+      for (let i = 0; i < 1000; i++) yield { id: i, text: `record ${i} ✓` };
+    }
+    await storage.writeJSONLGzStream(`${testDir}/2024-01-03-${testDir}.jsonl.gz`, generate());
+    await storage.writeJSONLGzStream(`${testDir}/2024-01-04-${testDir}.jsonl.gz`, _([{ id: 'a' }, { id: 'b' }]));
+
+    let count = 0;
+    for await (const record of storage.readJSONLGzStream(`${testDir}/2024-01-03-${testDir}.jsonl.gz`)) {
+      expect(record).toEqual({ id: count, text: `record ${count} ✓` });
+      count++;
+    }
+    expect(count).toBe(1000);
+
+    const highlandRecords = await _(storage.readJSONLGzStream(`${testDir}/2024-01-04-${testDir}.jsonl.gz`)).collect().toPromise(Promise);
+    expect(highlandRecords).toEqual([{ id: 'a' }, { id: 'b' }]);
+  });
+
+  it('should not leave a file behind when a streamed write fails', async () => {
+    async function* failing() {
+      yield { id: 1 };
+      throw new Error('enrichment failed');
+    }
+    const filePath = `${testDir}/2024-01-05-${testDir}.jsonl.gz`;
+
+    await expect(storage.writeJSONLGzStream(filePath, failing())).rejects.toThrow('enrichment failed');
+    expect(await storage.fileExists(filePath)).toBe(false);
+    expect(fs.readdirSync(path.join(storage.getStoragePath(), testDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    await expect(storage.readJSONLGz(filePath)).rejects.toThrow('ENOENT');
+  });
+
+  it('should return an empty list for missing directories', async () => {
+    const files = await storage.listFiles(`${testDir}-missing`);
+    expect(files).toEqual([]);
+  });
+});
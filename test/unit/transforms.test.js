@@ -0,0 +1,253 @@
+import { describe, it, expect } from 'vitest';
+import { transformChannelEvent, transformChannelProfile, transformExternalOrgProfiles } from '../../src/transforms/channels.js';
+import { transformMemberEvent, transformMemberProfile } from '../../src/transforms/members.js';
+import { makeInsertId, getEventTime } from '../../src/transforms/utils.js';
+
+/**
+ * Unit tests for transform functions
+ * These run without Slack or Mixpanel credentials
+ */
+
+describe('Channel Transforms', () => {
+  describe('private channels', () => {
+    const mockRecord = {
+      channel_id: 'G123',
+      date: '2024-01-15',
+      messages_posted: 12,
+      ENRICHED: {
+        channel: {
+          id: 'G123',
+          name: 'secret-project',
+          topic: { value: 'Acquisition planning' },
+          purpose: { value: 'Do not share' },
+          is_private: true,
+          created: 1640000000
+        },
+        ok: true
+      }
+    };
+
+    const baseContext = {
+      slackChannels: [],
+      slack_prefix: 'https://mixpanel.slack.com',
+      channel_group_key: 'channel_id',
+      private_channels: true
+    };
+
+    it('should tag events as private and redact names by default', () => {
+      const event = transformChannelEvent(mockRecord, baseContext);
+
+      expect(event.properties.private).toBe(true);
+      expect(event.properties.name).toBeUndefined();
+      expect(event.properties.topic).toBeUndefined();
+      expect(event.properties.purpose).toBeUndefined();
+      expect(event.properties.channel_id).toBe('G123');
+    });
+
+    it('should export names when private_channel_details is export', () => {
+      const event = transformChannelEvent(mockRecord, { ...baseContext, private_channel_details: 'export' });
+
+      expect(event.properties.private).toBe(true);
+      expect(event.properties.name).toBe('#secret-project');
+      expect(event.properties.topic).toBe('Acquisition planning');
+    });
+
+    it('should redact group profile names and topics by default', () => {
+      const profile = transformChannelProfile(mockRecord, baseContext);
+
+      expect(profile.$group_id).toBe('G123');
+      expect(profile.$set.private).toBe(true);
+      expect(profile.$set.$name).toBe('🔒 G123');
+      expect(profile.$set.name).toBeUndefined();
+      expect(profile.$set.channel_name).toBeUndefined();
+      expect(profile.$set.topic).toBeUndefined();
+      expect(profile.$set.purpose).toBeUndefined();
+    });
+
+    it('should export group profile names when private_channel_details is export', () => {
+      const profile = transformChannelProfile(mockRecord, { ...baseContext, private_channel_details: 'export' });
+
+      expect(profile.$set.private).toBe(true);
+      expect(profile.$set.$name).toBe('#secret-project');
+      expect(profile.$set.topic).toBe('Acquisition planning');
+    });
+
+    it('should not tag public channel events as private', () => {
+      const event = transformChannelEvent(
+        { channel_id: 'C123', date: '2024-01-15' },
+        { slackChannels: [{ id: 'C123', name: 'general' }], slack_prefix: 'https://mixpanel.slack.com' }
+      );
+
+      expect(event.properties.private).toBeUndefined();
+      expect(event.properties.name).toBe('#general');
+    });
+  });
+
+  describe('Slack Connect channels', () => {
+    const sharedRecord = {
+      channel_id: 'C777',
+      date: '2024-01-15',
+      ENRICHED: {
+        channel: { id: 'C777', name: 'ext-acme', is_ext_shared: true, created: 1640000000 },
+        connected_teams: [{ id: 'T0ACME', name: 'Acme', domain: 'acme' }, { id: 'T0GLOBEX' }],
+        ok: true
+      }
+    };
+    const context = {
+      slackChannels: [{ id: 'C777', name: 'ext-acme', is_ext_shared: true }],
+      slack_prefix: 'https://mixpanel.slack.com',
+      channel_group_key: 'channel_id'
+    };
+
+    it('should list external orgs on events and group profiles', () => {
+      const event = transformChannelEvent(sharedRecord, context);
+      expect(event.properties).toMatchObject({ external: true, external_team_ids: ['T0ACME', 'T0GLOBEX'], external_teams: ['Acme', 'T0GLOBEX'] });
+      expect(event.properties).not.toHaveProperty('ENRICHED');
+
+      const profile = transformChannelProfile(sharedRecord, context);
+      expect(profile.$set).toMatchObject({ external_team_ids: ['T0ACME', 'T0GLOBEX'], external_teams: ['Acme', 'T0GLOBEX'] });
+    });
+
+    it('should add the org group key and org profiles only when it is configured', () => {
+      expect(transformExternalOrgProfiles(sharedRecord, context)).toBeNull();
+
+      const orgContext = { ...context, external_org_group_key: 'external_team_id' };
+      expect(transformChannelEvent(sharedRecord, orgContext).properties.external_team_id).toEqual(['T0ACME', 'T0GLOBEX']);
+      expect(transformExternalOrgProfiles(sharedRecord, orgContext)).toEqual([
+        { $group_key: 'external_team_id', $group_id: 'T0ACME', $set: { $name: 'Acme', domain: 'acme' } },
+        { $group_key: 'external_team_id', $group_id: 'T0GLOBEX', $set: { $name: 'T0GLOBEX' } }
+      ]);
+      expect(transformExternalOrgProfiles({ channel_id: 'C1', ENRICHED: null }, orgContext)).toBeNull();
+    });
+
+    it('should leave internal channels without external org properties', () => {
+      const event = transformChannelEvent({ channel_id: 'C123', date: '2024-01-15', ENRICHED: null }, { ...context, slackChannels: [] });
+      expect(event.properties).not.toHaveProperty('external_team_ids');
+    });
+  });
+});
+
+describe('Member Transforms', () => {
+  describe('custom profile fields', () => {
+    const mockRecord = {
+      user_id: 'U1',
+      email_address: 'ada@example.com',
+      team_id: 'T1',
+      ENRICHED: {
+        user: { id: 'U1' },
+        profile: {
+          fields: {
+            XfDEPT: { value: 'Engineering' },
+            XfMGR: { value: 'U2' },
+            XfBUDDIES: { value: 'U2,U3' },
+            XfEMPTY: { value: '' }
+          }
+        },
+        ok: true
+      }
+    };
+
+    const context = {
+      slackMembers: [
+        { id: 'U2', real_name: 'Grace Hopper' },
+        { id: 'U3', name: 'alan' }
+      ],
+      slack_prefix: 'https://mixpanel.slack.com',
+      profileFields: [
+        { id: 'XfDEPT', property: 'Department', type: 'text' },
+        { id: 'XfMGR', property: 'Reports To', type: 'user' },
+        { id: 'XfBUDDIES', property: 'Buddies', type: 'user' },
+        { id: 'XfEMPTY', property: 'Empty', type: 'text' }
+      ]
+    };
+
+    it('should map custom fields by their configured property names', () => {
+      const profile = transformMemberProfile(mockRecord, context);
+
+      expect(profile.$set.Department).toBe('Engineering');
+      expect(profile.$set).not.toHaveProperty('Empty');
+      expect(profile.$set).not.toHaveProperty('fields');
+    });
+
+    it('should resolve user-reference fields to names regardless of label', () => {
+      const profile = transformMemberProfile(mockRecord, context);
+
+      expect(profile.$set['Reports To']).toBe('Grace Hopper');
+      expect(profile.$set.Buddies).toBe('Grace Hopper, alan');
+    });
+
+    it('should skip custom fields without mappings', () => {
+      const profile = transformMemberProfile(mockRecord, { ...context, profileFields: undefined });
+
+      expect(profile.$set).not.toHaveProperty('Department');
+      expect(profile.$set.$email).toBe('ada@example.com');
+    });
+  });
+});
+
+describe('Insert IDs', () => {
+  it('should be deterministic and unique per event, entity and date', () => {
+    const id = makeInsertId('daily user activity', 'U1', '2024-01-15');
+
+    expect(id).toMatch(/^[0-9a-f]{32}$/);
+    expect(makeInsertId('daily user activity', 'U1', '2024-01-15')).toBe(id);
+    expect(makeInsertId('daily user activity', 'U1', '2024-01-16')).not.toBe(id);
+    expect(makeInsertId('daily user activity', 'U2', '2024-01-15')).not.toBe(id);
+    expect(makeInsertId('daily channel activity', 'U1', '2024-01-15')).not.toBe(id);
+  });
+
+  it('should give re-imported member and channel events the same $insert_id', () => {
+    const member = { user_id: 'U1', email_address: 'ada@example.com', date: '2024-01-15' };
+    const channel = { channel_id: 'C1', date: '2024-01-15' };
+    const memberContext = { slackMembers: [], slack_prefix: '' };
+    const channelContext = { slackChannels: [], slack_prefix: '', channel_group_key: 'channel_id' };
+
+    const memberEvent = transformMemberEvent(member, memberContext);
+    const channelEvent = transformChannelEvent(channel, channelContext);
+
+    expect(memberEvent.properties.$insert_id).toBe(makeInsertId('daily user activity', 'U1', '2024-01-15'));
+    expect(transformMemberEvent({ ...member }, memberContext).properties.$insert_id).toBe(memberEvent.properties.$insert_id);
+    expect(channelEvent.properties.$insert_id).toBe(makeInsertId('daily channel activity', 'C1', '2024-01-15'));
+  });
+});
+
+describe('Event Time', () => {
+  const iso = (unix) => new Date(unix * 1000).toISOString();
+
+  it('should keep 04:20 UTC as the default offset', () => {
+    expect(iso(getEventTime('2024-01-15'))).toBe('2024-01-15T04:20:00.000Z');
+    expect(iso(getEventTime('2024-01-15', { strategy: 'offset', offsetMinutes: 90 }))).toBe('2024-01-15T01:30:00.000Z');
+  });
+
+  it('should support start and end of day UTC', () => {
+    expect(iso(getEventTime('2024-01-15', { strategy: 'start_of_day' }))).toBe('2024-01-15T00:00:00.000Z');
+    expect(iso(getEventTime('2024-01-15', { strategy: 'end_of_day' }))).toBe('2024-01-15T23:59:59.000Z');
+  });
+
+  it('should use noon in the member timezone, falling back to the workspace timezone', () => {
+    const options = { strategy: 'user_noon', workspaceTimezone: 'Asia/Tokyo' };
+
+    expect(iso(getEventTime('2024-01-15', { ...options, userTimezone: 'America/New_York' }))).toBe('2024-01-15T17:00:00.000Z');
+    expect(iso(getEventTime('2024-01-15', options))).toBe('2024-01-15T03:00:00.000Z');
+    expect(iso(getEventTime('2024-01-15', { ...options, userTimezone: 'Not/AZone' }))).toBe('2024-01-15T03:00:00.000Z');
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => getEventTime('2024-01-15', { strategy: 'midnight' })).toThrow('Unknown event time strategy');
+  });
+
+  it('should record the strategy and workspace timezone on events', () => {
+    const eventTime = { strategy: 'user_noon', workspaceTimezone: 'America/New_York' };
+    const member = { user_id: 'U1', email_address: 'ada@example.com', date: '2024-01-15' };
+    const context = { slackMembers: [{ id: 'U1', tz: 'Europe/London' }], slack_prefix: '', eventTime };
+
+    const event = transformMemberEvent(member, context);
+    expect(iso(event.properties.time)).toBe('2024-01-15T12:00:00.000Z');
+    expect(event.properties.time_strategy).toBe('user_noon');
+    expect(event.properties.workspace_timezone).toBe('America/New_York');
+
+    const channelEvent = transformChannelEvent({ channel_id: 'C1', date: '2024-01-15' }, { slackChannels: [], slack_prefix: '', eventTime });
+    expect(iso(channelEvent.properties.time)).toBe('2024-01-15T17:00:00.000Z');
+    expect(channelEvent.properties.time_strategy).toBe('user_noon');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * Unit tests for user group records (extract with a mocked Slack service, and the transforms)
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { getUserGroups, getUsers } = vi.hoisted(() => ({ getUserGroups: vi.fn(), getUsers: vi.fn() }));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { getUserGroups, getUsers }
+}));
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { extractUserGroups } = await import('../../src/jobs/extract.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { toUserGroupRecords, transformUserGroupProfile, transformUserGroupMemberProfile } = await import('../../src/transforms/user-groups.js');
+
+const groups = [
+  { id: 'S2', handle: 'eng-oncall', name: 'Engineering On-Call', description: 'Pager rotation', user_count: 2, users: ['U2', 'U1'], date_create: 1262304000 },
+  { id: 'S1', handle: 'design', name: 'Design', user_count: 1, users: ['U1'] }
+];
+
+const users = [
+  { id: 'U1' },
+  { id: 'U2' },
+  { id: 'U3' },
+  { id: 'U4', deleted: true },
+  { id: 'B1', is_bot: true },
+  { id: 'USLACKBOT' }
+];
+
+describe('User Group Records', () => {
+  it('should write group records, then every active member with their groups', () => {
+    const records = toUserGroupRecords(groups, users, { date: '2024-01-16' });
+
+    expect(records.filter(r => r.type === 'group').map(r => [r.usergroup_id, r.member_ids])).toEqual([
+      ['S1', ['U1']],
+      ['S2', ['U1', 'U2']]
+    ]);
+    expect(records.find(r => r.usergroup_id === 'S2')).toMatchObject({ handle: 'eng-oncall', user_count: 2, created: '2010-01-01' });
+    expect(records.filter(r => r.type === 'member').map(r => [r.user_id, r.user_groups])).toEqual([
+      ['U1', ['@design', '@eng-oncall']],
+      ['U2', ['@eng-oncall']],
+      ['U3', []]
+    ]);
+  });
+});
+
+describe('User Group Transforms', () => {
+  const context = { user_group_key: 'user_group_id' };
+  const [design, member] = toUserGroupRecords([groups[1]], [{ id: 'U1' }], { date: '2024-01-16' });
+
+  it('should create a group profile per user group', () => {
+    expect(transformUserGroupProfile(design, context)).toEqual({
+      $group_key: 'user_group_id',
+      $group_id: 'S1',
+      $set: {
+        $name: '@design',
+        handle: 'design',
+        name: 'Design',
+        description: '',
+        user_count: 1,
+        member_ids: ['U1'],
+        snapshot_date: '2024-01-16'
+      }
+    });
+    expect(transformUserGroupProfile(member, context)).toBeNull();
+  });
+
+  it('should set slack_user_groups and the group key on member profiles', () => {
+    expect(transformUserGroupMemberProfile(member, context)).toEqual({
+      $distinct_id: 'U1',
+      $set: { slack_user_groups: ['@design'], user_group_id: ['S1'] }
+    });
+    expect(transformUserGroupMemberProfile(design, context)).toBeNull();
+  });
+});
+
+describe.skipIf(storage.isRemote())('User Groups Extract', () => {
+  // Far enough back that the test never collides with real files, in a workspace of its own
+  const workspace = { team_id: 'T_USER_GROUPS_TEST' };
+  const date = '1999-01-01';
+  const dirs = () => ['user-groups', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+
+  beforeEach(() => {
+    dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    getUserGroups.mockReset().mockResolvedValue(groups);
+    getUsers.mockReset().mockResolvedValue(users);
+  });
+
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should write the run date\'s user group file', async () => {
+    const manifest = createRunManifest('user-groups');
+    const result = await runInWorkspace(workspace, () => extractUserGroups({ manifest, now: dayjs.utc(`${date}T06:00:00Z`) }));
+
+    expect(result).toMatchObject({ groups: 2, members: 3, snapshot: date });
+    expect(result.files).toHaveLength(1);
+    expect(manifest.get(date).extract).toMatchObject({ status: 'extracted', records: 5 });
+
+    const records = await storage.readJSONLGz(`user-groups/${workspace.team_id}/${date}-user-groups.jsonl.gz`);
+    expect(records.map(r => r.type)).toEqual(['group', 'group', 'member', 'member', 'member']);
+  });
+});
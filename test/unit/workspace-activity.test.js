@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Unit tests for the daily workspace rollup (summary, event transform, and extract from day files)
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { analytics } = vi.hoisted(() => ({
+  analytics: vi.fn()
+}));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { analytics }
+}));
+
+vi.stubEnv('company_domain', 'example.com');
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { runInWorkspace } = await import('../../src/services/workspaces.js');
+const { createEnrichmentBudget } = await import('../../src/services/enrichment-cache.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+const { summarizeMemberActivity, summarizeWorkspaceActivity, transformWorkspaceEvent } = await import('../../src/transforms/workspace.js');
+const { extractMemberAnalytics, extractWorkspaceActivity } = await import('../../src/jobs/extract.js');
+
+const members = [
+  { user_id: 'U1', team_id: 'T1', is_active: true, messages_posted_count: 10, channel_messages_posted_count: 6, reactions_added_count: 2 },
+  { user_id: 'U2', team_id: 'T1', is_active: true, messages_posted_count: 6, channel_messages_posted_count: 6 },
+  { user_id: 'U3', team_id: 'T1', is_active: false, messages_posted_count: 0, channel_messages_posted_count: 0 },
+  { user_id: 'U4', team_id: 'T1', is_active: true, is_guest: true, messages_posted_count: 4, channel_messages_posted_count: 0 }
+];
+
+const channels = [
+  { channel_id: 'C1', messages_posted_count: 5 },
+  { channel_id: 'C2', messages_posted_count: 3 },
+  { channel_id: 'C3', messages_posted_count: 0 }
+];
+
+describe('Workspace Activity Summary', () => {
+  it('should roll up members and channels without double-counting', () => {
+    expect(summarizeWorkspaceActivity({ members, channels, privateChannels: [{ channel_id: 'G1', messages_posted_count: 4 }] }, { date: '2024-01-15' })).toEqual({
+      date: '2024-01-15',
+      team_id: 'T1',
+      members: 4,
+      active_members: 3,
+      messages_posted: 20,
+      channel_messages_posted: 12,
+      dm_messages_posted: 8,
+      pct_channel_messages: 60,
+      pct_dm_messages: 40,
+      reactions_added: 2,
+      guests: 1,
+      active_guests: 1,
+      guest_messages_posted: 4,
+      public_channel_messages_posted: 8,
+      pct_public_channel_messages: 40,
+      public_channels_with_activity: 2,
+      private_channels_with_activity: 1,
+      channels_with_activity: 3
+    });
+  });
+
+  it('should build the same rollup from stored member totals', () => {
+    const memberSummary = summarizeMemberActivity(members, { date: '2024-01-15' });
+
+    expect(summarizeWorkspaceActivity({ memberSummary, channels }, { date: '2024-01-15' }))
+      .toEqual(summarizeWorkspaceActivity({ members, channels }, { date: '2024-01-15' }));
+  });
+
+  it('should leave out channel fields when no channel file was extracted', () => {
+    const record = summarizeWorkspaceActivity({ members: [] }, { date: '2024-01-15', team_id: 'T9' });
+
+    expect(record).toMatchObject({ team_id: 'T9', members: 0, messages_posted: 0, pct_dm_messages: 0 });
+    expect(record).not.toHaveProperty('channels_with_activity');
+    expect(record).not.toHaveProperty('pct_public_channel_messages');
+  });
+
+  it('should send the rollup as a workspace event with no user', () => {
+    const record = summarizeWorkspaceActivity({ members }, { date: '2024-01-15' });
+    const event = transformWorkspaceEvent(record, { workspace_group_key: 'workspace_id' });
+
+    expect(event.event).toBe('daily workspace activity');
+    expect(event.properties).toMatchObject({ distinct_id: '', workspace_id: 'T1', active_members: 3, date: '2024-01-15' });
+    expect(event.properties.$insert_id).toBe(transformWorkspaceEvent(record, {}).properties.$insert_id);
+  });
+});
+
+describe.skipIf(storage.isRemote())('Workspace Activity Extract', () => {
+  // Far enough back that the test never collides with real files, in a workspace of its own
+  const workspace = { team_id: 'T_ACTIVITY_TEST' };
+  const dates = ['1999-01-01', '1999-01-02'];
+  const directories = ['members', 'workspace-members', 'channels', 'workspace-activity', 'manifests'];
+  const dirs = () => directories.map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+  const file = (dir, date) => `${dir}/${workspace.team_id}/${date}-${dir}.jsonl.gz`;
+  const extract = (manifest = createRunManifest('workspace-activity')) =>
+    runInWorkspace(workspace, () => extractWorkspaceActivity(dates[0], dates[1], { manifest }));
+
+  beforeEach(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should write a rollup for each day with a member file', async () => {
+    await storage.writeJSONLGz(file('members', dates[0]), members);
+    await storage.writeJSONLGz(file('channels', dates[0]), channels);
+
+    const manifest = createRunManifest('workspace-activity');
+    const result = await extract(manifest);
+
+    expect(result).toMatchObject({ extracted: 1, skipped: 1 });
+    expect(manifest.get(dates[0]).extract).toMatchObject({ status: 'extracted', records: 1 });
+    const [record] = await storage.readJSONLGz(file('workspace-activity', dates[0]));
+    expect(record).toMatchObject({ date: dates[0], active_members: 3, channels_with_activity: 2 });
+  });
+
+  it('should prefer member totals taken before the domain filter', async () => {
+    // The member file only kept two members; the totals cover all four
+    await storage.writeJSONLGz(file('members', dates[0]), members.slice(0, 2));
+    await storage.writeJSONLGz(file('workspace-members', dates[1]), [summarizeMemberActivity(members, { date: dates[1] })]);
+    await storage.writeJSONLGz(file('members', dates[1]), members.slice(0, 2));
+
+    const result = await extract();
+
+    expect(result).toMatchObject({ extracted: 2, skipped: 0 });
+    const [filtered] = await storage.readJSONLGz(file('workspace-activity', dates[0]));
+    const [unfiltered] = await storage.readJSONLGz(file('workspace-activity', dates[1]));
+    expect(filtered).toMatchObject({ members: 2, guests: 0 });
+    expect(unfiltered).toMatchObject({ date: dates[1], team_id: workspace.team_id, members: 4, guests: 1, messages_posted: 20 });
+    expect(unfiltered).not.toHaveProperty('channels_with_activity');
+  });
+});
+
+describe.skipIf(storage.isRemote())('Workspace Member Totals', () => {
+  // Far enough back that the test never collides with real files, in a workspace of its own
+  const workspace = { team_id: 'T_ROLLUP_TEST' };
+  const date = '1999-01-01';
+  const dirs = () => ['members', 'staging/members', 'workspace-members', 'manifests', 'cache'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+
+  beforeEach(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should total every member before filtering to company_domain', async () => {
+    analytics.mockResolvedValue(members.map((member, i) => ({ ...member, email_address: i < 2 ? `u${i}@example.com` : `u${i}@partner.com` })));
+
+    await runInWorkspace(workspace, async () => {
+      const result = await extractMemberAnalytics(date, date, { enrichmentBudget: createEnrichmentBudget(0) });
+      expect(result).toMatchObject({ extracted: 1, failedDates: [] });
+
+      expect(await storage.readJSONLGz(`members/${workspace.team_id}/${date}-members.jsonl.gz`)).toHaveLength(2);
+      const [totals] = await storage.readJSONLGz(`workspace-members/${workspace.team_id}/${date}-workspace-members.jsonl.gz`);
+      expect(totals).toMatchObject({ date, team_id: workspace.team_id, members: 4, active_members: 3, guests: 1 });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * Unit tests for multi-workspace config, the current workspace, and workspace stamping
+ * Extract tests use the local ./tmp directory and are skipped when storage points at a bucket
+ */
+
+const { getUsers } = vi.hoisted(() => ({ getUsers: vi.fn() }));
+
+vi.mock('../../src/services/slack.js', () => ({
+  default: { getUsers }
+}));
+
+const { default: storage } = await import('../../src/services/storage.js');
+const { parseWorkspaces, loadWorkspaces, runInWorkspace, currentWorkspace, workspaceDir } = await import('../../src/services/workspaces.js');
+const { stampWorkspace } = await import('../../src/transforms/utils.js');
+const { extractMemberLifecycle } = await import('../../src/jobs/extract.js');
+const { createRunManifest } = await import('../../src/services/run-manifest.js');
+
+describe('Workspace Config', () => {
+  it('should read team IDs for an org-level install', () => {
+    expect(loadWorkspaces({ teamIds: 'T1, T2', configPath: undefined })).toEqual([{ team_id: 'T1' }, { team_id: 'T2' }]);
+    expect(loadWorkspaces({ teamIds: '', configPath: undefined })).toEqual([]);
+  });
+
+  it('should read a workspace config file', () => {
+    const configPath = path.join(os.tmpdir(), `workspaces-${process.pid}.json`);
+    fs.writeFileSync(configPath, JSON.stringify([
+      { team_id: 'T1', team_name: 'Sales', user_token: 'xoxp-1', message_channels: 'C1, C2', emoji_lookup_table_id: ' LT1 ' },
+      { team_id: 'T2' }
+    ]));
+
+    try {
+      expect(loadWorkspaces({ teamIds: '', configPath })).toEqual([
+        { team_id: 'T1', team_name: 'Sales', user_token: 'xoxp-1', message_channels: ['C1', 'C2'], emoji_lookup_table_id: 'LT1' },
+        { team_id: 'T2' }
+      ]);
+    } finally {
+      fs.rmSync(configPath, { force: true });
+    }
+  });
+
+  it('should reject invalid configs', () => {
+    expect(() => loadWorkspaces({ teamIds: 'T1', configPath: './workspaces.json' })).toThrow('mutually exclusive');
+    expect(() => loadWorkspaces({ teamIds: '', configPath: './does-not-exist.json' })).toThrow('Could not load workspace config');
+    expect(() => parseWorkspaces([{ team_name: 'Sales' }])).toThrow('missing team_id');
+    expect(() => parseWorkspaces([{ team_id: 'T1' }, { team_id: 'T1' }])).toThrow('Workspace T1 is listed more than once');
+    expect(() => parseWorkspaces([{ team_id: 'T1', emoji_lookup_table_id: 'LT1' }, { team_id: 'T2', emoji_lookup_table_id: 'LT1' }]))
+      .toThrow('Emoji lookup table LT1 is configured for more than one workspace');
+  });
+});
+
+describe('Current Workspace', () => {
+  it('should scope the workspace to everything awaited inside runInWorkspace', async () => {
+    expect(currentWorkspace()).toBeNull();
+    expect(workspaceDir('members')).toBe('members');
+
+    const seen = await runInWorkspace({ team_id: 'T1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return [currentWorkspace().team_id, workspaceDir('snapshots/members')];
+    });
+
+    expect(seen).toEqual(['T1', 'snapshots/members/T1']);
+    expect(currentWorkspace()).toBeNull();
+  });
+});
+
+describe('Workspace Stamping', () => {
+  const workspace = { team_id: 'T1', team_name: 'Sales' };
+
+  it('should add the team to events and re-key their insert IDs', () => {
+    const event = { event: 'daily user activity', properties: { distinct_id: 'U1', $insert_id: 'abc' } };
+    const stamped = stampWorkspace(event, workspace);
+
+    expect(stamped.properties).toMatchObject({ distinct_id: 'U1', team_id: 'T1', team_name: 'Sales' });
+    expect(stamped.properties.$insert_id).toMatch(/^[0-9a-f]{32}$/);
+    expect(stampWorkspace(event, { team_id: 'T2' }).properties.$insert_id).not.toBe(stamped.properties.$insert_id);
+  });
+
+  it('should add the team to profile team lists and leave other operations alone', () => {
+    expect(stampWorkspace([
+      { $token: 'abc', $distinct_id: 'U1', $set: { name: 'Ada' } },
+      { $distinct_id: 'U1', $union: { channels: ['#general'] } }
+    ], workspace)).toEqual([
+      { $token: 'abc', $distinct_id: 'U1', $set: { name: 'Ada' } },
+      { $token: 'abc', $distinct_id: 'U1', $union: { team_ids: ['T1'], team_names: ['Sales'] } },
+      { $distinct_id: 'U1', $union: { channels: ['#general'] } }
+    ]);
+    expect(stampWorkspace({ $group_key: 'channel_id', $group_id: 'C1', $set: { name: 'general' } }, { team_id: 'T2' })).toEqual([
+      { $group_key: 'channel_id', $group_id: 'C1', $set: { name: 'general' } },
+      { $group_key: 'channel_id', $group_id: 'C1', $union: { team_ids: ['T2'] } }
+    ]);
+    expect(stampWorkspace(null, workspace)).toBeNull();
+  });
+});
+
+describe.skipIf(storage.isRemote())('Workspace Extract Paths', () => {
+  const workspace = { team_id: 'T_PATHS_TEST' };
+  const date = '1999-01-01';
+  const dirs = () => ['snapshots/members', 'member-lifecycle', 'manifests'].map(dir => path.join(storage.getStoragePath(), dir, workspace.team_id));
+
+  afterAll(() => dirs().forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  it('should write snapshots under the workspace\'s team ID', async () => {
+    getUsers.mockResolvedValueOnce([{ id: 'U1' }]);
+    await runInWorkspace(workspace, () => extractMemberLifecycle({ manifest: createRunManifest('member-lifecycle'), now: dayjs.utc(`${date}T06:00:00Z`) }));
+
+    expect(await storage.fileExists(`snapshots/members/${workspace.team_id}/${date}-members.jsonl.gz`)).toBe(true);
+    expect(await storage.fileExists(`snapshots/members/${date}-members.jsonl.gz`)).toBe(false);
+  });
+});
@@ -62,6 +62,8 @@ export interface SlackChannel {
 	is_ext_shared?: boolean;
 	/** Whether channel is shared */
 	is_shared?: boolean;
+	/** Teams a Slack Connect channel is shared with (conversations.info) */
+	connected_team_ids?: string[];
 	/** Channel creation timestamp */
 	created?: number;
 	/** Number of channel members */
@@ -146,6 +148,12 @@ export interface ChannelMessage {
 	ts: string;
 	/** User ID who sent the message */
 	user: string;
+	/** Message subtype (e.g., 'bot_message', 'channel_join') */
+	subtype?: string;
+	/** Bot ID for bot messages */
+	bot_id?: string;
+	/** Parent message timestamp for threads */
+	thread_ts?: string;
 	/** Channel ID */
 	channel_id: string;
 	/** Channel name */
@@ -162,6 +170,51 @@ export interface ChannelMessage {
 	permalink: string;
 }
 
+/**
+ * Custom profile field definition from team.profile.get
+ */
+export interface SlackProfileField {
+	/** Field ID (e.g., 'Xf0139PMR3CM') */
+	id: string;
+	/** Display label (e.g., 'Department') */
+	label: string;
+	/** Field type; 'user' values are Slack user IDs */
+	type: 'text' | 'long_text' | 'date' | 'link' | 'options_list' | 'user' | string;
+}
+
+/**
+ * User group from usergroups.list
+ */
+export interface SlackUserGroup {
+	/** User group ID (e.g., 'S0614TZR7') */
+	id: string;
+	/** Mention handle without the @ (e.g., 'eng-oncall') */
+	handle: string;
+	/** Display name (e.g., 'Engineering On-Call') */
+	name: string;
+	description?: string;
+	/** Number of members */
+	user_count: number;
+	/** Member user IDs */
+	users: string[];
+	date_create?: number;
+	date_update?: number;
+	created_by?: string;
+	[key: string]: any;
+}
+
+/**
+ * Custom profile field mapped to a Mixpanel user property
+ */
+export interface ProfileFieldMapping {
+	/** Slack field ID */
+	id: string;
+	/** Mixpanel property name */
+	property: string;
+	/** Slack field type */
+	type: string;
+}
+
 /**
  * Slack service interface
  */
@@ -181,12 +234,21 @@ export interface SlackService {
 		startDate?: string,
 		endDate?: string,
 		type?: 'member' | 'public_channel' | 'private_channel',
-		streamResult?: boolean
+		streamResult?: boolean,
+		options?: { maxAttempts?: number }
 	) => Promise<any | SlackAnalyticsRecord[]>;
 	/** Channels fetcher */
-	getChannels: () => Promise<SlackChannel[]>;
+	getChannels: (options?: { types?: string; excludeArchived?: boolean }) => Promise<SlackChannel[]>;
 	/** Users fetcher */
 	getUsers: () => Promise<SlackUser[]>;
+	/** Custom profile field definitions fetcher (team.profile.get) */
+	getProfileFields: () => Promise<SlackProfileField[]>;
+	/** Custom emoji fetcher (emoji.list; name → image URL or 'alias:<name>') */
+	getCustomEmoji: () => Promise<Record<string, string>>;
+	/** Workspace details fetcher (team.info) */
+	getTeamInfo: (teamId: string) => Promise<{ id: string; name: string; domain: string; [key: string]: any }>;
+	/** Active user groups fetcher (usergroups.list, with member IDs) */
+	getUserGroups: () => Promise<SlackUserGroup[]>;
 	/** User details fetcher (info + profile) */
 	getUserDetails: (userId: string) => Promise<any>;
 	/** Channel details fetcher */
@@ -197,10 +259,16 @@ export interface SlackService {
 	getUserMessageAnalytics: (userId: string, options?: any) => Promise<any>;
 	/** Channel messages fetcher */
 	getChannelMessages: (channelId: string, options?: any) => Promise<ChannelMessage[]>;
+	/** Thread replies fetcher (conversations.replies, parent excluded) */
+	getThreadReplies: (channelId: string, threadTs: string) => Promise<any[]>;
+	/** Channel member IDs fetcher (conversations.members) */
+	getChannelMembers: (channelId: string) => Promise<string[]>;
 	/** Channel message analytics calculator */
 	getChannelMessageAnalytics: (channelId: string, options?: any) => Promise<any>;
 	/** Auth tester */
 	testAuth: (clientType?: 'bot' | 'user') => Promise<SlackAuthResponse>;
+	/** Current rate limiter state per Slack method (tier, req/min, calls, 429s) */
+	getRateLimits: () => Record<string, { tier: number | 'special'; rate: number; calls: number; rateLimited: number }>;
 }
 
 // ============================================================================
@@ -292,6 +360,88 @@ export interface ExtractResult {
 	skipped: number;
 	/** List of file paths */
 	files: string[];
+	/** Dates that could not be fetched (e.g. still rate limited); a later run can fill the gap */
+	failedDates: string[];
+	/** Share of the users / channels in this run's analytics that have cached details (members and channels) */
+	enrichment?: EnrichmentCoverage;
+}
+
+/**
+ * Enrichment coverage of the entities seen in a run's analytics
+ */
+export interface EnrichmentCoverage {
+	/** Entities seen in the analytics extracted this run */
+	total: number;
+	/** Entities with details (fresh or stale) */
+	enriched: number;
+	/** Entities with details fetched within the TTL */
+	fresh: number;
+	/** enriched / total as a percentage */
+	pct: number;
+}
+
+/**
+ * Enrichment time budget use (ENRICHMENT_BUDGET_MINUTES)
+ */
+export interface EnrichmentBudgetSummary {
+	budget_minutes: number;
+	spent_minutes: number;
+	/** Whether the budget ran out before every stale entity was refreshed */
+	exhausted: boolean;
+	/** Entities left for the next run */
+	skipped: number;
+}
+
+/**
+ * One record type of a day's Mixpanel load
+ */
+export interface ManifestRecordTypeLoad {
+	status: 'loaded' | 'failed';
+	/** Records the day's file sent (counted per record date) */
+	records: number;
+	/** mixpanel-import counts for the whole upload the day was part of */
+	batch: {
+		days: number;
+		total: number;
+		success: number;
+		failed: number;
+		duplicates: number;
+	};
+	error?: string;
+}
+
+/**
+ * Run manifest row (manifests/<directory>.jsonl.gz): one day of a directory of dated files (e.g. members, messages)
+ */
+export interface ManifestEntry {
+	/** Date (YYYY-MM-DD) */
+	date: string;
+	extract?: {
+		status: 'extracted' | 'empty' | 'failed';
+		records: number;
+		/** Enrichment coverage of the day's users or channels when it was extracted */
+		enrichment?: EnrichmentCoverage;
+		/** Full path of the file written */
+		file?: string;
+		error?: string;
+		at: string;
+	};
+	/** Load state per target ('superseded' once the day is extracted again: loaded, but not from the current file) */
+	load?: {
+		mixpanel?: {
+			status: 'loaded' | 'failed' | 'superseded';
+			/** Per record type of the load (events, profiles, orgs, reactions, groups, ...) */
+			[recordType: string]: ManifestRecordTypeLoad | string;
+			at: string;
+		};
+		bigquery?: {
+			status: 'loaded' | 'failed' | 'superseded';
+			error?: string;
+			at: string;
+		};
+	};
+	/** When the day's file was deleted after loading */
+	cleaned_up_at?: string;
 }
 
 /**
@@ -306,6 +456,31 @@ export interface LoadResult {
 	filePaths: string[];
 }
 
+/**
+ * Daily workspace rollup (workspace-activity/YYYY-MM-DD-workspace-activity.jsonl.gz)
+ * Channel fields are only present when that day's channel files were extracted
+ */
+export interface WorkspaceActivityRecord {
+	date: string;
+	team_id?: string;
+	members: number;
+	active_members: number;
+	messages_posted: number;
+	channel_messages_posted: number;
+	dm_messages_posted: number;
+	pct_channel_messages: number;
+	pct_dm_messages: number;
+	reactions_added: number;
+	guests: number;
+	active_guests: number;
+	guest_messages_posted: number;
+	public_channel_messages_posted?: number;
+	pct_public_channel_messages?: number;
+	public_channels_with_activity?: number;
+	private_channels_with_activity?: number;
+	channels_with_activity?: number;
+}
+
 /**
  * Result from pipeline run
  */
@@ -314,10 +489,132 @@ export interface PipelineResult {
 	extract?: {
 		members?: ExtractResult;
 		channels?: ExtractResult;
+		'private-channels'?: ExtractResult;
+		messages?: ExtractResult;
+		/** Channel snapshot diff (channels pipeline) */
+		'channel-lifecycle'?: LifecycleExtractResult;
+		/** Member snapshot diff (members pipeline) */
+		'member-lifecycle'?: LifecycleExtractResult;
+		/** Channel membership snapshot diff (channels pipeline, CHANNEL_MEMBERSHIP=true) */
+		'channel-membership'?: LifecycleExtractResult & { channels: number; failed: number };
+		/** User group snapshot (user-groups pipeline) */
+		'user-groups'?: { groups: number; members: number; files: string[]; snapshot: string };
+		/** Enrichment time budget use per entity type (runs with members, channels or private-channels) */
+		enrichment?: { users?: EnrichmentBudgetSummary; channels?: EnrichmentBudgetSummary };
+		/** Daily workspace rollups (runs with both members and channels) */
+		'workspace-activity'?: { extracted: number; skipped: number; files: string[] };
 	};
-	/** Load stage results */
+	/** Load stage results (Mixpanel target) */
 	load?: {
 		members?: LoadResult;
 		channels?: LoadResult;
+		'private-channels'?: LoadResult;
+		messages?: LoadResult;
+		'channel-lifecycle'?: LoadResult;
+		'member-lifecycle'?: LoadResult;
+		'channel-membership'?: LoadResult;
+		'user-groups'?: LoadResult;
+		'workspace-activity'?: LoadResult;
+		/** Emoji lookup table (only when EMOJI_LOOKUP_TABLE_ID is set) */
+		emoji?: EmojiLookupResult;
+	};
+	/** BigQuery target results (only when targets includes 'bigquery') */
+	bigquery?: {
+		members?: BigQueryLoadResult;
+		channels?: BigQueryLoadResult;
+		'private-channels'?: BigQueryLoadResult;
+		messages?: BigQueryLoadResult;
+		'workspace-activity'?: BigQueryLoadResult;
 	};
+	/** Per-workspace results by team_id (multi-workspace runs, instead of extract / load / bigquery) */
+	workspaces?: Record<string, {
+		team_name?: string;
+		extract?: PipelineResult['extract'];
+		load?: PipelineResult['load'];
+		bigquery?: PipelineResult['bigquery'];
+	}>;
+}
+
+/**
+ * Result from a snapshot diff (lifecycle extract)
+ */
+export interface LifecycleExtractResult {
+	/** Number of changes found */
+	changes: number;
+	/** Change files written (empty when nothing changed or on the first snapshot) */
+	files: string[];
+	/** Date of the snapshot taken by this run */
+	snapshot: string;
+	/** Date of the snapshot it was compared to (null for the first snapshot) */
+	previous: string | null;
+}
+
+/**
+ * Result from the emoji lookup table load
+ */
+export interface EmojiLookupResult {
+	/** Whether the lookup table was replaced */
+	success: boolean;
+	/** Number of emoji (rows) in the table */
+	rows: number;
+	/** Number of daily summary files combined */
+	files: number;
+	/** Error message if the upload failed */
+	error?: string;
+}
+
+/**
+ * Result from the BigQuery load
+ */
+export interface BigQueryLoadResult {
+	/** Number of files merged */
+	uploaded: number;
+	/** Number of rows merged */
+	rows: number;
+	/** Number of files processed */
+	files: number;
+	/** Target table (dataset.table) */
+	table: string;
+}
+
+/**
+ * Progress event passed to runPipeline's onProgress callback
+ */
+export interface PipelineProgressEvent {
+	/** Stage that started or is running */
+	stage: 'extract' | 'load';
+	/** Pipeline name (e.g., 'members', 'channels', 'private-channels') */
+	pipeline: string;
+	/** Day that finished extracting (day events only) */
+	date?: string;
+	/** Outcome for the day (day events only) */
+	status?: 'cached' | 'extracted' | 'empty' | 'failed';
+	/** Days finished so far (day events only) */
+	day?: number;
+	/** Days in the date range (day events only) */
+	totalDays?: number;
+}
+
+/**
+ * Async pipeline job (GET /jobs/:id)
+ */
+export interface PipelineJob {
+	id: string;
+	pipeline: string;
+	params: Record<string, any>;
+	status: 'queued' | 'running' | 'success' | 'error';
+	/** Current stage, e.g. 'extract:members', 'load:channels' or 'complete' */
+	stage: string | null;
+	/** Per-pipeline progress with per-day extract statuses */
+	progress: Record<string, {
+		stage: string;
+		days: Record<string, string>;
+		completedDays?: number;
+		totalDays?: number;
+	}>;
+	result: PipelineResult | null;
+	error: string | null;
+	created_at: string;
+	started_at: string | null;
+	finished_at: string | null;
 }